@@ -7,6 +7,11 @@
  * - Section configuration
  * - Language switching and code highlighting
  * - API testing utilities
+ * - Interactive "Try it" request console
+ * - Role permission matrix ("who can call this") per section
+ * - Login session management with automatic token refresh
+ * - Environment profiles (dev, staging, store branches)
+ * - Code samples generated from the OpenAPI document
  */
 
 // =============================================================================
@@ -21,32 +26,32 @@ const SECTIONS_CONFIG = {
     'getting-started': {
         title: '<i class="fas fa-rocket mr-3"></i>Getting Started',
         description: 'Learn the basics of working with the StorePOS API, including setup, basic requests, and authentication flow.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     },
     'overview': {
         title: '<i class="fas fa-list-alt mr-3"></i>API Overview',
         description: 'Understand the StorePOS API structure, endpoints, response formats, and general usage patterns.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     },
     'authentication': {
         title: '<i class="fas fa-lock mr-3"></i>Authentication',
         description: 'Learn how to authenticate with the StorePOS API using JWT tokens, manage user sessions, and handle token refresh.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     },
     'products': {
         title: '<i class="fas fa-box mr-3"></i>Products Management',
         description: 'Manage products, inventory, categories, and stock levels using the StorePOS API endpoints.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     },
     'sales': {
         title: '<i class="fas fa-cash-register mr-3"></i>Sales & Transactions',
         description: 'Process sales, manage shopping carts, handle transactions, and work with different payment methods.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     },
     'users': {
         title: '<i class="fas fa-users mr-3"></i>User Management',
         description: 'Manage users, roles, permissions, and user authentication within the StorePOS system.',
-        languages: ['powershell', 'csharp', 'javascript', 'python']
+        languages: ['powershell', 'csharp', 'javascript', 'python', 'java', 'go']
     }
 };
 
@@ -73,7 +78,8 @@ const LANGUAGE_CONFIG = {
         bgClass: 'bg-yellow-100 dark:bg-yellow-900',
         textClass: 'text-yellow-600 dark:text-yellow-400',
         description: 'Works in both Node.js and browsers with modern fetch API and async/await.',
-        extension: 'js'
+        extension: 'js',
+        sdk: './sdk/storepos-client.js'
     },
     'python': {
         name: 'Python',
@@ -101,18 +107,810 @@ const LANGUAGE_CONFIG = {
     }
 };
 
+// Base URL that example files are written against; rewritten to the active profile on render
+const SAMPLE_BASE_URL = 'http://localhost:5062';
+
+/**
+ * Built-in environment profiles. Users can add their own (staging, store
+ * branches...) from the header switcher; those are persisted in localStorage.
+ */
+const DEFAULT_ENVIRONMENTS = [
+    {
+        id: 'development',
+        name: 'Development',
+        baseUrl: SAMPLE_BASE_URL,
+        credentialsHint: 'admin / admin123 (seeded)',
+        color: 'accent'
+    }
+];
+
+const ENVIRONMENT_COLORS = {
+    'accent': 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200',
+    'primary': 'bg-primary-100 text-primary-800 dark:bg-primary-900/40 dark:text-primary-200',
+    'yellow': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200',
+    'orange': 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-200',
+    'purple': 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-200',
+    'red': 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'
+};
+
+/**
+ * Endpoint catalogue for the StorePOS API, grouped by documentation section.
+ * Mirrors the routes registered in StorePOS.Api/Endpoints/*Endpoints.cs.
+ *
+ * roles: null = anonymous, [] = any authenticated user, otherwise the roles
+ * listed in the route's RequireRoleAttribute.
+ */
+const ENDPOINTS_CONFIG = {
+    'authentication': [
+        { name: 'Login', method: 'POST', path: '/api/auth/login', summary: 'User login', roles: null, body: 'UserLoginDto' },
+        { name: 'RefreshToken', method: 'POST', path: '/api/auth/refresh', summary: 'Refresh access token', roles: null, body: 'RefreshTokenDto' },
+        { name: 'Logout', method: 'POST', path: '/api/auth/logout', summary: 'User logout', roles: [], body: 'RefreshTokenDto' },
+        { name: 'LogoutAll', method: 'POST', path: '/api/auth/logout-all', summary: 'Logout from all devices', roles: [] },
+        { name: 'GetCurrentUser', method: 'GET', path: '/api/auth/me', summary: 'Get current user information', roles: [] }
+    ],
+    'products': [
+        { name: 'GetProducts', method: 'GET', path: '/api/products', summary: 'Get all products or search products', roles: ['Admin', 'Manager', 'Cashier'], query: ['q'] },
+        { name: 'GetProductByBarcode', method: 'GET', path: '/api/products/by-barcode/{barcode}', summary: 'Get product by barcode', roles: ['Admin', 'Manager', 'Cashier'] },
+        { name: 'CreateProduct', method: 'POST', path: '/api/products', summary: 'Create a new product', roles: ['Admin', 'Manager'], body: 'ProductCreateDto' },
+        { name: 'UpdateProduct', method: 'PUT', path: '/api/products/{id}', summary: 'Update a product', roles: ['Admin', 'Manager'], body: 'ProductUpdateDto' },
+        { name: 'UpdateProductStock', method: 'PUT', path: '/api/products/{id}/update-stock', summary: 'Update product stock', roles: ['Admin', 'Manager'], body: 'ProductStockUpdateDto' },
+        { name: 'DeleteProduct', method: 'DELETE', path: '/api/products/{id}', summary: 'Delete a product', roles: ['Admin'] }
+    ],
+    'sales': [
+        { name: 'GetSales', method: 'GET', path: '/api/sales', summary: 'Get all sales with optional date filtering', roles: ['Admin', 'Manager', 'Cashier'], query: ['from', 'to'] },
+        { name: 'GetSaleById', method: 'GET', path: '/api/sales/{id}', summary: 'Get sale by ID', roles: ['Admin', 'Manager', 'Cashier'] },
+        { name: 'CreateSale', method: 'POST', path: '/api/sales', summary: 'Create a new sale', roles: ['Admin', 'Manager', 'Cashier'], body: 'SaleCreateDto' },
+        { name: 'UpdateSale', method: 'PUT', path: '/api/sales/{id}', summary: 'Update an existing sale', roles: ['Admin', 'Manager', 'Cashier'], body: 'SaleUpdateDto' },
+        { name: 'DeleteSale', method: 'DELETE', path: '/api/sales/{id}', summary: 'Delete a sale', roles: ['Admin', 'Manager'] },
+        { name: 'CompleteSale', method: 'POST', path: '/api/sales/{id}/complete', summary: 'Complete a sale', roles: ['Admin', 'Manager', 'Cashier'] },
+        { name: 'CancelSale', method: 'POST', path: '/api/sales/{id}/cancel', summary: 'Cancel a sale', roles: ['Admin', 'Manager'] }
+    ],
+    'users': [
+        { name: 'GetUsers', method: 'GET', path: '/api/users', summary: 'Get all users or search users', roles: ['Admin', 'Manager'], query: ['q'] },
+        { name: 'GetUserById', method: 'GET', path: '/api/users/{id}', summary: 'Get user by ID', roles: ['Admin', 'Manager'] },
+        { name: 'GetUserByUsername', method: 'GET', path: '/api/users/by-username/{username}', summary: 'Get user by username', roles: ['Admin', 'Manager'] },
+        { name: 'CreateUser', method: 'POST', path: '/api/users', summary: 'Create a new user', roles: ['Admin'], body: 'UserCreateDto' },
+        { name: 'UpdateUser', method: 'PUT', path: '/api/users/{id}', summary: 'Update an existing user', roles: ['Admin'], body: 'UserUpdateDto' },
+        { name: 'ChangeUserPassword', method: 'PUT', path: '/api/users/{id}/password', summary: 'Change user password', roles: ['Admin'], body: 'UserChangePasswordDto' },
+        { name: 'DeleteUser', method: 'DELETE', path: '/api/users/{id}', summary: 'Delete a user', roles: ['Admin'] }
+    ]
+};
+
+/**
+ * UserRole enum values (StorePOS.Domain/Enums/UserRole.cs), most privileged first
+ */
+const USER_ROLES = ['Admin', 'Manager', 'Cashier', 'Customer', 'Guest'];
+
+/**
+ * Error messages each operation can answer with, as [status, message] pairs.
+ * Copied from StorePOS.Domain/Services; 400 validation messages arrive in a
+ * ValidationProblem's errors, the rest as { message }. {placeholders} are
+ * filled in by the API.
+ */
+const ENDPOINT_ERRORS = {
+    'Login': [[400, 'Invalid credentials']],
+    'RefreshToken': [[400, 'Invalid refresh token']],
+    'CreateProduct': [
+        [400, 'SKU is required.'], [400, 'Name is required.'], [400, 'Category is required.'],
+        [400, 'Price must be >= 0.'], [400, 'Cost must be >= 0.'], [400, 'StockQty must be >= 0.'],
+        [404, 'Category does not exist.'], [409, 'SKU already exists.'], [409, 'Barcode already exists.']
+    ],
+    'UpdateProduct': [
+        [400, 'SKU is required.'], [400, 'Name is required.'], [400, 'Category is required.'],
+        [400, 'Price must be >= 0.'], [400, 'Cost must be >= 0.'], [400, 'StockQty must be >= 0.'],
+        [404, 'Product not found.'], [404, 'Category does not exist.'],
+        [409, 'SKU already exists.'], [409, 'Barcode already exists.']
+    ],
+    'UpdateProductStock': [
+        [400, 'Amount must be greater than 0.'], [400, 'Invalid stock update. Valid options: Increase, Decrease'],
+        [400, 'Insufficient stock to decrease.'], [404, 'Product not found.']
+    ],
+    'DeleteProduct': [[404, 'Product not found.']],
+    'CreateSale': [
+        [400, 'At least one cart item is required.'], [400, 'Invalid product ID.'],
+        [400, 'Discount must be >= 0.'], [400, 'Tax must be >= 0.'], [400, 'Paid amount must be >= 0.'],
+        [400, 'Invalid payment method. Valid options: Cash, VodafoneCash'],
+        [400, 'One or more products not found or inactive.'], [400, 'One or more cart items are invalid.']
+    ],
+    'UpdateSale': [
+        [400, 'At least one cart item is required.'], [400, 'Invalid product ID.'],
+        [400, 'Discount must be >= 0.'], [400, 'Tax must be >= 0.'],
+        [400, 'Invalid payment method. Valid options: Cash, VodafoneCash'],
+        [400, 'Invalid status. Valid options: Pending, Completed, Cancelled'],
+        [400, 'Cannot update completed sale.'], [400, 'One or more products not found or inactive.'],
+        [400, 'One or more cart items are invalid.'], [404, 'Sale not found.']
+    ],
+    'DeleteSale': [[400, 'Cannot delete completed sale.'], [404, 'Sale not found.']],
+    'CompleteSale': [
+        [400, 'Only pending sales can be completed.'], [400, 'Product with ID {productId} not found or inactive.'],
+        [400, 'Insufficient stock for product {name}. Available: {stockQty}, Requested: {qty}'], [404, 'Sale not found.']
+    ],
+    'CancelSale': [[400, 'Cannot cancel completed sale.'], [400, 'Sale is already cancelled.'], [404, 'Sale not found.']],
+    'CreateUser': [
+        [400, 'Username is required.'], [400, 'Email is required.'], [400, 'Password is required.'],
+        [400, 'Password must be at least 6 characters long.'], [400, 'Invalid role: {role}'],
+        [409, 'Username or email already exists.']
+    ],
+    'UpdateUser': [
+        [400, 'Username is required.'], [400, 'Email is required.'], [400, 'Invalid role: {role}'],
+        [404, 'User not found.'], [409, 'Username or email already exists.']
+    ],
+    'ChangeUserPassword': [
+        [400, 'New password is required.'], [400, 'New password must be at least 6 characters long.'],
+        [400, 'Current password is incorrect.'], [404, 'User not found.']
+    ],
+    'DeleteUser': [[404, 'User not found.']]
+};
+
+/**
+ * Sample request bodies keyed by DTO name (StorePOS.Domain/DTOs/DTOs.cs).
+ * Values follow the examples published in Endpoints/DOCs/*EndpointDocs.cs.
+ */
+const DTO_SAMPLES = {
+    'UserLoginDto': {
+        usernameOrEmail: 'admin',
+        password: 'admin123'
+    },
+    'RefreshTokenDto': {
+        refreshToken: 'def50200e8a2f1a1b2c3d4e5f6789abcdef...'
+    },
+    'ProductCreateDto': {
+        sku: 'KB-009',
+        barcode: '622000000099',
+        name: 'Wireless Keyboard',
+        category: 'Accessories',
+        price: 1200,
+        cost: 800,
+        stockQty: 20,
+        isActive: true
+    },
+    'ProductUpdateDto': {
+        sku: 'KB-001',
+        barcode: '622000000001',
+        name: 'Mechanical Keyboard',
+        category: 'Accessories',
+        price: 1800,
+        cost: 1200,
+        stockQty: 10,
+        isActive: true
+    },
+    'ProductStockUpdateDto': {
+        amount: 2,
+        stockUpdate: 'Decrease'
+    },
+    'SaleCreateDto': {
+        carts: [
+            { productId: 1, qty: 2, unitPrice: 1800 },
+            { productId: 2, qty: 1, unitPrice: 950 }
+        ],
+        discount: 100,
+        tax: 455,
+        paidAmount: 5000,
+        paymentMethod: 'Cash',
+        notes: 'Bulk purchase discount applied'
+    },
+    'SaleUpdateDto': {
+        carts: [
+            { productId: 1, qty: 1, unitPrice: 1800 }
+        ],
+        discount: 50,
+        tax: 175,
+        paidAmount: 2000,
+        paymentMethod: 'VodafoneCash',
+        notes: 'Updated payment method',
+        status: 'Pending'
+    },
+    'UserCreateDto': {
+        username: 'newuser',
+        email: 'newuser@example.com',
+        firstName: 'New',
+        lastName: 'User',
+        password: 'securepassword123',
+        phoneNumber: '+1234567892',
+        role: 'Cashier',
+        isActive: true
+    },
+    'UserUpdateDto': {
+        username: 'updateduser',
+        email: 'updated@example.com',
+        firstName: 'Updated',
+        lastName: 'User',
+        phoneNumber: '+1234567893',
+        role: 'Manager',
+        isActive: true
+    },
+    'UserChangePasswordDto': {
+        currentPassword: 'currentpassword123',
+        newPassword: 'newpassword123'
+    }
+};
+
+/**
+ * Generated code samples come from the active environment's Swashbuckle
+ * document; ENDPOINTS_CONFIG is used when it is not reachable.
+ */
+const OPENAPI_LIVE_PATH = '/swagger/v1/swagger.json';
+
+// Swagger tags (WithTags) to documentation sections
+const OPENAPI_TAG_SECTIONS = {
+    'Authentication': 'authentication',
+    'Products': 'products',
+    'Sales': 'sales',
+    'Users': 'users'
+};
+
+// Values substituted for route and query parameters in generated samples
+const PARAMETER_SAMPLES = {
+    'id': 1,
+    'barcode': '622000000001',
+    'username': 'admin',
+    'q': 'keyboard',
+    'from': '2025-01-01T00:00:00Z',
+    'to': '2025-12-31T23:59:59Z'
+};
+
+// =============================================================================
+// HTML RENDERING
+// =============================================================================
+
+/**
+ * Markup allowed in fetched section files (sections/*.html). Anything else is
+ * unwrapped to its text; SANITIZE_DROPPED_TAGS go with their content.
+ */
+const SANITIZE_ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'code', 'dd', 'details', 'div', 'dl', 'dt', 'em',
+    'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'input', 'kbd', 'label', 'li', 'ol', 'p', 'pre', 'section',
+    'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul',
+    'svg', 'path'
+]);
+const SANITIZE_DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'base', 'form', 'template', 'noscript']);
+const SANITIZE_ALLOWED_ATTRIBUTES = new Set([
+    'id', 'class', 'title', 'href', 'target', 'rel', 'download', 'role', 'type', 'value', 'placeholder',
+    'for', 'name', 'disabled', 'readonly', 'open', 'colspan', 'rowspan', 'scope',
+    'viewbox', 'fill', 'stroke', 'stroke-linecap', 'stroke-linejoin', 'stroke-width', 'd'
+]);
+const SANITIZE_SAFE_URL = /^(?:https?:|mailto:|#|\.{0,2}\/|[^:]*$)/i;
+
+/**
+ * Escape text for use in HTML, including inside quoted attribute values
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse HTML into an inert fragment keeping only allow-listed tags and
+ * attributes: no scripts, no on* handlers, no javascript: URLs. data-* and
+ * aria-* attributes are kept for the delegated listeners and accessibility.
+ * @returns {DocumentFragment}
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    // Walk a static list so unwrapping and removal do not disturb iteration
+    [...template.content.querySelectorAll('*')].forEach(element => {
+        const tag = element.localName;
+        if (SANITIZE_DROPPED_TAGS.has(tag)) {
+            element.remove();
+            return;
+        }
+        if (!SANITIZE_ALLOWED_TAGS.has(tag)) {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        [...element.attributes].forEach(({ name, value }) => {
+            const allowed = SANITIZE_ALLOWED_ATTRIBUTES.has(name.toLowerCase())
+                || /^(data|aria)-[\w-]+$/i.test(name);
+            const safeUrl = name.toLowerCase() !== 'href' || SANITIZE_SAFE_URL.test(value.trim());
+            if (!allowed || !safeUrl) {
+                element.removeAttribute(name);
+            }
+        });
+
+        if (element.getAttribute('target') === '_blank') {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+
+    return template.content;
+}
+
+// =============================================================================
+// SNIPPET GENERATOR CLASS
+// =============================================================================
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const ACCESS_TOKEN_PLACEHOLDER = '<access token from POST /api/auth/login>';
+
+class SnippetGenerator {
+    /**
+     * Normalise an OpenAPI 3 document into operations grouped by section
+     * @param {Object} spec - Parsed swagger.json
+     * @returns {Object<string, Array>} - Operations keyed by section id
+     */
+    fromOpenApi(spec) {
+        const sections = {};
+
+        Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+            HTTP_METHODS.forEach(verb => {
+                const operation = pathItem[verb];
+                if (!operation) return;
+
+                const sectionId = OPENAPI_TAG_SECTIONS[operation.tags?.[0]];
+                if (!sectionId) return;
+
+                const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+                const bodyMedia = operation.requestBody?.content?.['application/json'];
+
+                // Swashbuckle applies the Bearer requirement globally; the API marks
+                // anonymous routes with x-allow-anonymous and protected ones with
+                // x-roles. Older builds lack both, so fall back to the catalogue.
+                const catalogued = this.findCatalogued(operation.operationId);
+                const security = operation.security || spec.security || [];
+                const roles = operation['x-allow-anonymous']
+                    ? null
+                    : Array.isArray(operation['x-roles']) ? operation['x-roles'] : undefined;
+
+                (sections[sectionId] = sections[sectionId] || []).push({
+                    name: operation.operationId,
+                    method: verb.toUpperCase(),
+                    path,
+                    summary: operation.summary || catalogued?.summary || operation.operationId || '',
+                    roles,
+                    requiresAuth: roles !== undefined
+                        ? roles !== null
+                        : catalogued ? catalogued.roles !== null : security.length > 0,
+                    query: parameters.filter(p => p.in === 'query').map(p => p.name),
+                    body: this.sampleBody(spec, bodyMedia, catalogued)
+                });
+            });
+        });
+
+        return sections;
+    }
+
+    /**
+     * Build the same structure from the built-in endpoint catalogue
+     */
+    fromCatalogue() {
+        const sections = {};
+
+        Object.entries(ENDPOINTS_CONFIG).forEach(([sectionId, endpoints]) => {
+            sections[sectionId] = endpoints.map(endpoint => ({
+                name: endpoint.name,
+                method: endpoint.method,
+                path: endpoint.path,
+                summary: endpoint.summary,
+                roles: endpoint.roles,
+                requiresAuth: endpoint.roles !== null,
+                query: endpoint.query || [],
+                body: endpoint.body ? DTO_SAMPLES[endpoint.body] || {} : null
+            }));
+        });
+
+        return sections;
+    }
+
+    /**
+     * Request body for an operation. The API documents its bodies with an
+     * example and no schema (WithOpenApi in Endpoints/*.cs), so the example
+     * comes first, then the schema, then the catalogued DTO.
+     */
+    sampleBody(spec, media, catalogued) {
+        if (media?.example !== undefined) return media.example;
+
+        const [firstExample] = Object.values(media?.examples || {});
+        if (firstExample?.value !== undefined) return firstExample.value;
+
+        if (media?.schema) return this.sampleFromSchema(spec, media.schema);
+        if (catalogued?.body) return DTO_SAMPLES[catalogued.body] || {};
+        return null;
+    }
+
+    findCatalogued(operationId) {
+        if (!operationId) return null;
+        return Object.values(ENDPOINTS_CONFIG).flat().find(endpoint => endpoint.name === operationId) || null;
+    }
+
+    /**
+     * Produce a sample value for a JSON schema, preferring DTO_SAMPLES for named DTOs
+     */
+    sampleFromSchema(spec, schema, depth = 0) {
+        if (!schema || depth > 5) return null;
+
+        if (schema.$ref) {
+            const name = schema.$ref.split('/').pop();
+            if (DTO_SAMPLES[name]) return DTO_SAMPLES[name];
+            return this.sampleFromSchema(spec, spec.components?.schemas?.[name], depth + 1);
+        }
+
+        if (schema.example !== undefined) return schema.example;
+        if (schema.enum?.length) return schema.enum[0];
+
+        switch (schema.type) {
+            case 'object': {
+                const sample = {};
+                Object.entries(schema.properties || {}).forEach(([name, property]) => {
+                    sample[name] = this.sampleFromSchema(spec, property, depth + 1);
+                });
+                return sample;
+            }
+            case 'array':
+                return [this.sampleFromSchema(spec, schema.items, depth + 1)];
+            case 'integer':
+                return 1;
+            case 'number':
+                return 0;
+            case 'boolean':
+                return true;
+            case 'string':
+                return schema.format === 'date-time' ? PARAMETER_SAMPLES.from : 'string';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Generate a complete sample for one section
+     * @param {string} language - LANGUAGE_CONFIG key
+     * @param {string} sectionId - Section name
+     * @param {Array} operations - Operations from fromOpenApi()/fromCatalogue()
+     * @param {string} source - Where the operations came from (shown in the header comment)
+     * @returns {string|null} - Code, or null when the language is not supported
+     */
+    generate(language, sectionId, operations, source) {
+        const render = {
+            'powershell': () => this.powershell(operations),
+            'csharp': () => this.csharp(operations),
+            'javascript': () => this.javascript(operations),
+            'python': () => this.python(operations),
+            'java': () => this.java(operations, sectionId),
+            'go': () => this.go(operations)
+        }[language];
+
+        if (!render) return null;
+
+        const comment = ['powershell', 'python'].includes(language) ? '#' : '//';
+        const title = sectionId.charAt(0).toUpperCase() + sectionId.slice(1);
+        const header = `${comment} StorePOS API - ${title}\n${comment} Generated from ${source}\n\n`;
+
+        return header + render();
+    }
+
+    // -------------------------------------------------------------------------
+    // HELPERS
+    // -------------------------------------------------------------------------
+
+    /**
+     * Route path with sample parameter values (and query string unless split out)
+     */
+    samplePath(operation, includeQuery = true) {
+        const path = operation.path.replace(/\{(\w+)(:[^}]*)?\}/g, (_, name) => encodeURIComponent(PARAMETER_SAMPLES[name] ?? name));
+        if (!includeQuery || !operation.query.length) return path;
+
+        const query = operation.query
+            .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(PARAMETER_SAMPLES[name] ?? '')}`)
+            .join('&');
+        return `${path}?${query}`;
+    }
+
+    sampleJson(operation, indent = '') {
+        return JSON.stringify(operation.body, null, 4).split('\n').join(`\n${indent}`);
+    }
+
+    needsToken(operations) {
+        return operations.some(operation => operation.requiresAuth);
+    }
+
+    titleCase(method) {
+        return method.charAt(0) + method.slice(1).toLowerCase();
+    }
+
+    /**
+     * Render a JSON value as a Python literal
+     */
+    toPython(value, indent = '') {
+        if (value === null || value === undefined) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value !== 'object') return JSON.stringify(value);
+
+        const inner = `${indent}    `;
+        if (Array.isArray(value)) {
+            if (!value.length) return '[]';
+            return `[\n${value.map(item => inner + this.toPython(item, inner)).join(',\n')}\n${indent}]`;
+        }
+
+        const entries = Object.entries(value);
+        if (!entries.length) return '{}';
+        return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${this.toPython(item, inner)}`).join(',\n')}\n${indent}}`;
+    }
+
+    // -------------------------------------------------------------------------
+    // LANGUAGES
+    // -------------------------------------------------------------------------
+
+    powershell(operations) {
+        const lines = [`$baseUrl = "${SAMPLE_BASE_URL}"`];
+        if (this.needsToken(operations)) {
+            lines.push(`$accessToken = "${ACCESS_TOKEN_PLACEHOLDER}"`);
+            lines.push('$headers = @{ Authorization = "Bearer $accessToken" }');
+        }
+
+        operations.forEach(operation => {
+            const args = [`-Method ${this.titleCase(operation.method)}`, `-Uri "$baseUrl${this.samplePath(operation)}"`];
+            if (operation.requiresAuth) args.push('-Headers $headers');
+
+            lines.push('', `# ${operation.summary}`, `# ${operation.method} ${operation.path}`);
+            if (operation.body) {
+                lines.push(`$body = @'\n${this.sampleJson(operation)}\n'@`);
+                args.push('-ContentType "application/json"', '-Body $body');
+            }
+            lines.push(`$response = Invoke-RestMethod ${args.join(' ')}`);
+            lines.push('$response | ConvertTo-Json -Depth 5');
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    csharp(operations) {
+        const lines = [
+            'using System.Net.Http.Headers;',
+            'using System.Text;',
+            '',
+            `using var client = new HttpClient { BaseAddress = new Uri("${SAMPLE_BASE_URL}") };`
+        ];
+        if (this.needsToken(operations)) {
+            lines.push(`var accessToken = "${ACCESS_TOKEN_PLACEHOLDER}";`);
+        }
+
+        operations.forEach(operation => {
+            lines.push('', `// ${operation.summary}`, `// ${operation.method} ${operation.path}`);
+            lines.push(`using (var request = new HttpRequestMessage(new HttpMethod("${operation.method}"), "${this.samplePath(operation)}"))`);
+            lines.push('{');
+            if (operation.requiresAuth) {
+                lines.push('    request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", accessToken);');
+            }
+            if (operation.body) {
+                lines.push('    request.Content = new StringContent("""');
+                lines.push(`        ${this.sampleJson(operation, '        ')}`);
+                lines.push('        """, Encoding.UTF8, "application/json");');
+            }
+            lines.push('    using var response = await client.SendAsync(request);');
+            lines.push('    Console.WriteLine($"{(int)response.StatusCode}: {await response.Content.ReadAsStringAsync()}");');
+            lines.push('}');
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    javascript(operations) {
+        const lines = [`const baseUrl = '${SAMPLE_BASE_URL}';`];
+        if (this.needsToken(operations)) {
+            lines.push(`const accessToken = '${ACCESS_TOKEN_PLACEHOLDER}';`);
+        }
+
+        operations.forEach(operation => {
+            const headers = [];
+            if (operation.body) headers.push(`'Content-Type': 'application/json'`);
+            if (operation.requiresAuth) headers.push('\'Authorization\': `Bearer ${accessToken}`');
+
+            lines.push('', `// ${operation.summary}`, `// ${operation.method} ${operation.path}`, '{');
+            lines.push(`    const response = await fetch(\`\${baseUrl}${this.samplePath(operation)}\`, {`);
+            lines.push(`        method: '${operation.method}',`);
+            lines.push(`        headers: {\n            ${headers.join(',\n            ')}\n        }${operation.body ? ',' : ''}`);
+            if (operation.body) {
+                lines.push(`        body: JSON.stringify(${this.sampleJson(operation, '        ')})`);
+            }
+            lines.push('    });');
+            lines.push('    console.log(response.status, await response.text());');
+            lines.push('}');
+        });
+
+        return lines.join('\n').replace(/headers: \{\n\s*\n\s*\}/g, 'headers: {}') + '\n';
+    }
+
+    python(operations) {
+        const lines = ['import requests', '', `base_url = "${SAMPLE_BASE_URL}"`];
+        if (this.needsToken(operations)) {
+            lines.push(`headers = {"Authorization": "Bearer ${ACCESS_TOKEN_PLACEHOLDER}"}`);
+        }
+
+        operations.forEach(operation => {
+            const args = [`f"{base_url}${this.samplePath(operation, false)}"`];
+            if (operation.query.length) {
+                const params = operation.query.map(name => `"${name}": ${JSON.stringify(PARAMETER_SAMPLES[name] ?? '')}`);
+                args.push(`params={${params.join(', ')}}`);
+            }
+            if (operation.requiresAuth) args.push('headers=headers');
+            if (operation.body) args.push(`json=${this.toPython(operation.body)}`);
+
+            lines.push('', `# ${operation.summary}`, `# ${operation.method} ${operation.path}`);
+            lines.push(`response = requests.${operation.method.toLowerCase()}(${args.join(', ')})`);
+            lines.push('print(response.status_code, response.text)');
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    java(operations, sectionId) {
+        const className = `StorePos${sectionId.charAt(0).toUpperCase()}${sectionId.slice(1)}Example`;
+        const lines = [
+            'import java.net.URI;',
+            'import java.net.http.HttpClient;',
+            'import java.net.http.HttpRequest;',
+            'import java.net.http.HttpResponse;',
+            '',
+            `public class ${className} {`,
+            `    static final String BASE_URL = "${SAMPLE_BASE_URL}";`
+        ];
+        if (this.needsToken(operations)) {
+            lines.push(`    static final String ACCESS_TOKEN = "${ACCESS_TOKEN_PLACEHOLDER}";`);
+        }
+        lines.push('', '    public static void main(String[] args) throws Exception {');
+        lines.push('        HttpClient client = HttpClient.newHttpClient();');
+        lines.push('        HttpResponse<String> response;');
+
+        operations.forEach(operation => {
+            lines.push('', `        // ${operation.summary}`, `        // ${operation.method} ${operation.path}`);
+            lines.push(`        response = client.send(HttpRequest.newBuilder(URI.create(BASE_URL + "${this.samplePath(operation)}"))`);
+            if (operation.requiresAuth) {
+                lines.push('                .header("Authorization", "Bearer " + ACCESS_TOKEN)');
+            }
+            if (operation.body) {
+                lines.push('                .header("Content-Type", "application/json")');
+                lines.push(`                .method("${operation.method}", HttpRequest.BodyPublishers.ofString("""`);
+                lines.push(`                    ${this.sampleJson(operation, '                    ')}`);
+                lines.push('                    """))');
+            } else {
+                lines.push(`                .method("${operation.method}", HttpRequest.BodyPublishers.noBody())`);
+            }
+            lines.push('                .build(), HttpResponse.BodyHandlers.ofString());');
+            lines.push('        System.out.println(response.statusCode() + ": " + response.body());');
+        });
+
+        lines.push('    }', '}');
+        return lines.join('\n') + '\n';
+    }
+
+    go(operations) {
+        const lines = [
+            'package main',
+            '',
+            'import (',
+            '\t"fmt"',
+            '\t"io"',
+            '\t"net/http"',
+            '\t"strings"',
+            ')',
+            '',
+            `const baseURL = "${SAMPLE_BASE_URL}"`,
+            `const accessToken = "${ACCESS_TOKEN_PLACEHOLDER}"`,
+            '',
+            'func call(method, path, body string, auth bool) {',
+            '\tvar reader io.Reader',
+            '\tif body != "" {',
+            '\t\treader = strings.NewReader(body)',
+            '\t}',
+            '\treq, err := http.NewRequest(method, baseURL+path, reader)',
+            '\tif err != nil {',
+            '\t\tpanic(err)',
+            '\t}',
+            '\tif body != "" {',
+            '\t\treq.Header.Set("Content-Type", "application/json")',
+            '\t}',
+            '\tif auth {',
+            '\t\treq.Header.Set("Authorization", "Bearer "+accessToken)',
+            '\t}',
+            '\tres, err := http.DefaultClient.Do(req)',
+            '\tif err != nil {',
+            '\t\tpanic(err)',
+            '\t}',
+            '\tdefer res.Body.Close()',
+            '\tdata, _ := io.ReadAll(res.Body)',
+            '\tfmt.Println(res.Status, string(data))',
+            '}',
+            '',
+            'func main() {'
+        ];
+
+        operations.forEach((operation, index) => {
+            if (index > 0) lines.push('');
+            lines.push(`\t// ${operation.summary}`, `\t// ${operation.method} ${operation.path}`);
+            const body = operation.body ? `\`${this.sampleJson(operation, '\t')}\`` : '""';
+            lines.push(`\tcall("${operation.method}", "${this.samplePath(operation)}", ${body}, ${operation.requiresAuth})`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
+
 // =============================================================================
 // EXAMPLE LOADER CLASS
 // =============================================================================
 
 class ExampleLoader {
     constructor() {
-        this.baseUrl = './examples';
         this.cache = new Map();
+        this.apiBaseUrl = SAMPLE_BASE_URL;
+        this.renderedSamples = new Map();
+        this.generator = new SnippetGenerator();
+        this.specBaseUrl = SAMPLE_BASE_URL;
+        this.operationsPromise = null;
+    }
+
+    /**
+     * Read the OpenAPI document from the given API instead of the sample URL
+     */
+    useOpenApiFrom(apiBaseUrl) {
+        if (apiBaseUrl === this.specBaseUrl) return;
+
+        this.specBaseUrl = apiBaseUrl;
+        this.operationsPromise = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Resolve documented operations, once per spec source
+     * @returns {Promise<{source: string, sections: Object<string, Array>}>}
+     */
+    loadOperations() {
+        if (!this.operationsPromise) {
+            this.operationsPromise = this.fetchOperations();
+        }
+        return this.operationsPromise;
+    }
+
+    async fetchOperations() {
+        const url = `${this.specBaseUrl}${OPENAPI_LIVE_PATH}`;
+
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+            const spec = response.ok ? await response.json() : null;
+            if (spec?.paths) {
+                return { source: url, sections: this.generator.fromOpenApi(spec) };
+            }
+        } catch (error) {
+            console.warn(`OpenAPI document unavailable at ${url}:`, error);
+        }
+
+        return { source: 'the StorePOS endpoint catalogue', sections: this.generator.fromCatalogue() };
+    }
+
+    /**
+     * Rewrite rendered code samples to target the given API base URL
+     */
+    setApiBaseUrl(apiBaseUrl) {
+        this.apiBaseUrl = apiBaseUrl;
+
+        this.renderedSamples.forEach((code, codeId) => {
+            const codeElement = document.getElementById(codeId);
+            if (!codeElement) return;
+
+            codeElement.textContent = this.withApiBaseUrl(code);
+            if (typeof Prism !== 'undefined') {
+                Prism.highlightElement(codeElement);
+            }
+        });
+    }
+
+    /**
+     * Samples are written against SAMPLE_BASE_URL; swap in the active environment's URL
+     */
+    withApiBaseUrl(code) {
+        return code.split(SAMPLE_BASE_URL).join(this.apiBaseUrl);
     }
 
     /**
-     * Load example code from file
+     * Generate example code for a section from the OpenAPI operations
      * @param {string} language - Programming language
      * @param {string} section - Section name
      * @returns {Promise<string>} - Code content
@@ -125,19 +923,21 @@ class ExampleLoader {
         }
 
         try {
-            const extension = LANGUAGE_CONFIG[language]?.extension;
-            if (!extension) {
+            if (!LANGUAGE_CONFIG[language]) {
                 throw new Error(`Unknown language: ${language}`);
             }
 
-            const url = `${this.baseUrl}/${language}/${section}.${extension}`;
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load ${url}: ${response.status}`);
+            const { source, sections } = await this.loadOperations();
+            const operations = sections[section];
+            if (!operations?.length) {
+                throw new Error(`No operations documented for ${section}`);
+            }
+
+            const code = this.generator.generate(language, section, operations, source);
+            if (!code) {
+                throw new Error(`No snippet generator for ${language}`);
             }
 
-            const code = await response.text();
             this.cache.set(cacheKey, code);
             return code;
         } catch (error) {
@@ -155,12 +955,12 @@ class ExampleLoader {
         const sectionTitle = section.charAt(0).toUpperCase() + section.slice(1).replace('-', ' ');
         
         const fallbacks = {
-            'powershell': `# ${sectionTitle} example for ${langName}\n# Example file not found. Please check the file path.\n\nWrite-Host "Example coming soon..."`,
-            'csharp': `// ${sectionTitle} example for ${langName}\n// Example file not found. Please check the file path.\n\nConsole.WriteLine("Example coming soon...");`,
-            'javascript': `// ${sectionTitle} example for ${langName}\n// Example file not found. Please check the file path.\n\nconsole.log("Example coming soon...");`,
-            'python': `# ${sectionTitle} example for ${langName}\n# Example file not found. Please check the file path.\n\nprint("Example coming soon...")`,
-            'java': `// ${sectionTitle} example for ${langName}\n// Example file not found. Please check the file path.\n\nSystem.out.println("Example coming soon...");`,
-            'go': `// ${sectionTitle} example for ${langName}\n// Example file not found. Please check the file path.\n\nfmt.Println("Example coming soon...")`
+            'powershell': `# ${sectionTitle} example for ${langName}\n# No documented operations for this section.\n\nWrite-Host "Example coming soon..."`,
+            'csharp': `// ${sectionTitle} example for ${langName}\n// No documented operations for this section.\n\nConsole.WriteLine("Example coming soon...");`,
+            'javascript': `// ${sectionTitle} example for ${langName}\n// No documented operations for this section.\n\nconsole.log("Example coming soon...");`,
+            'python': `# ${sectionTitle} example for ${langName}\n# No documented operations for this section.\n\nprint("Example coming soon...")`,
+            'java': `// ${sectionTitle} example for ${langName}\n// No documented operations for this section.\n\nSystem.out.println("Example coming soon...");`,
+            'go': `// ${sectionTitle} example for ${langName}\n// No documented operations for this section.\n\nfmt.Println("Example coming soon...")`
         };
         
         return fallbacks[language] || `# Example for ${language}/${section} not found`;
@@ -176,7 +976,7 @@ class ExampleLoader {
             const activeClass = isActive ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200';
             
             return `
-                <button onclick="showLanguageTab('${sectionId}', '${lang}')" 
+                <button type="button"
                     class="language-tab ${isActive ? 'active' : ''} px-4 py-2 text-sm font-medium rounded-t-lg border-b-2 ${activeClass} transition-colors"
                     data-section="${sectionId}" data-lang="${lang}">
                     ${langConfig?.name || lang}
@@ -192,7 +992,7 @@ class ExampleLoader {
         return languages.map(lang => {
             const langConfig = LANGUAGE_CONFIG[lang];
             return `
-                <a href="./examples/${lang}/${sectionId}.${langConfig.extension}" download 
+                <a href="#" data-download-code="code-${sectionId}-${lang}" data-filename="storepos-${sectionId}.${langConfig.extension}"
                     class="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 text-sm font-medium">
                     <i class="fas fa-download mr-1"></i>Download ${langConfig.name}
                 </a>
@@ -243,57 +1043,1473 @@ class ExampleLoader {
     }
 
     /**
-     * Generate HTML for language content
+     * Generate HTML for language content
+     */
+    generateLanguageContent(sectionId, examples, languages) {
+        return languages.map((lang, index) => {
+            const isActive = index === 0;
+            const languageClass = this.getLanguageClass(lang);
+            const codeId = `code-${sectionId}-${lang}`;
+            this.renderedSamples.set(codeId, examples[lang]);
+            
+            return `
+                <div id="${sectionId}-${lang}" class="language-sample ${isActive ? 'active' : 'hidden'}">
+                    <div class="relative">
+                        <pre class="code-block bg-secondary-900 text-secondary-100 p-4 rounded-lg overflow-x-auto text-sm"><code id="${codeId}" class="language-${languageClass}">${escapeHtml(this.withApiBaseUrl(examples[lang]))}</code></pre>
+                        <button type="button"
+                            class="copy-btn absolute top-2 right-2 bg-secondary-700 hover:bg-secondary-600 text-white px-3 py-1 rounded text-xs transition-colors">
+                            <i class="fas fa-copy mr-1"></i>Copy
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Get the correct Prism.js language class
+     */
+    getLanguageClass(lang) {
+        const mapping = {
+            'powershell': 'powershell',
+            'csharp': 'csharp',
+            'javascript': 'javascript',
+            'python': 'python',
+            'java': 'java',
+            'go': 'go'
+        };
+        return mapping[lang] || lang;
+    }
+
+    /**
+     * Escape HTML entities; kept for callers of window.ExampleLoader
+     */
+    escapeHtml(text) {
+        return escapeHtml(text);
+    }
+
+    /**
+     * Escape text for JavaScript template literals
+     */
+    escapeForJs(text) {
+        return text.replace(/`/g, '\\`').replace(/\$/g, '\\$').replace(/\\/g, '\\\\');
+    }
+}
+
+const METHOD_BADGE_CLASSES = {
+    'GET': 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200',
+    'POST': 'bg-primary-100 text-primary-800 dark:bg-primary-900/40 dark:text-primary-200',
+    'PUT': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200',
+    'DELETE': 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'
+};
+
+// =============================================================================
+// PERMISSION MATRIX CLASS
+// =============================================================================
+
+class PermissionMatrix {
+    constructor(app) {
+        this.app = app;
+        this.source = 'the StorePOS endpoint catalogue';
+
+        // Operation name -> roles (null = anonymous, [] = any signed-in user)
+        this.roles = {};
+        Object.values(ENDPOINTS_CONFIG).flat().forEach(endpoint => {
+            this.roles[endpoint.name] = endpoint.roles;
+        });
+    }
+
+    /**
+     * Take the roles published in the OpenAPI document (x-roles / x-allow-anonymous)
+     * over the catalogue, then refresh everything that depends on them
+     */
+    async load() {
+        const { source, sections } = await this.app.exampleLoader.loadOperations();
+
+        let published = 0;
+        Object.values(sections).flat().forEach(operation => {
+            if (!operation.name || operation.roles === undefined) return;
+            this.roles[operation.name] = operation.roles;
+            published++;
+        });
+        if (published) {
+            this.source = source;
+        }
+
+        this.renderAll();
+        this.app.requestConsole.updatePermissions();
+    }
+
+    /**
+     * Roles for a catalogue endpoint
+     * @returns {string[]|null} - null = anonymous, [] = any signed-in user
+     */
+    rolesFor(endpoint) {
+        return endpoint.name in this.roles ? this.roles[endpoint.name] : endpoint.roles;
+    }
+
+    /**
+     * Whether a role may call an endpoint; role is null when signed out
+     */
+    can(role, endpoint) {
+        const roles = this.rolesFor(endpoint);
+        if (roles === null) return true;
+        return !!role && (roles.length === 0 || roles.includes(role));
+    }
+
+    describe(endpoint) {
+        const roles = this.rolesFor(endpoint);
+        if (roles === null) return 'Anonymous';
+        return roles.length === 0 ? 'Any authenticated user' : roles.join(', ');
+    }
+
+    /**
+     * Append a "who can call this" table to every loaded section that has endpoints
+     */
+    mountAll() {
+        Object.keys(ENDPOINTS_CONFIG).forEach(sectionId => {
+            const card = document.querySelector(`section#${sectionId} > div`);
+            if (!card || card.querySelector('.permission-matrix')) return;
+
+            card.insertAdjacentHTML('beforeend', `<div class="permission-matrix mt-8" data-section="${sectionId}"></div>`);
+        });
+
+        this.renderAll();
+    }
+
+    renderAll() {
+        document.querySelectorAll('.permission-matrix').forEach(matrixEl => {
+            matrixEl.innerHTML = this.render(matrixEl.dataset.section);
+        });
+    }
+
+    /**
+     * Generate the table for a section; the signed-in user's column is highlighted
+     */
+    render(sectionId) {
+        const endpoints = ENDPOINTS_CONFIG[sectionId] || [];
+        const userRole = this.app.session.user?.role || null;
+        const columns = [...USER_ROLES.map(role => ({ role, label: role })), { role: null, label: 'Signed out' }];
+        const highlight = (column) => column.role === userRole
+            ? 'bg-primary-50 dark:bg-primary-900/30'
+            : '';
+
+        const cell = (endpoint, column) => this.can(column.role, endpoint)
+            ? '<i class="fas fa-check text-accent-600 dark:text-accent-400" aria-label="Allowed"></i>'
+            : '<i class="fas fa-minus text-secondary-300 dark:text-secondary-600" aria-label="Not allowed"></i>';
+
+        return `
+            <h4 class="text-lg font-semibold mb-2 text-secondary-800 dark:text-secondary-200"><i class="fas fa-user-shield mr-2"></i>Who can call this</h4>
+            <p class="text-xs text-secondary-500 dark:text-secondary-400 mb-4">
+                Roles from ${escapeHtml(this.source)}.
+                ${userRole ? `Your role (<strong>${escapeHtml(userRole)}</strong>) is highlighted.` : 'Sign in to highlight your role.'}
+                Calls outside these roles return 403 Forbidden, or 401 when signed out.
+            </p>
+            <div class="overflow-x-auto">
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="border-b border-secondary-200 dark:border-secondary-600 text-left text-secondary-600 dark:text-secondary-300">
+                            <th class="py-2 pr-4 font-medium">Endpoint</th>
+                            ${columns.map(column => `<th class="py-2 px-3 font-medium text-center ${highlight(column)}">${column.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-secondary-100 dark:divide-secondary-700">
+                        ${endpoints.map(endpoint => `
+                            <tr>
+                                <td class="py-2 pr-4" title="${escapeHtml(endpoint.summary)}">
+                                    <span class="inline-block w-14 text-center px-1 rounded font-mono text-[10px] font-semibold ${METHOD_BADGE_CLASSES[endpoint.method] || ''}">${endpoint.method}</span>
+                                    <code class="text-xs text-secondary-700 dark:text-secondary-300">${escapeHtml(endpoint.path)}</code>
+                                </td>
+                                ${columns.map(column => `<td class="py-2 px-3 text-center ${highlight(column)}">${cell(endpoint, column)}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// =============================================================================
+// REQUEST CONSOLE CLASS
+// =============================================================================
+
+class RequestConsole {
+    constructor(app) {
+        this.app = app;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        // Use event delegation since consoles are injected after content loads
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.console-endpoint')) {
+                const consoleEl = e.target.closest('.request-console');
+                this.selectEndpoint(consoleEl);
+                this.app.urlState.recordConsole(consoleEl);
+            }
+        });
+
+        // Keep the request in the address bar so a reload or a shared link reopens it
+        document.addEventListener('input', (e) => {
+            if (e.target.matches('.request-console .console-param, .request-console .console-body')) {
+                this.app.urlState.recordConsole(e.target.closest('.request-console'));
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.console-send')) {
+                e.preventDefault();
+                this.send(e.target.closest('.request-console'));
+            }
+
+            const share = e.target.closest('.console-share');
+            if (share) {
+                e.preventDefault();
+                const link = this.app.urlState.consoleLink(share.closest('.request-console'));
+                this.app.copyToClipboard(link, share, 'Link to this request copied!');
+            }
+        });
+    }
+
+    /**
+     * Get the endpoint currently selected in a console
+     */
+    getSelectedEndpoint(consoleEl) {
+        const select = consoleEl.querySelector('.console-endpoint');
+        return ENDPOINTS_CONFIG[consoleEl.dataset.section]?.[select.value];
+    }
+
+    /**
+     * Extract path parameter names, e.g. "/api/sales/{id}/complete" -> ["id"]
+     */
+    getPathParams(path) {
+        return [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    }
+
+    /**
+     * Append a console to every loaded section that has endpoints
+     */
+    mountAll() {
+        Object.keys(ENDPOINTS_CONFIG).forEach(sectionId => {
+            const card = document.querySelector(`section#${sectionId} > div`);
+            if (!card || card.querySelector('.request-console')) return;
+
+            card.insertAdjacentHTML('beforeend', this.render(sectionId));
+            this.selectEndpoint(card.querySelector('.request-console'));
+        });
+
+        this.updatePermissions();
+        this.renderCatalogue();
+    }
+
+    /**
+     * Generate HTML for a section's request console
+     */
+    render(sectionId) {
+        const endpoints = ENDPOINTS_CONFIG[sectionId] || [];
+
+        return `
+            <div id="console-${sectionId}" class="request-console mt-8 p-6 bg-secondary-50 dark:bg-secondary-700 rounded-lg border border-secondary-200 dark:border-secondary-600" data-section="${sectionId}">
+                <h4 class="text-lg font-semibold mb-4 text-secondary-800 dark:text-secondary-200"><i class="fas fa-terminal mr-2"></i>Try it</h4>
+
+                <div class="flex flex-col md:flex-row gap-4 mb-2">
+                    <select class="console-endpoint flex-1 px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 font-mono text-sm">
+                        ${endpoints.map((endpoint, index) => `<option value="${index}">${endpoint.method} ${endpoint.path}</option>`).join('')}
+                    </select>
+                    <button class="console-send bg-primary-600 hover:bg-primary-700 dark:bg-primary-700 dark:hover:bg-primary-800 text-white px-4 py-2 rounded-md font-medium transition-colors">
+                        <i class="fas fa-paper-plane mr-2"></i>Send
+                    </button>
+                    <button type="button" class="console-share px-4 py-2 rounded-md font-medium border border-secondary-300 dark:border-secondary-600 text-secondary-700 dark:text-secondary-200 hover:bg-secondary-100 dark:hover:bg-secondary-600 transition-colors" title="Copy a link that opens this request">
+                        <i class="fas fa-link mr-2"></i>Share
+                    </button>
+                </div>
+                <p class="console-summary text-sm text-secondary-600 dark:text-secondary-300 mb-4"></p>
+
+                <details class="console-errors hidden mb-4 text-sm text-secondary-600 dark:text-secondary-300">
+                    <summary class="cursor-pointer font-medium text-secondary-700 dark:text-secondary-300"><i class="fas fa-exclamation-triangle mr-1"></i>Possible errors</summary>
+                    <ul class="mt-2 space-y-1"></ul>
+                </details>
+
+                <div class="console-params grid md:grid-cols-2 gap-4 mb-4"></div>
+
+                <p class="console-auth text-xs text-secondary-500 dark:text-secondary-400 mb-4">${this.getAuthHint()}</p>
+                <p class="console-permission hidden text-xs text-yellow-800 dark:text-yellow-200 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-md px-3 py-2 mb-4"></p>
+
+                <div class="console-body-wrapper mb-4">
+                    <label class="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-1">Request body <span class="console-body-dto font-mono text-xs text-secondary-500 dark:text-secondary-400"></span></label>
+                    <textarea class="console-body w-full h-48 px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 font-mono text-sm" spellcheck="false"></textarea>
+                </div>
+
+                <div class="console-response hidden"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render parameter inputs and seed the body for the selected endpoint
+     */
+    selectEndpoint(consoleEl) {
+        const endpoint = this.getSelectedEndpoint(consoleEl);
+        if (!endpoint) return;
+
+        const access = this.app.permissions.describe(endpoint);
+
+        consoleEl.querySelector('.console-summary').innerHTML =
+            `${escapeHtml(endpoint.summary)} <span class="text-secondary-500 dark:text-secondary-400">&middot; <i class="fas fa-user-shield mr-1"></i>${escapeHtml(access)}</span>`;
+
+        const errors = ENDPOINT_ERRORS[endpoint.name] || [];
+        const errorsEl = consoleEl.querySelector('.console-errors');
+        errorsEl.classList.toggle('hidden', !errors.length);
+        errorsEl.querySelector('ul').innerHTML = errors.map(([status, message]) => `
+            <li><span class="inline-block w-10 font-mono text-xs font-semibold text-yellow-600 dark:text-yellow-400">${status}</span>${escapeHtml(message)}</li>
+        `).join('');
+
+        const inputClass = 'w-full px-3 py-2 border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-secondary-800 text-secondary-900 dark:text-secondary-100 font-mono text-sm';
+        const params = [
+            ...this.getPathParams(endpoint.path).map(name => ({ name, location: 'path' })),
+            ...(endpoint.query || []).map(name => ({ name, location: 'query' }))
+        ];
+
+        consoleEl.querySelector('.console-params').innerHTML = params.map(param => `
+            <div>
+                <label class="block text-sm font-medium text-secondary-700 dark:text-secondary-300 mb-1">
+                    ${escapeHtml(param.name)} <span class="text-xs text-secondary-500 dark:text-secondary-400">(${param.location}${param.location === 'path' ? ', required' : ''})</span>
+                </label>
+                <input type="text" class="console-param ${inputClass}" data-name="${escapeHtml(param.name)}" data-location="${param.location}">
+            </div>
+        `).join('');
+
+        const bodyWrapper = consoleEl.querySelector('.console-body-wrapper');
+        if (endpoint.body) {
+            bodyWrapper.classList.remove('hidden');
+            bodyWrapper.querySelector('.console-body-dto').textContent = endpoint.body;
+            bodyWrapper.querySelector('.console-body').value = JSON.stringify(DTO_SAMPLES[endpoint.body], null, 2);
+            consoleEl.dataset.seedBody = bodyWrapper.querySelector('.console-body').value;
+        } else {
+            bodyWrapper.classList.add('hidden');
+            bodyWrapper.querySelector('.console-body').value = '';
+            delete consoleEl.dataset.seedBody;
+        }
+
+        const responseEl = consoleEl.querySelector('.console-response');
+        responseEl.innerHTML = '';
+        responseEl.classList.add('hidden');
+
+        this.updatePermission(consoleEl);
+    }
+
+    /**
+     * Lock the Send button when the signed-in role may not call the selected route
+     */
+    updatePermission(consoleEl) {
+        const endpoint = this.getSelectedEndpoint(consoleEl);
+        if (!endpoint) return;
+
+        const role = this.app.session.user?.role || null;
+        const allowed = this.app.permissions.can(role, endpoint);
+        const notice = consoleEl.querySelector('.console-permission');
+
+        consoleEl.querySelector('.console-send').disabled = !allowed;
+        notice.classList.toggle('hidden', allowed);
+        if (!allowed) {
+            const roles = escapeHtml(this.app.permissions.describe(endpoint));
+            notice.innerHTML = role
+                ? `<i class="fas fa-lock mr-1"></i>The ${escapeHtml(role)} role cannot call this route (the API answers 403). Allowed: ${roles}.`
+                : `<i class="fas fa-lock mr-1"></i>Sign in to call this route. Allowed: ${roles}.`;
+        }
+    }
+
+    /**
+     * Mark routes the signed-in role may not call and refresh each console's lock
+     */
+    updatePermissions() {
+        const role = this.app.session.user?.role || null;
+
+        document.querySelectorAll('.request-console').forEach(consoleEl => {
+            const endpoints = ENDPOINTS_CONFIG[consoleEl.dataset.section] || [];
+            consoleEl.querySelectorAll('.console-endpoint option').forEach(option => {
+                const endpoint = endpoints[option.value];
+                const locked = !this.app.permissions.can(role, endpoint);
+                option.textContent = `${endpoint.method} ${endpoint.path}${locked ? ' (not allowed)' : ''}`;
+            });
+            this.updatePermission(consoleEl);
+        });
+    }
+
+    /**
+     * Select an endpoint in its section's console, e.g. when a search result points at it
+     * @returns {HTMLElement|null} - The console, or null if the section has none
+     */
+    showEndpoint(sectionId, index) {
+        const consoleEl = document.getElementById(`console-${sectionId}`);
+        if (!consoleEl) return null;
+
+        const select = consoleEl.querySelector('.console-endpoint');
+        if (select.value !== String(index)) {
+            select.value = String(index);
+            this.selectEndpoint(consoleEl);
+        }
+        return consoleEl;
+    }
+
+    /**
+     * Build the request URL path from the endpoint template and parameter inputs
+     * @returns {string|null} - Path with query string, or null if a path parameter is missing
+     */
+    buildPath(consoleEl, endpoint) {
+        let path = endpoint.path;
+        const query = new URLSearchParams();
+
+        for (const input of consoleEl.querySelectorAll('.console-param')) {
+            const value = input.value.trim();
+
+            if (input.dataset.location === 'path') {
+                if (!value) {
+                    this.app.showToast(`Path parameter "${input.dataset.name}" is required`, 'warning');
+                    input.focus();
+                    return null;
+                }
+                path = path.replace(`{${input.dataset.name}}`, encodeURIComponent(value));
+            } else if (value) {
+                query.append(input.dataset.name, value);
+            }
+        }
+
+        const queryString = query.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    async send(consoleEl) {
+        const endpoint = this.getSelectedEndpoint(consoleEl);
+        if (!endpoint || !this.app.permissions.can(this.app.session.user?.role || null, endpoint)) return;
+
+        const path = this.buildPath(consoleEl, endpoint);
+        if (path === null) return;
+
+        let data = null;
+        if (endpoint.body) {
+            try {
+                data = JSON.parse(consoleEl.querySelector('.console-body').value || '{}');
+            } catch (error) {
+                this.app.showToast(`Invalid JSON body: ${error.message}`, 'error');
+                return;
+            }
+
+            // The live refresh token is never shown in the body (which can end up
+            // in the URL); the sample placeholder stands for the session's token
+            if (endpoint.body === 'RefreshTokenDto' && data?.refreshToken === DTO_SAMPLES.RefreshTokenDto.refreshToken && this.app.session.refreshToken) {
+                data = { ...data, refreshToken: this.app.session.refreshToken };
+            }
+        }
+
+        const button = consoleEl.querySelector('.console-send');
+        const responseEl = consoleEl.querySelector('.console-response');
+
+        button.disabled = true;
+        responseEl.classList.remove('hidden');
+        responseEl.innerHTML = '<div class="text-secondary-600 dark:text-secondary-300"><i class="fas fa-spinner fa-spin mr-2"></i>Sending request...</div>';
+
+        // Anonymous routes go out as-is; everything else carries the session's bearer token
+        const result = this.app.permissions.rolesFor(endpoint) === null
+            ? await this.app.testApiEndpoint(path, endpoint.method, data)
+            : await this.app.session.request(path, endpoint.method, data);
+
+        // Tokens obtained through the console become the active session
+        if (result.success && ['Login', 'RefreshToken'].includes(endpoint.name) && result.data?.data) {
+            await this.app.session.setTokens(result.data.data);
+        }
+
+        this.updatePermission(consoleEl);
+        this.renderResponse(responseEl, endpoint, path, result);
+    }
+
+    renderResponse(responseEl, endpoint, path, result) {
+
+        if (result.status === undefined) {
+            responseEl.innerHTML = `
+                <div class="p-4 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 text-red-800 dark:text-red-200">
+                    <i class="fas fa-times-circle mr-2"></i><strong>Request failed</strong><br>
+                    <small class="text-red-600 dark:text-red-400">Error: ${escapeHtml(result.error)}</small>
+                </div>
+            `;
+            return;
+        }
+
+        const statusClass = result.success
+            ? 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200'
+            : result.status >= 500
+                ? 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'
+                : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200';
+
+        const body = result.data === null
+            ? '(empty response)'
+            : typeof result.data === 'string' ? result.data : JSON.stringify(result.data, null, 2);
+
+        const headers = Object.entries(result.headers || {})
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+
+        responseEl.innerHTML = `
+            <div class="flex flex-wrap items-center gap-3 mb-3 text-sm">
+                <span class="px-2 py-1 rounded font-mono font-semibold ${statusClass}">${result.status} ${escapeHtml(result.statusText || '')}</span>
+                <span class="px-2 py-1 rounded font-mono ${METHOD_BADGE_CLASSES[endpoint.method] || ''}">${endpoint.method}</span>
+                <code class="text-secondary-600 dark:text-secondary-300 break-all">${escapeHtml(path)}</code>
+                <span class="text-secondary-500 dark:text-secondary-400 ml-auto"><i class="fas fa-stopwatch mr-1"></i>${result.duration} ms</span>
+            </div>
+            <details class="mb-3">
+                <summary class="cursor-pointer text-sm font-medium text-secondary-700 dark:text-secondary-300">Response headers</summary>
+                <pre class="mt-2 bg-secondary-900 text-secondary-100 p-4 rounded-lg overflow-x-auto text-xs">${escapeHtml(headers || '(none exposed)')}</pre>
+            </details>
+            <div class="relative">
+                <pre class="code-block bg-secondary-900 text-secondary-100 p-4 rounded-lg overflow-x-auto text-sm max-h-96"><code class="language-json">${escapeHtml(body)}</code></pre>
+                <button class="copy-btn absolute top-2 right-2 bg-secondary-700 hover:bg-secondary-600 text-white px-3 py-1 rounded text-xs transition-colors">
+                    <i class="fas fa-copy mr-1"></i>Copy
+                </button>
+            </div>
+        `;
+
+        if (typeof Prism !== 'undefined') {
+            Prism.highlightAllUnder(responseEl);
+        }
+    }
+
+    /**
+     * Describe which identity console requests are sent with
+     */
+    getAuthHint() {
+        const user = this.app.session.user;
+        if (!user) {
+            return '<i class="fas fa-user-slash mr-1"></i>Not signed in. Sign in from the header to call protected routes.';
+        }
+        return `<i class="fas fa-key mr-1"></i>Requests are sent as <strong>${escapeHtml(user.username)}</strong> (${escapeHtml(user.role)}) with a bearer token.`;
+    }
+
+    updateAuthHints() {
+        document.querySelectorAll('.request-console .console-auth').forEach(hint => {
+            hint.innerHTML = this.getAuthHint();
+        });
+    }
+
+    /**
+     * Replace the wildcard route hints in the overview with the real catalogue
+     */
+    renderCatalogue() {
+        document.querySelectorAll('[data-endpoint-catalogue]').forEach(list => {
+            const endpoints = ENDPOINTS_CONFIG[list.dataset.endpointCatalogue] || [];
+            list.innerHTML = endpoints.map(endpoint => `
+                <li class="flex items-center gap-2">
+                    <span class="inline-block w-14 text-center px-1 rounded font-mono text-[10px] font-semibold ${METHOD_BADGE_CLASSES[endpoint.method] || ''}">${endpoint.method}</span>
+                    <code class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(endpoint.path)}</code>
+                </li>
+            `).join('');
+        });
+    }
+}
+
+// =============================================================================
+// SEARCH INDEX CLASS
+// =============================================================================
+
+// Weight of a word by where it appears, so a heading hit outranks a code sample hit
+const SEARCH_FIELD_WEIGHTS = { title: 6, path: 5, fields: 4, errors: 3, text: 1, code: 0.5 };
+const SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'be', 'by', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'with']);
+const SEARCH_MAX_RESULTS = 10;
+
+// Content that is not documentation: form controls, live responses and the
+// consoles themselves (their endpoints are indexed from ENDPOINTS_CONFIG)
+const SEARCH_SKIP_SELECTOR = 'script, style, select, textarea, input, button, .request-console';
+const SEARCH_HEADING_SELECTOR = 'h2, h3, h4, h5';
+
+class SearchIndex {
+    constructor() {
+        this.documents = [];
+        // Term -> Map(document index -> weighted term frequency)
+        this.postings = new Map();
+        this.vocabulary = [];
+        this.sectionTitles = {};
+    }
+
+    /**
+     * Lower-case words of two or more characters. With parts, camelCase and
+     * PascalCase words are also indexed piecewise, so "stockQty" is found by
+     * "stockqty", "stock" and "qty"
+     */
+    static tokenize(text, { parts = false } = {}) {
+        const tokens = [];
+        const add = (word) => {
+            const token = word.toLowerCase();
+            if (token.length > 1 && !SEARCH_STOP_WORDS.has(token)) tokens.push(token);
+        };
+
+        (String(text).match(/[A-Za-z0-9]+/g) || []).forEach(word => {
+            add(word);
+            const pieces = parts ? word.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [] : [];
+            if (pieces.length > 1) pieces.forEach(add);
+        });
+        return tokens;
+    }
+
+    /**
+     * Index every heading of the loaded sections, the endpoint catalogue and the request DTOs
+     */
+    build(root = document) {
+        this.documents = [];
+        this.postings = new Map();
+        this.sectionTitles = {};
+
+        root.querySelectorAll('section[id]').forEach(section => this.indexSection(section));
+
+        Object.entries(ENDPOINTS_CONFIG).forEach(([sectionId, endpoints]) => {
+            endpoints.forEach((endpoint, index) => this.indexEndpoint(sectionId, endpoint, index));
+        });
+        Object.keys(DTO_SAMPLES).forEach(dtoName => this.indexDto(dtoName));
+
+        this.vocabulary = [...this.postings.keys()];
+    }
+
+    /**
+     * One document per heading: the prose and code between it and the next heading
+     */
+    indexSection(section) {
+        const sectionTitle = section.querySelector(SEARCH_HEADING_SELECTOR)?.textContent.trim() || section.id;
+        this.sectionTitles[section.id] = sectionTitle;
+        const blocks = [];
+        const open = (heading) => {
+            blocks.push({
+                targetId: heading ? this.headingId(section, heading) : section.id,
+                title: heading ? heading.textContent.trim() : sectionTitle,
+                text: [],
+                code: []
+            });
+        };
+        open(null);
+
+        const walker = document.createTreeWalker(section, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return node.parentElement.closest(SEARCH_HEADING_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+                }
+                if (node.matches(SEARCH_SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+                return node.matches(SEARCH_HEADING_SELECTOR) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+        });
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                open(node);
+                continue;
+            }
+            const text = node.textContent.trim();
+            if (text) {
+                blocks[blocks.length - 1][node.parentElement.closest('pre') ? 'code' : 'text'].push(text);
+            }
+        }
+
+        blocks.forEach((block, index) => {
+            // The section heading itself is the first heading found; skip the empty block before it
+            if (index === 0 && !block.text.length && !block.code.length) return;
+
+            const text = block.text.join(' ');
+            const code = block.code.join('\n');
+            this.addDocument(
+                { kind: 'heading', targetId: block.targetId, title: block.title, section: sectionTitle, text, code },
+                { title: block.title, text, code }
+            );
+        });
+    }
+
+    indexEndpoint(sectionId, endpoint, index) {
+        const errors = (ENDPOINT_ERRORS[endpoint.name] || []).map(([status, message]) => `${status} ${message}`);
+
+        this.addDocument(
+            {
+                kind: 'endpoint',
+                targetId: `console-${sectionId}`,
+                endpoint: { sectionId, index },
+                method: endpoint.method,
+                title: endpoint.path,
+                section: this.sectionTitles[sectionId] || sectionId,
+                text: endpoint.summary,
+                code: errors.join(' · ')
+            },
+            { title: `${endpoint.name} ${endpoint.summary}`, path: endpoint.path, errors: errors.join(' ') }
+        );
+    }
+
+    /**
+     * A request DTO's field names lead to the first endpoint that takes it
+     */
+    indexDto(dtoName) {
+        const fieldNames = (value) => Object.entries(value).flatMap(([key, field]) => [
+            key,
+            ...(Array.isArray(field) && field[0] && typeof field[0] === 'object' ? fieldNames(field[0]) : [])
+        ]);
+        const fields = fieldNames(DTO_SAMPLES[dtoName]);
+
+        const [sectionId, endpoints] = Object.entries(ENDPOINTS_CONFIG)
+            .find(([, list]) => list.some(endpoint => endpoint.body === dtoName)) || [];
+        if (!sectionId) return;
+        const index = endpoints.findIndex(endpoint => endpoint.body === dtoName);
+
+        this.addDocument(
+            {
+                kind: 'dto',
+                targetId: `console-${sectionId}`,
+                endpoint: { sectionId, index },
+                title: dtoName,
+                section: this.sectionTitles[sectionId] || sectionId,
+                text: `Request body of ${endpoints[index].method} ${endpoints[index].path}`,
+                code: fields.join(', ')
+            },
+            { title: dtoName, fields: fields.join(' ') }
+        );
+    }
+
+    addDocument(document, fields) {
+        const index = this.documents.push(document) - 1;
+
+        // A word counts once per field, so six language samples repeating a
+        // field name do not outweigh the DTO that defines it
+        Object.entries(fields).forEach(([field, value]) => {
+            new Set(SearchIndex.tokenize(value, { parts: true })).forEach(term => {
+                let postings = this.postings.get(term);
+                if (!postings) {
+                    postings = new Map();
+                    this.postings.set(term, postings);
+                }
+                postings.set(index, (postings.get(index) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+            });
+        });
+    }
+
+    /**
+     * Give a heading a stable id to jump to, e.g. "products-who-can-call-this"
+     */
+    headingId(section, heading) {
+        if (heading.id) return heading.id;
+
+        const slug = heading.textContent.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'heading';
+        let id = `${section.id}-${slug}`;
+        for (let n = 2; document.getElementById(id); n++) {
+            id = `${section.id}-${slug}-${n}`;
+        }
+        heading.id = id;
+        return id;
+    }
+
+    /**
+     * Rank documents matching every query word, exactly, by prefix or within
+     * a typo or two
+     * @returns {{ document: object, score: number, terms: string[] }[]}
+     */
+    search(query, limit = SEARCH_MAX_RESULTS) {
+        const tokens = [...new Set(SearchIndex.tokenize(query))];
+        if (!tokens.length) return [];
+
+        let scores = null;
+        const terms = new Set();
+
+        for (const token of tokens) {
+            const tokenScores = new Map();
+
+            this.expand(token).forEach(({ term, quality }) => {
+                terms.add(term);
+                const postings = this.postings.get(term);
+                const idf = Math.log(1 + this.documents.length / postings.size);
+                postings.forEach((weight, index) => {
+                    const score = quality * idf * Math.log1p(weight);
+                    if (score > (tokenScores.get(index) || 0)) tokenScores.set(index, score);
+                });
+            });
+
+            scores = scores
+                ? new Map([...scores].filter(([index]) => tokenScores.has(index)).map(([index, score]) => [index, score + tokenScores.get(index)]))
+                : tokenScores;
+            if (!scores.size) return [];
+        }
+
+        return [...scores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([index, score]) => ({ document: this.documents[index], score, terms: [...terms] }));
+    }
+
+    /**
+     * Vocabulary terms a query word stands for, with how well each matches
+     */
+    expand(token) {
+        const maxDistance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        const matches = [];
+
+        this.vocabulary.forEach(term => {
+            if (term === token) {
+                matches.push({ term, quality: 1 });
+            } else if (term.startsWith(token)) {
+                matches.push({ term, quality: 0.5 + 0.3 * token.length / term.length });
+            } else if (maxDistance && Math.abs(term.length - token.length) <= maxDistance) {
+                const distance = SearchIndex.editDistance(token, term, maxDistance);
+                if (distance <= maxDistance) matches.push({ term, quality: 0.5 / distance });
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Edit distance counting a swap of neighbouring letters as one edit;
+     * gives up with max + 1 once the distance is sure to exceed max
+     */
+    static editDistance(a, b, max) {
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Split text into plain and matched runs for highlighting. Matches start
+     * at a word boundary; with excerpt, only a window around the first match is kept
+     * @returns {{ text: string, match: boolean }[] | null} null when nothing matched
+     */
+    highlight(text, terms, { excerpt = 0 } = {}) {
+        if (!text || !terms.length) return null;
+
+        const sorted = [...terms].sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`(?<![A-Za-z0-9])(?:${sorted.join('|')})`, 'gi');
+        const first = pattern.exec(text);
+        if (!first) return null;
+
+        let start = 0;
+        let end = text.length;
+        if (excerpt && text.length > excerpt) {
+            start = Math.max(0, first.index - Math.floor(excerpt / 3));
+            end = Math.min(text.length, start + excerpt);
+        }
+
+        const window = text.slice(start, end).replace(/\s+/g, ' ');
+        const segments = [];
+        let last = 0;
+        pattern.lastIndex = 0;
+        for (const match of window.matchAll(pattern)) {
+            if (match.index > last) segments.push({ text: window.slice(last, match.index), match: false });
+            segments.push({ text: match[0], match: true });
+            last = match.index + match[0].length;
+        }
+        if (last < window.length) segments.push({ text: window.slice(last), match: false });
+
+        if (start > 0) segments.unshift({ text: '…', match: false });
+        if (end < text.length) segments.push({ text: '…', match: false });
+        return segments;
+    }
+}
+
+// =============================================================================
+// URL STATE CLASS
+// =============================================================================
+
+// Console path and query parameters are stored as p.<name> so "q" stays the search query
+const URL_CONSOLE_PARAM_PREFIX = 'p.';
+const URL_WRITE_DELAY_MS = 300;
+
+// Body fields that never go in the URL, where history and shared links would
+// keep them. Compared in lower case, as the API binds JSON case-insensitively.
+const URL_SECRET_FIELDS = ['password', 'currentpassword', 'newpassword', 'refreshtoken'];
+
+/**
+ * Keeps what the reader is looking at in the address bar so it survives a
+ * reload and can be shared:
+ *
+ *   index.html?lang=python&op=CreateSale&p.id=7&body=...&q=stock#sales-code-examples
+ *
+ * The hash is the section or heading, lang the code sample language, op/p.*
+ * /body a request pre-filled in its section's console (without passwords or
+ * refresh tokens) and q the search query. Jumps to a section or heading add a
+ * history entry; everything else replaces the current one, so back/forward
+ * walk through the places visited.
+ */
+class UrlState {
+    constructor(app) {
+        this.app = app;
+        this.restoring = false;
+        this.pendingWrite = null;
+        this.pendingChanges = {};
+
+        window.addEventListener('popstate', () => this.restore());
+    }
+
+    /**
+     * Parse the current URL
+     * @returns {{ target: string|null, language: string|null, query: string|null, operation: string|null, params: Object, body: string|null }}
+     */
+    read() {
+        const search = new URLSearchParams(window.location.search);
+        const params = {};
+        search.forEach((value, key) => {
+            if (key.startsWith(URL_CONSOLE_PARAM_PREFIX)) {
+                params[key.slice(URL_CONSOLE_PARAM_PREFIX.length)] = value;
+            }
+        });
+
+        return {
+            target: decodeURIComponent(window.location.hash.slice(1)) || null,
+            language: search.get('lang'),
+            query: search.get('q'),
+            operation: search.get('op'),
+            params,
+            body: search.get('body')
+        };
+    }
+
+    /**
+     * Build the URL for a state, keeping any query parameters the docs do not own
+     */
+    toUrl(state) {
+        const url = new URL(window.location.href);
+        ['lang', 'q', 'op', 'body'].forEach(key => url.searchParams.delete(key));
+        [...url.searchParams.keys()]
+            .filter(key => key.startsWith(URL_CONSOLE_PARAM_PREFIX))
+            .forEach(key => url.searchParams.delete(key));
+
+        if (state.language) url.searchParams.set('lang', state.language);
+        if (state.operation) {
+            url.searchParams.set('op', state.operation);
+            Object.entries(state.params || {})
+                .filter(([, value]) => value !== '')
+                .forEach(([name, value]) => url.searchParams.set(URL_CONSOLE_PARAM_PREFIX + name, value));
+            if (state.body) url.searchParams.set('body', state.body);
+        }
+        if (state.query) url.searchParams.set('q', state.query);
+
+        url.hash = state.target ? encodeURIComponent(state.target) : '';
+        return url.href;
+    }
+
+    /**
+     * Merge changes into the URL state. push adds a history entry (a jump);
+     * otherwise the current entry is replaced after a short pause so typing
+     * does not rewrite the address bar on every key
+     */
+    update(changes, { push = false } = {}) {
+        if (this.restoring) return;
+
+        // A jump writes any changes still waiting along with its own
+        this.pendingChanges = { ...this.pendingChanges, ...changes };
+        clearTimeout(this.pendingWrite);
+        const write = () => {
+            const url = this.toUrl({ ...this.read(), ...this.pendingChanges });
+            this.pendingChanges = {};
+            if (url === window.location.href) return;
+            if (push) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        };
+
+        if (push) {
+            write();
+        } else {
+            this.pendingWrite = setTimeout(write, URL_WRITE_DELAY_MS);
+        }
+    }
+
+    /**
+     * Record a jump to a section or heading
+     */
+    navigate(targetId) {
+        this.update({ target: targetId, query: null }, { push: true });
+    }
+
+    /**
+     * Record a jump to a console showing an endpoint
+     */
+    navigateToConsole(consoleEl) {
+        const endpoint = this.app.requestConsole.getSelectedEndpoint(consoleEl);
+        this.update({ ...this.consoleState(consoleEl, endpoint), query: null }, { push: true });
+    }
+
+    /**
+     * Record the request being edited in a console
+     */
+    recordConsole(consoleEl) {
+        const endpoint = this.app.requestConsole.getSelectedEndpoint(consoleEl);
+        if (!endpoint) return;
+
+        this.update(this.consoleState(consoleEl, endpoint));
+    }
+
+    consoleState(consoleEl, endpoint) {
+        const params = {};
+        consoleEl.querySelectorAll('.console-param').forEach(input => {
+            params[input.dataset.name] = input.value.trim();
+        });
+
+        // Only an edited body goes in the URL; the sample is seeded again on load
+        const bodyEl = consoleEl.querySelector('.console-body');
+        const body = endpoint.body && bodyEl.value !== consoleEl.dataset.seedBody ? this.shareableBody(bodyEl.value) : null;
+
+        return { target: consoleEl.id, operation: endpoint.name, params, body };
+    }
+
+    /**
+     * A console body without its credential fields. A body that does not parse
+     * is kept only if it names none of them.
+     * @returns {string|null}
+     */
+    shareableBody(text) {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            const lower = text.toLowerCase();
+            return URL_SECRET_FIELDS.some(field => lower.includes(field)) ? null : text;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return text;
+
+        const kept = Object.fromEntries(
+            Object.entries(body).filter(([name]) => !URL_SECRET_FIELDS.includes(name.toLowerCase()))
+        );
+        return Object.keys(kept).length ? JSON.stringify(kept, null, 2) : null;
+    }
+
+    /**
+     * Link that reopens a console with its current request
+     */
+    consoleLink(consoleEl) {
+        const endpoint = this.app.requestConsole.getSelectedEndpoint(consoleEl);
+        return this.toUrl({ ...this.read(), ...this.consoleState(consoleEl, endpoint), query: null });
+    }
+
+    /**
+     * Apply the URL to the page; called once content has loaded (headings
+     * have their ids by then) and on back/forward
+     */
+    restore() {
+        const state = this.read();
+        clearTimeout(this.pendingWrite);
+        this.pendingChanges = {};
+        this.restoring = true;
+
+        try {
+            if (state.language && LANGUAGE_CONFIG[state.language]) {
+                document.querySelectorAll(`.language-tab[data-lang="${state.language}"]`).forEach(tab => {
+                    showLanguageTab(tab.dataset.section, state.language);
+                });
+            }
+
+            // Without a hash, a pre-filled request scrolls to its console
+            const consoleId = state.operation ? this.restoreConsole(state) : null;
+            const target = state.target || consoleId;
+
+            if (target && document.getElementById(target)) {
+                this.app.scrollToSection(target);
+            }
+
+            const searchInput = document.getElementById('guide-search');
+            if (state.query && searchInput) {
+                searchInput.value = state.query;
+                this.app.searchGuide(state.query);
+            }
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    /**
+     * Select and fill the console request named in the URL
+     * @returns {string|null} - The console's id, if the operation exists
+     */
+    restoreConsole(state) {
+        for (const [sectionId, endpoints] of Object.entries(ENDPOINTS_CONFIG)) {
+            const index = endpoints.findIndex(endpoint => endpoint.name === state.operation);
+            if (index < 0) continue;
+
+            const consoleEl = this.app.requestConsole.showEndpoint(sectionId, index);
+            if (!consoleEl) return null;
+
+            consoleEl.querySelectorAll('.console-param').forEach(input => {
+                input.value = state.params[input.dataset.name] ?? '';
+            });
+            if (endpoints[index].body) {
+                consoleEl.querySelector('.console-body').value = this.restoreBody(state.body, consoleEl.dataset.seedBody);
+            }
+
+            return consoleEl.id;
+        }
+        return null;
+    }
+
+    /**
+     * A body from the URL, with the credential fields left out of it put back
+     * from the sample so the request keeps the DTO's shape
+     */
+    restoreBody(body, seedBody) {
+        if (body === null) return seedBody;
+
+        try {
+            const parsed = JSON.parse(body);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return body;
+
+            const secrets = Object.entries(JSON.parse(seedBody))
+                .filter(([name]) => URL_SECRET_FIELDS.includes(name.toLowerCase()) && !(name in parsed));
+            return JSON.stringify({ ...parsed, ...Object.fromEntries(secrets) }, null, 2);
+        } catch {
+            return body;
+        }
+    }
+}
+
+// =============================================================================
+// ENVIRONMENT MANAGER CLASS
+// =============================================================================
+
+const ENVIRONMENTS_STORAGE_KEY = 'storepos.environments';
+
+function isHttpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value);
+}
+
+class EnvironmentManager {
+    constructor() {
+        this.profiles = [];
+        this.activeId = null;
+        this.listeners = [];
+        this.load();
+    }
+
+    /**
+     * Load saved profiles, falling back to the built-in defaults
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(ENVIRONMENTS_STORAGE_KEY));
+        } catch {
+            localStorage.removeItem(ENVIRONMENTS_STORAGE_KEY);
+        }
+
+        // Base URLs end up in links and fetches; drop any stored profile that is not http(s)
+        const profiles = (saved?.profiles || []).filter(profile => isHttpUrl(profile?.baseUrl));
+        this.profiles = profiles.length ? profiles : DEFAULT_ENVIRONMENTS.map(profile => ({ ...profile }));
+        this.activeId = this.profiles.some(profile => profile.id === saved?.activeId) ? saved.activeId : this.profiles[0].id;
+    }
+
+    persist() {
+        localStorage.setItem(ENVIRONMENTS_STORAGE_KEY, JSON.stringify({
+            activeId: this.activeId,
+            profiles: this.profiles
+        }));
+    }
+
+    get active() {
+        return this.profiles.find(profile => profile.id === this.activeId) || this.profiles[0];
+    }
+
+    get baseUrl() {
+        return this.active.baseUrl;
+    }
+
+    /**
+     * Register a callback invoked whenever the active profile changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.active));
+    }
+
+    setActive(id) {
+        if (id === this.activeId || !this.profiles.some(profile => profile.id === id)) return;
+
+        this.activeId = id;
+        this.persist();
+        this.notify();
+    }
+
+    /**
+     * Add a profile or update an existing one with the same id
+     * @param {Object} profile - { id?, name, baseUrl, credentialsHint, color }
+     * @returns {Object} - The saved profile
+     */
+    save(profile) {
+        if (!isHttpUrl(profile.baseUrl.trim())) {
+            throw new Error('Base URL must start with http:// or https://');
+        }
+
+        const normalized = {
+            id: profile.id || `${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now().toString(36)}`,
+            name: profile.name.trim(),
+            baseUrl: profile.baseUrl.trim().replace(/\/+$/, ''),
+            credentialsHint: profile.credentialsHint?.trim() || '',
+            color: ENVIRONMENT_COLORS[profile.color] ? profile.color : 'primary'
+        };
+
+        const index = this.profiles.findIndex(existing => existing.id === normalized.id);
+        if (index >= 0) {
+            this.profiles[index] = normalized;
+        } else {
+            this.profiles.push(normalized);
+        }
+
+        this.persist();
+        if (normalized.id === this.activeId) this.notify();
+        return normalized;
+    }
+
+    remove(id) {
+        if (this.profiles.length <= 1) return false;
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.profiles[0].id;
+            this.persist();
+            this.notify();
+        } else {
+            this.persist();
+        }
+        return true;
+    }
+}
+
+// =============================================================================
+// SESSION MANAGER CLASS
+// =============================================================================
+
+const SESSION_STORAGE_KEY = 'storepos.session';
+
+// Refresh this long before ExpiresAt so in-flight requests never carry a stale token
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+class SessionManager {
+    constructor(app) {
+        this.app = app;
+        this.tokens = null;
+        this.user = null;
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Sessions are kept per environment profile since tokens are only valid on the server that issued them
+     */
+    get storageKey() {
+        return `${SESSION_STORAGE_KEY}.${this.app.environments.activeId}`;
+    }
+
+    get accessToken() {
+        return this.tokens?.accessToken || null;
+    }
+
+    get refreshToken() {
+        return this.tokens?.refreshToken || null;
+    }
+
+    get isAuthenticated() {
+        return !!this.tokens;
+    }
+
+    /**
+     * Register a callback invoked whenever the signed-in user changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.user));
+    }
+
+    /**
+     * Restore a persisted session, refreshing it if the access token has expired
+     */
+    async restore() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (!saved) return;
+
+        try {
+            this.tokens = JSON.parse(saved);
+        } catch {
+            localStorage.removeItem(this.storageKey);
+            return;
+        }
+
+        this.user = this.tokens.user ? { ...this.tokens.user } : null;
+
+        if (this.expiresIn() <= REFRESH_MARGIN_MS) {
+            await this.refresh();
+        } else {
+            this.scheduleRefresh();
+            await this.loadCurrentUser();
+        }
+    }
+
+    /**
+     * Milliseconds until the access token expires
+     */
+    expiresIn() {
+        if (!this.tokens?.expiresAt) return 0;
+        return new Date(this.tokens.expiresAt).getTime() - Date.now();
+    }
+
+    /**
+     * Store an AuthTokenDto and start tracking its expiry
+     * @param {Object} authToken - AuthTokenDto (accessToken, refreshToken, expiresAt, user)
+     */
+    async setTokens(authToken) {
+        this.tokens = {
+            accessToken: authToken.accessToken,
+            refreshToken: authToken.refreshToken,
+            expiresAt: authToken.expiresAt,
+            user: authToken.user
+        };
+        this.user = authToken.user ? { ...authToken.user } : null;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.tokens));
+
+        this.scheduleRefresh();
+        await this.loadCurrentUser();
+    }
+
+    clear() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.tokens = null;
+        this.user = null;
+        localStorage.removeItem(this.storageKey);
+        this.notify();
+    }
+
+    /**
+     * Drop the in-memory session and restore the one saved for the newly active environment
+     */
+    async switchEnvironment() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.tokens = null;
+        this.user = null;
+        this.notify();
+        await this.restore();
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        const delay = Math.max(this.expiresIn() - REFRESH_MARGIN_MS, 0);
+        this.refreshTimer = setTimeout(() => this.refresh(), delay);
+    }
+
+    /**
+     * Sign in via POST /api/auth/login
+     * @returns {Promise<boolean>} - Whether the login succeeded
      */
-    generateLanguageContent(sectionId, examples, languages) {
-        return languages.map((lang, index) => {
-            const isActive = index === 0;
-            const languageClass = this.getLanguageClass(lang);
-            const codeId = `code-${sectionId}-${lang}`;
-            
-            return `
-                <div id="${sectionId}-${lang}" class="language-sample ${isActive ? 'active' : 'hidden'}">
-                    <div class="relative">
-                        <pre class="code-block bg-secondary-900 text-secondary-100 p-4 rounded-lg overflow-x-auto text-sm"><code id="${codeId}" class="language-${languageClass}">${this.escapeHtml(examples[lang])}</code></pre>
-                        <button onclick="copyCodeToClipboard('${codeId}')" 
-                            class="copy-btn absolute top-2 right-2 bg-secondary-700 hover:bg-secondary-600 text-white px-3 py-1 rounded text-xs transition-colors">
-                            <i class="fas fa-copy mr-1"></i>Copy
-                        </button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+    async login(usernameOrEmail, password) {
+        const result = await this.app.testApiEndpoint('/api/auth/login', 'POST', { usernameOrEmail, password });
+
+        if (!result.success || !result.data?.data) {
+            this.app.showToast(result.data?.message || result.error || 'Login failed', 'error');
+            return false;
+        }
+
+        await this.setTokens(result.data.data);
+        this.app.showToast(`Signed in as ${this.user.username}`, 'success');
+        return true;
     }
 
     /**
-     * Get the correct Prism.js language class
+     * Exchange the refresh token for a new token pair. Concurrent callers share one request.
+     * @returns {Promise<boolean>} - Whether the session is still valid
      */
-    getLanguageClass(lang) {
-        const mapping = {
-            'powershell': 'powershell',
-            'csharp': 'csharp',
-            'javascript': 'javascript',
-            'python': 'python',
-            'java': 'java',
-            'go': 'go'
-        };
-        return mapping[lang] || lang;
+    refresh() {
+        if (!this.refreshToken) return Promise.resolve(false);
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.app.testApiEndpoint('/api/auth/refresh', 'POST', { refreshToken: this.refreshToken })
+                .then(async result => {
+                    if (result.success && result.data?.data) {
+                        await this.setTokens(result.data.data);
+                        return true;
+                    }
+
+                    // Only a rejected token ends the session; network errors are retried on next use
+                    if (result.status !== undefined) {
+                        this.clear();
+                        this.app.showToast('Session expired, please sign in again', 'warning');
+                    }
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
     }
 
     /**
-     * Escape HTML entities
+     * Load the signed-in identity and role from GET /api/auth/me
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    async loadCurrentUser() {
+        const result = await this.app.testApiEndpoint('/api/auth/me', 'GET', null, this.accessToken);
+        if (result.success && result.data) {
+            this.user = { ...this.user, ...result.data };
+        }
+        this.notify();
     }
 
     /**
-     * Escape text for JavaScript template literals
+     * Send a request with the session's bearer token, refreshing before expiry and once on 401
      */
-    escapeForJs(text) {
-        return text.replace(/`/g, '\\`').replace(/\$/g, '\\$').replace(/\\/g, '\\\\');
+    async request(endpoint, method = 'GET', data = null) {
+        if (this.isAuthenticated && this.expiresIn() <= REFRESH_MARGIN_MS) {
+            await this.refresh();
+        }
+
+        const result = await this.app.testApiEndpoint(endpoint, method, data, this.accessToken);
+
+        if (result.status === 401 && this.isAuthenticated && await this.refresh()) {
+            return this.app.testApiEndpoint(endpoint, method, data, this.accessToken);
+        }
+
+        return result;
+    }
+
+    /**
+     * Revoke the current refresh token via POST /api/auth/logout
+     */
+    async logout() {
+        if (!this.isAuthenticated) return;
+
+        await this.request('/api/auth/logout', 'POST', { refreshToken: this.refreshToken });
+        this.clear();
+        this.app.showToast('Signed out', 'success');
+    }
+
+    /**
+     * Revoke every refresh token of the current user via POST /api/auth/logout-all
+     */
+    async logoutAll() {
+        if (!this.isAuthenticated) return;
+
+        const result = await this.request('/api/auth/logout-all', 'POST');
+        this.clear();
+        this.app.showToast(result.success ? 'Signed out from all devices' : 'Signed out locally; logout-all failed', result.success ? 'success' : 'warning');
     }
 }
 
@@ -304,6 +2520,12 @@ class ExampleLoader {
 class StorePosApp {
     constructor() {
         this.exampleLoader = new ExampleLoader();
+        this.environments = new EnvironmentManager();
+        this.session = new SessionManager(this);
+        this.permissions = new PermissionMatrix(this);
+        this.requestConsole = new RequestConsole(this);
+        this.searchIndex = new SearchIndex();
+        this.urlState = new UrlState(this);
         this.init();
     }
 
@@ -312,6 +2534,8 @@ class StorePosApp {
         this.initializeToastSystem();
         this.initializeTheme();
         this.initializeSearch();
+        this.initializeEnvironments();
+        this.initializeSession();
         // Note: initializeScrollSpy will be called after content loads
     }
 
@@ -326,11 +2550,15 @@ class StorePosApp {
                 e.preventDefault();
                 const targetId = anchor.getAttribute('href').substring(1);
                 this.scrollToSection(targetId);
+                if (targetId) this.urlState.navigate(targetId);
             });
         });
 
         // Initialize copy buttons
         this.initializeCopyButtons();
+
+        // Buttons and links rendered without inline handlers
+        this.initializeActions();
         
         // Add keyboard shortcuts
         this.initializeKeyboardShortcuts();
@@ -346,15 +2574,63 @@ class StorePosApp {
             
             // Escape to close search results
             if (e.key === 'Escape') {
-                const searchResults = document.getElementById('search-results');
-                if (searchResults) {
-                    searchResults.innerHTML = '';
-                    searchResults.style.display = 'none';
+                this.hideSearchResults();
+            }
+
+            // "/" to jump to the search box from anywhere but a form field
+            if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.target.closest('input, textarea, select, [contenteditable]')) {
+                const searchInput = document.getElementById('guide-search');
+                if (searchInput && searchInput.offsetParent !== null) {
+                    e.preventDefault();
+                    searchInput.focus();
                 }
             }
         });
     }
 
+    /**
+     * One delegated listener for data-action buttons, language tabs, sample
+     * downloads and toast close buttons, so no markup needs onclick (the page
+     * runs under a Content-Security-Policy without 'unsafe-inline' scripts)
+     */
+    initializeActions() {
+        document.addEventListener('click', (e) => {
+            const tab = e.target.closest('.language-tab');
+            if (tab) {
+                showLanguageTab(tab.dataset.section, tab.dataset.lang);
+                this.urlState.update({ language: tab.dataset.lang });
+                return;
+            }
+
+            const download = e.target.closest('[data-download-code]');
+            if (download) {
+                e.preventDefault();
+                this.downloadCodeFromElement(download.dataset.downloadCode, download.dataset.filename);
+                return;
+            }
+
+            const toastClose = e.target.closest('[data-toast-close]');
+            if (toastClose) {
+                this.hideToast(toastClose.dataset.toastClose);
+                return;
+            }
+
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            switch (action) {
+                case 'reload':
+                    window.location.reload();
+                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                    break;
+                case 'toggle-theme':
+                    this.toggleTheme();
+                    break;
+                case 'test-api-connection':
+                    this.testApiConnection();
+                    break;
+            }
+        });
+    }
+
     initializeCopyButtons() {
         // Use event delegation to handle copy buttons
         document.addEventListener('click', (e) => {
@@ -377,6 +2653,286 @@ class StorePosApp {
         }
     }
 
+    /**
+     * Save a rendered code sample as a file
+     */
+    downloadCodeFromElement(elementId, filename) {
+        const codeElement = document.getElementById(elementId);
+        if (!codeElement) return;
+
+        const url = URL.createObjectURL(new Blob([codeElement.textContent], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // -------------------------------------------------------------------------
+    // ENVIRONMENTS
+    // -------------------------------------------------------------------------
+
+    initializeEnvironments() {
+        this.environments.onChange((profile) => {
+            this.renderEnvironmentMenu();
+            this.applyEnvironment();
+            this.session.switchEnvironment();
+            this.showToast(`Switched to ${profile.name}`, 'info');
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'environment-form') {
+                e.preventDefault();
+                this.saveEnvironmentForm(e.target);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const menu = document.getElementById('environment-menu');
+            if (!menu) return;
+
+            const select = e.target.closest('[data-environment-select]');
+            const edit = e.target.closest('[data-environment-edit]');
+            const remove = e.target.closest('[data-environment-remove]');
+
+            if (e.target.closest('#environment-toggle')) {
+                this.toggleEnvironmentPanel();
+            } else if (select) {
+                this.toggleEnvironmentPanel(false);
+                this.environments.setActive(select.dataset.environmentSelect);
+            } else if (edit) {
+                this.fillEnvironmentForm(this.environments.profiles.find(profile => profile.id === edit.dataset.environmentEdit));
+            } else if (remove) {
+                if (this.environments.remove(remove.dataset.environmentRemove)) {
+                    this.renderEnvironmentMenu();
+                    this.toggleEnvironmentPanel(true);
+                } else {
+                    this.showToast('At least one environment is required', 'warning');
+                }
+            } else if (e.target.closest('#environment-new')) {
+                this.fillEnvironmentForm(null);
+            } else if (!menu.contains(e.target)) {
+                this.toggleEnvironmentPanel(false);
+            }
+        });
+
+        this.renderEnvironmentMenu();
+        this.applyEnvironment();
+    }
+
+    toggleEnvironmentPanel(show) {
+        const panel = document.getElementById('environment-panel');
+        if (!panel) return;
+
+        const visible = show ?? panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !visible);
+    }
+
+    renderEnvironmentMenu() {
+        const menu = document.getElementById('environment-menu');
+        if (!menu) return;
+
+        const active = this.environments.active;
+        const inputClass = 'w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-secondary-900 text-secondary-900 dark:text-secondary-100';
+
+        menu.innerHTML = `
+            <button id="environment-toggle" class="px-3 py-1 text-sm font-medium rounded-full ${ENVIRONMENT_COLORS[active.color]}" title="${escapeHtml(active.baseUrl)}">
+                <i class="fas fa-server mr-1"></i>${escapeHtml(active.name)}
+            </button>
+            <div id="environment-panel" class="hidden absolute right-0 top-full mt-2 w-96 p-4 bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-lg z-50">
+                <ul class="space-y-1 mb-4">
+                    ${this.environments.profiles.map(profile => `
+                        <li class="flex items-center gap-2">
+                            <button data-environment-select="${escapeHtml(profile.id)}" class="flex-1 text-left px-3 py-2 rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-700 ${profile.id === active.id ? 'ring-2 ring-primary-500' : ''}">
+                                <span class="px-2 py-0.5 text-xs rounded-full ${ENVIRONMENT_COLORS[profile.color]}">${escapeHtml(profile.name)}</span>
+                                <span class="block font-mono text-xs text-secondary-500 dark:text-secondary-400 mt-1 break-all">${escapeHtml(profile.baseUrl)}</span>
+                            </button>
+                            <button data-environment-edit="${escapeHtml(profile.id)}" class="p-2 text-secondary-500 hover:text-primary-600" title="Edit"><i class="fas fa-pen"></i></button>
+                            <button data-environment-remove="${escapeHtml(profile.id)}" class="p-2 text-secondary-500 hover:text-red-600" title="Delete"><i class="fas fa-trash"></i></button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <form id="environment-form" class="space-y-2 border-t border-secondary-200 dark:border-secondary-700 pt-4">
+                    <div class="flex justify-between items-center">
+                        <h5 class="text-sm font-semibold text-secondary-800 dark:text-secondary-200" id="environment-form-title">New environment</h5>
+                        <button type="button" id="environment-new" class="text-xs text-primary-600 dark:text-primary-400 hover:underline">Clear</button>
+                    </div>
+                    <input name="id" type="hidden">
+                    <input name="name" type="text" placeholder="Name (e.g. Staging, Branch 12)" required class="${inputClass}">
+                    <input name="baseUrl" type="url" pattern="https?://.+" placeholder="Base URL (e.g. https://staging.example.com)" required class="${inputClass}">
+                    <input name="credentialsHint" type="text" placeholder="Default credentials hint (optional)" class="${inputClass}">
+                    <select name="color" class="${inputClass}">
+                        ${Object.keys(ENVIRONMENT_COLORS).map(color => `<option value="${color}">${color.charAt(0).toUpperCase() + color.slice(1)}</option>`).join('')}
+                    </select>
+                    <button type="submit" class="w-full bg-primary-600 hover:bg-primary-700 text-white px-4 py-2 rounded-md font-medium transition-colors">Save profile</button>
+                </form>
+            </div>
+        `;
+    }
+
+    fillEnvironmentForm(profile) {
+        const form = document.getElementById('environment-form');
+        if (!form) return;
+
+        form.elements.id.value = profile?.id || '';
+        form.elements.name.value = profile?.name || '';
+        form.elements.baseUrl.value = profile?.baseUrl || '';
+        form.elements.credentialsHint.value = profile?.credentialsHint || '';
+        form.elements.color.value = profile?.color || 'primary';
+        document.getElementById('environment-form-title').textContent = profile ? `Edit ${profile.name}` : 'New environment';
+        form.elements.name.focus();
+    }
+
+    saveEnvironmentForm(form) {
+        const profile = this.environments.save({
+            id: form.elements.id.value || null,
+            name: form.elements.name.value,
+            baseUrl: form.elements.baseUrl.value,
+            credentialsHint: form.elements.credentialsHint.value,
+            color: form.elements.color.value
+        });
+
+        this.renderEnvironmentMenu();
+        this.toggleEnvironmentPanel(true);
+        this.showToast(`Saved environment ${profile.name}`, 'success');
+    }
+
+    /**
+     * Point every URL, code sample and connection test on the page at the active profile
+     */
+    applyEnvironment() {
+        const profile = this.environments.active;
+
+        document.querySelectorAll('[data-env-name]').forEach(el => {
+            el.textContent = profile.name;
+        });
+        document.querySelectorAll('[data-env-base-url]').forEach(el => {
+            el.textContent = profile.baseUrl;
+        });
+        document.querySelectorAll('[data-env-href]').forEach(el => {
+            el.href = `${profile.baseUrl}${el.dataset.envHref}`;
+        });
+
+        const urlInput = document.getElementById('api-test-url');
+        if (urlInput) {
+            urlInput.value = profile.baseUrl;
+        }
+
+        const resultDiv = document.getElementById('api-test-result');
+        if (resultDiv) {
+            resultDiv.classList.add('hidden');
+        }
+
+        this.exampleLoader.setApiBaseUrl(profile.baseUrl);
+    }
+
+    // -------------------------------------------------------------------------
+    // SESSION
+    // -------------------------------------------------------------------------
+
+    initializeSession() {
+        this.session.onChange(() => {
+            this.renderSessionMenu();
+            this.requestConsole.updateAuthHints();
+            this.requestConsole.updatePermissions();
+            this.permissions.renderAll();
+        });
+
+        document.addEventListener('submit', async (e) => {
+            if (e.target.id === 'session-login-form') {
+                e.preventDefault();
+                const form = e.target;
+                const submit = form.querySelector('button[type="submit"]');
+                submit.disabled = true;
+                const ok = await this.session.login(form.elements.usernameOrEmail.value.trim(), form.elements.password.value);
+                submit.disabled = false;
+                if (ok) this.toggleSessionPanel(false);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const menu = document.getElementById('session-menu');
+            if (!menu) return;
+
+            if (e.target.closest('#session-toggle')) {
+                this.toggleSessionPanel();
+            } else if (e.target.closest('[data-session-action="logout"]')) {
+                this.toggleSessionPanel(false);
+                this.session.logout();
+            } else if (e.target.closest('[data-session-action="logout-all"]')) {
+                this.toggleSessionPanel(false);
+                this.session.logoutAll();
+            } else if (!menu.contains(e.target)) {
+                this.toggleSessionPanel(false);
+            }
+        });
+
+        this.renderSessionMenu();
+        this.session.restore();
+    }
+
+    toggleSessionPanel(show) {
+        const panel = document.getElementById('session-panel');
+        if (!panel) return;
+
+        const visible = show ?? panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            panel.querySelector('input')?.focus();
+        }
+    }
+
+    renderSessionMenu() {
+        const menu = document.getElementById('session-menu');
+        if (!menu) return;
+
+        const user = this.session.user;
+        const panelClass = 'hidden absolute right-0 top-full mt-2 w-72 p-4 bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-lg z-50';
+        const inputClass = 'w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-secondary-900 text-secondary-900 dark:text-secondary-100';
+
+        if (!user) {
+            menu.innerHTML = `
+                <button id="session-toggle" class="text-secondary-600 dark:text-secondary-300 hover:text-primary-600 dark:hover:text-primary-400 font-medium">
+                    <i class="fas fa-sign-in-alt mr-1"></i>Sign in
+                </button>
+                <div id="session-panel" class="${panelClass}">
+                    <form id="session-login-form" class="space-y-3">
+                        <p class="text-xs text-secondary-500 dark:text-secondary-400">
+                            Signing in to <strong>${escapeHtml(this.environments.active.name)}</strong>${this.environments.active.credentialsHint ? ` &middot; ${escapeHtml(this.environments.active.credentialsHint)}` : ''}
+                        </p>
+                        <input name="usernameOrEmail" type="text" autocomplete="username" placeholder="Username or email" required class="${inputClass}">
+                        <input name="password" type="password" autocomplete="current-password" placeholder="Password" required class="${inputClass}">
+                        <button type="submit" class="w-full bg-primary-600 hover:bg-primary-700 text-white px-4 py-2 rounded-md font-medium transition-colors">Sign in</button>
+                    </form>
+                </div>
+            `;
+            return;
+        }
+
+        const roleClass = {
+            Admin: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200',
+            Manager: 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-200',
+            Cashier: 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200'
+        }[user.role] || 'bg-secondary-100 text-secondary-800 dark:bg-secondary-700 dark:text-secondary-200';
+
+        menu.innerHTML = `
+            <button id="session-toggle" class="flex items-center gap-2 text-secondary-700 dark:text-secondary-200 font-medium">
+                <i class="fas fa-user-circle"></i>${escapeHtml(user.username)}
+                <span class="px-2 py-0.5 text-xs rounded-full ${roleClass}">${escapeHtml(user.role)}</span>
+            </button>
+            <div id="session-panel" class="${panelClass}">
+                <p class="text-sm text-secondary-600 dark:text-secondary-300 mb-3 break-all">${escapeHtml(user.email || '')}</p>
+                <button data-session-action="logout" class="w-full text-left px-3 py-2 text-sm rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-700 text-secondary-700 dark:text-secondary-200">
+                    <i class="fas fa-sign-out-alt mr-2"></i>Sign out
+                </button>
+                <button data-session-action="logout-all" class="w-full text-left px-3 py-2 text-sm rounded-md hover:bg-secondary-100 dark:hover:bg-secondary-700 text-red-600 dark:text-red-400">
+                    <i class="fas fa-power-off mr-2"></i>Sign out from all devices
+                </button>
+            </div>
+        `;
+    }
+
     // -------------------------------------------------------------------------
     // TOAST SYSTEM
     // -------------------------------------------------------------------------
@@ -406,8 +2962,8 @@ class StorePosApp {
         toast.className = `toast ${bgColor} text-white px-4 py-3 rounded-lg shadow-lg transform translate-x-full transition-transform duration-300`;
         toast.innerHTML = `
             <div class="flex items-center justify-between">
-                <span>${message}</span>
-                <button onclick="app.hideToast('${toastId}')" class="ml-4 text-white hover:text-gray-200">
+                <span>${escapeHtml(message)}</span>
+                <button type="button" data-toast-close="${toastId}" class="ml-4 text-white hover:text-gray-200">
                     ×
                 </button>
             </div>
@@ -441,22 +2997,22 @@ class StorePosApp {
     // CLIPBOARD FUNCTIONALITY
     // -------------------------------------------------------------------------
 
-    async copyToClipboard(text, button = null) {
+    async copyToClipboard(text, button = null, successMessage = 'Code copied to clipboard!') {
         try {
             await navigator.clipboard.writeText(text);
-            this.showToast('Code copied to clipboard!', 'success');
+            this.showToast(successMessage, 'success');
             
             if (button) {
                 // Temporarily change button content
                 const originalContent = button.innerHTML;
+                const originalClass = button.className;
                 button.innerHTML = '<i class="fas fa-check mr-1"></i>Copied!';
                 button.classList.add('bg-accent-600');
                 button.classList.remove('bg-secondary-700');
                 
                 setTimeout(() => {
                     button.innerHTML = originalContent;
-                    button.classList.remove('bg-accent-600');
-                    button.classList.add('bg-secondary-700');
+                    button.className = originalClass;
                 }, 2000);
             }
         } catch (err) {
@@ -470,19 +3026,26 @@ class StorePosApp {
     // -------------------------------------------------------------------------
 
     initializeSearch() {
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+
         const searchInput = document.getElementById('guide-search');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
                 this.searchGuide(e.target.value);
+                this.urlState.update({ query: e.target.value.trim().length >= 2 ? e.target.value.trim() : null });
+            });
+
+            // Arrow keys move through the results, Enter opens the highlighted one
+            searchInput.addEventListener('keydown', (e) => {
+                this.handleSearchKeydown(e);
             });
             
             // Add click outside to close search results
             document.addEventListener('click', (e) => {
                 const searchContainer = document.querySelector('.search-container');
-                const resultsContainer = document.getElementById('search-results');
-                
-                if (resultsContainer && !searchContainer.contains(e.target)) {
-                    resultsContainer.style.display = 'none';
+                if (!searchContainer.contains(e.target)) {
+                    this.hideSearchResults();
                 }
             });
             
@@ -495,39 +3058,25 @@ class StorePosApp {
         }
     }
 
+    /**
+     * Index the loaded sections, endpoints and DTOs; called again when
+     * re-rendered content (the permission tables) replaces indexed headings
+     */
+    buildSearchIndex() {
+        this.searchIndex.build(document);
+        console.log(`✅ Search index built (${this.searchIndex.documents.length} entries)`);
+    }
+
     searchGuide(query) {
-        const resultsContainer = this.getOrCreateSearchResults();
-        
         // Clear results if query is empty or too short
-        if (!query || query.length < 2) {
-            resultsContainer.innerHTML = '';
-            resultsContainer.style.display = 'none';
+        if (!query || query.trim().length < 2) {
+            this.hideSearchResults();
             return;
         }
 
-        const sections = document.querySelectorAll('section[id]');
-        const searchResults = [];
-
-        sections.forEach(section => {
-            const content = section.textContent.toLowerCase();
-            const title = section.querySelector('h3')?.textContent || section.querySelector('h2')?.textContent || 'Section';
-            
-            if (content.includes(query.toLowerCase())) {
-                // Find the context around the match
-                const index = content.indexOf(query.toLowerCase());
-                const start = Math.max(0, index - 50);
-                const end = Math.min(content.length, index + query.length + 100);
-                const snippet = content.substring(start, end);
-                
-                searchResults.push({
-                    id: section.id,
-                    title: title,
-                    content: (start > 0 ? '...' : '') + snippet + (end < content.length ? '...' : '')
-                });
-            }
-        });
-
-        this.displaySearchResults(searchResults);
+        this.searchResults = this.searchIndex.search(query);
+        this.activeSearchResult = this.searchResults.length ? 0 : -1;
+        this.displaySearchResults(this.searchResults);
     }
 
     getOrCreateSearchResults() {
@@ -535,30 +3084,158 @@ class StorePosApp {
         if (!resultsContainer) {
             resultsContainer = document.createElement('div');
             resultsContainer.id = 'search-results';
-            resultsContainer.className = 'absolute top-full left-0 w-full bg-white dark:bg-secondary-800 border border-secondary-300 dark:border-secondary-600 rounded-lg shadow-lg mt-1 z-50 max-h-64 overflow-y-auto';
+            resultsContainer.setAttribute('role', 'listbox');
+            resultsContainer.className = 'absolute top-full left-0 w-96 max-w-[90vw] bg-white dark:bg-secondary-800 border border-secondary-300 dark:border-secondary-600 rounded-lg shadow-lg mt-1 z-50 max-h-96 overflow-y-auto';
             document.querySelector('.search-container').appendChild(resultsContainer);
+
+            resultsContainer.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-search-result]');
+                if (option) {
+                    this.openSearchResult(Number(option.dataset.searchResult));
+                }
+            });
+            resultsContainer.addEventListener('mousemove', (e) => {
+                const option = e.target.closest('[data-search-result]');
+                if (option && Number(option.dataset.searchResult) !== this.activeSearchResult) {
+                    this.setActiveSearchResult(Number(option.dataset.searchResult), { scroll: false });
+                }
+            });
         }
         return resultsContainer;
     }
 
     displaySearchResults(results) {
         const resultsContainer = this.getOrCreateSearchResults();
+        const searchInput = document.getElementById('guide-search');
+        searchInput.setAttribute('aria-expanded', 'true');
+        resultsContainer.style.display = 'block';
 
         if (results.length === 0) {
+            searchInput.removeAttribute('aria-activedescendant');
             resultsContainer.innerHTML = '<div class="p-4 text-secondary-500 dark:text-secondary-400">No results found</div>';
-            resultsContainer.style.display = 'block';
             return;
         }
 
-        resultsContainer.innerHTML = results.map((result, index) => `
-            <div class="p-3 hover:bg-secondary-50 dark:hover:bg-secondary-700 ${index < results.length - 1 ? 'border-b border-secondary-200 dark:border-secondary-600' : ''} cursor-pointer transition-colors" onclick="app.scrollToSection('${result.id}')">
-                <div class="font-medium text-secondary-900 dark:text-white">${result.title}</div>
-                <div class="text-sm text-secondary-600 dark:text-secondary-300">${result.content}</div>
-            </div>
-        `).join('');
-        resultsContainer.style.display = 'block';
+        const render = (segments) => segments.map(segment => segment.match
+            ? `<mark class="bg-yellow-200 dark:bg-yellow-600/50 text-inherit rounded-sm">${escapeHtml(segment.text)}</mark>`
+            : escapeHtml(segment.text)).join('');
+
+        resultsContainer.innerHTML = results.map(({ document: entry, terms }, index) => {
+            const title = this.searchIndex.highlight(entry.title, terms) || [{ text: entry.title, match: false }];
+            const prose = this.searchIndex.highlight(entry.text, terms, { excerpt: 140 });
+            const code = !prose && this.searchIndex.highlight(entry.code, terms, { excerpt: 100 });
+            const snippet = prose || code || [{ text: entry.text.slice(0, 140), match: false }];
+
+            return `
+                <div id="search-result-${index}" role="option" aria-selected="false" data-search-result="${index}" class="p-3 ${index < results.length - 1 ? 'border-b border-secondary-200 dark:border-secondary-600' : ''} cursor-pointer transition-colors">
+                    <div class="flex items-center gap-2 font-medium text-secondary-900 dark:text-white">
+                        ${this.renderSearchBadge(entry)}
+                        <span class="truncate ${entry.kind === 'heading' ? '' : 'font-mono text-sm'}">${render(title)}</span>
+                    </div>
+                    <div class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(entry.section)}</div>
+                    ${snippet.length ? `<div class="mt-1 text-secondary-600 dark:text-secondary-300 ${code ? 'font-mono text-xs' : 'text-sm'}">${render(snippet)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        this.setActiveSearchResult(this.activeSearchResult);
+    }
+
+    renderSearchBadge(entry) {
+        if (entry.kind === 'endpoint') {
+            return `<span class="shrink-0 w-14 text-center px-1 rounded font-mono text-[10px] font-semibold ${METHOD_BADGE_CLASSES[entry.method] || ''}">${entry.method}</span>`;
+        }
+        const icon = entry.kind === 'dto' ? 'fa-cube' : 'fa-hashtag';
+        return `<i class="fas ${icon} shrink-0 w-4 text-secondary-400 dark:text-secondary-500"></i>`;
+    }
+
+    handleSearchKeydown(e) {
+        const count = this.searchResults.length;
+        const resultsContainer = document.getElementById('search-results');
+        const open = resultsContainer && resultsContainer.style.display !== 'none';
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!open) {
+                    this.searchGuide(e.target.value);
+                } else if (count) {
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    this.setActiveSearchResult((this.activeSearchResult + step + count) % count);
+                }
+                e.preventDefault();
+                break;
+            case 'Enter':
+                if (open && this.activeSearchResult >= 0) {
+                    e.preventDefault();
+                    this.openSearchResult(this.activeSearchResult);
+                }
+                break;
+            case 'Escape':
+                this.hideSearchResults();
+                break;
+        }
+    }
+
+    setActiveSearchResult(index, { scroll = true } = {}) {
+        this.activeSearchResult = index;
+        const searchInput = document.getElementById('guide-search');
+
+        document.querySelectorAll('#search-results [data-search-result]').forEach(option => {
+            const active = Number(option.dataset.searchResult) === index;
+            option.setAttribute('aria-selected', String(active));
+            option.classList.toggle('bg-secondary-100', active);
+            option.classList.toggle('dark:bg-secondary-700', active);
+            if (active && scroll) {
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+
+        if (index >= 0) {
+            searchInput.setAttribute('aria-activedescendant', `search-result-${index}`);
+        } else {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Jump to a result's heading, or select its endpoint in the section's console
+     */
+    openSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        const { endpoint, targetId } = result.document;
+        const consoleEl = endpoint && this.requestConsole.showEndpoint(endpoint.sectionId, endpoint.index);
+        this.scrollToSection(targetId);
+
+        if (consoleEl) {
+            this.urlState.navigateToConsole(consoleEl);
+        } else {
+            this.urlState.navigate(targetId);
+        }
+    }
+
+    hideSearchResults() {
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+
+        const resultsContainer = document.getElementById('search-results');
+        if (resultsContainer) {
+            resultsContainer.innerHTML = '';
+            resultsContainer.style.display = 'none';
+        }
+
+        const searchInput = document.getElementById('guide-search');
+        if (searchInput) {
+            searchInput.setAttribute('aria-expanded', 'false');
+            searchInput.removeAttribute('aria-activedescendant');
+        }
     }
 
+    /**
+     * Scroll to a section or any element inside one (a heading, a request console)
+     */
     scrollToSection(sectionId) {
         const section = document.getElementById(sectionId);
         if (section) {
@@ -576,10 +3253,7 @@ class StorePosApp {
             });
 
             // Hide search results
-            const resultsContainer = document.getElementById('search-results');
-            if (resultsContainer) {
-                resultsContainer.style.display = 'none';
-            }
+            this.hideSearchResults();
             // Clear search input
             const searchInput = document.getElementById('guide-search');
             if (searchInput) {
@@ -734,7 +3408,7 @@ class StorePosApp {
     }
 
     updateThemeToggleIcon() {
-        const themeButton = document.querySelector('[onclick*="toggleTheme"]');
+        const themeButton = document.querySelector('.theme-toggle');
         const themeTooltip = document.getElementById('theme-tooltip');
         if (!themeButton) return;
         
@@ -783,8 +3457,7 @@ class StorePosApp {
     // -------------------------------------------------------------------------
 
     async testApiEndpoint(endpoint, method = 'GET', data = null, token = null) {
-        const baseUrl = 'http://localhost:5062';
-        const url = `${baseUrl}${endpoint}`;
+        const url = `${this.environments.baseUrl}${endpoint}`;
         
         const options = {
             method: method,
@@ -801,13 +3474,29 @@ class StorePosApp {
             options.body = JSON.stringify(data);
         }
 
+        const startedAt = performance.now();
+
         try {
             const response = await fetch(url, options);
-            const result = await response.json();
+            const text = await response.text();
+            const duration = Math.round(performance.now() - startedAt);
+
+            // Empty bodies (204, bare 401/403) and non-JSON errors are returned as-is
+            let result = null;
+            if (text) {
+                try {
+                    result = JSON.parse(text);
+                } catch {
+                    result = text;
+                }
+            }
             
             return {
                 success: response.ok,
                 status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                duration: duration,
                 data: result
             };
         } catch (error) {
@@ -840,7 +3529,7 @@ class StorePosApp {
                 resultDiv.innerHTML = `
                     <div class="text-accent-800 dark:text-accent-200">
                         <i class="fas fa-check-circle mr-2"></i><strong>Connection successful!</strong><br>
-                        <small class="text-accent-600 dark:text-accent-400">API is running and accessible at ${url}</small>
+                        <small class="text-accent-600 dark:text-accent-400">API is running and accessible at ${escapeHtml(url)}</small>
                     </div>
                 `;
                 this.showToast('API connection successful!', 'success');
@@ -852,7 +3541,7 @@ class StorePosApp {
             resultDiv.innerHTML = `
                 <div class="text-red-800 dark:text-red-200">
                     <i class="fas fa-times-circle mr-2"></i><strong>Connection failed!</strong><br>
-                    <small class="text-red-600 dark:text-red-400">Error: ${error.message}</small><br>
+                    <small class="text-red-600 dark:text-red-400">Error: ${escapeHtml(error.message)}</small><br>
                     <small class="text-red-600 dark:text-red-400">Make sure the API server is running at the specified URL.</small>
                 </div>
             `;
@@ -870,6 +3559,9 @@ class StorePosApp {
 
         this.populateLanguageCards();
 
+        // Generate code samples from the active environment's OpenAPI document
+        this.exampleLoader.useOpenApiFrom(this.environments.baseUrl);
+
         const sectionsToLoad = Object.keys(SECTIONS_CONFIG);
         console.log('Loading documentation sections...');
 
@@ -880,14 +3572,15 @@ class StorePosApp {
                 // Try to load from HTML file first
                 const response = await fetch(`./sections/${sectionId}.html`);
                 if (response.ok) {
+                    // Section files are fetched markup; keep only allow-listed tags and attributes
                     const html = await response.text();
-                    contentSections.innerHTML += html;
+                    contentSections.append(sanitizeHtml(html));
                     console.log(`✅ Loaded section from file: ${sectionId}`);
                 } else {
                     // Fallback: generate section with dynamic examples
                     console.log(`📁 Generating dynamic section: ${sectionId}`);
                     const sectionHtml = await this.exampleLoader.createSectionWithExamples(sectionId, sectionConfig);
-                    contentSections.innerHTML += sectionHtml;
+                    contentSections.insertAdjacentHTML('beforeend', sectionHtml);
                 }
             } catch (error) {
                 console.error(`❌ Error loading section ${sectionId}:`, error);
@@ -895,6 +3588,22 @@ class StorePosApp {
             }
         }
 
+        // Point loaded sections at the active environment profile
+        this.applyEnvironment();
+
+        // Attach permission tables and request consoles to sections with endpoints
+        this.permissions.mountAll();
+        this.requestConsole.mountAll();
+        console.log('✅ Request consoles initialized');
+
+        this.buildSearchIndex();
+
+        // Swap in the roles the API publishes once its OpenAPI document loads
+        this.permissions.load().then(
+            () => this.buildSearchIndex(),
+            error => console.warn('Permission matrix unavailable:', error)
+        );
+
         // Initialize syntax highlighting
         if (typeof Prism !== 'undefined') {
             Prism.highlightAll();
@@ -905,6 +3614,9 @@ class StorePosApp {
         this.initializeScrollSpy();
         console.log('✅ Scroll spy initialized');
 
+        // Reopen the section, language, request and search named in the URL
+        this.urlState.restore();
+
         console.log('✅ Documentation loaded successfully');
     }
 
@@ -914,7 +3626,7 @@ class StorePosApp {
             description: `Documentation for ${sectionId} functionality.`
         };
 
-        container.innerHTML += `
+        container.insertAdjacentHTML('beforeend', `
             <section id="${sectionId}" class="mb-16">
                 <div class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-8">
                     <h3 class="text-2xl font-bold mb-6 dark:text-white">${sectionConfig.title}</h3>
@@ -924,7 +3636,7 @@ class StorePosApp {
                     </div>
                 </div>
             </section>
-        `;
+        `);
     }
 
     populateLanguageCards() {
@@ -947,7 +3659,13 @@ class StorePosApp {
                         ${lang.description}
                     </p>
                     <div class="flex flex-wrap gap-2">
-                        <span class="text-secondary-500 dark:text-secondary-400 text-sm">Coming Soon</span>
+                        ${lang.sdk ? `
+                            <a href="${lang.sdk}" download class="text-primary-600 hover:text-primary-500 dark:text-primary-400 text-sm font-medium">
+                                <i class="fas fa-download mr-1"></i>Download SDK
+                            </a>
+                        ` : `
+                            <span class="text-secondary-500 dark:text-secondary-400 text-sm">Coming Soon</span>
+                        `}
                     </div>
                 </div>
             `;
@@ -964,7 +3682,7 @@ class StorePosApp {
  */
 function showLanguageTab(sectionId, language) {
     // Hide all language samples for this section
-    const samples = document.querySelectorAll(`[id^="${sectionId}-"]`);
+    const samples = document.querySelectorAll(`.language-sample[id^="${sectionId}-"]`);
     samples.forEach(sample => {
         sample.classList.add('hidden');
         sample.classList.remove('active');
@@ -1033,6 +3751,16 @@ function copyCodeToClipboard(elementId) {
     }
 }
 
+/**
+ * Global function for downloading code by element ID
+ */
+function downloadCodeSample(event, elementId, filename) {
+    event.preventDefault();
+    if (window.app) {
+        window.app.downloadCodeFromElement(elementId, filename);
+    }
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -0,0 +1,253 @@
+/**
+ * StorePOS Point of Sale - Cart
+ *
+ * Holds the lines and payment details of the sale being rung up. Discount and
+ * tax come from the register's pricing rules (see pricing.js) plus any manual
+ * discount, and the totals follow the server's arithmetic (SaleService:
+ * Total = Subtotal - Discount + Tax). Payment is a list of tenders, one per
+ * method; see tender.js for how a split is posted.
+ */
+
+import { PAYMENT_METHODS } from './config.js';
+import { methodLabel, primaryMethod, tenderNotes } from './tender.js';
+import { priceCart, saleAmounts } from './pricing.js';
+import { roundMoney } from './utils.js';
+
+export class Cart {
+    /**
+     * @param {{ taxRate?: number, pricing?: import('./pricing.js').PricingSettings }} [options]
+     */
+    constructor({ taxRate = 0, pricing = null } = {}) {
+        this.lines = [];
+        // Manual discount, taken after the pricing rules
+        this.discount = 0;
+        this.taxRate = taxRate;
+        this.pricing = pricing || { rules: [], categoryTaxRates: {}, pricesIncludeTax: false };
+        this.tenders = [{ method: 'Cash', amount: 0 }];
+        this.notes = '';
+        this.pendingSaleId = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Register a callback invoked after every change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        // A Vodafone Cash transfer on its own is always for the exact amount
+        if (!this.isSplit && this.tenders[0].method !== 'Cash') {
+            this.tenders[0].amount = this.total;
+        }
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    get itemCount() {
+        return this.lines.reduce((sum, line) => sum + line.qty, 0);
+    }
+
+    /**
+     * The cart priced by the rules: discounts and taxes itemised (see priceCart())
+     */
+    get quote() {
+        return priceCart(this.lines, { ...this.pricing, taxRate: this.taxRate }, this.discount);
+    }
+
+    get subtotal() {
+        return this.quote.subtotal;
+    }
+
+    /**
+     * Rule discounts and the manual discount together
+     */
+    get totalDiscount() {
+        return this.quote.discount;
+    }
+
+    get tax() {
+        return this.quote.tax;
+    }
+
+    get total() {
+        return this.quote.total;
+    }
+
+    get isSplit() {
+        return this.tenders.length > 1;
+    }
+
+    get paidAmount() {
+        return roundMoney(this.tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    }
+
+    get paymentMethod() {
+        return primaryMethod(this.tenders);
+    }
+
+    get cashAmount() {
+        return roundMoney(this.tenders.filter(tender => tender.method === 'Cash').reduce((sum, tender) => sum + tender.amount, 0));
+    }
+
+    /**
+     * Change comes out of the cash tendered; validate() rejects overpaying by wallet
+     */
+    get changeDue() {
+        return roundMoney(Math.min(Math.max(this.paidAmount - this.total, 0), this.cashAmount));
+    }
+
+    get amountDue() {
+        return roundMoney(Math.max(this.total - this.paidAmount, 0));
+    }
+
+    /**
+     * Problems that block checkout, in the order a cashier should fix them
+     * @param {{ payment?: boolean }} [options] - payment: false skips the paid amount (parking)
+     * @returns {string[]}
+     */
+    validate({ payment = true } = {}) {
+        const problems = [];
+        if (this.isEmpty) problems.push('Add at least one product.');
+        if (this.quote.excessDiscount > 0) problems.push('Discount cannot exceed the subtotal left after promotions.');
+        this.lines
+            .filter(line => line.qty > line.stockQty)
+            .forEach(line => problems.push(`Only ${line.stockQty} of ${line.name} in stock.`));
+        if (payment && this.paidAmount - this.cashAmount > this.total) {
+            const wallets = this.tenders.filter(tender => tender.method !== 'Cash' && tender.amount > 0);
+            problems.push(`${wallets.map(tender => methodLabel(tender.method)).join(' and ')} cannot exceed the total; change is only given in cash.`);
+        }
+        if (payment && this.paidAmount < this.total) problems.push('Paid amount is less than the total.');
+        return problems;
+    }
+
+    /**
+     * Add a product (ProductReadDto) or bump its quantity if already in the cart
+     */
+    addProduct(product, qty = 1) {
+        const line = this.lines.find(l => l.productId === product.id);
+        if (line) {
+            line.qty += qty;
+        } else {
+            this.lines.push({
+                productId: product.id,
+                sku: product.sku,
+                name: product.name,
+                qty,
+                unitPrice: product.price,
+                category: product.category,
+                stockQty: product.stockQty
+            });
+        }
+        this.notify();
+    }
+
+    updateLine(productId, changes) {
+        const line = this.lines.find(l => l.productId === productId);
+        if (!line) return;
+
+        if (changes.qty !== undefined) line.qty = Math.max(1, Math.floor(Number(changes.qty)) || 1);
+        if (changes.unitPrice !== undefined) {
+            // The server replaces a UnitPrice <= 0 with the catalogue price, so keep the old one
+            const unitPrice = roundMoney(changes.unitPrice);
+            if (unitPrice > 0) line.unitPrice = unitPrice;
+        }
+        this.notify();
+    }
+
+    removeLine(productId) {
+        this.lines = this.lines.filter(l => l.productId !== productId);
+        this.notify();
+    }
+
+    /**
+     * Apply new pricing settings, e.g. after a manager edits the rules
+     */
+    setPricing(pricing) {
+        this.pricing = pricing;
+        this.notify();
+    }
+
+    setPayment(changes) {
+        if (changes.discount !== undefined) this.discount = Math.max(0, roundMoney(changes.discount));
+        if (changes.taxRate !== undefined) this.taxRate = Math.max(0, Number(changes.taxRate) || 0);
+        if (changes.notes !== undefined) this.notes = changes.notes;
+        this.notify();
+    }
+
+    /**
+     * Replace the tenders, e.g. with saleTenders() of a sale loaded back into the cart
+     * @param {{ method: string, amount: number }[]} tenders
+     */
+    setTenders(tenders) {
+        this.tenders = tenders.map(tender => ({ method: tender.method, amount: Math.max(0, roundMoney(tender.amount)) }));
+        this.notify();
+    }
+
+    setTender(method, amount) {
+        const tender = this.tenders.find(t => t.method === method);
+        if (!tender) return;
+
+        tender.amount = Math.max(0, roundMoney(amount));
+        this.notify();
+    }
+
+    /**
+     * Pay with a single method; the amount tendered so far carries over
+     */
+    setPaymentMethod(method) {
+        this.setTenders([{ method, amount: this.paidAmount }]);
+    }
+
+    /**
+     * Split: one tender per payment method, starting from what was entered.
+     * Off: back to a single tender in the largest method.
+     */
+    setSplit(split) {
+        if (split === this.isSplit) return;
+
+        this.setTenders(split
+            ? PAYMENT_METHODS.map(method => this.tenders.find(t => t.method === method.id) || { method: method.id, amount: 0 })
+            : [{ method: this.paymentMethod, amount: this.paidAmount }]);
+    }
+
+    /**
+     * Put the balance still due on one tender (the "Exact" button)
+     */
+    settleBalance(method = this.tenders[0].method) {
+        const tender = this.tenders.find(t => t.method === method);
+        if (!tender) return;
+
+        tender.amount = roundMoney(Math.max(this.total - this.paidAmount + tender.amount, 0));
+        this.notify();
+    }
+
+    clear() {
+        this.lines = [];
+        this.discount = 0;
+        this.tenders = [{ method: 'Cash', amount: 0 }];
+        this.notes = '';
+        this.pendingSaleId = null;
+        this.notify();
+    }
+
+    /**
+     * Build the request body for POST /api/sales
+     * @returns {import('../../../sdk/storepos-client.js').SaleCreateDto}
+     */
+    toSaleCreateDto() {
+        const { carts, discount, tax } = saleAmounts(this.lines, this.quote);
+        return {
+            carts,
+            discount,
+            tax,
+            paidAmount: this.paidAmount,
+            paymentMethod: this.paymentMethod,
+            notes: tenderNotes(this.notes.trim(), this.tenders) || null
+        };
+    }
+}
@@ -0,0 +1,928 @@
+/**
+ * StorePOS Point of Sale - Checkout view
+ *
+ * Product search, barcode scans, cart editing and payment. A sale is posted as Pending
+ * (POST /api/sales) and then completed (POST /api/sales/{id}/complete), which
+ * is when the API deducts stock. While offline, products come from the last
+ * catalogue seen and sales go to the offline queue (see sync.js). A cart can
+ * be parked as a Pending sale and resumed later (see parked.js).
+ */
+
+import { Cart } from './cart.js';
+import { displayNotes } from './sync.js';
+import { parkedNotes, fetchParkedSales, rememberParkedSale, forgetParkedSale, parkedMinutes, formatParkedAge } from './parked.js';
+import { methodLabel, saleTenders } from './tender.js';
+import { pricingSettings, priceCart, shelfPrice, taxRateFor, withPricing } from './pricing.js';
+import { StorePosApiError } from '../../../sdk/storepos-client.js';
+import { PAYMENT_METHODS, SEARCH_DEBOUNCE_MS, PRODUCT_ACCESS, SALE_ACCESS, CATALOGUE_STORAGE_KEY } from './config.js';
+import { escapeHtml, formatMoney, debounce, saveSettings, roundMoney } from './utils.js';
+
+export class CheckoutView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.cart = new Cart({ taxRate: app.settings.taxRate, pricing: pricingSettings(app.settings) });
+        this.results = [];
+        this.catalogue = this.loadCatalogue();
+        this.lastSale = null;
+        this.submitting = false;
+        this.parked = [];
+
+        this.search = debounce((query) => this.searchProducts(query), SEARCH_DEBOUNCE_MS);
+        this.cart.onChange(() => this.renderCart());
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        this.container.innerHTML = `
+            <div class="grid lg:grid-cols-5 gap-6">
+                <section class="lg:col-span-3 bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                    <div class="relative mb-4">
+                        <input type="search" id="product-search" autocomplete="off" placeholder="Search by name, SKU or barcode (F2)"
+                            class="w-full px-4 py-3 pl-10 border border-secondary-300 dark:border-secondary-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                        <i class="fas fa-magnifying-glass absolute left-3 top-4 text-secondary-400"></i>
+                    </div>
+                    <div id="product-results" class="grid sm:grid-cols-2 xl:grid-cols-3 gap-3"></div>
+                </section>
+
+                <section class="lg:col-span-2 bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6 flex flex-col">
+                    <div class="flex items-center justify-between mb-4">
+                        <h2 class="text-lg font-semibold dark:text-white"><i class="fas fa-cart-shopping mr-2"></i>Current Sale</h2>
+                        <div class="flex items-center gap-3 text-sm">
+                            <button type="button" data-action="show-parked" class="text-secondary-500 hover:text-primary-600">
+                                <i class="fas fa-layer-group mr-1"></i>Parked <span id="parked-count"></span>
+                            </button>
+                            <button type="button" data-action="park-cart" class="text-secondary-500 hover:text-primary-600">
+                                <i class="fas fa-square-parking mr-1"></i>Park
+                            </button>
+                            <button type="button" data-action="clear-cart" class="text-secondary-500 hover:text-red-600">
+                                <i class="fas fa-trash-can mr-1"></i>Clear
+                            </button>
+                        </div>
+                    </div>
+                    <p id="cart-origin" class="hidden mb-3 text-xs text-secondary-500 dark:text-secondary-400"></p>
+                    <div id="cart-lines" class="space-y-2 mb-4"></div>
+                    <form id="payment-form" class="space-y-3 border-t border-secondary-200 dark:border-secondary-700 pt-4">
+                        ${this.renderPaymentFields()}
+                    </form>
+                    <dl id="cart-totals" class="mt-4 space-y-1 text-sm"></dl>
+                    <button type="button" data-action="checkout" id="checkout-submit"
+                        class="mt-4 w-full bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold text-lg transition-colors">
+                        <i class="fas fa-check mr-2"></i>Complete Sale
+                    </button>
+                    <div id="last-sale" class="mt-4"></div>
+                </section>
+            </div>
+
+            <div id="unknown-barcode-dialog" data-dialog class="hidden fixed inset-0 z-40 bg-black/50 flex items-center justify-center p-4"></div>
+            <div id="parked-dialog" data-dialog class="hidden fixed inset-0 z-40 bg-black/50 flex items-center justify-center p-4"></div>
+        `;
+
+        this.initializeEventListeners();
+        this.renderCart();
+        this.searchProducts('');
+        this.refreshParked();
+    }
+
+    activate() {
+        // Pricing rules may have changed in Settings
+        this.cart.setPricing(pricingSettings(this.app.settings));
+        this.refreshParked();
+    }
+
+    renderPaymentFields() {
+        const inputClass = 'w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+
+        return `
+            <div class="grid grid-cols-2 gap-3">
+                <label class="text-sm dark:text-secondary-200">Extra discount
+                    <input type="number" min="0" step="0.01" name="discount" value="${this.cart.discount}" class="${inputClass}">
+                </label>
+                <label class="text-sm dark:text-secondary-200">Tax rate (%)
+                    <input type="number" min="0" step="0.01" name="taxRate" value="${this.cart.taxRate}" class="${inputClass}">
+                </label>
+            </div>
+            <div class="flex items-center justify-between text-sm dark:text-secondary-200">
+                <span>Payment</span>
+                <label class="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="split" ${this.cart.isSplit ? 'checked' : ''}> Split across methods
+                </label>
+            </div>
+            ${this.cart.isSplit ? this.renderTenderFields(inputClass) : `
+                <div class="grid grid-cols-2 gap-2">
+                    ${PAYMENT_METHODS.map(method => `
+                        <label class="flex items-center justify-center gap-2 px-3 py-2 border rounded-md cursor-pointer text-sm dark:text-secondary-200 border-secondary-300 dark:border-secondary-600 has-[:checked]:border-primary-500 has-[:checked]:bg-primary-50 dark:has-[:checked]:bg-primary-900/30">
+                            <input type="radio" name="paymentMethod" value="${method.id}" class="sr-only" ${this.cart.paymentMethod === method.id ? 'checked' : ''}>
+                            <i class="fas ${method.icon}"></i>${method.label}
+                        </label>
+                    `).join('')}
+                </div>
+                <label class="block text-sm dark:text-secondary-200">Paid amount
+                    <div class="flex gap-2">
+                        <input type="number" min="0" step="0.01" name="paidAmount" value="${this.cart.paidAmount}" class="${inputClass}">
+                        <button type="button" data-action="exact-amount" class="px-3 text-sm bg-secondary-100 dark:bg-secondary-700 dark:text-white rounded-md whitespace-nowrap">Exact</button>
+                    </div>
+                </label>
+            `}
+            <label class="block text-sm dark:text-secondary-200">Notes
+                <input type="text" name="notes" maxlength="500" value="${escapeHtml(this.cart.notes)}" class="${inputClass}">
+            </label>
+        `;
+    }
+
+    /**
+     * One amount per payment method; "Rest" puts the balance still due on that tender
+     */
+    renderTenderFields(inputClass) {
+        return this.cart.tenders.map(tender => {
+            const method = PAYMENT_METHODS.find(m => m.id === tender.method) || { label: tender.method, icon: 'fa-money-check' };
+            return `
+                <label class="block text-sm dark:text-secondary-200"><i class="fas ${method.icon} mr-1 text-secondary-400"></i>${escapeHtml(method.label)}
+                    <div class="flex gap-2">
+                        <input type="number" min="0" step="0.01" name="tender" data-method="${escapeHtml(tender.method)}" value="${tender.amount}" class="${inputClass}">
+                        <button type="button" data-action="settle-tender" data-method="${escapeHtml(tender.method)}" class="px-3 text-sm bg-secondary-100 dark:bg-secondary-700 dark:text-white rounded-md whitespace-nowrap">Rest</button>
+                    </div>
+                </label>
+            `;
+        }).join('');
+    }
+
+    renderResults() {
+        const resultsEl = this.container.querySelector('#product-results');
+        if (!resultsEl) return;
+
+        if (!this.results.length) {
+            resultsEl.innerHTML = '<p class="col-span-full text-sm text-secondary-500 dark:text-secondary-400">No products found.</p>';
+            return;
+        }
+
+        resultsEl.innerHTML = this.results.map(product => {
+            const outOfStock = product.stockQty <= 0;
+            return `
+                <button type="button" data-action="add-product" data-product-id="${product.id}" ${outOfStock ? 'disabled' : ''}
+                    class="text-left p-3 border border-secondary-200 dark:border-secondary-700 rounded-lg hover:border-primary-500 hover:shadow disabled:opacity-50 disabled:cursor-not-allowed transition">
+                    <div class="font-medium dark:text-white">${escapeHtml(product.name)}</div>
+                    <div class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(product.sku)} · ${escapeHtml(product.barcode)}</div>
+                    <div class="flex justify-between mt-2 text-sm">
+                        <span class="font-semibold text-primary-700 dark:text-primary-300">${formatMoney(product.price)}</span>
+                        <span class="${outOfStock ? 'text-red-600' : 'text-secondary-500 dark:text-secondary-400'}">${product.stockQty} in stock</span>
+                    </div>
+                </button>
+            `;
+        }).join('');
+    }
+
+    renderCart() {
+        const linesEl = this.container.querySelector('#cart-lines');
+        if (!linesEl) return;
+
+        const originEl = this.container.querySelector('#cart-origin');
+        originEl.classList.toggle('hidden', !this.cart.pendingSaleId);
+        originEl.innerHTML = this.cart.pendingSaleId
+            ? `<i class="fas fa-pen-to-square mr-1"></i>Editing pending sale #${this.cart.pendingSaleId}`
+            : '';
+
+        linesEl.innerHTML = this.cart.isEmpty
+            ? '<p class="text-sm text-secondary-500 dark:text-secondary-400">Scan or search for a product to start a sale.</p>'
+            : this.cart.lines.map(line => `
+                <div class="flex items-center gap-2 text-sm" data-line="${line.productId}">
+                    <div class="flex-1 min-w-0">
+                        <div class="font-medium truncate dark:text-white">${escapeHtml(line.name)}</div>
+                        <div class="text-xs ${line.qty > line.stockQty ? 'text-red-600' : 'text-secondary-500 dark:text-secondary-400'}">${escapeHtml(line.sku)} · ${line.stockQty} in stock</div>
+                    </div>
+                    <input type="number" min="1" step="1" value="${line.qty}" data-field="qty" aria-label="Quantity"
+                        class="w-16 px-2 py-1 border border-secondary-300 dark:border-secondary-600 rounded dark:bg-secondary-900 dark:text-white">
+                    <input type="number" min="0.01" step="0.01" value="${line.unitPrice}" data-field="unitPrice" aria-label="Unit price"
+                        class="w-24 px-2 py-1 border border-secondary-300 dark:border-secondary-600 rounded dark:bg-secondary-900 dark:text-white">
+                    <span class="w-24 text-right font-medium dark:text-white">${formatMoney(line.qty * line.unitPrice)}</span>
+                    <button type="button" data-action="remove-line" class="text-secondary-400 hover:text-red-600" aria-label="Remove line">
+                        <i class="fas fa-xmark"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        this.renderTotals();
+    }
+
+    renderTotals() {
+        const totalsEl = this.container.querySelector('#cart-totals');
+        if (!totalsEl) return;
+
+        const row = (label, value, emphasis = '') => `
+            <div class="flex justify-between ${emphasis}">
+                <dt>${label}</dt><dd>${value}</dd>
+            </div>
+        `;
+
+        // Itemised as the receipt prints them (see pricing.js)
+        const quote = this.cart.quote;
+        const taxLabel = quote.pricesIncludeTax ? 'Incl. tax' : 'Tax';
+
+        totalsEl.innerHTML = [
+            row('Subtotal', formatMoney(quote.subtotal), 'dark:text-secondary-200'),
+            ...(quote.discounts.length
+                ? quote.discounts.map(discount => row(escapeHtml(discount.label), `− ${formatMoney(discount.amount)}`, 'text-accent-700 dark:text-accent-300'))
+                : [row('Discount', `− ${formatMoney(0)}`, 'dark:text-secondary-200')]),
+            ...(quote.taxes.length
+                ? quote.taxes.map(tax => row(`${taxLabel} (${tax.rate}%)`, formatMoney(tax.amount), 'dark:text-secondary-200'))
+                : [row(`${taxLabel} (${this.cart.taxRate}%)`, formatMoney(0), 'dark:text-secondary-200')]),
+            row('Total', formatMoney(this.cart.total), 'text-lg font-bold dark:text-white'),
+            ...(this.cart.isSplit
+                ? this.cart.tenders.filter(tender => tender.amount > 0)
+                    .map(tender => row(`Paid (${escapeHtml(methodLabel(tender.method))})`, formatMoney(tender.amount), 'dark:text-secondary-200'))
+                : [row('Paid', formatMoney(this.cart.paidAmount), 'dark:text-secondary-200')]),
+            this.cart.amountDue > 0
+                ? row('Amount due', formatMoney(this.cart.amountDue), 'font-semibold text-red-600')
+                : row(this.cart.isSplit ? 'Change due (cash)' : 'Change due', formatMoney(this.cart.changeDue), 'font-semibold text-accent-700 dark:text-accent-300')
+        ].join('');
+
+        // Keep the paid field in step when the cart forces it (Vodafone Cash)
+        const paidInput = this.container.querySelector('#payment-form [name="paidAmount"]');
+        if (paidInput && document.activeElement !== paidInput) {
+            paidInput.value = this.cart.paidAmount;
+        }
+        if (paidInput) {
+            paidInput.readOnly = this.cart.paymentMethod !== 'Cash';
+        }
+        this.container.querySelectorAll('#payment-form [name="tender"]').forEach(input => {
+            if (document.activeElement !== input) {
+                input.value = this.cart.tenders.find(tender => tender.method === input.dataset.method)?.amount ?? 0;
+            }
+        });
+
+        const submit = this.container.querySelector('#checkout-submit');
+        if (submit) {
+            submit.disabled = this.submitting || this.cart.isEmpty;
+        }
+    }
+
+    renderLastSale() {
+        const lastSaleEl = this.container.querySelector('#last-sale');
+        if (!lastSaleEl) return;
+
+        if (!this.lastSale) {
+            lastSaleEl.innerHTML = '';
+            return;
+        }
+
+        const sale = this.lastSale;
+        lastSaleEl.innerHTML = `
+            <div class="p-4 rounded-lg bg-accent-50 dark:bg-accent-900/30 border border-accent-200 dark:border-accent-800 text-sm">
+                <div class="font-semibold text-accent-800 dark:text-accent-200 mb-1">
+                    <i class="fas fa-circle-check mr-1"></i>Sale #${sale.id} ${escapeHtml(sale.status.toLowerCase())}
+                </div>
+                <div class="flex justify-between dark:text-secondary-200"><span>Total</span><span>${formatMoney(sale.total)}</span></div>
+                ${saleTenders(sale).map(tender => `
+                    <div class="flex justify-between dark:text-secondary-200"><span>Paid (${escapeHtml(methodLabel(tender.method))})</span><span>${formatMoney(tender.amount)}</span></div>
+                `).join('')}
+                <div class="flex justify-between font-semibold dark:text-white"><span>Change</span><span>${formatMoney(Math.max(sale.paidAmount - sale.total, 0))}</span></div>
+                <div class="flex gap-3 mt-3 text-sm font-medium">
+                    <button type="button" data-action="print-receipt" class="text-primary-600 hover:text-primary-500">
+                        <i class="fas fa-print mr-1"></i>Print receipt
+                    </button>
+                    <button type="button" data-action="download-receipt" class="text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200">
+                        <i class="fas fa-download mr-1"></i>ESC/POS
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Offer to create a product for a barcode the API doesn't know
+     */
+    renderUnknownBarcodeDialog(barcode) {
+        const dialog = this.container.querySelector('#unknown-barcode-dialog');
+        const inputClass = 'mt-1 w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+        const canCreate = this.app.session.canAccess(PRODUCT_ACCESS.edit);
+
+        dialog.innerHTML = `
+            <form id="unknown-barcode-form" class="bg-white dark:bg-secondary-800 rounded-lg shadow-xl p-6 w-full max-w-md space-y-3">
+                <h3 class="text-lg font-semibold dark:text-white"><i class="fas fa-barcode mr-2"></i>Unknown barcode</h3>
+                <p class="text-sm text-secondary-600 dark:text-secondary-300">
+                    No product has barcode <code class="px-1 bg-secondary-100 dark:bg-secondary-700 rounded">${escapeHtml(barcode)}</code>.
+                    ${canCreate ? 'Create it and add it to this sale?' : 'Ask a manager to add it to the catalogue.'}
+                </p>
+                ${canCreate ? `
+                    <input type="hidden" name="barcode" value="${escapeHtml(barcode)}">
+                    <label class="block text-sm dark:text-secondary-200">Name
+                        <input name="name" required class="${inputClass}">
+                    </label>
+                    <div class="grid grid-cols-2 gap-3">
+                        <label class="block text-sm dark:text-secondary-200">SKU
+                            <input name="sku" required value="SKU-${escapeHtml(barcode.slice(-6))}" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Category
+                            <input name="category" required value="General" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Price
+                            <input name="price" type="number" min="0" step="0.01" required class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Cost
+                            <input name="cost" type="number" min="0" step="0.01" value="0" required class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Stock quantity
+                            <input name="stockQty" type="number" min="0" step="1" value="1" required class="${inputClass}">
+                        </label>
+                    </div>
+                    <p data-dialog-error class="hidden text-sm text-red-600"></p>
+                ` : ''}
+                <div class="flex justify-end gap-2 pt-2">
+                    <button type="button" data-action="close-dialog" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">
+                        ${canCreate ? 'Cancel' : 'Close'}
+                    </button>
+                    ${canCreate ? `
+                        <button type="submit" class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white">
+                            <i class="fas fa-plus mr-1"></i>Create &amp; add
+                        </button>
+                    ` : ''}
+                </div>
+            </form>
+        `;
+
+        dialog.classList.remove('hidden');
+        dialog.querySelector('[name="name"], [data-action="close-dialog"]').focus();
+    }
+
+    /**
+     * Sales parked on this register, oldest first. Those older than the
+     * parkedSaleWarnMinutes setting are flagged.
+     */
+    renderParkedDialog() {
+        const dialog = this.container.querySelector('#parked-dialog');
+        const warnMinutes = this.app.settings.parkedSaleWarnMinutes;
+        const canCancel = this.app.session.canAccess(SALE_ACCESS.cancel);
+        const now = new Date();
+
+        dialog.innerHTML = `
+            <div class="bg-white dark:bg-secondary-800 rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto space-y-3" role="dialog" aria-label="Parked sales">
+                <div class="flex items-center justify-between">
+                    <h3 class="text-lg font-semibold dark:text-white"><i class="fas fa-layer-group mr-2"></i>Parked sales</h3>
+                    <button type="button" data-action="close-dialog" class="text-secondary-400 hover:text-secondary-700" aria-label="Close">
+                        <i class="fas fa-xmark text-lg"></i>
+                    </button>
+                </div>
+                ${this.parked.length ? `
+                    <table class="w-full text-sm dark:text-secondary-200">
+                        <thead>
+                            <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                                <th class="py-2 pr-3">Sale</th>
+                                <th class="py-2 pr-3">Note</th>
+                                <th class="py-2 pr-3 text-right">Items</th>
+                                <th class="py-2 pr-3 text-right">Total</th>
+                                <th class="py-2 pr-3">Parked</th>
+                                <th class="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.parked.map(sale => {
+                                const minutes = parkedMinutes(sale, now);
+                                const stale = minutes >= warnMinutes;
+                                return `
+                                    <tr class="border-b border-secondary-100 dark:border-secondary-700" data-parked-id="${sale.id}">
+                                        <td class="py-2 pr-3 font-medium">#${sale.id}</td>
+                                        <td class="py-2 pr-3">${escapeHtml(displayNotes(sale.notes)) || '<span class="text-secondary-400">—</span>'}</td>
+                                        <td class="py-2 pr-3 text-right">${sale.carts.reduce((sum, line) => sum + line.qty, 0)}</td>
+                                        <td class="py-2 pr-3 text-right">${formatMoney(sale.total)}</td>
+                                        <td class="py-2 pr-3 whitespace-nowrap ${stale ? 'text-red-600 font-medium' : ''}" title="${escapeHtml(new Date(sale.createdAt).toLocaleString())}">
+                                            ${stale ? '<i class="fas fa-triangle-exclamation mr-1"></i>' : ''}${formatParkedAge(minutes)} ago
+                                        </td>
+                                        <td class="py-2 text-right whitespace-nowrap">
+                                            <button type="button" data-action="resume-parked" class="text-primary-600 hover:text-primary-500 font-medium">Resume</button>
+                                            ${canCancel ? '<button type="button" data-action="cancel-parked" class="ml-3 text-secondary-500 hover:text-red-600">Cancel</button>' : ''}
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="text-sm text-secondary-500 dark:text-secondary-400">No sales are parked on this register.</p>'}
+            </div>
+        `;
+
+        dialog.classList.remove('hidden');
+        dialog.querySelector('[data-action="resume-parked"], [data-action="close-dialog"]').focus();
+    }
+
+    renderParkedCount() {
+        const countEl = this.container.querySelector('#parked-count');
+        if (!countEl) return;
+
+        const warnMinutes = this.app.settings.parkedSaleWarnMinutes;
+        const stale = this.parked.some(sale => parkedMinutes(sale) >= warnMinutes);
+        countEl.className = `px-1.5 rounded-full text-xs ${stale ? 'bg-red-100 text-red-700' : 'bg-secondary-100 dark:bg-secondary-700 dark:text-white'}`;
+        countEl.textContent = this.parked.length || '';
+        countEl.classList.toggle('hidden', !this.parked.length);
+    }
+
+    get openDialog() {
+        return this.container.querySelector('[data-dialog]:not(.hidden)');
+    }
+
+    closeDialog() {
+        const dialog = this.openDialog;
+        if (!dialog) return;
+
+        dialog.classList.add('hidden');
+        dialog.innerHTML = '';
+    }
+
+    resetPaymentFields() {
+        const form = this.container.querySelector('#payment-form');
+        if (form) {
+            form.innerHTML = this.renderPaymentFields();
+        }
+        this.renderTotals();
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        const searchInput = this.container.querySelector('#product-search');
+        searchInput.addEventListener('input', (e) => this.search(e.target.value));
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addFirstResult(e.target.value);
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const actionEl = e.target.closest('[data-action]');
+            if (!actionEl) return;
+
+            const lineEl = actionEl.closest('[data-line]');
+            switch (actionEl.dataset.action) {
+                case 'add-product':
+                    this.addProduct(Number(actionEl.dataset.productId));
+                    break;
+                case 'remove-line':
+                    this.cart.removeLine(Number(lineEl.dataset.line));
+                    break;
+                case 'clear-cart':
+                    this.cart.clear();
+                    this.resetPaymentFields();
+                    break;
+                case 'exact-amount':
+                    this.cart.settleBalance();
+                    break;
+                case 'settle-tender':
+                    this.cart.settleBalance(actionEl.dataset.method);
+                    break;
+                case 'checkout':
+                    this.checkout();
+                    break;
+                case 'close-dialog':
+                    this.closeDialog();
+                    break;
+                case 'park-cart':
+                    this.park();
+                    break;
+                case 'show-parked':
+                    this.showParked();
+                    break;
+                case 'resume-parked':
+                    this.resumeParked(Number(actionEl.closest('[data-parked-id]').dataset.parkedId));
+                    break;
+                case 'cancel-parked':
+                    this.cancelParked(Number(actionEl.closest('[data-parked-id]').dataset.parkedId));
+                    break;
+                case 'print-receipt':
+                    this.app.printReceipt(this.lastSale);
+                    break;
+                case 'download-receipt':
+                    this.app.downloadReceipt(this.lastSale);
+                    break;
+            }
+        });
+
+        this.container.addEventListener('submit', (e) => {
+            if (e.target.id === 'unknown-barcode-form') {
+                e.preventDefault();
+                this.createProduct(e.target);
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'split') {
+                this.cart.setSplit(e.target.checked);
+                this.resetPaymentFields();
+                return;
+            }
+
+            const lineEl = e.target.closest('[data-line]');
+            if (lineEl && e.target.dataset.field) {
+                this.cart.updateLine(Number(lineEl.dataset.line), { [e.target.dataset.field]: e.target.value });
+            }
+        });
+
+        this.container.querySelector('#payment-form').addEventListener('input', (e) => {
+            const { name, value } = e.target;
+            if (!name || name === 'split') return;
+
+            if (name === 'paymentMethod') {
+                this.cart.setPaymentMethod(value);
+            } else if (name === 'paidAmount') {
+                this.cart.setTender(this.cart.paymentMethod, value);
+            } else if (name === 'tender') {
+                this.cart.setTender(e.target.dataset.method, value);
+            } else {
+                this.cart.setPayment({ [name]: value });
+            }
+            if (name === 'taxRate') {
+                this.app.settings = saveSettings({ taxRate: this.cart.taxRate });
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.openDialog) {
+                this.closeDialog();
+            } else if (e.key === 'F2') {
+                e.preventDefault();
+                searchInput.focus();
+                searchInput.select();
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    async searchProducts(query) {
+        try {
+            this.results = await this.client.products.list({ q: query.trim() });
+            this.rememberProducts(this.results);
+        } catch (error) {
+            if (error instanceof StorePosApiError) {
+                this.results = [];
+                this.app.showToast(`Product search failed: ${error.message}`, 'error');
+            } else {
+                this.app.sync.setOnline(false);
+                this.results = this.searchCatalogue(query);
+            }
+        }
+        this.renderResults();
+        return this.results;
+    }
+
+    // -------------------------------------------------------------------------
+    // OFFLINE CATALOGUE
+    // -------------------------------------------------------------------------
+
+    get catalogueKey() {
+        return `${CATALOGUE_STORAGE_KEY}.${this.app.session.environment.id}`;
+    }
+
+    loadCatalogue() {
+        try {
+            return new Map((JSON.parse(localStorage.getItem(this.catalogueKey)) || []).map(p => [p.id, p]));
+        } catch {
+            return new Map();
+        }
+    }
+
+    /**
+     * Keep the products seen online so the register can still sell when the API is down
+     */
+    rememberProducts(products) {
+        products.forEach(product => this.catalogue.set(product.id, product));
+        localStorage.setItem(this.catalogueKey, JSON.stringify([...this.catalogue.values()]));
+    }
+
+    /**
+     * Local equivalent of GET /api/products?q= (name, SKU or exact barcode)
+     */
+    searchCatalogue(query) {
+        const q = query.trim().toLowerCase();
+        return [...this.catalogue.values()].filter(product => !q
+            || product.name.toLowerCase().includes(q)
+            || product.sku.toLowerCase().includes(q)
+            || product.barcode === query.trim());
+    }
+
+    /**
+     * Enter in the search box adds the single match (e.g. a typed barcode)
+     */
+    async addFirstResult(query) {
+        const results = await this.searchProducts(query);
+        const exact = results.find(p => p.barcode === query.trim() || p.sku.toLowerCase() === query.trim().toLowerCase());
+        const product = exact || (results.length === 1 ? results[0] : null);
+
+        if (product) {
+            this.addProduct(product.id);
+            this.container.querySelector('#product-search').value = '';
+            this.searchProducts('');
+        }
+    }
+
+    /**
+     * Add a scanned product via GET /api/products/by-barcode/{barcode}
+     */
+    async handleScan(barcode) {
+        try {
+            const product = await this.lookupBarcode(barcode);
+            if (!product) {
+                this.app.showToast(`Barcode ${barcode} is not in the offline catalogue`, 'warning');
+                return;
+            }
+            if (product.stockQty <= 0) {
+                this.app.showToast(`${product.name} is out of stock`, 'warning');
+                return;
+            }
+            this.cart.addProduct(product);
+            this.app.showToast(`Added ${product.name}`, 'success');
+        } catch (error) {
+            if (error.status === 404) {
+                this.renderUnknownBarcodeDialog(barcode);
+            } else {
+                this.app.showToast(`Barcode lookup failed: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async lookupBarcode(barcode) {
+        try {
+            const product = await this.client.products.byBarcode(barcode);
+            this.rememberProducts([product]);
+            return product;
+        } catch (error) {
+            if (error instanceof StorePosApiError) throw error;
+
+            this.app.sync.setOnline(false);
+            return [...this.catalogue.values()].find(product => product.barcode === barcode) || null;
+        }
+    }
+
+    /**
+     * Create the product from the unknown-barcode dialog (POST /api/products) and add it
+     */
+    async createProduct(form) {
+        const fields = form.elements;
+        const submit = form.querySelector('button[type="submit"]');
+        const errorEl = form.querySelector('[data-dialog-error]');
+        submit.disabled = true;
+
+        try {
+            const product = await this.client.products.create({
+                sku: fields.sku.value.trim(),
+                barcode: fields.barcode.value,
+                name: fields.name.value.trim(),
+                category: fields.category.value.trim(),
+                price: Number(fields.price.value),
+                cost: Number(fields.cost.value),
+                stockQty: Number(fields.stockQty.value),
+                isActive: true
+            });
+
+            this.closeDialog();
+            if (product.stockQty > 0) {
+                this.cart.addProduct(product);
+            }
+            this.app.showToast(`Created ${product.name}`, 'success');
+            this.searchProducts(this.container.querySelector('#product-search').value);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+            submit.disabled = false;
+        }
+    }
+
+    addProduct(productId) {
+        const product = this.results.find(p => p.id === productId) || this.catalogue.get(productId);
+        if (!product) return;
+
+        this.cart.addProduct(product);
+    }
+
+    /**
+     * Post the cart as a sale and complete it. If completion is rejected the
+     * sale stays Pending and the next attempt updates it instead of creating
+     * a duplicate.
+     */
+    async checkout() {
+        const problems = this.cart.validate();
+        if (problems.length) {
+            this.app.showToast(problems[0], 'warning');
+            return;
+        }
+
+        this.submitting = true;
+        this.renderTotals();
+
+        const operation = {
+            type: 'sale',
+            payload: { sale: this.cart.toSaleCreateDto(), saleId: this.cart.pendingSaleId },
+            meta: {
+                lines: this.cart.lines.map(line => ({ ...line })),
+                taxRate: this.cart.taxRate,
+                discount: this.cart.discount,
+                total: this.cart.total
+            }
+        };
+        const quote = this.cart.quote;
+
+        try {
+            const { queued, result, entry } = await this.app.sync.submit(operation);
+
+            if (queued) {
+                this.lastSale = null;
+                this.app.showToast(`Offline: sale queued as ${entry.clientId.slice(0, 8)} and will sync automatically`, 'warning');
+            } else {
+                this.lastSale = withPricing(result, operation.meta.lines, quote);
+                this.app.showToast(`Sale #${result.id} completed`, 'success');
+                this.dropParked(result.id);
+            }
+
+            this.cart.clear();
+            this.resetPaymentFields();
+            this.renderLastSale();
+            this.searchProducts(this.container.querySelector('#product-search').value);
+        } catch (error) {
+            this.cart.pendingSaleId = operation.payload.saleId || null;
+            const saved = this.cart.pendingSaleId ? ` (saved as pending sale #${this.cart.pendingSaleId})` : '';
+            this.app.showToast(`Checkout failed${saved}: ${error.message}`, 'error');
+        } finally {
+            this.submitting = false;
+            this.renderTotals();
+        }
+    }
+
+    /**
+     * Put a queued sale that hit a conflict back in the cart so the cashier can fix it
+     */
+    loadQueuedSale(entry) {
+        const { sale, saleId } = entry.payload;
+
+        this.cart.clear();
+        this.cart.lines = (entry.meta?.lines || []).map(line => ({
+            ...line,
+            stockQty: this.catalogue.get(line.productId)?.stockQty ?? line.stockQty
+        }));
+        this.cart.pendingSaleId = saleId || null;
+        this.cart.setTenders(saleTenders(sale));
+        this.cart.setPayment({
+            discount: entry.meta?.discount ?? sale.discount,
+            taxRate: entry.meta?.taxRate ?? this.cart.taxRate,
+            notes: displayNotes(sale.notes)
+        });
+        this.resetPaymentFields();
+        this.app.showToast('Queued sale loaded into the cart', 'info');
+    }
+
+    // -------------------------------------------------------------------------
+    // PARKED SALES
+    // -------------------------------------------------------------------------
+
+    /**
+     * Reload the register's parked sales for the badge and dialog
+     */
+    async refreshParked() {
+        try {
+            this.parked = await fetchParkedSales(this.client, this.app.session);
+        } catch (error) {
+            if (!(error instanceof StorePosApiError)) this.app.sync.setOnline(false);
+            this.parked = [];
+        }
+        this.renderParkedCount();
+        return this.parked;
+    }
+
+    /**
+     * Take a completed sale off the parked list without reading the others back
+     */
+    dropParked(saleId) {
+        forgetParkedSale(this.app.session, saleId);
+        this.parked = this.parked.filter(sale => sale.id !== saleId);
+        this.renderParkedCount();
+    }
+
+    async showParked() {
+        await this.refreshParked();
+        this.renderParkedDialog();
+    }
+
+    /**
+     * Save the cart as a Pending sale tagged with this register, or update the
+     * pending sale it was resumed from (PUT /api/sales/{id}), and clear it
+     */
+    async park() {
+        const problems = this.cart.validate({ payment: false });
+        if (problems.length) {
+            this.app.showToast(problems[0], 'warning');
+            return;
+        }
+
+        const note = prompt('Note for the parked sale (customer name, reason...)', this.cart.notes);
+        if (note === null) return;
+
+        this.cart.setPayment({ notes: note });
+        const sale = this.cart.toSaleCreateDto();
+        sale.notes = parkedNotes(sale.notes, this.app.session.registerId);
+
+        try {
+            const parked = this.cart.pendingSaleId
+                ? await this.client.sales.update(this.cart.pendingSaleId, { ...sale, status: 'Pending' })
+                : await this.client.sales.create(sale);
+
+            rememberParkedSale(this.app.session, parked.id);
+            this.cart.clear();
+            this.resetPaymentFields();
+            this.app.showToast(`Sale #${parked.id} parked`, 'success');
+            this.refreshParked();
+        } catch (error) {
+            if (error instanceof StorePosApiError) {
+                this.app.showToast(`Could not park the sale: ${error.message}`, 'error');
+            } else {
+                this.app.sync.setOnline(false);
+                this.app.showToast('Parking a sale needs a connection to the API', 'warning');
+            }
+        }
+    }
+
+    /**
+     * Load a parked sale into the cart. Checkout then updates it with the
+     * edited lines (PUT /api/sales/{id}) before completing it.
+     */
+    async resumeParked(saleId) {
+        if (!this.cart.isEmpty && !confirm(`Replace the current cart with parked sale #${saleId}?`)) return;
+
+        try {
+            const sale = await this.client.sales.get(saleId);
+            if (sale.status !== 'Pending') {
+                this.app.showToast(`Sale #${sale.id} is already ${sale.status.toLowerCase()}`, 'warning');
+                await this.showParked();
+                return;
+            }
+
+            // Current stock for the cart's checks; the sale only carries its lines
+            this.rememberProducts(await this.client.products.list());
+            this.loadParkedSale(sale);
+            this.closeDialog();
+        } catch (error) {
+            if (!(error instanceof StorePosApiError)) this.app.sync.setOnline(false);
+            this.app.showToast(`Could not resume sale #${saleId}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * The sale's lines come back as posted (net of tax when shelf prices
+     * include it) and its Discount includes the promotions, which are worked
+     * out again; what is left over was the cashier's manual discount.
+     */
+    loadParkedSale(sale) {
+        const pricing = { ...this.cart.pricing, taxRate: this.cart.taxRate };
+
+        this.cart.clear();
+        this.cart.lines = sale.carts.map(line => {
+            const product = this.catalogue.get(line.productId);
+            const category = product?.category;
+            return {
+                productId: line.productId,
+                sku: line.productSku,
+                name: line.productName,
+                qty: line.qty,
+                unitPrice: shelfPrice(line.unitPrice, taxRateFor(category, pricing), pricing, product?.price),
+                category,
+                stockQty: product?.stockQty ?? line.qty
+            };
+        });
+
+        const promotions = priceCart(this.cart.lines, pricing);
+        const discount = pricing.pricesIncludeTax ? promotions.subtotal - sale.total : sale.discount;
+
+        this.cart.pendingSaleId = sale.id;
+        this.cart.setTenders(saleTenders(sale));
+        this.cart.setPayment({
+            discount: Math.max(roundMoney(discount - promotions.discount), 0),
+            notes: displayNotes(sale.notes)
+        });
+        this.resetPaymentFields();
+        this.app.showToast(`Parked sale #${sale.id} loaded into the cart`, 'info');
+    }
+
+    async cancelParked(saleId) {
+        if (!confirm(`Cancel parked sale #${saleId}? It cannot be resumed afterwards.`)) return;
+
+        try {
+            await this.client.sales.cancel(saleId);
+            if (this.cart.pendingSaleId === saleId) {
+                this.cart.clear();
+                this.resetPaymentFields();
+            }
+            this.app.showToast(`Sale #${saleId} cancelled`, 'success');
+        } catch (error) {
+            this.app.showToast(`Could not cancel sale #${saleId}: ${error.message}`, 'error');
+        }
+        await this.showParked();
+    }
+}
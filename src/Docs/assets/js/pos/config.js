@@ -0,0 +1,116 @@
+/**
+ * StorePOS Point of Sale - Configuration
+ *
+ * Storage keys are shared with the developer guide (assets/js/app.js) so the
+ * environment picked and the session signed in there carry over to the POS.
+ */
+
+import { USER_ROLE_NAMES } from '../../../sdk/storepos-client.js';
+
+export const ENVIRONMENTS_STORAGE_KEY = 'storepos.environments';
+export const SESSION_STORAGE_KEY = 'storepos.session';
+export const POS_SETTINGS_STORAGE_KEY = 'storepos.pos.settings';
+export const CATALOGUE_STORAGE_KEY = 'storepos.pos.catalogue';
+export const SHIFT_STORAGE_KEY = 'storepos.pos.shift';
+export const REGISTER_STORAGE_KEY = 'storepos.pos.register';
+export const PARKED_STORAGE_KEY = 'storepos.pos.parked';
+export const STOCKTAKE_STORAGE_KEY = 'storepos.pos.stocktake';
+
+// Used when the guide has never saved an environment profile
+export const DEFAULT_ENVIRONMENT = {
+    id: 'development',
+    name: 'Development',
+    baseUrl: 'http://localhost:5062'
+};
+
+export const DEFAULT_SETTINGS = {
+    taxRate: 14,
+    currency: 'EGP',
+    storeName: 'StorePOS',
+    receiptHeader: '',
+    receiptFooter: 'Thank you for shopping with us!',
+    receiptWidth: 48,
+    lowStockThreshold: 5,
+    parkedSaleWarnMinutes: 60,
+    returnWindowDays: 30,
+    // See pricing.js
+    pricingRules: [],
+    categoryTaxRates: {},
+    pricesIncludeTax: false
+};
+
+// Characters per line in the printer's default font (Font A) and the printable
+// width of the paper roll
+export const RECEIPT_WIDTHS = [
+    { columns: 48, printWidth: '72mm', label: '80mm paper (48 columns)' },
+    { columns: 42, printWidth: '72mm', label: '80mm paper (42 columns)' },
+    { columns: 32, printWidth: '48mm', label: '58mm paper (32 columns)' }
+];
+
+// Values accepted by SaleCreateDto.PaymentMethod
+export const PAYMENT_METHODS = [
+    { id: 'Cash', label: 'Cash', icon: 'fa-money-bill-wave' },
+    { id: 'VodafoneCash', label: 'Vodafone Cash', icon: 'fa-mobile-screen' }
+];
+
+// Access maps below list the routes (by WithName) a view or action calls. The
+// signed-in role must be allowed on all of them by the permission matrix the
+// API publishes in swagger.json (see PosSession.loadPermissions).
+
+export const CHECKOUT_ACCESS = ['CreateSale', 'CompleteSale'];
+
+export const SALE_ACCESS = {
+    read: ['GetSales'],
+    complete: ['CompleteSale'],
+    cancel: ['CancelSale'],
+    remove: ['DeleteSale']
+};
+
+// Returns restock with update-stock and cancel the refund record (see returns.js)
+export const RETURN_ACCESS = ['CreateSale', 'UpdateProductStock', 'CancelSale'];
+
+export const REFUND_REASONS = ['Damaged or faulty', 'Wrong item', 'Not as described', 'Changed mind', 'Other'];
+
+export const SEARCH_DEBOUNCE_MS = 250;
+
+// How far back GET /api/sales is searched, once, for sales a register parked
+// before it kept their ids (see parked.js)
+export const PARKED_SALES_LOOKBACK_DAYS = 30;
+
+// Approved stock counts kept on the register for export (see stocktake.js)
+export const STOCKTAKE_HISTORY_LIMIT = 10;
+
+// Pause between API calls when importing products, to stay gentle on the server
+export const IMPORT_THROTTLE_MS = 150;
+
+// Keyboard-wedge scanners send keys a few ms apart; people rarely go below ~80ms
+export const SCANNER_SETTINGS = {
+    maxInterKeyMs: 35,
+    minLength: 6
+};
+
+export const PRODUCT_ACCESS = {
+    read: ['GetProducts'],
+    edit: ['CreateProduct', 'UpdateProduct', 'UpdateProductStock'],
+    remove: ['DeleteProduct']
+};
+
+export const USER_ACCESS = {
+    read: ['GetUsers'],
+    manage: ['CreateUser', 'UpdateUser', 'ChangeUserPassword', 'DeleteUser']
+};
+
+export { USER_ROLE_NAMES };
+
+// Register settings are kept per browser; they set prices and tax, so they
+// need the same access as editing products
+export const SETTINGS_ACCESS = ['UpdateProduct'];
+
+// IndexedDB outbox for sales and stock adjustments made while offline
+export const OFFLINE_DB_NAME = 'storepos-pos';
+export const OFFLINE_DB_VERSION = 1;
+
+// Same probe as the guide's testApiConnection()
+export const HEALTH_CHECK_PATH = '/swagger/index.html';
+export const HEALTH_CHECK_INTERVAL_MS = 15000;
+export const HEALTH_CHECK_TIMEOUT_MS = 5000;
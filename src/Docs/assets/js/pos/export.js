@@ -0,0 +1,264 @@
+/**
+ * StorePOS Point of Sale - Exports
+ *
+ * Turns the sales, products and stock counts a view has loaded into CSV (one
+ * row per cart line for sales), JSON (the DTOs as returned by the API) or a
+ * PDF summary.
+ * Everything is generated in the browser, so exports work without internet.
+ */
+
+import { buildPdfReport } from './pdf.js';
+import { toCsv } from './spreadsheet.js';
+import { isRefund, refundOf } from './returns.js';
+import { displayNotes } from './sync.js';
+import { describeTenders, saleTenders } from './tender.js';
+import { downloadFile, loadSettings, roundMoney } from './utils.js';
+
+export const EXPORT_FORMATS = [
+    { id: 'csv', label: 'CSV', icon: 'fa-file-csv' },
+    { id: 'json', label: 'JSON', icon: 'fa-file-code' },
+    { id: 'pdf', label: 'PDF', icon: 'fa-file-pdf' }
+];
+
+// Excel only reads a CSV as UTF-8 when it starts with a byte order mark
+const CSV_BOM = '\ufeff';
+
+const SALE_CSV_HEADERS = [
+    'SaleId', 'CreatedAt', 'Status', 'PaymentMethod', 'Subtotal', 'Discount', 'Tax', 'Total', 'PaidAmount', 'Tenders', 'RefundOf', 'Notes',
+    'Line', 'ProductId', 'ProductSku', 'ProductName', 'Qty', 'UnitPrice', 'LineTotal'
+];
+
+const PRODUCT_CSV_HEADERS = ['Id', 'Sku', 'Barcode', 'Name', 'Category', 'Price', 'Cost', 'StockQty', 'IsActive'];
+
+const STOCKTAKE_CSV_HEADERS = [
+    'ProductId', 'Sku', 'Barcode', 'Name', 'Category', 'Cost', 'SystemQty', 'CountedQty', 'Variance', 'VarianceValue', 'CountedAt', 'Adjustment', 'Error'
+];
+
+/**
+ * Export buttons for a view toolbar; clicks are handled by the view through data-export
+ */
+export function renderExportButtons() {
+    return `
+        <div class="flex rounded-md border border-secondary-300 dark:border-secondary-600 overflow-hidden text-sm" role="group" aria-label="Export">
+            ${EXPORT_FORMATS.map(format => `
+                <button type="button" data-export="${format.id}" title="Export ${format.label}" class="px-3 py-1.5 hover:bg-secondary-100 dark:hover:bg-secondary-700 dark:text-secondary-200">
+                    <i class="fas ${format.icon} mr-1"></i>${format.label}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Download sales (SaleReadDto list) for a { from, to } range
+ */
+export function exportSales(sales, format, { range, settings = loadSettings() } = {}) {
+    const period = range ? `${formatDay(range.from)}_${formatDay(range.to)}` : formatDay(new Date());
+    const filename = `sales-${period}.${format}`;
+
+    switch (format) {
+        case 'csv':
+            downloadFile(CSV_BOM + toCsv([SALE_CSV_HEADERS, ...flattenSales(sales)]), filename, 'text/csv');
+            break;
+        case 'json':
+            downloadFile(JSON.stringify(sales, null, 2), filename, 'application/json');
+            break;
+        case 'pdf':
+            downloadFile(buildSalesPdf(sales, range, settings), filename, 'application/pdf');
+            break;
+    }
+}
+
+/**
+ * Download products (ProductReadDto list)
+ */
+export function exportProducts(products, format, { settings = loadSettings() } = {}) {
+    const filename = `products-${formatDay(new Date())}.${format}`;
+
+    switch (format) {
+        case 'csv': {
+            const rows = products.map(product => PRODUCT_CSV_HEADERS.map(header => {
+                const value = product[header.charAt(0).toLowerCase() + header.slice(1)];
+                return value ?? '';
+            }));
+            downloadFile(CSV_BOM + toCsv([PRODUCT_CSV_HEADERS, ...rows]), filename, 'text/csv');
+            break;
+        }
+        case 'json':
+            downloadFile(JSON.stringify(products, null, 2), filename, 'application/json');
+            break;
+        case 'pdf':
+            downloadFile(buildProductsPdf(products, settings), filename, 'application/pdf');
+            break;
+    }
+}
+
+/**
+ * Download a stock count (see stocktake.js): one row per product counted
+ */
+export function exportStockTake(count, format, { settings = loadSettings() } = {}) {
+    const filename = `stocktake-${formatDay(new Date(count.startedAt))}-${count.id.slice(0, 8)}.${format}`;
+
+    switch (format) {
+        case 'csv': {
+            const rows = count.lines.map(line => [
+                line.productId, line.sku, line.barcode, line.name, line.category, line.cost,
+                line.expected, line.counted, line.counted - line.expected, roundMoney((line.counted - line.expected) * line.cost), line.countedAt,
+                line.adjustment ? `${line.adjustment.stockUpdate} ${line.adjustment.amount}` : '', line.error || ''
+            ]);
+            downloadFile(CSV_BOM + toCsv([STOCKTAKE_CSV_HEADERS, ...rows]), filename, 'text/csv');
+            break;
+        }
+        case 'json':
+            downloadFile(JSON.stringify(count, null, 2), filename, 'application/json');
+            break;
+        case 'pdf':
+            downloadFile(buildStockTakePdf(count, settings), filename, 'application/pdf');
+            break;
+    }
+}
+
+/**
+ * One row per cart line with the sale's columns repeated; a sale without
+ * lines still gets a row so its totals are not lost
+ */
+function flattenSales(sales) {
+    return sales.flatMap(sale => {
+        const saleColumns = [
+            sale.id, sale.createdAt, sale.status, sale.paymentMethod,
+            sale.subtotal, sale.discount, sale.tax, sale.total, sale.paidAmount,
+            saleTenders(sale).map(tender => `${tender.method}=${tender.amount}`).join(';'), refundOf(sale) ?? '', displayNotes(sale.notes)
+        ];
+        if (!sale.carts.length) {
+            return [[...saleColumns, '', '', '', '', '', '', '']];
+        }
+        return sale.carts.map((line, index) => [
+            ...saleColumns,
+            index + 1, line.productId, line.productSku, line.productName, line.qty, line.unitPrice, line.lineTotal
+        ]);
+    });
+}
+
+function buildSalesPdf(sales, range, settings) {
+    const amount = amountFormatter();
+    const completed = sales.filter(sale => sale.status === 'Completed');
+    const sum = (list, key) => roundMoney(list.reduce((total, sale) => total + sale[key], 0));
+    const refunds = sales.filter(isRefund);
+    const countBy = (status) => sales.filter(sale => sale.status === status && !isRefund(sale)).length;
+
+    return buildPdfReport({
+        title: `${settings.storeName || 'StorePOS'} - Sales`,
+        subtitle: range
+            ? `${range.from.toLocaleString()} to ${range.to.toLocaleString()} · amounts in ${settings.currency}`
+            : `Amounts in ${settings.currency}`,
+        columns: [
+            { label: 'Sale', width: 50 },
+            { label: 'Date', width: 110 },
+            { label: 'Status', width: 70 },
+            { label: 'Payment', width: 80 },
+            { label: 'Items', width: 45, align: 'right' },
+            { label: 'Discount', width: 75, align: 'right' },
+            { label: 'Total', width: 85, align: 'right' }
+        ],
+        rows: sales.map(sale => [
+            `#${sale.id}`,
+            new Date(sale.createdAt).toLocaleString(),
+            isRefund(sale) ? `Refund #${refundOf(sale)}` : sale.status,
+            describeTenders(sale),
+            String(sale.carts.reduce((total, line) => total + line.qty, 0)),
+            amount(sale.discount),
+            amount(sale.total)
+        ]),
+        summary: [
+            ['Sales', `${sales.length - refunds.length} (${countBy('Completed')} completed, ${countBy('Pending')} pending, ${countBy('Cancelled')} cancelled)`],
+            ['Completed subtotal', amount(sum(completed, 'subtotal'))],
+            ['Completed discount', amount(sum(completed, 'discount'))],
+            ['Completed tax', amount(sum(completed, 'tax'))],
+            ['Completed total', amount(sum(completed, 'total'))],
+            ['Refunds', `${refunds.length} (${amount(sum(refunds, 'total'))})`]
+        ]
+    });
+}
+
+function buildProductsPdf(products, settings) {
+    const amount = amountFormatter();
+    const stockValue = roundMoney(products.reduce((total, product) => total + product.cost * product.stockQty, 0));
+
+    return buildPdfReport({
+        title: `${settings.storeName || 'StorePOS'} - Products`,
+        subtitle: `Amounts in ${settings.currency}`,
+        columns: [
+            { label: 'SKU', width: 65 },
+            { label: 'Product', width: 140 },
+            { label: 'Category', width: 75 },
+            { label: 'Price', width: 60, align: 'right' },
+            { label: 'Cost', width: 60, align: 'right' },
+            { label: 'Stock', width: 40, align: 'right' },
+            { label: 'Stock value', width: 75, align: 'right' }
+        ],
+        rows: products.map(product => [
+            product.sku,
+            product.name,
+            product.category,
+            amount(product.price),
+            amount(product.cost),
+            String(product.stockQty),
+            amount(product.cost * product.stockQty)
+        ]),
+        summary: [
+            ['Products', String(products.length)],
+            ['Units in stock', String(products.reduce((total, product) => total + product.stockQty, 0))],
+            ['Stock value at cost', amount(stockValue)]
+        ]
+    });
+}
+
+function buildStockTakePdf(count, settings) {
+    const amount = amountFormatter();
+    const variance = (line) => line.counted - line.expected;
+    const value = roundMoney(count.lines.reduce((total, line) => total + variance(line) * line.cost, 0));
+    const status = count.status === 'approved'
+        ? `approved ${new Date(count.approvedAt).toLocaleString()} by ${count.approvedBy}`
+        : 'in progress, not approved';
+
+    return buildPdfReport({
+        title: `${settings.storeName || 'StorePOS'} - Stock take${count.note ? `: ${count.note}` : ''}`,
+        subtitle: `Started ${new Date(count.startedAt).toLocaleString()} by ${count.startedBy}, ${status} · amounts in ${settings.currency}`,
+        columns: [
+            { label: 'SKU', width: 65 },
+            { label: 'Product', width: 150 },
+            { label: 'Cost', width: 60, align: 'right' },
+            { label: 'System', width: 50, align: 'right' },
+            { label: 'Counted', width: 50, align: 'right' },
+            { label: 'Variance', width: 55, align: 'right' },
+            { label: 'Value', width: 75, align: 'right' }
+        ],
+        rows: count.lines.map(line => [
+            line.sku,
+            line.name,
+            amount(line.cost),
+            String(line.expected),
+            String(line.counted),
+            `${variance(line) > 0 ? '+' : ''}${variance(line)}`,
+            amount(variance(line) * line.cost)
+        ]),
+        summary: [
+            ['Products counted', String(count.lines.length)],
+            ['With a variance', String(count.lines.filter(variance).length)],
+            ['Net variance at cost', amount(value)]
+        ]
+    });
+}
+
+/**
+ * Plain two-decimal amounts; the currency goes in the report subtitle so columns stay narrow
+ */
+function amountFormatter() {
+    const format = new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return (value) => format.format(roundMoney(value));
+}
+
+function formatDay(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
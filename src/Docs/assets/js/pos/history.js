@@ -0,0 +1,516 @@
+/**
+ * StorePOS Point of Sale - Sales history view
+ *
+ * Browses GET /api/sales for a date range with status filters and sortable
+ * columns. The drawer shows a sale's lines and offers the actions the signed-in
+ * role may call on it (complete, cancel, delete, reprint, return). Refunds
+ * (see returns.js) are listed under their own status.
+ */
+
+import { SALE_ACCESS, RETURN_ACCESS } from './config.js';
+import { exportSales, renderExportButtons } from './export.js';
+import { isRefund, refundOf } from './returns.js';
+import { displayNotes } from './sync.js';
+import { describeTenders, methodLabel, saleTenders } from './tender.js';
+import { escapeHtml, formatMoney } from './utils.js';
+
+// GET /api/sales returns at most this many sales, newest first (SaleService.SearchAsync)
+const SALES_PAGE_SIZE = 100;
+
+// Refunds are Cancelled sales to the API but filtered and badged on their own
+const SALE_STATUSES = ['Pending', 'Completed', 'Cancelled', 'Refund'];
+
+const STATUS_BADGES = {
+    Pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200',
+    Completed: 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200',
+    Cancelled: 'bg-secondary-200 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-200',
+    Refund: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'
+};
+
+function statusOf(sale) {
+    return isRefund(sale) ? 'Refund' : sale.status;
+}
+
+/**
+ * Every sale in a window. The API caps each response, so older pages are
+ * requested by moving `to` back to the oldest sale seen.
+ * @returns {Promise<Object[]>} SaleReadDto list, newest first
+ */
+export async function fetchSales(client, { from, to } = {}) {
+    const sales = new Map();
+    let before = to;
+
+    for (;;) {
+        const page = await client.sales.list({ from, to: before });
+        const fresh = page.filter(sale => !sales.has(sale.id));
+        fresh.forEach(sale => sales.set(sale.id, sale));
+
+        if (page.length < SALES_PAGE_SIZE || !fresh.length) break;
+        before = page[page.length - 1].createdAt;
+    }
+
+    return [...sales.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * { from, to } for a preset range. "shift" starts when the register's shift opened.
+ */
+export function rangeFor(preset, session) {
+    const now = new Date();
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    switch (preset) {
+        case 'shift':
+            return { from: new Date(session.shift?.openedAt || startOfDay), to: now };
+        case 'week': {
+            // Intl week info: 1 = Monday ... 7 = Sunday (getWeekInfo() replaced the weekInfo getter)
+            const locale = new Intl.Locale(navigator.language);
+            const firstDay = (locale.getWeekInfo?.() ?? locale.weekInfo)?.firstDay ?? 1;
+            const offset = (startOfDay.getDay() - (firstDay % 7) + 7) % 7;
+            return { from: new Date(startOfDay.getTime() - offset * 86400000), to: now };
+        }
+        case 'today':
+        default:
+            return { from: startOfDay, to: now };
+    }
+}
+
+export class SalesHistoryView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.preset = 'today';
+        this.statuses = new Set(SALE_STATUSES);
+        this.sort = { key: 'createdAt', direction: 'desc' };
+        this.sales = [];
+        this.selected = null;
+        this.loading = false;
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    /**
+     * Coming back to the view picks up sales rung up in the meantime
+     */
+    activate() {
+        this.reload();
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        const inputClass = 'px-2 py-1 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+        const presets = [['today', 'Today'], ['shift', 'This shift'], ['week', 'This week'], ['custom', 'Custom']];
+
+        this.container.innerHTML = `
+            <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                <div class="flex flex-wrap items-center gap-4 mb-4">
+                    <div class="flex rounded-md border border-secondary-300 dark:border-secondary-600 overflow-hidden text-sm" role="group">
+                        ${presets.map(([id, label]) => `
+                            <button type="button" data-preset="${id}" class="px-3 py-1.5 dark:text-secondary-200">${label}</button>
+                        `).join('')}
+                    </div>
+                    <form id="history-range" class="hidden flex items-center gap-2 text-sm dark:text-secondary-200">
+                        <label>From <input type="datetime-local" name="from" required class="${inputClass}"></label>
+                        <label>To <input type="datetime-local" name="to" class="${inputClass}"></label>
+                        <button type="submit" class="px-3 py-1 rounded-md bg-primary-600 hover:bg-primary-700 text-white">Apply</button>
+                    </form>
+                    <div id="history-statuses" class="flex items-center gap-3 text-sm dark:text-secondary-200">
+                        ${SALE_STATUSES.map(status => `
+                            <label class="flex items-center gap-1">
+                                <input type="checkbox" value="${status}" checked> ${status}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <button type="button" data-action="refresh-history" class="ml-auto text-sm text-primary-600 hover:text-primary-500 font-medium">
+                        <i class="fas fa-rotate mr-1"></i>Refresh
+                    </button>
+                    ${renderExportButtons()}
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                                <th class="py-2 pr-4">${this.renderSortButton('id', 'Sale')}</th>
+                                <th class="py-2 pr-4">${this.renderSortButton('createdAt', 'Date')}</th>
+                                <th class="py-2 pr-4 text-right">${this.renderSortButton('items', 'Items')}</th>
+                                <th class="py-2 pr-4">Payment</th>
+                                <th class="py-2 pr-4">Status</th>
+                                <th class="py-2 text-right">${this.renderSortButton('total', 'Total')}</th>
+                            </tr>
+                        </thead>
+                        <tbody id="history-rows"></tbody>
+                    </table>
+                </div>
+                <div id="history-summary" class="mt-4 text-sm text-secondary-600 dark:text-secondary-300"></div>
+            </section>
+
+            <div id="sale-drawer" class="hidden fixed inset-0 z-40 flex justify-end bg-black/40"></div>
+        `;
+
+        this.initializeEventListeners();
+        this.setPreset(this.preset);
+    }
+
+    renderSortButton(key, label) {
+        return `<button type="button" data-sort="${key}" class="font-medium hover:text-secondary-800 dark:hover:text-secondary-100">${label}<i class="fas ml-1 text-xs"></i></button>`;
+    }
+
+    renderToolbar() {
+        this.container.querySelectorAll('[data-preset]').forEach(button => {
+            const active = button.dataset.preset === this.preset;
+            button.classList.toggle('bg-primary-600', active);
+            button.classList.toggle('text-white', active);
+        });
+        this.container.querySelector('#history-range').classList.toggle('hidden', this.preset !== 'custom');
+
+        this.container.querySelectorAll('[data-sort]').forEach(button => {
+            const icon = button.querySelector('i');
+            const active = button.dataset.sort === this.sort.key;
+            icon.className = `fas ml-1 text-xs ${active ? (this.sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort text-secondary-300'}`;
+        });
+    }
+
+    /**
+     * Sales in the loaded range that pass the status filter, in the chosen order
+     */
+    get visibleSales() {
+        const value = {
+            id: sale => sale.id,
+            createdAt: sale => new Date(sale.createdAt).getTime(),
+            items: sale => sale.carts.reduce((sum, line) => sum + line.qty, 0),
+            total: sale => sale.total
+        }[this.sort.key];
+        const direction = this.sort.direction === 'asc' ? 1 : -1;
+
+        return this.sales
+            .filter(sale => this.statuses.has(statusOf(sale)))
+            .sort((a, b) => (value(a) - value(b)) * direction);
+    }
+
+    renderRows() {
+        const rowsEl = this.container.querySelector('#history-rows');
+        const summaryEl = this.container.querySelector('#history-summary');
+        const sales = this.visibleSales;
+
+        if (this.loading) {
+            rowsEl.innerHTML = '<tr><td colspan="6" class="py-6 text-center text-secondary-500 loading">Loading sales...</td></tr>';
+            summaryEl.innerHTML = '';
+            return;
+        }
+
+        rowsEl.innerHTML = sales.length ? sales.map(sale => `
+            <tr data-sale-id="${sale.id}" class="border-b border-secondary-100 dark:border-secondary-700 hover:bg-secondary-50 dark:hover:bg-secondary-700/50 cursor-pointer dark:text-secondary-200">
+                <td class="py-2 pr-4 font-mono">#${sale.id}</td>
+                <td class="py-2 pr-4">${new Date(sale.createdAt).toLocaleString()}</td>
+                <td class="py-2 pr-4 text-right">${sale.carts.reduce((sum, line) => sum + line.qty, 0)}</td>
+                <td class="py-2 pr-4">${escapeHtml(describeTenders(sale))}</td>
+                <td class="py-2 pr-4">${this.renderStatus(statusOf(sale))}${isRefund(sale) ? ` <span class="text-xs text-secondary-500">of #${refundOf(sale)}</span>` : ''}</td>
+                <td class="py-2 text-right font-medium">${isRefund(sale) ? '− ' : ''}${formatMoney(sale.total)}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="6" class="py-6 text-center text-secondary-500 dark:text-secondary-400">No sales in this range.</td></tr>';
+
+        const completed = sales.filter(sale => sale.status === 'Completed');
+        const refunds = sales.filter(isRefund);
+        summaryEl.innerHTML = `
+            ${sales.length} ${sales.length === 1 ? 'sale' : 'sales'} shown ·
+            completed total <span class="font-semibold dark:text-white">${formatMoney(completed.reduce((sum, sale) => sum + sale.total, 0))}</span>
+            ${refunds.length ? `· refunded <span class="font-semibold dark:text-white">${formatMoney(refunds.reduce((sum, sale) => sum + sale.total, 0))}</span>` : ''}
+        `;
+    }
+
+    /**
+     * A sale reference that opens the sale's drawer when it is in the loaded range
+     */
+    renderSaleLink(saleId, label = `#${saleId}`) {
+        return this.sales.some(sale => sale.id === saleId)
+            ? `<button type="button" data-open-sale="${saleId}" class="text-primary-600 hover:text-primary-500 font-medium">${label}</button>`
+            : label;
+    }
+
+    renderStatus(status) {
+        return `<span class="px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_BADGES[status] || ''}">${escapeHtml(status)}</span>`;
+    }
+
+    /**
+     * Slide-over with the sale's lines, totals and the actions allowed for the user's role
+     */
+    renderDrawer() {
+        const drawer = this.container.querySelector('#sale-drawer');
+        const sale = this.selected;
+
+        if (!sale) {
+            drawer.classList.add('hidden');
+            drawer.innerHTML = '';
+            return;
+        }
+
+        const session = this.app.session;
+        const refundedSaleId = refundOf(sale);
+        const refunds = this.sales.filter(candidate => refundOf(candidate) === sale.id);
+        const actions = [
+            (sale.status === 'Completed' || refundedSaleId) && { action: 'reprint-sale', icon: 'fa-print', label: 'Reprint receipt', classes: 'bg-secondary-100 dark:bg-secondary-700 dark:text-white' },
+            sale.status === 'Completed' && session.canAccess(RETURN_ACCESS) && { action: 'return-sale', icon: 'fa-rotate-left', label: 'Return items', classes: 'bg-secondary-100 dark:bg-secondary-700 dark:text-white' },
+            sale.status === 'Pending' && session.canAccess(SALE_ACCESS.complete) && { action: 'complete-sale', icon: 'fa-check', label: 'Complete', classes: 'bg-primary-600 hover:bg-primary-700 text-white' },
+            sale.status === 'Pending' && session.canAccess(SALE_ACCESS.cancel) && { action: 'cancel-sale', icon: 'fa-ban', label: 'Cancel', classes: 'bg-secondary-100 dark:bg-secondary-700 dark:text-white' },
+            sale.status !== 'Completed' && !refundedSaleId && session.canAccess(SALE_ACCESS.remove) && { action: 'delete-sale', icon: 'fa-trash-can', label: 'Delete', classes: 'bg-red-600 hover:bg-red-700 text-white' }
+        ].filter(Boolean);
+
+        const row = (label, value, emphasis = '') => `<div class="flex justify-between ${emphasis}"><span>${label}</span><span>${value}</span></div>`;
+        const notes = displayNotes(sale.notes);
+
+        drawer.innerHTML = `
+            <aside class="w-full max-w-md h-full overflow-y-auto bg-white dark:bg-secondary-800 shadow-xl p-6 space-y-4" role="dialog" aria-label="Sale #${sale.id}">
+                <div class="flex items-start justify-between">
+                    <div>
+                        <h2 class="text-lg font-semibold dark:text-white">${refundedSaleId ? 'Refund' : 'Sale'} #${sale.id}</h2>
+                        <p class="text-sm text-secondary-500 dark:text-secondary-400">${new Date(sale.createdAt).toLocaleString()}</p>
+                        ${refundedSaleId ? `<p class="text-sm dark:text-secondary-200">Against ${this.renderSaleLink(refundedSaleId, `sale #${refundedSaleId}`)}</p>` : ''}
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${this.renderStatus(statusOf(sale))}
+                        <button type="button" data-action="close-drawer" class="text-secondary-400 hover:text-secondary-700" aria-label="Close">
+                            <i class="fas fa-xmark text-lg"></i>
+                        </button>
+                    </div>
+                </div>
+
+                <table class="w-full text-sm dark:text-secondary-200">
+                    <thead>
+                        <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                            <th class="py-1">Product</th><th class="py-1 text-right">Qty</th><th class="py-1 text-right">Price</th><th class="py-1 text-right">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sale.carts.map(line => `
+                            <tr class="border-b border-secondary-100 dark:border-secondary-700">
+                                <td class="py-1">${escapeHtml(line.productName)}<div class="text-xs text-secondary-500">${escapeHtml(line.productSku)}</div></td>
+                                <td class="py-1 text-right">${line.qty}</td>
+                                <td class="py-1 text-right">${formatMoney(line.unitPrice)}</td>
+                                <td class="py-1 text-right">${formatMoney(line.lineTotal)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <div class="text-sm space-y-1 dark:text-secondary-200">
+                    ${row('Subtotal', formatMoney(sale.subtotal))}
+                    ${row('Discount', `− ${formatMoney(sale.discount)}`)}
+                    ${row('Tax', formatMoney(sale.tax))}
+                    ${refundedSaleId ? `
+                        ${row('Refund', formatMoney(sale.total), 'font-bold dark:text-white')}
+                        ${row(`Refunded (${escapeHtml(methodLabel(sale.paymentMethod))})`, formatMoney(sale.paidAmount))}
+                    ` : `
+                        ${row('Total', formatMoney(sale.total), 'font-bold dark:text-white')}
+                        ${saleTenders(sale).map(tender => row(`Paid (${escapeHtml(methodLabel(tender.method))})`, formatMoney(tender.amount))).join('')}
+                        ${row('Change', formatMoney(Math.max(sale.paidAmount - sale.total, 0)))}
+                    `}
+                </div>
+
+                ${refunds.length ? `
+                    <div class="text-sm space-y-1 dark:text-secondary-200">
+                        <h3 class="font-semibold dark:text-white">Refunds</h3>
+                        ${refunds.map(refund => row(`${this.renderSaleLink(refund.id)} · ${escapeHtml(displayNotes(refund.notes))}`, `− ${formatMoney(refund.total)}`)).join('')}
+                    </div>
+                ` : ''}
+
+                ${notes ? `<p class="text-sm p-3 rounded bg-secondary-50 dark:bg-secondary-900 dark:text-secondary-200"><i class="fas fa-note-sticky mr-1"></i>${escapeHtml(notes)}</p>` : ''}
+
+                <div class="flex flex-wrap gap-2 pt-2">
+                    ${actions.map(item => `
+                        <button type="button" data-action="${item.action}" class="px-4 py-2 text-sm rounded-md disabled:opacity-50 ${item.classes}">
+                            <i class="fas ${item.icon} mr-1"></i>${item.label}
+                        </button>
+                    `).join('')}
+                </div>
+            </aside>
+        `;
+        drawer.classList.remove('hidden');
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-preset], [data-sort], [data-sale-id], [data-open-sale], [data-export], [data-action]');
+
+            if (e.target.id === 'sale-drawer') {
+                this.select(null);
+            } else if (!target) {
+                return;
+            } else if (target.dataset.preset) {
+                this.setPreset(target.dataset.preset);
+            } else if (target.dataset.sort) {
+                this.setSort(target.dataset.sort);
+            } else if (target.dataset.saleId || target.dataset.openSale) {
+                this.select(Number(target.dataset.saleId || target.dataset.openSale));
+            } else if (target.dataset.export) {
+                this.exportSales(target.dataset.export);
+            } else {
+                this.handleAction(target);
+            }
+        });
+
+        this.container.querySelector('#history-statuses').addEventListener('change', (e) => {
+            e.target.checked ? this.statuses.add(e.target.value) : this.statuses.delete(e.target.value);
+            this.renderRows();
+        });
+
+        this.container.querySelector('#history-range').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fields = e.target.elements;
+            this.load({
+                from: new Date(fields.from.value),
+                to: fields.to.value ? new Date(fields.to.value) : new Date()
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selected) {
+                this.select(null);
+            }
+        });
+    }
+
+    async handleAction(target) {
+        switch (target.dataset.action) {
+            case 'refresh-history':
+                this.reload();
+                break;
+            case 'close-drawer':
+                this.select(null);
+                break;
+            case 'reprint-sale':
+                this.app.printReceipt(this.selected, { reprint: true });
+                break;
+            case 'return-sale': {
+                const saleId = this.selected.id;
+                this.select(null);
+                this.app.showView('returns');
+                this.app.viewInstances.get('returns').lookup(saleId);
+                break;
+            }
+            case 'complete-sale':
+                await this.runSaleAction(target, () => this.client.sales.complete(this.selected.id), 'completed');
+                break;
+            case 'cancel-sale':
+                if (!confirm(`Cancel sale #${this.selected.id}?`)) return;
+                await this.runSaleAction(target, () => this.client.sales.cancel(this.selected.id), 'cancelled');
+                break;
+            case 'delete-sale':
+                if (!confirm(`Delete sale #${this.selected.id}? This cannot be undone.`)) return;
+                await this.runSaleAction(target, async () => {
+                    await this.client.sales.remove(this.selected.id);
+                    return null;
+                }, 'deleted');
+                break;
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    setPreset(preset) {
+        this.preset = preset;
+        this.renderToolbar();
+
+        if (preset === 'custom') {
+            const fields = this.container.querySelector('#history-range').elements;
+            if (!fields.from.value) {
+                fields.from.value = toLocalInput(rangeFor('today', this.app.session).from);
+            }
+            fields.from.focus();
+            return;
+        }
+
+        this.load(rangeFor(preset, this.app.session));
+    }
+
+    setSort(key) {
+        this.sort = this.sort.key === key
+            ? { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'desc' };
+        this.renderToolbar();
+        this.renderRows();
+    }
+
+    reload() {
+        if (this.preset !== 'custom') {
+            this.load(rangeFor(this.preset, this.app.session));
+        } else if (this.range) {
+            this.load(this.range);
+        }
+    }
+
+    async load(range) {
+        this.range = range;
+        this.loading = true;
+        this.renderRows();
+
+        try {
+            this.sales = await fetchSales(this.client, {
+                from: range.from.toISOString(),
+                to: range.to.toISOString()
+            });
+        } catch (error) {
+            this.sales = [];
+            this.app.showToast(`Could not load sales: ${error.message}`, 'error');
+        } finally {
+            this.loading = false;
+            this.renderRows();
+        }
+    }
+
+    /**
+     * Export what the table shows: the loaded range, status filter and sort order
+     */
+    exportSales(format) {
+        const sales = this.visibleSales;
+        if (this.loading || !sales.length) {
+            this.app.showToast('There are no sales to export', 'warning');
+            return;
+        }
+        exportSales(sales, format, { range: this.range, settings: this.app.settings });
+    }
+
+    select(saleId) {
+        this.selected = saleId === null ? null : this.sales.find(sale => sale.id === saleId) || null;
+        this.renderDrawer();
+    }
+
+    /**
+     * Call a per-sale route and apply the result to the list (null = removed)
+     */
+    async runSaleAction(button, request, verb) {
+        const saleId = this.selected.id;
+        button.disabled = true;
+
+        try {
+            const updated = await request();
+            this.sales = updated
+                ? this.sales.map(sale => sale.id === saleId ? updated : sale)
+                : this.sales.filter(sale => sale.id !== saleId);
+            this.app.showToast(`Sale #${saleId} ${verb}`, 'success');
+            this.renderRows();
+            this.select(updated ? saleId : null);
+        } catch (error) {
+            this.app.showToast(`Sale #${saleId} could not be ${verb}: ${error.message}`, 'error');
+            button.disabled = false;
+        }
+    }
+}
+
+/**
+ * Value for a datetime-local input in the browser's time zone
+ */
+export function toLocalInput(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
@@ -0,0 +1,583 @@
+/**
+ * StorePOS Point of Sale - Product import view
+ *
+ * Loads a CSV or XLSX catalogue, maps its columns to ProductCreateDto fields
+ * and validates every row against the file itself and the existing catalogue.
+ * The preview sorts rows into creates (POST /api/products), updates matched by
+ * SKU (PUT /api/products/{id}), unchanged rows and errors; the import then
+ * sends the rows one at a time and offers the failures as a CSV report.
+ */
+
+import { StorePosApiError } from '../../../sdk/storepos-client.js';
+import { IMPORT_THROTTLE_MS } from './config.js';
+import { readSpreadsheet, toCsv } from './spreadsheet.js';
+import { escapeHtml, downloadFile } from './utils.js';
+
+// GET /api/products returns at most this many products (ProductService.SearchAsync)
+const PRODUCTS_PAGE_SIZE = 100;
+
+// ProductCreateDto fields, with the header spellings recognised automatically
+const IMPORT_FIELDS = [
+    { key: 'sku', label: 'SKU', type: 'text', required: true, aliases: ['sku', 'code', 'itemcode'] },
+    { key: 'barcode', label: 'Barcode', type: 'text', aliases: ['barcode', 'ean', 'upc', 'gtin'] },
+    { key: 'name', label: 'Name', type: 'text', required: true, aliases: ['name', 'productname', 'description', 'title'] },
+    { key: 'category', label: 'Category', type: 'text', required: true, aliases: ['category', 'categoryname', 'department'] },
+    { key: 'price', label: 'Price', type: 'money', required: true, aliases: ['price', 'saleprice', 'retailprice', 'unitprice'] },
+    { key: 'cost', label: 'Cost', type: 'money', defaultValue: 0, aliases: ['cost', 'costprice', 'purchaseprice'] },
+    { key: 'stockQty', label: 'Stock qty', type: 'integer', defaultValue: 0, aliases: ['stockqty', 'stock', 'qty', 'quantity', 'onhand'] },
+    { key: 'isActive', label: 'Active', type: 'boolean', defaultValue: true, aliases: ['isactive', 'active', 'enabled'] }
+];
+
+const STATUS_STYLES = {
+    create: { label: 'Create', classes: 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200' },
+    update: { label: 'Update', classes: 'bg-primary-100 text-primary-800 dark:bg-primary-900/40 dark:text-primary-200' },
+    unchanged: { label: 'Unchanged', classes: 'bg-secondary-100 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-200' },
+    error: { label: 'Error', classes: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200' }
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export class ProductImportView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.reset();
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    reset() {
+        this.fileName = null;
+        this.headers = [];
+        this.rows = [];
+        this.mapping = {};
+        this.plan = [];
+        this.filter = 'all';
+        this.lookups = { bySku: new Map(), byBarcode: new Map(), categories: new Set(), checked: null, complete: false };
+        this.lookupError = null;
+        this.analyzing = false;
+        this.importing = false;
+        this.cancelled = false;
+        this.progress = null;
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        this.initializeEventListeners();
+        this.render();
+    }
+
+    render() {
+        if (!this.fileName) {
+            this.container.innerHTML = this.renderFilePicker();
+        } else if (this.progress) {
+            this.container.innerHTML = this.renderProgress();
+        } else {
+            this.container.innerHTML = this.renderPreview();
+        }
+    }
+
+    renderFilePicker() {
+        return `
+            <section class="max-w-2xl mx-auto bg-white dark:bg-secondary-800 rounded-lg shadow-md p-8 text-center">
+                <label data-drop-zone class="block border-2 border-dashed border-secondary-300 dark:border-secondary-600 rounded-lg p-10 cursor-pointer hover:border-primary-500 transition-colors">
+                    <i class="fas fa-file-import text-4xl text-secondary-400 mb-3"></i>
+                    <p class="font-medium dark:text-white">Drop a CSV or Excel (.xlsx) file here, or click to choose one</p>
+                    <p class="text-sm text-secondary-500 dark:text-secondary-400 mt-1">The first row must contain column headers. Only the first worksheet is read.</p>
+                    <input type="file" id="import-file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" class="sr-only">
+                </label>
+                <button type="button" data-action="download-template" class="mt-4 text-sm text-primary-600 hover:text-primary-500 font-medium">
+                    <i class="fas fa-download mr-1"></i>Download a CSV template
+                </button>
+            </section>
+        `;
+    }
+
+    renderPreview() {
+        const counts = Object.fromEntries(Object.keys(STATUS_STYLES).map(status => [status, this.plan.filter(row => row.status === status).length]));
+        const pending = counts.create + counts.update;
+        const rows = this.filter === 'all' ? this.plan : this.plan.filter(row => row.status === this.filter);
+        const selectClass = 'mt-1 w-full px-2 py-1 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+
+        return `
+            <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6 space-y-6">
+                <div class="flex flex-wrap items-center justify-between gap-4">
+                    <h2 class="text-lg font-semibold dark:text-white"><i class="fas fa-file-lines mr-2"></i>${escapeHtml(this.fileName)}
+                        <span class="ml-2 text-sm font-normal text-secondary-500">${this.rows.length} data rows</span>
+                    </h2>
+                    <div class="flex gap-2">
+                        <button type="button" data-action="choose-another" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">Choose another file</button>
+                        <button type="button" data-action="start-import" ${pending && !this.analyzing && !this.lookupError ? '' : 'disabled'}
+                            class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 text-white disabled:opacity-50 disabled:cursor-not-allowed">
+                            <i class="fas fa-upload mr-1"></i>Import ${pending} ${pending === 1 ? 'product' : 'products'}
+                        </button>
+                    </div>
+                </div>
+
+                ${this.lookupError ? `
+                    <div class="flex flex-wrap items-center justify-between gap-3 p-3 rounded-md bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 text-sm text-red-800 dark:text-red-200">
+                        <span><i class="fas fa-circle-exclamation mr-1"></i>Could not check the rows against existing products (${escapeHtml(this.lookupError)}). Without that check updates and duplicate barcodes cannot be told apart from new products, so the import is blocked.</span>
+                        <button type="button" data-action="retry-analysis" class="px-3 py-1 rounded-md bg-red-600 hover:bg-red-700 text-white">Try again</button>
+                    </div>
+                ` : ''}
+
+                <div>
+                    <h3 class="text-sm font-semibold mb-2 dark:text-white">Column mapping</h3>
+                    <div id="import-mapping" class="grid sm:grid-cols-4 lg:grid-cols-8 gap-3">
+                        ${IMPORT_FIELDS.map(field => `
+                            <label class="text-xs text-secondary-600 dark:text-secondary-300">${field.label}${field.required ? ' *' : ''}
+                                <select name="${field.key}" class="${selectClass}">
+                                    <option value="-1">— not mapped —</option>
+                                    ${this.headers.map((header, index) => `
+                                        <option value="${index}" ${this.mapping[field.key] === index ? 'selected' : ''}>${escapeHtml(header || `Column ${index + 1}`)}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="mt-2 text-xs text-secondary-500 dark:text-secondary-400">
+                        Rows are matched to existing products by SKU. Blank cells keep the existing value on updates.
+                        Categories must already exist in the API.
+                    </p>
+                </div>
+
+                <div>
+                    <div class="flex flex-wrap gap-2 mb-3 text-sm">
+                        ${[['all', `All (${this.plan.length})`], ...Object.entries(STATUS_STYLES).map(([status, style]) => [status, `${style.label} (${counts[status]})`])].map(([id, label]) => `
+                            <button type="button" data-filter="${id}" class="px-3 py-1 rounded-full border ${this.filter === id ? 'bg-primary-600 border-primary-600 text-white' : 'border-secondary-300 dark:border-secondary-600 dark:text-secondary-200'}">${label}</button>
+                        `).join('')}
+                        ${this.analyzing ? '<span class="ml-2 self-center text-secondary-500 loading"><i class="fas fa-spinner fa-spin mr-1"></i>Checking against the catalogue...</span>' : ''}
+                    </div>
+                    <div class="overflow-x-auto max-h-[28rem] overflow-y-auto">
+                        <table class="w-full text-sm">
+                            <thead class="sticky top-0 bg-white dark:bg-secondary-800">
+                                <tr class="text-left border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                                    <th class="py-2 pr-4">Row</th><th class="py-2 pr-4">Status</th><th class="py-2 pr-4">SKU</th><th class="py-2 pr-4">Name</th><th class="py-2">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map(row => this.renderPlanRow(row)).join('') || '<tr><td colspan="5" class="py-6 text-center text-secondary-500">No rows.</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    renderPlanRow(row) {
+        const style = STATUS_STYLES[row.status];
+        const details = row.errors.length
+            ? row.errors.map(error => `<div class="text-red-600 dark:text-red-400">${escapeHtml(error)}</div>`).join('')
+            : row.changes.map(change => `
+                <div class="dark:text-secondary-200">${escapeHtml(change.label)}:
+                    ${change.from === undefined ? '' : `<span class="line-through text-secondary-400">${escapeHtml(change.from)}</span> →`}
+                    <span class="font-medium">${escapeHtml(change.to)}</span>
+                </div>
+            `).join('');
+        const warnings = row.warnings.map(warning => `<div class="text-orange-600 dark:text-orange-400"><i class="fas fa-triangle-exclamation mr-1"></i>${escapeHtml(warning)}</div>`).join('');
+
+        return `
+            <tr class="border-b border-secondary-100 dark:border-secondary-700 align-top">
+                <td class="py-2 pr-4 text-secondary-500">${row.rowNumber}</td>
+                <td class="py-2 pr-4"><span class="px-2 py-0.5 text-xs font-medium rounded-full ${style.classes}">${style.label}</span></td>
+                <td class="py-2 pr-4 font-mono dark:text-secondary-200">${escapeHtml(row.dto.sku || '')}</td>
+                <td class="py-2 pr-4 dark:text-white">${escapeHtml(row.dto.name || '')}</td>
+                <td class="py-2 text-xs space-y-0.5">${details}${warnings}</td>
+            </tr>
+        `;
+    }
+
+    renderProgress() {
+        const { done, total, succeeded, failed } = this.progress;
+        const percent = total ? Math.round(done / total * 100) : 100;
+        const finished = !this.importing;
+
+        return `
+            <section class="max-w-2xl mx-auto bg-white dark:bg-secondary-800 rounded-lg shadow-md p-8 space-y-4">
+                <h2 class="text-lg font-semibold dark:text-white">
+                    ${finished ? '<i class="fas fa-circle-check text-accent-600 mr-2"></i>Import finished' : '<i class="fas fa-spinner fa-spin mr-2"></i>Importing products...'}
+                </h2>
+                <div class="w-full h-3 bg-secondary-100 dark:bg-secondary-700 rounded-full overflow-hidden">
+                    <div class="h-full bg-primary-600 transition-all" style="width: ${percent}%"></div>
+                </div>
+                <p class="text-sm dark:text-secondary-200">
+                    ${done} of ${total} sent · <span class="text-accent-700 dark:text-accent-300">${succeeded} succeeded</span> ·
+                    <span class="${failed ? 'text-red-600' : ''}">${failed} failed</span>
+                    ${this.cancelled ? ' · stopped before the end' : ''}
+                </p>
+                <div class="flex justify-end gap-2">
+                    ${finished ? `
+                        ${this.failedRows.length ? `
+                            <button type="button" data-action="download-errors" class="px-4 py-2 text-sm rounded-md bg-red-600 hover:bg-red-700 text-white">
+                                <i class="fas fa-download mr-1"></i>Download error report (${this.failedRows.length})
+                            </button>
+                        ` : ''}
+                        <button type="button" data-action="choose-another" class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 text-white">Import another file</button>
+                    ` : `
+                        <button type="button" data-action="stop-import" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">Stop</button>
+                    `}
+                </div>
+            </section>
+        `;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.addEventListener('change', (e) => {
+            if (e.target.id === 'import-file' && e.target.files[0]) {
+                this.loadFile(e.target.files[0]);
+            } else if (e.target.closest('#import-mapping')) {
+                this.mapping[e.target.name] = Number(e.target.value);
+                this.analyze();
+            }
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            if (e.target.closest('[data-drop-zone]')) e.preventDefault();
+        });
+        this.container.addEventListener('drop', (e) => {
+            if (!e.target.closest('[data-drop-zone]')) return;
+            e.preventDefault();
+            if (e.dataTransfer.files[0]) this.loadFile(e.dataTransfer.files[0]);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action], [data-filter]');
+            if (!target) return;
+
+            if (target.dataset.filter) {
+                this.filter = target.dataset.filter;
+                this.render();
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'download-template':
+                    downloadFile(toCsv([IMPORT_FIELDS.map(field => field.key)]), 'products-template.csv', 'text/csv');
+                    break;
+                case 'choose-another':
+                    this.reset();
+                    this.render();
+                    break;
+                case 'retry-analysis':
+                    this.analyze();
+                    break;
+                case 'start-import':
+                    this.runImport();
+                    break;
+                case 'stop-import':
+                    this.cancelled = true;
+                    break;
+                case 'download-errors':
+                    this.downloadErrorReport();
+                    break;
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // ANALYSIS
+    // -------------------------------------------------------------------------
+
+    async loadFile(file) {
+        try {
+            const [headers = [], ...rows] = await readSpreadsheet(file);
+            if (!rows.length) {
+                this.app.showToast(`${file.name} has no data rows`, 'warning');
+                return;
+            }
+
+            this.fileName = file.name;
+            this.headers = headers.map(header => String(header).trim());
+            this.rows = rows;
+            this.mapping = this.guessMapping(this.headers);
+            await this.analyze();
+        } catch (error) {
+            this.app.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    guessMapping(headers) {
+        const normalized = headers.map(normalizeHeader);
+        return Object.fromEntries(IMPORT_FIELDS.map(field => [
+            field.key,
+            normalized.findIndex(header => field.aliases.includes(header))
+        ]));
+    }
+
+    /**
+     * Validate every row and classify it as create, update, unchanged or error.
+     * If the catalogue cannot be read the rows stay unclassified and the
+     * import is blocked until the check succeeds.
+     */
+    async analyze() {
+        this.analyzing = true;
+        this.lookupError = null;
+        this.plan = this.rows.map((cells, index) => this.parseRow(cells, index + 2));
+        this.render();
+
+        try {
+            await this.lookupExisting(this.plan);
+        } catch (error) {
+            if (!(error instanceof StorePosApiError)) this.app.sync.setOnline(false);
+            this.lookupError = error.message;
+            this.analyzing = false;
+            this.render();
+            return;
+        }
+
+        const seenSkus = new Map();
+        const seenBarcodes = new Map();
+
+        this.plan.forEach(row => {
+            const { dto } = row;
+            const existing = dto.sku ? this.lookups.bySku.get(dto.sku.toLowerCase()) : null;
+
+            if (dto.sku) {
+                const key = dto.sku.toLowerCase();
+                if (seenSkus.has(key)) row.errors.push(`Duplicate SKU in file (also on row ${seenSkus.get(key)})`);
+                else seenSkus.set(key, row.rowNumber);
+            }
+
+            if (dto.barcode) {
+                if (seenBarcodes.has(dto.barcode)) row.errors.push(`Duplicate barcode in file (also on row ${seenBarcodes.get(dto.barcode)})`);
+                else seenBarcodes.set(dto.barcode, row.rowNumber);
+
+                const owner = this.lookups.byBarcode.get(dto.barcode);
+                if (owner && owner.sku.toLowerCase() !== dto.sku?.toLowerCase()) {
+                    row.errors.push(`Barcode ${dto.barcode} already belongs to ${owner.sku} (${owner.name})`);
+                }
+            }
+
+            if (existing) {
+                row.existing = existing;
+                IMPORT_FIELDS.forEach(field => {
+                    if (row.provided.has(field.key)) {
+                        if (String(dto[field.key]) !== String(existing[field.key])) {
+                            row.changes.push({ label: field.label, from: String(existing[field.key]), to: String(dto[field.key]) });
+                        }
+                    } else {
+                        dto[field.key] = existing[field.key];
+                    }
+                });
+            } else {
+                IMPORT_FIELDS.forEach(field => {
+                    if (row.provided.has(field.key)) {
+                        row.changes.push({ label: field.label, to: String(dto[field.key]) });
+                    } else if (field.required && !row.invalid.has(field.key)) {
+                        row.errors.push(`${field.label} is required for new products`);
+                    } else {
+                        dto[field.key] = field.defaultValue;
+                    }
+                });
+            }
+
+            if (dto.category && this.lookups.categories.size && !this.lookups.categories.has(dto.category.toLowerCase())) {
+                row.warnings.push(`Category "${dto.category}" is not used by any existing product; it must exist in the API`);
+            }
+
+            row.status = row.errors.length ? 'error' : !existing ? 'create' : row.changes.length ? 'update' : 'unchanged';
+        });
+
+        this.analyzing = false;
+        this.render();
+    }
+
+    /**
+     * Convert mapped cells to typed ProductCreateDto values. Blank cells are
+     * left out of row.provided so updates keep the existing value.
+     */
+    parseRow(cells, rowNumber) {
+        const row = { rowNumber, cells, dto: {}, provided: new Set(), invalid: new Set(), errors: [], warnings: [], changes: [], status: 'error', existing: null };
+
+        IMPORT_FIELDS.forEach(field => {
+            const column = this.mapping[field.key];
+            const raw = column >= 0 ? String(cells[column] ?? '').trim() : '';
+            if (raw === '') return;
+
+            const value = parseValue(field.type, raw);
+            if (value === undefined) {
+                row.errors.push(`${field.label}: "${raw}" is not ${describeType(field.type)}`);
+                row.invalid.add(field.key);
+                return;
+            }
+            row.dto[field.key] = value;
+            row.provided.add(field.key);
+        });
+
+        return row;
+    }
+
+    /**
+     * Fill the SKU/barcode lookups. A catalogue under the API's page size is
+     * fetched in one call; larger ones are searched row by row.
+     */
+    async lookupExisting(plan) {
+        const remember = (product) => {
+            this.lookups.bySku.set(product.sku.toLowerCase(), product);
+            if (product.barcode) this.lookups.byBarcode.set(product.barcode, product);
+            this.lookups.categories.add(product.category.toLowerCase());
+        };
+
+        if (!this.lookups.checked) {
+            const all = await this.client.products.list();
+            all.forEach(remember);
+            this.lookups.complete = all.length < PRODUCTS_PAGE_SIZE;
+            this.lookups.checked = new Set();
+        }
+        if (this.lookups.complete) return;
+
+        for (const row of plan) {
+            const { sku, barcode } = row.dto;
+
+            if (sku && !this.lookups.checked.has(`sku:${sku.toLowerCase()}`)) {
+                (await this.client.products.list({ q: sku })).forEach(remember);
+                this.lookups.checked.add(`sku:${sku.toLowerCase()}`);
+            }
+            if (barcode && !this.lookups.checked.has(`barcode:${barcode}`)) {
+                try {
+                    remember(await this.client.products.byBarcode(barcode));
+                } catch (error) {
+                    if (error.status !== 404) throw error;
+                }
+                this.lookups.checked.add(`barcode:${barcode}`);
+            }
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // IMPORT
+    // -------------------------------------------------------------------------
+
+    get failedRows() {
+        return this.plan.filter(row => row.status === 'error' || row.importError);
+    }
+
+    /**
+     * Send creates and updates one at a time, pausing between calls
+     */
+    async runImport() {
+        const queue = this.plan.filter(row => row.status === 'create' || row.status === 'update');
+        this.importing = true;
+        this.cancelled = false;
+        this.progress = { done: 0, total: queue.length, succeeded: 0, failed: 0 };
+        this.render();
+
+        for (const row of queue) {
+            if (this.cancelled) break;
+
+            try {
+                const { sku, barcode, name, category, price, cost, stockQty, isActive } = row.status === 'create'
+                    ? row.dto
+                    : await this.currentValues(row);
+                const dto = { sku, barcode: barcode || '', name, category, price, cost, stockQty, isActive };
+
+                row.result = row.status === 'create'
+                    ? await this.client.products.create(dto)
+                    : await this.client.products.update(row.existing.id, dto);
+                this.progress.succeeded++;
+            } catch (error) {
+                row.importError = error.message;
+                this.progress.failed++;
+
+                // Everything after this would fail the same way
+                if (!(error instanceof StorePosApiError)) {
+                    this.cancelled = true;
+                    this.app.showToast('Import stopped: the API is unreachable', 'error');
+                }
+            }
+
+            this.progress.done++;
+            this.render();
+            await new Promise(resolve => setTimeout(resolve, IMPORT_THROTTLE_MS));
+        }
+
+        this.importing = false;
+        this.render();
+        this.app.showToast(`Imported ${this.progress.succeeded} of ${this.progress.total} products`, this.progress.failed ? 'warning' : 'success');
+    }
+
+    /**
+     * Values for a PUT, which replaces every field: the file's cells, and for
+     * the columns it leaves out the product as it is now rather than at
+     * analysis, so stock sold or adjusted since the preview is not undone
+     */
+    async currentValues(row) {
+        const { id, sku, barcode } = row.existing;
+        let current = null;
+        if (barcode) {
+            try {
+                current = await this.client.products.byBarcode(barcode);
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+        if (current?.id !== id) {
+            current = (await this.client.products.list({ q: sku })).find(product => product.id === id);
+        }
+        if (!current) {
+            throw new StorePosApiError(`Product ${sku} no longer exists or is inactive`, 404);
+        }
+
+        return Object.fromEntries(IMPORT_FIELDS.map(field => [
+            field.key,
+            row.provided.has(field.key) ? row.dto[field.key] : current[field.key]
+        ]));
+    }
+
+    /**
+     * The file's own columns for each failed row, plus its row number and the reason
+     */
+    downloadErrorReport() {
+        const report = [
+            ['Row', ...this.headers, 'Error'],
+            ...this.failedRows.map(row => [
+                row.rowNumber,
+                ...this.headers.map((_, index) => row.cells[index] ?? ''),
+                row.importError || row.errors.join('; ')
+            ])
+        ];
+        const baseName = this.fileName.replace(/\.[^.]+$/, '');
+        downloadFile(toCsv(report), `${baseName}-errors.csv`, 'text/csv');
+    }
+}
+
+function parseValue(type, raw) {
+    switch (type) {
+        case 'money': {
+            // Accept thousands separators ("1,800.50") but not decimal commas
+            const text = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(raw) ? raw.replace(/,/g, '') : raw;
+            const value = Number(text);
+            return Number.isFinite(value) && value >= 0 ? Math.round(value * 100) / 100 : undefined;
+        }
+        case 'integer': {
+            const value = Number(raw);
+            return Number.isInteger(value) && value >= 0 ? value : undefined;
+        }
+        case 'boolean': {
+            const value = raw.toLowerCase();
+            if (['true', 'yes', 'y', '1', 'active'].includes(value)) return true;
+            if (['false', 'no', 'n', '0', 'inactive'].includes(value)) return false;
+            return undefined;
+        }
+        default:
+            return raw;
+    }
+}
+
+function describeType(type) {
+    return {
+        money: 'an amount of 0 or more',
+        integer: 'a whole number of 0 or more',
+        boolean: 'yes/no (true/false)'
+    }[type] || 'valid';
+}
@@ -0,0 +1,424 @@
+/**
+ * StorePOS Point of Sale - Inventory view
+ *
+ * Product grid over GET /api/products with search, category grouping and
+ * sortable columns. Managers edit rows in place (PUT /api/products/{id}) and
+ * nudge stock with the update-stock route; stock changes go through the sync
+ * service so they are queued while the API is unreachable.
+ */
+
+import { PRODUCT_ACCESS, SEARCH_DEBOUNCE_MS } from './config.js';
+import { exportProducts, renderExportButtons } from './export.js';
+import { escapeHtml, formatMoney, debounce, saveSettings } from './utils.js';
+
+// GET /api/products returns at most this many products (ProductService.SearchAsync)
+const PRODUCTS_PAGE_SIZE = 100;
+
+const COLUMNS = [
+    { key: 'name', label: 'Product' },
+    { key: 'category', label: 'Category' },
+    { key: 'price', label: 'Price', numeric: true },
+    { key: 'cost', label: 'Cost', numeric: true },
+    { key: 'stockQty', label: 'Stock', numeric: true }
+];
+
+export class InventoryView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.products = [];
+        this.query = '';
+        this.sort = { key: 'name', direction: 'asc' };
+        this.groupByCategory = false;
+        this.lowStockOnly = false;
+        this.editingId = null;
+        this.busyIds = new Set();
+
+        this.search = debounce((query) => this.load(query), SEARCH_DEBOUNCE_MS);
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    get canEdit() {
+        return this.app.session.canAccess(PRODUCT_ACCESS.edit);
+    }
+
+    get threshold() {
+        return Number(this.app.settings.lowStockThreshold) || 0;
+    }
+
+    activate() {
+        if (this.editingId === null) {
+            this.load(this.query);
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        const inputClass = 'px-2 py-1 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+
+        this.container.innerHTML = `
+            <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                <div class="flex flex-wrap items-center gap-4 mb-4 text-sm dark:text-secondary-200">
+                    <div class="relative flex-1 min-w-[16rem]">
+                        <input type="search" id="inventory-search" autocomplete="off" placeholder="Search by name, SKU or barcode"
+                            class="w-full px-3 py-2 pl-9 border border-secondary-300 dark:border-secondary-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                        <i class="fas fa-magnifying-glass absolute left-3 top-3 text-secondary-400"></i>
+                    </div>
+                    <label class="flex items-center gap-1"><input type="checkbox" name="groupByCategory"> Group by category</label>
+                    <label class="flex items-center gap-1"><input type="checkbox" name="lowStockOnly"> Low stock only</label>
+                    <label class="flex items-center gap-2">Low stock at or below
+                        <input type="number" name="lowStockThreshold" min="0" step="1" value="${this.threshold}" class="${inputClass} w-20">
+                    </label>
+                    ${this.canEdit ? `
+                        <label class="flex items-center gap-2">Step
+                            <input type="number" name="stockStep" min="1" step="1" value="1" class="${inputClass} w-16">
+                        </label>
+                    ` : ''}
+                    <div class="ml-auto">${renderExportButtons()}</div>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                                ${COLUMNS.map(column => `
+                                    <th class="py-2 pr-4 ${column.numeric ? 'text-right' : ''}">
+                                        <button type="button" data-sort="${column.key}" class="font-medium hover:text-secondary-800 dark:hover:text-secondary-100">${column.label}<i class="fas ml-1 text-xs"></i></button>
+                                    </th>
+                                `).join('')}
+                                <th class="py-2 text-right">${this.canEdit ? 'Actions' : ''}</th>
+                            </tr>
+                        </thead>
+                        <tbody id="inventory-rows"></tbody>
+                    </table>
+                </div>
+                <p id="inventory-summary" class="mt-4 text-sm text-secondary-600 dark:text-secondary-300"></p>
+                <datalist id="inventory-categories"></datalist>
+            </section>
+        `;
+
+        this.initializeEventListeners();
+        this.load('');
+    }
+
+    /**
+     * Products after the low-stock filter, sorted by the chosen column
+     */
+    get visibleProducts() {
+        const { key, direction } = this.sort;
+        const factor = direction === 'asc' ? 1 : -1;
+
+        return this.products
+            .filter(product => !this.lowStockOnly || product.stockQty <= this.threshold)
+            .sort((a, b) => {
+                const order = typeof a[key] === 'number' ? a[key] - b[key] : String(a[key]).localeCompare(String(b[key]));
+                return order * factor || a.name.localeCompare(b.name);
+            });
+    }
+
+    render() {
+        const rowsEl = this.container.querySelector('#inventory-rows');
+        if (!rowsEl) return;
+
+        this.container.querySelectorAll('[data-sort]').forEach(button => {
+            const active = button.dataset.sort === this.sort.key;
+            button.querySelector('i').className = `fas ml-1 text-xs ${active ? (this.sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort text-secondary-300'}`;
+        });
+
+        const products = this.visibleProducts;
+        const colspan = COLUMNS.length + 1;
+
+        if (!products.length) {
+            rowsEl.innerHTML = `<tr><td colspan="${colspan}" class="py-6 text-center text-secondary-500 dark:text-secondary-400">No products found.</td></tr>`;
+        } else if (this.groupByCategory) {
+            const groups = new Map();
+            products.forEach(product => {
+                if (!groups.has(product.category)) groups.set(product.category, []);
+                groups.get(product.category).push(product);
+            });
+
+            rowsEl.innerHTML = [...groups.keys()].sort((a, b) => a.localeCompare(b)).map(category => {
+                const items = groups.get(category);
+                const units = items.reduce((sum, product) => sum + product.stockQty, 0);
+                return `
+                    <tr class="bg-secondary-50 dark:bg-secondary-900/60">
+                        <td colspan="${colspan}" class="py-2 px-2 font-semibold dark:text-white">
+                            ${escapeHtml(category)}
+                            <span class="ml-2 text-xs font-normal text-secondary-500">${items.length} ${items.length === 1 ? 'product' : 'products'} · ${units} in stock</span>
+                        </td>
+                    </tr>
+                    ${items.map(product => this.renderRow(product)).join('')}
+                `;
+            }).join('');
+        } else {
+            rowsEl.innerHTML = products.map(product => this.renderRow(product)).join('');
+        }
+
+        const low = this.products.filter(product => product.stockQty <= this.threshold).length;
+        this.container.querySelector('#inventory-summary').innerHTML = `
+            ${this.products.length} ${this.products.length === 1 ? 'product' : 'products'}${this.products.length >= PRODUCTS_PAGE_SIZE ? ' (the API returns the first 100 matches; refine the search to see others)' : ''} ·
+            <span class="${low ? 'text-orange-600 dark:text-orange-400 font-medium' : ''}">${low} at or below the low-stock level</span>
+        `;
+
+        this.container.querySelector('#inventory-categories').innerHTML = [...new Set(this.products.map(product => product.category))]
+            .map(category => `<option value="${escapeHtml(category)}">`).join('');
+    }
+
+    renderRow(product) {
+        if (product.id === this.editingId) {
+            return this.renderEditRow(product);
+        }
+
+        const stockClass = product.stockQty <= 0
+            ? 'text-red-600 font-semibold'
+            : product.stockQty <= this.threshold ? 'text-orange-600 dark:text-orange-400 font-semibold' : '';
+        const rowClass = product.stockQty <= this.threshold ? 'bg-orange-50/60 dark:bg-orange-900/10' : '';
+        const busy = this.busyIds.has(product.id);
+
+        return `
+            <tr data-product-id="${product.id}" class="border-b border-secondary-100 dark:border-secondary-700 dark:text-secondary-200 ${rowClass}">
+                <td class="py-2 pr-4">
+                    <div class="font-medium dark:text-white">${escapeHtml(product.name)}</div>
+                    <div class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(product.sku)} · ${escapeHtml(product.barcode)}</div>
+                </td>
+                <td class="py-2 pr-4">${escapeHtml(product.category)}</td>
+                <td class="py-2 pr-4 text-right">${formatMoney(product.price)}</td>
+                <td class="py-2 pr-4 text-right text-secondary-500 dark:text-secondary-400">${formatMoney(product.cost)}</td>
+                <td class="py-2 pr-4 text-right ${stockClass}">
+                    ${product.stockQty <= this.threshold ? '<i class="fas fa-triangle-exclamation mr-1" title="Low stock"></i>' : ''}${product.stockQty}
+                </td>
+                <td class="py-2 text-right whitespace-nowrap">
+                    ${this.canEdit ? `
+                        <button type="button" data-action="stock-decrease" ${busy || product.stockQty <= 0 ? 'disabled' : ''} title="Decrease stock"
+                            class="w-7 h-7 rounded bg-secondary-100 dark:bg-secondary-700 disabled:opacity-40"><i class="fas fa-minus"></i></button>
+                        <button type="button" data-action="stock-increase" ${busy ? 'disabled' : ''} title="Increase stock"
+                            class="w-7 h-7 rounded bg-secondary-100 dark:bg-secondary-700 disabled:opacity-40"><i class="fas fa-plus"></i></button>
+                        <button type="button" data-action="edit-product" ${this.editingId !== null ? 'disabled' : ''} title="Edit"
+                            class="ml-2 text-primary-600 hover:text-primary-500 disabled:opacity-40"><i class="fas fa-pen"></i></button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Inline form with every ProductUpdateDto field
+     */
+    renderEditRow(product) {
+        const inputClass = 'w-full px-2 py-1 text-sm border border-secondary-300 dark:border-secondary-600 rounded dark:bg-secondary-900 dark:text-white';
+
+        return `
+            <tr data-product-id="${product.id}" data-editing class="border-b border-secondary-100 dark:border-secondary-700 bg-primary-50/50 dark:bg-primary-900/20">
+                <td class="py-2 pr-4 space-y-1">
+                    <input name="name" required value="${escapeHtml(product.name)}" aria-label="Name" class="${inputClass}">
+                    <div class="flex gap-1">
+                        <input name="sku" required value="${escapeHtml(product.sku)}" aria-label="SKU" class="${inputClass}">
+                        <input name="barcode" value="${escapeHtml(product.barcode)}" aria-label="Barcode" class="${inputClass}">
+                    </div>
+                </td>
+                <td class="py-2 pr-4">
+                    <input name="category" required list="inventory-categories" value="${escapeHtml(product.category)}" aria-label="Category" class="${inputClass}">
+                </td>
+                <td class="py-2 pr-4"><input name="price" type="number" min="0" step="0.01" value="${product.price}" aria-label="Price" class="${inputClass} text-right"></td>
+                <td class="py-2 pr-4"><input name="cost" type="number" min="0" step="0.01" value="${product.cost}" aria-label="Cost" class="${inputClass} text-right"></td>
+                <td class="py-2 pr-4"><input name="stockQty" type="number" min="0" step="1" value="${product.stockQty}" aria-label="Stock" class="${inputClass} text-right"></td>
+                <td class="py-2 text-right whitespace-nowrap text-sm dark:text-secondary-200">
+                    <label class="mr-2"><input type="checkbox" name="isActive" ${product.isActive !== false ? 'checked' : ''}> Active</label>
+                    <button type="button" data-action="save-product" class="px-2 py-1 rounded bg-primary-600 hover:bg-primary-700 text-white disabled:opacity-50">Save</button>
+                    <button type="button" data-action="cancel-edit" class="px-2 py-1 rounded bg-secondary-100 dark:bg-secondary-700">Cancel</button>
+                    <p data-row-error class="hidden mt-1 text-xs text-red-600 whitespace-normal text-left"></p>
+                </td>
+            </tr>
+        `;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.querySelector('#inventory-search').addEventListener('input', (e) => this.search(e.target.value));
+
+        this.container.addEventListener('change', (e) => {
+            const { name } = e.target;
+            if (name === 'groupByCategory' || name === 'lowStockOnly') {
+                this[name] = e.target.checked;
+                this.render();
+            } else if (name === 'lowStockThreshold') {
+                this.app.settings = saveSettings({ lowStockThreshold: Math.max(Math.floor(Number(e.target.value) || 0), 0) });
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-sort], [data-export], [data-action]');
+            if (!target) return;
+
+            if (target.dataset.sort) {
+                this.setSort(target.dataset.sort);
+                return;
+            }
+            if (target.dataset.export) {
+                this.exportProducts(target.dataset.export);
+                return;
+            }
+
+            const productId = Number(target.closest('[data-product-id]')?.dataset.productId);
+            switch (target.dataset.action) {
+                case 'stock-increase':
+                    this.adjustStock(productId, 'Increase');
+                    break;
+                case 'stock-decrease':
+                    this.adjustStock(productId, 'Decrease');
+                    break;
+                case 'edit-product':
+                    this.editingId = productId;
+                    this.render();
+                    this.container.querySelector('[data-editing] [name="name"]').focus();
+                    break;
+                case 'save-product':
+                    this.saveProduct(target.closest('[data-editing]'));
+                    break;
+                case 'cancel-edit':
+                    this.editingId = null;
+                    this.render();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            const row = e.target.closest('[data-editing]');
+            if (!row) return;
+
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveProduct(row);
+            } else if (e.key === 'Escape') {
+                this.editingId = null;
+                this.render();
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    async load(query) {
+        this.query = query;
+
+        try {
+            this.products = await this.client.products.list({ q: query.trim() });
+        } catch (error) {
+            this.products = [];
+            this.app.showToast(`Could not load products: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    setSort(key) {
+        this.sort = this.sort.key === key
+            ? { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: COLUMNS.find(column => column.key === key).numeric ? 'desc' : 'asc' };
+        this.render();
+    }
+
+    /**
+     * Export the rows as shown: current search, low-stock filter and sort order
+     */
+    exportProducts(format) {
+        const products = this.visibleProducts;
+        if (!products.length) {
+            this.app.showToast('There are no products to export', 'warning');
+            return;
+        }
+        exportProducts(products, format, { settings: this.app.settings });
+    }
+
+    replaceProduct(updated) {
+        this.products = this.products.map(product => product.id === updated.id ? updated : product);
+    }
+
+    /**
+     * PUT /api/products/{id}/update-stock by the toolbar step; queued while offline
+     */
+    async adjustStock(productId, stockUpdate) {
+        const product = this.products.find(p => p.id === productId);
+        const stepInput = this.container.querySelector('[name="stockStep"]');
+        const amount = Math.max(Math.floor(Number(stepInput?.value) || 1), 1);
+        if (!product) return;
+
+        if (stockUpdate === 'Decrease' && amount > product.stockQty) {
+            this.app.showToast(`Only ${product.stockQty} of ${product.name} in stock`, 'warning');
+            return;
+        }
+
+        this.busyIds.add(productId);
+        this.render();
+
+        try {
+            const { queued, result } = await this.app.sync.submit({
+                type: 'stock',
+                payload: { productId, amount, stockUpdate },
+                meta: { productName: product.name }
+            });
+
+            if (queued) {
+                // Show the expected level until the queue replays
+                this.replaceProduct({ ...product, stockQty: product.stockQty + (stockUpdate === 'Increase' ? amount : -amount) });
+                this.app.showToast(`Offline: ${product.name} stock change queued`, 'warning');
+            } else {
+                this.replaceProduct(result);
+            }
+        } catch (error) {
+            this.app.showToast(`Stock update failed: ${error.message}`, 'error');
+        } finally {
+            this.busyIds.delete(productId);
+            this.render();
+        }
+    }
+
+    /**
+     * Send the edited row as a ProductUpdateDto
+     */
+    async saveProduct(row) {
+        const field = (name) => row.querySelector(`[name="${name}"]`);
+        const button = row.querySelector('[data-action="save-product"]');
+        const errorEl = row.querySelector('[data-row-error]');
+        const productId = Number(row.dataset.productId);
+
+        const dto = {
+            sku: field('sku').value.trim(),
+            barcode: field('barcode').value.trim(),
+            name: field('name').value.trim(),
+            category: field('category').value.trim(),
+            price: Number(field('price').value),
+            cost: Number(field('cost').value),
+            stockQty: Math.floor(Number(field('stockQty').value)),
+            isActive: field('isActive').checked
+        };
+
+        button.disabled = true;
+        try {
+            const updated = await this.client.products.update(productId, dto);
+            this.editingId = null;
+            if (updated.isActive) {
+                this.replaceProduct(updated);
+            } else {
+                // GET /api/products only lists active products
+                this.products = this.products.filter(product => product.id !== productId);
+            }
+            this.app.showToast(`Saved ${updated.name}`, 'success');
+            this.render();
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+            button.disabled = false;
+        }
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * StorePOS Point of Sale - Offline queue
+ *
+ * IndexedDB outbox for writes made while the API is unreachable. Entries are
+ * kept in submission order (auto-increment key) and scoped to the environment
+ * profile they were made against.
+ */
+
+import { OFFLINE_DB_NAME, OFFLINE_DB_VERSION } from './config.js';
+import { createClientId } from './utils.js';
+
+const OUTBOX_STORE = 'outbox';
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {number} seq - Submission order (IndexedDB key)
+ * @property {string} clientId - Client-generated identifier
+ * @property {string} environmentId - Environment profile the write belongs to
+ * @property {'sale'|'stock'} type
+ * @property {Object} payload - Request body plus any ids needed to replay it
+ * @property {Object} [meta] - Display data (e.g. cart lines with product names)
+ * @property {'pending'|'conflict'} status
+ * @property {string|null} error - Last conflict message
+ * @property {number} attempts
+ * @property {string} createdAt - ISO timestamp of the first attempt
+ */
+
+export class OfflineQueue {
+    constructor(environmentId) {
+        this.environmentId = environmentId;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single-store transaction and resolve with the request's result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = operation(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Persist a write for later replay
+     * @param {Object} operation - { type, payload, meta?, clientId?, attempts?, createdAt? }
+     * @returns {Promise<QueueEntry>}
+     */
+    async enqueue({ type, payload, meta = null, clientId = createClientId(), attempts = 0, createdAt = new Date().toISOString() }) {
+        const entry = {
+            clientId,
+            environmentId: this.environmentId,
+            type,
+            payload,
+            meta,
+            status: 'pending',
+            error: null,
+            attempts,
+            createdAt
+        };
+        entry.seq = await this.run('readwrite', store => store.add(entry));
+        return entry;
+    }
+
+    /**
+     * Entries for the current environment, oldest first
+     * @returns {Promise<QueueEntry[]>}
+     */
+    async list() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.filter(entry => entry.environmentId === this.environmentId);
+    }
+
+    async get(clientId) {
+        const entries = await this.list();
+        return entries.find(entry => entry.clientId === clientId) || null;
+    }
+
+    async update(entry) {
+        await this.run('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    async remove(entry) {
+        await this.run('readwrite', store => store.delete(entry.seq));
+    }
+}
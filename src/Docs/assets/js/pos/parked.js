@@ -0,0 +1,83 @@
+/**
+ * StorePOS Point of Sale - Parked sales
+ *
+ * A parked cart is a Pending sale (POST /api/sales) whose notes carry the
+ * register's reference. The register keeps the ids of the sales it parked
+ * (PosSession.parkedSaleIds) and reads each back with GET /api/sales/{id},
+ * dropping those that have since been completed, cancelled or deleted.
+ * Resuming edits the sale with PUT /api/sales/{id} and checkout completes it
+ * as usual.
+ */
+
+import { StorePosApiError } from '../../../sdk/storepos-client.js';
+import { fetchSales } from './history.js';
+import { PARKED_REFERENCE_PATTERN } from './sync.js';
+import { PARKED_SALES_LOOKBACK_DAYS } from './config.js';
+
+/**
+ * Notes for a parked sale: the cashier's note followed by the register reference
+ */
+export function parkedNotes(notes, registerId) {
+    return `${(notes || '').trim()} [parked:${registerId}]`.trim();
+}
+
+export function isParkedOn(sale, registerId) {
+    return sale.status === 'Pending' && sale.notes?.match(PARKED_REFERENCE_PATTERN)?.[1] === registerId;
+}
+
+/**
+ * Minutes since the sale was first parked
+ */
+export function parkedMinutes(sale, now = new Date()) {
+    return Math.floor((now - new Date(sale.createdAt)) / 60000);
+}
+
+export function formatParkedAge(minutes) {
+    const [days, hours, mins] = [Math.floor(minutes / 1440), Math.floor(minutes % 1440 / 60), minutes % 60];
+    if (days) return hours ? `${days} d ${hours} h` : `${days} d`;
+    if (hours) return mins ? `${hours} h ${mins} min` : `${hours} h`;
+    return `${mins} min`;
+}
+
+export function rememberParkedSale(session, saleId) {
+    const ids = session.parkedSaleIds || [];
+    if (!ids.includes(saleId)) session.parkedSaleIds = [...ids, saleId];
+}
+
+export function forgetParkedSale(session, saleId) {
+    const ids = session.parkedSaleIds;
+    if (ids?.includes(saleId)) session.parkedSaleIds = ids.filter(id => id !== saleId);
+}
+
+/**
+ * Sales parked on this register and not yet completed or cancelled. A
+ * register that has never kept ids searches GET /api/sales once for the
+ * sales it parked before it did.
+ * @returns {Promise<Object[]>} SaleReadDto list, oldest first
+ */
+export async function fetchParkedSales(client, session) {
+    const { registerId } = session;
+    const ids = session.parkedSaleIds;
+
+    let sales;
+    if (ids) {
+        sales = await Promise.all(ids.map(id => client.sales.get(id).catch(error => {
+            if (error instanceof StorePosApiError && error.status === 404) return null;
+            throw error;
+        })));
+    } else {
+        const to = new Date();
+        const from = new Date(to.getTime() - PARKED_SALES_LOOKBACK_DAYS * 86400000);
+        sales = await fetchSales(client, { from: from.toISOString(), to: to.toISOString() });
+    }
+
+    const parked = sales
+        .filter(sale => sale && isParkedOn(sale, registerId))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    // Only drop the ids read back as gone; a sale parked meanwhile stays listed
+    const parkedIds = parked.map(sale => sale.id);
+    const gone = new Set((ids || []).filter(id => !parkedIds.includes(id)));
+    session.parkedSaleIds = [...new Set([...(session.parkedSaleIds || []), ...parkedIds])].filter(id => !gone.has(id));
+    return parked;
+}
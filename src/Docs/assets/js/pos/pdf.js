@@ -0,0 +1,174 @@
+/**
+ * StorePOS Point of Sale - PDF reports
+ *
+ * Writes a paginated table as a PDF 1.4 file using the standard Helvetica
+ * fonts, so no font files or libraries are needed. Standard fonts only cover
+ * WinAnsi (Latin-1) text; other characters are printed as "?".
+ */
+
+// A4 portrait, in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const ROW_HEIGHT = 14;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; Latin-1 letters use 556.
+// Helvetica-Bold is slightly wider, which only matters for the header row.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * @typedef {Object} PdfColumn
+ * @property {string} label
+ * @property {number} width - In points; the widths should add up to 515 or less
+ * @property {'left'|'right'} [align]
+ */
+
+/**
+ * Build a report: title block, a table whose header repeats on every page,
+ * then summary lines after the last row
+ * @param {Object} report - { title, subtitle, columns: PdfColumn[], rows: string[][], summary: [label, value][] }
+ * @returns {Uint8Array} PDF file contents
+ */
+export function buildPdfReport({ title, subtitle = '', columns, rows, summary = [] }) {
+    const pages = [];
+    let ops = [];
+    let y = 0;
+
+    const startPage = () => {
+        ops = [];
+        pages.push(ops);
+        y = PAGE_HEIGHT - MARGIN;
+
+        text(ops, MARGIN, y - 14, title, { bold: true, size: 14 });
+        y -= 22;
+        if (subtitle) {
+            text(ops, MARGIN, y - FONT_SIZE, subtitle);
+            y -= ROW_HEIGHT;
+        }
+        y -= 8;
+    };
+    const drawRow = (cells, bold = false) => {
+        let x = MARGIN;
+        columns.forEach((column, index) => {
+            const cell = fitText(String(cells[index] ?? ''), column.width - 6);
+            const offset = column.align === 'right' ? column.width - 6 - measure(cell) : 0;
+            text(ops, x + offset, y - FONT_SIZE - 2, cell, { bold });
+            x += column.width;
+        });
+        y -= ROW_HEIGHT;
+    };
+    const drawHeader = () => {
+        drawRow(columns.map(column => column.label), true);
+        ops.push(`${MARGIN} ${y + 2} m ${MARGIN + tableWidth} ${y + 2} l S`);
+    };
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const bottom = MARGIN + ROW_HEIGHT * 2;
+
+    startPage();
+    drawHeader();
+    rows.forEach(row => {
+        if (y - ROW_HEIGHT < bottom) {
+            startPage();
+            drawHeader();
+        }
+        drawRow(row);
+    });
+
+    if (summary.length) {
+        if (y - ROW_HEIGHT * (summary.length + 1) < bottom) startPage();
+        y -= ROW_HEIGHT / 2;
+        ops.push(`${MARGIN} ${y + 2} m ${MARGIN + tableWidth} ${y + 2} l S`);
+        summary.forEach(([label, value]) => {
+            text(ops, MARGIN, y - FONT_SIZE - 2, label, { bold: true });
+            text(ops, MARGIN + 160, y - FONT_SIZE - 2, value);
+            y -= ROW_HEIGHT;
+        });
+    }
+
+    const generated = `Generated ${new Date().toLocaleString()}`;
+    pages.forEach((pageOps, index) => {
+        text(pageOps, MARGIN, MARGIN - 16, generated, { size: 8 });
+        const pageLabel = `Page ${index + 1} of ${pages.length}`;
+        text(pageOps, PAGE_WIDTH - MARGIN - measure(pageLabel, 8), MARGIN - 16, pageLabel, { size: 8 });
+    });
+
+    return writePdf(pages.map(pageOps => pageOps.join('\n')));
+}
+
+/**
+ * Assemble the objects: catalog, page tree, two fonts, then a page and a
+ * content stream per page, followed by the cross-reference table
+ */
+function writePdf(contents) {
+    const objects = [];
+    const pageIds = contents.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    contents.forEach((content, index) => {
+        const pageId = pageIds[index];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Every character is below 0x100, so string offsets are byte offsets
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Uint8Array.from(output, char => char.charCodeAt(0));
+}
+
+function text(ops, x, y, value, { bold = false, size = FONT_SIZE } = {}) {
+    const escaped = toWinAnsi(value).replace(/[\\()]/g, '\\$&');
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escaped}) Tj ET`);
+}
+
+function measure(value, size = FONT_SIZE) {
+    let width = 0;
+    for (const char of toWinAnsi(value)) {
+        width += HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556;
+    }
+    return width * size / 1000;
+}
+
+/**
+ * Shorten text with "..." until it fits the column
+ */
+function fitText(value, width) {
+    if (measure(value) <= width) return value;
+
+    let clipped = value;
+    while (clipped && measure(`${clipped}...`) > width) {
+        clipped = clipped.slice(0, -1);
+    }
+    return `${clipped.trimEnd()}...`;
+}
+
+function toWinAnsi(value) {
+    return String(value ?? '')
+        .replace(/[\u00a0\u2009\u202f]/g, ' ')
+        .replace(/[\u2212\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7e\xa1-\xff]/g, '?');
+}
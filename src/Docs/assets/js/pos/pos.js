@@ -0,0 +1,415 @@
+/**
+ * StorePOS Point of Sale - Application entry point
+ *
+ * Browser front-end for cashiers, served next to the developer guide. Uses the
+ * StorePOS JavaScript SDK (sdk/storepos-client.js) for every API call.
+ */
+
+import { PosSession } from './session.js';
+import { CheckoutView } from './checkout.js';
+import { SalesHistoryView } from './history.js';
+import { ReturnsView, saleIdFromReceipt } from './returns.js';
+import { ReportsView } from './reports.js';
+import { InventoryView } from './inventory.js';
+import { StockTakeView } from './stocktake.js';
+import { ProductImportView } from './import.js';
+import { UsersView } from './users.js';
+import { SettingsView } from './settings.js';
+import { BarcodeScanner } from './scanner.js';
+import { SyncService } from './sync.js';
+import { renderReceiptHtml, renderRegisterReportHtml, encodeEscPos } from './receipt.js';
+import { CHECKOUT_ACCESS, SALE_ACCESS, RETURN_ACCESS, PRODUCT_ACCESS, USER_ACCESS, SETTINGS_ACCESS } from './config.js';
+import { escapeHtml, formatMoney, loadSettings, downloadFile } from './utils.js';
+
+class PosApp {
+    constructor() {
+        this.settings = loadSettings();
+        this.session = new PosSession();
+        this.views = {
+            checkout: { label: 'Checkout', icon: 'fa-cash-register', access: CHECKOUT_ACCESS, View: CheckoutView },
+            history: { label: 'Sales History', icon: 'fa-clock-rotate-left', access: SALE_ACCESS.read, View: SalesHistoryView },
+            returns: { label: 'Returns', icon: 'fa-rotate-left', access: RETURN_ACCESS, View: ReturnsView },
+            reports: { label: 'Reports', icon: 'fa-chart-line', access: SALE_ACCESS.read, View: ReportsView },
+            inventory: { label: 'Inventory', icon: 'fa-boxes-stacked', access: PRODUCT_ACCESS.read, View: InventoryView },
+            stocktake: { label: 'Stock Take', icon: 'fa-clipboard-list', access: PRODUCT_ACCESS.read, View: StockTakeView },
+            import: { label: 'Import', icon: 'fa-file-import', access: PRODUCT_ACCESS.edit, View: ProductImportView },
+            users: { label: 'Users', icon: 'fa-users-gear', access: USER_ACCESS.read, View: UsersView },
+            settings: { label: 'Settings', icon: 'fa-sliders', access: SETTINGS_ACCESS, View: SettingsView }
+        };
+        this.activeView = null;
+        this.viewInstances = new Map();
+        this.scanner = new BarcodeScanner((barcode) => this.handleScan(barcode));
+        this.sync = new SyncService(this);
+        this.syncPanelOpen = false;
+        this.printedSaleIds = new Set();
+    }
+
+    async init() {
+        this.initializeTheme();
+        this.initializeToastSystem();
+        this.initializeEventListeners();
+
+        this.session.onChange((user) => {
+            this.render();
+            if (user) this.sync.checkConnection();
+        });
+        this.sync.onChange(() => this.renderSyncStatus());
+        document.getElementById('pos-environment').textContent = this.session.environment.name;
+
+        await this.session.restore();
+        this.render();
+        await this.sync.start();
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    render() {
+        this.renderUserMenu();
+
+        const signedIn = this.session.isAuthenticated;
+        document.getElementById('pos-signin').classList.toggle('hidden', signedIn);
+        document.getElementById('pos-workspace').classList.toggle('hidden', !signedIn);
+
+        if (!signedIn) {
+            this.scanner.stop();
+            this.viewInstances.clear();
+            this.activeView = null;
+            document.getElementById('pos-view').innerHTML = '';
+            document.getElementById('signin-username')?.focus();
+            return;
+        }
+
+        this.scanner.start();
+        this.renderNav();
+        const allowed = Object.keys(this.views).filter(id => this.session.canAccess(this.views[id].access));
+        this.showView(allowed.includes(this.activeView) ? this.activeView : allowed[0]);
+    }
+
+    renderUserMenu() {
+        const menu = document.getElementById('pos-user');
+        const user = this.session.user;
+
+        menu.innerHTML = user ? `
+            <span class="text-sm dark:text-secondary-200"><i class="fas fa-user mr-1"></i>${escapeHtml(user.username)}</span>
+            <span class="px-2 py-0.5 text-xs rounded-full bg-secondary-100 dark:bg-secondary-700 dark:text-secondary-200">${escapeHtml(user.role)}</span>
+            <button type="button" data-action="logout" class="text-sm text-secondary-500 hover:text-red-600">
+                <i class="fas fa-right-from-bracket mr-1"></i>Sign out
+            </button>
+        ` : '';
+    }
+
+    /**
+     * Connectivity badge with the offline queue's pending and conflict counts
+     */
+    renderSyncStatus() {
+        const container = document.getElementById('pos-sync');
+        const { online, pending, conflicts } = this.sync;
+
+        const badge = (classes, icon, text) => `
+            <span class="inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full ${classes}">
+                <i class="fas ${icon} mr-1"></i>${text}
+            </span>
+        `;
+
+        container.innerHTML = `
+            <button type="button" data-action="toggle-sync-panel" class="flex items-center gap-1" aria-expanded="${this.syncPanelOpen}">
+                ${online
+                    ? badge('bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200', 'fa-wifi', 'Online')
+                    : badge('bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200', 'fa-plug-circle-xmark', 'Offline')}
+                ${pending.length ? badge('bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200', 'fa-clock', `${pending.length} queued`) : ''}
+                ${conflicts.length ? badge('bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-200', 'fa-triangle-exclamation', `${conflicts.length} to resolve`) : ''}
+            </button>
+            ${this.syncPanelOpen ? this.renderSyncPanel() : ''}
+        `;
+    }
+
+    renderSyncPanel() {
+        const entries = this.sync.entries;
+
+        const describe = (entry) => {
+            if (entry.type === 'sale') {
+                const lines = entry.meta?.lines || [];
+                return `Sale · ${lines.length} ${lines.length === 1 ? 'line' : 'lines'} · ${formatMoney(entry.meta?.total || 0)}`;
+            }
+            const { amount, stockUpdate } = entry.payload;
+            return `Stock ${stockUpdate === 'Increase' ? '+' : '−'}${amount} · ${escapeHtml(entry.meta?.productName || `product #${entry.payload.productId}`)}`;
+        };
+
+        return `
+            <div class="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white dark:bg-secondary-800 border border-secondary-200 dark:border-secondary-700 rounded-lg shadow-xl z-40 p-4 text-sm">
+                <div class="flex items-center justify-between mb-3">
+                    <h3 class="font-semibold dark:text-white">Offline queue</h3>
+                    <button type="button" data-action="sync-now" class="text-primary-600 hover:text-primary-500 text-xs font-medium">
+                        <i class="fas fa-rotate mr-1"></i>Sync now
+                    </button>
+                </div>
+                ${entries.length ? `
+                    <ul class="space-y-2 max-h-80 overflow-y-auto">
+                        ${entries.map(entry => `
+                            <li class="p-2 rounded border ${entry.status === 'conflict' ? 'border-orange-300 dark:border-orange-700' : 'border-secondary-200 dark:border-secondary-700'}" data-client-id="${entry.clientId}">
+                                <div class="flex justify-between dark:text-secondary-200">
+                                    <span>${describe(entry)}</span>
+                                    <span class="text-xs text-secondary-500">${new Date(entry.createdAt).toLocaleTimeString()}</span>
+                                </div>
+                                <div class="text-xs text-secondary-500 dark:text-secondary-400 font-mono">${entry.clientId.slice(0, 8)}</div>
+                                ${entry.status === 'conflict' ? `
+                                    <p class="mt-1 text-xs text-orange-700 dark:text-orange-300">${escapeHtml(entry.error)}</p>
+                                    <div class="mt-2 flex gap-3 text-xs font-medium">
+                                        <button type="button" data-action="sync-retry" class="text-primary-600">Retry</button>
+                                        ${entry.type === 'sale' ? '<button type="button" data-action="sync-edit" class="text-primary-600">Edit in checkout</button>' : ''}
+                                        <button type="button" data-action="sync-discard" class="text-red-600">Discard</button>
+                                    </div>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="text-secondary-500 dark:text-secondary-400">Nothing waiting to sync.</p>'}
+            </div>
+        `;
+    }
+
+    renderNav() {
+        const nav = document.getElementById('pos-nav');
+        nav.innerHTML = Object.entries(this.views)
+            .filter(([, view]) => this.session.canAccess(view.access))
+            .map(([id, view]) => `
+                <button type="button" data-view="${id}"
+                    class="whitespace-nowrap py-3 px-1 border-b-2 text-sm font-medium transition-colors ${id === this.activeView ? 'border-primary-500 text-primary-600 dark:text-primary-400' : 'border-transparent text-secondary-500 hover:text-secondary-700 dark:text-secondary-400 dark:hover:text-secondary-200'}">
+                    <i class="fas ${view.icon} mr-2"></i>${view.label}
+                </button>
+            `).join('');
+    }
+
+    /**
+     * Mount a view the first time it is opened and keep it alive afterwards.
+     * Views may define activate() to refresh when they are shown again.
+     */
+    showView(viewId) {
+        const viewEl = document.getElementById('pos-view');
+
+        if (!viewId) {
+            viewEl.innerHTML = `
+                <div class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-8 text-center dark:text-secondary-200">
+                    <i class="fas fa-lock text-3xl text-secondary-400 mb-3"></i>
+                    <p>Your role (${escapeHtml(this.session.user.role)}) has no access to the point of sale.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.activeView = viewId;
+        this.renderNav();
+
+        [...viewEl.children].forEach(child => child.classList.toggle('hidden', child.dataset.viewId !== viewId));
+        if (this.viewInstances.has(viewId)) {
+            this.viewInstances.get(viewId).activate?.();
+            return;
+        }
+
+        const container = document.createElement('div');
+        container.dataset.viewId = viewId;
+        viewEl.appendChild(container);
+
+        const view = new this.views[viewId].View(this, container);
+        this.viewInstances.set(viewId, view);
+        view.mount();
+    }
+
+    /**
+     * Hand a scanned barcode to the active view, or to checkout if the view has
+     * no use for it. A receipt barcode opens Returns.
+     */
+    handleScan(barcode) {
+        let view = this.viewInstances.get(this.activeView);
+
+        if (saleIdFromReceipt(barcode) !== null) {
+            if (!this.session.canAccess(this.views.returns.access)) {
+                this.showToast('Returns need a manager; ask one to scan the receipt', 'warning');
+                return;
+            }
+            this.showView('returns');
+            view = this.viewInstances.get('returns');
+        } else if (!view?.handleScan) {
+            if (!this.session.canAccess(this.views.checkout.access)) return;
+            this.showView('checkout');
+            view = this.viewInstances.get('checkout');
+        }
+
+        view.handleScan(barcode);
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        document.getElementById('signin-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn(e.target);
+        });
+
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action], [data-view], [data-toast-close]');
+            if (!target) return;
+
+            if (target.dataset.view) {
+                this.showView(target.dataset.view);
+            } else if (target.dataset.toastClose) {
+                this.hideToast(target.dataset.toastClose);
+            } else if (target.dataset.action === 'logout') {
+                this.session.logout();
+            } else if (target.dataset.action === 'toggle-theme') {
+                this.toggleTheme();
+            } else if (target.dataset.action?.startsWith('sync') || target.dataset.action === 'toggle-sync-panel') {
+                this.handleSyncAction(target);
+            }
+        });
+    }
+
+    async handleSyncAction(target) {
+        const clientId = target.closest('[data-client-id]')?.dataset.clientId;
+
+        switch (target.dataset.action) {
+            case 'toggle-sync-panel':
+                this.syncPanelOpen = !this.syncPanelOpen;
+                this.renderSyncStatus();
+                break;
+            case 'sync-now':
+                if (!await this.sync.checkConnection()) {
+                    this.showToast('API still unreachable', 'warning');
+                }
+                break;
+            case 'sync-retry':
+                await this.sync.retry(clientId);
+                break;
+            case 'sync-discard': {
+                if (!confirm('Discard this queued change? It will not be sent to the API.')) return;
+                await this.sync.discard(clientId);
+                break;
+            }
+            case 'sync-edit': {
+                const entry = await this.sync.discard(clientId);
+                if (!entry) return;
+
+                this.showView('checkout');
+                this.viewInstances.get('checkout').loadQueuedSale(entry);
+                this.syncPanelOpen = false;
+                this.renderSyncStatus();
+                break;
+            }
+        }
+    }
+
+    async signIn(form) {
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            await this.session.login(form.elements.username.value.trim(), form.elements.password.value);
+            form.reset();
+            this.showToast(`Welcome, ${this.session.user.username}`, 'success');
+        } catch (error) {
+            this.showToast(error.message || 'Sign in failed', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // RECEIPTS
+    // -------------------------------------------------------------------------
+
+    /**
+     * Print a sale through the browser's print dialog. Printing the same sale
+     * again marks the receipt as a reprint.
+     */
+    printReceipt(sale, { reprint = this.printedSaleIds.has(sale.id) } = {}) {
+        const printArea = document.getElementById('receipt-print');
+        printArea.innerHTML = renderReceiptHtml(sale, { settings: this.settings, reprint });
+        this.printedSaleIds.add(sale.id);
+        window.print();
+    }
+
+    /**
+     * Print an X or Z register report on the receipt printer
+     */
+    printRegisterReport(report) {
+        const printArea = document.getElementById('receipt-print');
+        printArea.innerHTML = renderRegisterReportHtml(report, { settings: this.settings });
+        window.print();
+    }
+
+    /**
+     * Save the receipt as raw ESC/POS for printers fed directly (e.g. copy /b to the port)
+     */
+    downloadReceipt(sale, { reprint = this.printedSaleIds.has(sale.id) } = {}) {
+        downloadFile(encodeEscPos(sale, { settings: this.settings, reprint }), `receipt-${sale.id}.bin`);
+        this.printedSaleIds.add(sale.id);
+    }
+
+    // -------------------------------------------------------------------------
+    // THEME & TOASTS
+    // -------------------------------------------------------------------------
+
+    initializeTheme() {
+        const savedTheme = localStorage.getItem('theme');
+        const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        document.documentElement.classList.toggle('dark', savedTheme === 'dark' || (!savedTheme && systemPrefersDark));
+    }
+
+    toggleTheme() {
+        const dark = document.documentElement.classList.toggle('dark');
+        localStorage.setItem('theme', dark ? 'dark' : 'light');
+    }
+
+    initializeToastSystem() {
+        if (!document.getElementById('toast-container')) {
+            const toastContainer = document.createElement('div');
+            toastContainer.id = 'toast-container';
+            toastContainer.className = 'fixed top-4 right-4 z-50 space-y-2';
+            document.body.appendChild(toastContainer);
+        }
+    }
+
+    showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        const toastId = `toast-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+        const bgColor = {
+            success: 'bg-green-500',
+            error: 'bg-red-500',
+            warning: 'bg-yellow-500',
+            info: 'bg-blue-500'
+        }[type] || 'bg-blue-500';
+
+        toast.id = toastId;
+        toast.className = `toast ${bgColor} text-white px-4 py-3 rounded-lg shadow-lg transform translate-x-full transition-transform duration-300`;
+        toast.innerHTML = `
+            <div class="flex items-center justify-between">
+                <span>${escapeHtml(message)}</span>
+                <button type="button" data-toast-close="${toastId}" class="ml-4 text-white hover:text-gray-200">×</button>
+            </div>
+        `;
+
+        document.getElementById('toast-container').appendChild(toast);
+        setTimeout(() => toast.classList.remove('translate-x-full'), 100);
+        setTimeout(() => this.hideToast(toastId), type === 'error' ? 6000 : 3000);
+    }
+
+    hideToast(toastId) {
+        const toast = document.getElementById(toastId);
+        if (toast) {
+            toast.classList.add('translate-x-full');
+            setTimeout(() => toast.remove(), 300);
+        }
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+window.pos = new PosApp();
+window.pos.init();
@@ -0,0 +1,328 @@
+/**
+ * StorePOS Point of Sale - Pricing rules
+ *
+ * Works out a cart's discount and tax from the register's pricing settings
+ * so the cashier no longer computes them by hand:
+ *
+ *   - Percentage or fixed discounts on a product (SKU), a category
+ *     (ProductReadDto.Category) or the whole basket, optionally from a
+ *     minimum basket subtotal
+ *   - Buy X get Y free on a product or category; the cheapest units go free
+ *   - A tax rate per category, falling back to the register's rate, with
+ *     shelf prices either excluding or including tax
+ *
+ * Line rules apply first, in the order they are listed, each to what is left
+ * of the line. Basket rules and the cashier's manual discount follow and are
+ * spread over the lines in proportion to their amounts, so each is taxed at
+ * its own rate. The result is the flat Discount and Tax SaleCreateDto takes,
+ * with the breakdown the checkout and receipt show.
+ */
+
+import { formatMoney, roundMoney } from './utils.js';
+
+export const RULE_KINDS = [
+    { id: 'percent', label: 'Percentage off' },
+    { id: 'fixed', label: 'Fixed amount off' },
+    { id: 'buyXgetY', label: 'Buy X get Y free' }
+];
+
+export const RULE_TARGETS = [
+    { id: 'basket', label: 'Whole basket' },
+    { id: 'category', label: 'Category' },
+    { id: 'product', label: 'Product (SKU)' }
+];
+
+/**
+ * @typedef {Object} PricingRule
+ * @property {string} id
+ * @property {string} name - Shown in the breakdown and on the receipt
+ * @property {boolean} enabled
+ * @property {'percent'|'fixed'|'buyXgetY'} kind - fixed is per unit on a product
+ *   or category, and once per sale on the basket
+ * @property {'basket'|'category'|'product'} target
+ * @property {string} [category] - For target 'category'; matched case-insensitively
+ * @property {string} [sku] - For target 'product'; matched case-insensitively
+ * @property {number} [value] - Percent or amount off
+ * @property {number} [buyQty] - buyXgetY: units to pay for...
+ * @property {number} [getQty] - ...per units given free
+ * @property {number} [minSubtotal] - Basket rules only apply from this subtotal
+ */
+
+/**
+ * @typedef {Object} PricingSettings
+ * @property {PricingRule[]} rules
+ * @property {number} taxRate - Percent, for categories without their own rate
+ * @property {Object<string, number>} categoryTaxRates
+ * @property {boolean} pricesIncludeTax
+ */
+
+/**
+ * Pricing settings from the register settings (see DEFAULT_SETTINGS)
+ * @returns {PricingSettings}
+ */
+export function pricingSettings(settings) {
+    return {
+        rules: settings.pricingRules || [],
+        taxRate: Number(settings.taxRate) || 0,
+        categoryTaxRates: settings.categoryTaxRates || {},
+        pricesIncludeTax: !!settings.pricesIncludeTax
+    };
+}
+
+/**
+ * Problems with a rule before it is saved
+ * @returns {string[]}
+ */
+export function validateRule(rule) {
+    const problems = [];
+    if (!rule.name?.trim()) problems.push('Give the rule a name.');
+    if (rule.target === 'category' && !rule.category?.trim()) problems.push('Enter the category the rule applies to.');
+    if (rule.target === 'product' && !rule.sku?.trim()) problems.push('Enter the SKU the rule applies to.');
+
+    if (rule.kind === 'buyXgetY') {
+        if (rule.target === 'basket') problems.push('Buy X get Y applies to a product or a category.');
+        if (!(rule.buyQty >= 1) || !(rule.getQty >= 1)) problems.push('Buy and get quantities must be at least 1.');
+    } else if (!(rule.value > 0)) {
+        problems.push('The discount must be more than zero.');
+    } else if (rule.kind === 'percent' && rule.value > 100) {
+        problems.push('A percentage cannot be over 100.');
+    }
+    return problems;
+}
+
+/**
+ * One-line summary, e.g. "10% off category Drinks"
+ */
+export function describeRule(rule) {
+    const scope = {
+        basket: 'the basket',
+        category: `category ${rule.category}`,
+        product: rule.sku
+    }[rule.target];
+    const threshold = rule.target === 'basket' && rule.minSubtotal > 0 ? ` over ${formatMoney(rule.minSubtotal)}` : '';
+
+    switch (rule.kind) {
+        case 'buyXgetY':
+            return `Buy ${rule.buyQty} get ${rule.getQty} free on ${scope}`;
+        case 'fixed':
+            return rule.target === 'basket'
+                ? `${formatMoney(rule.value)} off ${scope}${threshold}`
+                : `${formatMoney(rule.value)} off each unit of ${scope}`;
+        default:
+            return `${rule.value}% off ${scope}${threshold}`;
+    }
+}
+
+function matches(rule, line) {
+    switch (rule.target) {
+        case 'category':
+            return (line.category || '').toLowerCase() === rule.category.trim().toLowerCase();
+        case 'product':
+            return (line.sku || '').toLowerCase() === rule.sku.trim().toLowerCase();
+        default:
+            return true;
+    }
+}
+
+/**
+ * Tax rate for a line's category
+ */
+export function taxRateFor(category, { taxRate, categoryTaxRates }) {
+    const key = Object.keys(categoryTaxRates).find(name => name.toLowerCase() === (category || '').toLowerCase());
+    return key !== undefined ? Number(categoryTaxRates[key]) : taxRate;
+}
+
+/**
+ * Price a cart
+ * @param {Object[]} lines - Cart lines { productId, sku, category, qty, unitPrice }
+ * @param {PricingSettings} pricing
+ * @param {number} [manualDiscount=0] - Entered by the cashier, after the rules
+ * @returns {{ subtotal: number, discounts: {label: string, amount: number}[], discount: number,
+ *   taxes: {rate: number, amount: number}[], tax: number, total: number, pricesIncludeTax: boolean,
+ *   excessDiscount: number, lines: {productId: number, amount: number, discount: number, taxRate: number}[] }}
+ */
+export function priceCart(lines, pricing, manualDiscount = 0) {
+    const priced = lines.map(line => ({
+        line,
+        amount: roundMoney(line.qty * line.unitPrice),
+        discount: 0,
+        taxRate: taxRateFor(line.category, pricing)
+    }));
+    const subtotal = roundMoney(priced.reduce((sum, entry) => sum + entry.amount, 0));
+    const remaining = (entry) => roundMoney(entry.amount - entry.discount);
+    const discounts = [];
+
+    const record = (label, amount) => {
+        if (amount > 0) discounts.push({ label, amount: roundMoney(amount) });
+    };
+
+    // Line rules
+    pricing.rules.filter(rule => rule.enabled !== false && rule.target !== 'basket').forEach(rule => {
+        const matched = priced.filter(entry => matches(rule, entry.line) && remaining(entry) > 0);
+        if (!matched.length) return;
+
+        if (rule.kind === 'buyXgetY') {
+            record(rule.name, applyBuyXGetY(rule, matched));
+            return;
+        }
+
+        let total = 0;
+        matched.forEach(entry => {
+            const off = rule.kind === 'fixed'
+                ? Math.min(roundMoney(rule.value * entry.line.qty), remaining(entry))
+                : roundMoney(remaining(entry) * rule.value / 100);
+            entry.discount = roundMoney(entry.discount + off);
+            total += off;
+        });
+        record(rule.name, total);
+    });
+
+    // Basket rules, then the cashier's discount
+    const basketRules = pricing.rules.filter(rule => rule.enabled !== false && rule.target === 'basket');
+    let manualApplied = 0;
+    [...basketRules, { name: 'Manual discount', kind: 'fixed', value: manualDiscount, manual: true }].forEach(rule => {
+        const basket = roundMoney(priced.reduce((sum, entry) => sum + remaining(entry), 0));
+        if (basket <= 0 || !(rule.value > 0) || basket < (rule.minSubtotal || 0)) return;
+
+        const off = rule.kind === 'fixed' ? Math.min(roundMoney(rule.value), basket) : roundMoney(basket * rule.value / 100);
+        spread(priced, off, remaining);
+        record(rule.name, off);
+        if (rule.manual) manualApplied = off;
+    });
+
+    const discount = roundMoney(discounts.reduce((sum, entry) => sum + entry.amount, 0));
+
+    // Tax per rate on what is left of each line
+    const byRate = new Map();
+    priced.forEach(entry => {
+        const taxable = remaining(entry);
+        const tax = pricing.pricesIncludeTax
+            ? taxable * entry.taxRate / (100 + entry.taxRate)
+            : taxable * entry.taxRate / 100;
+        byRate.set(entry.taxRate, (byRate.get(entry.taxRate) || 0) + tax);
+    });
+    const taxes = [...byRate.entries()]
+        .map(([rate, amount]) => ({ rate, amount: roundMoney(amount) }))
+        .filter(entry => entry.rate > 0)
+        .sort((a, b) => b.rate - a.rate);
+    const tax = roundMoney(taxes.reduce((sum, entry) => sum + entry.amount, 0));
+
+    return {
+        subtotal,
+        discounts,
+        discount,
+        taxes,
+        tax,
+        total: roundMoney(subtotal - discount + (pricing.pricesIncludeTax ? 0 : tax)),
+        pricesIncludeTax: pricing.pricesIncludeTax,
+        // Manual discount beyond what was left of the basket
+        excessDiscount: roundMoney(Math.max(manualDiscount - manualApplied, 0)),
+        lines: priced.map(entry => ({
+            productId: entry.line.productId,
+            amount: entry.amount,
+            discount: entry.discount,
+            taxRate: entry.taxRate
+        }))
+    };
+}
+
+/**
+ * Give the cheapest matching units away: every buyQty + getQty units, getQty are free
+ * @returns {number} Amount taken off
+ */
+function applyBuyXGetY(rule, matched) {
+    const units = matched.reduce((sum, entry) => sum + entry.line.qty, 0);
+    let free = Math.floor(units / (rule.buyQty + rule.getQty)) * rule.getQty;
+    let total = 0;
+
+    [...matched].sort((a, b) => a.line.unitPrice - b.line.unitPrice).forEach(entry => {
+        if (!free) return;
+
+        const qty = Math.min(free, entry.line.qty);
+        const off = Math.min(roundMoney(qty * entry.line.unitPrice), roundMoney(entry.amount - entry.discount));
+        entry.discount = roundMoney(entry.discount + off);
+        total += off;
+        free -= qty;
+    });
+    return roundMoney(total);
+}
+
+/**
+ * Share a basket discount over the lines in proportion to what is left of
+ * each; the last line takes the rounding difference
+ */
+function spread(priced, amount, remaining) {
+    const open = priced.filter(entry => remaining(entry) > 0);
+    const basket = open.reduce((sum, entry) => sum + remaining(entry), 0);
+    let left = amount;
+
+    open.forEach((entry, index) => {
+        const share = index === open.length - 1
+            ? left
+            : Math.min(roundMoney(amount * remaining(entry) / basket), left);
+        entry.discount = roundMoney(entry.discount + share);
+        left = roundMoney(left - share);
+    });
+}
+
+/**
+ * SaleCreateDto amounts for a priced cart. With tax-inclusive shelf prices the
+ * API still adds Tax on top (Total = Subtotal - Discount + Tax), so lines and
+ * discount are posted net of tax and Tax takes up the rounding, which keeps
+ * the sale's Total at the shelf total.
+ * @returns {{ carts: {productId: number, qty: number, unitPrice: number}[], discount: number, tax: number }}
+ */
+export function saleAmounts(lines, quote) {
+    if (!quote.pricesIncludeTax) {
+        return {
+            carts: lines.map(line => ({ productId: line.productId, qty: line.qty, unitPrice: line.unitPrice })),
+            discount: quote.discount,
+            tax: quote.tax
+        };
+    }
+
+    const net = (amount, rate) => amount * 100 / (100 + rate);
+    const carts = lines.map((line, index) => ({
+        productId: line.productId,
+        qty: line.qty,
+        unitPrice: roundMoney(net(line.unitPrice, quote.lines[index].taxRate))
+    }));
+    const subtotal = roundMoney(carts.reduce((sum, cart) => sum + cart.qty * cart.unitPrice, 0));
+    const discount = roundMoney(quote.lines.reduce((sum, entry) => sum + net(entry.discount, entry.taxRate), 0));
+
+    return { carts, discount, tax: roundMoney(Math.max(quote.total - (subtotal - discount), 0)) };
+}
+
+/**
+ * Shelf price for a unit price posted by saleAmounts(). The catalogue price is
+ * preferred when it posts to the same net price, so no cent is lost.
+ */
+export function shelfPrice(unitPrice, taxRate, pricing, listPrice) {
+    if (!pricing.pricesIncludeTax) return unitPrice;
+    if (listPrice !== undefined && roundMoney(listPrice * 100 / (100 + taxRate)) === unitPrice) return listPrice;
+    return roundMoney(unitPrice * (100 + taxRate) / 100);
+}
+
+/**
+ * The sale the API returned, as the customer saw it at the till: shelf
+ * prices and subtotal, with the itemised discounts and taxes for the receipt
+ * (layoutReceipt() prints sale.pricing when present)
+ * @param {Object} sale - SaleReadDto
+ * @param {Object[]} lines - The cart lines it was posted from
+ * @param {Object} quote - priceCart() result for those lines
+ */
+export function withPricing(sale, lines, quote) {
+    const shelf = new Map(lines.map(line => [line.productId, line.unitPrice]));
+
+    return {
+        ...sale,
+        subtotal: quote.subtotal,
+        carts: quote.pricesIncludeTax
+            ? sale.carts.map(cart => {
+                const unitPrice = shelf.get(cart.productId) ?? cart.unitPrice;
+                return { ...cart, unitPrice, lineTotal: roundMoney(cart.qty * unitPrice) };
+            })
+            : sale.carts,
+        pricing: { discounts: quote.discounts, taxes: quote.taxes, pricesIncludeTax: quote.pricesIncludeTax }
+    };
+}
@@ -0,0 +1,311 @@
+/**
+ * StorePOS Point of Sale - Receipts
+ *
+ * Lays a SaleReadDto out as fixed-width lines for thermal paper. The same
+ * layout is rendered to HTML for the browser's print dialog (see the RECEIPTS
+ * section of styles.css) and encoded as ESC/POS for printers fed directly.
+ * The end-of-shift register reports use the same paper layout. Completed
+ * receipts end with a Code 39 barcode of the sale for returns (see returns.js).
+ */
+
+import { RECEIPT_WIDTHS } from './config.js';
+import { displayNotes } from './sync.js';
+import { receiptReference, refundOf } from './returns.js';
+import { methodLabel, saleTenders } from './tender.js';
+import { escapeHtml, formatMoney, loadSettings } from './utils.js';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Code 39 bar and space widths per character, 1 = wide; '*' starts and stops the code
+const CODE39 = {
+    0: '000110100', 1: '100100001', 2: '001100001', 3: '101100000', 4: '000110001',
+    5: '100110000', 6: '001110000', 7: '000100101', 8: '100100100', 9: '001100100',
+    S: '001000110', '*': '010010100'
+};
+
+/**
+ * @typedef {Object} ReceiptLine
+ * @property {string} text - Already padded to the receipt width
+ * @property {boolean} [bold]
+ * @property {boolean} [large] - Double width and height; half as many columns fit
+ * @property {string} [barcode] - Printed as Code 39 above the text
+ */
+
+/**
+ * Build the receipt lines for a sale
+ * @param {Object} sale - SaleReadDto
+ * @param {Object} [options] - { settings, reprint }
+ * @returns {ReceiptLine[]}
+ */
+export function layoutReceipt(sale, { settings = loadSettings(), reprint = false } = {}) {
+    const { lines, width, money, center, columns, add, divider, multiline } = createLayout(settings);
+
+    if (settings.storeName) {
+        add(center(toPrintable(settings.storeName), Math.floor(width / 2)), { bold: true, large: true });
+    }
+    multiline(settings.receiptHeader);
+    divider();
+
+    const refundedSaleId = refundOf(sale);
+    if (reprint) add(center('*** REPRINT ***'), { bold: true });
+    add(columns(`${refundedSaleId ? 'Refund' : 'Sale'} #${sale.id}`, formatDate(sale.createdAt)));
+    if (refundedSaleId) {
+        add(center(`REFUND AGAINST SALE #${refundedSaleId}`), { bold: true });
+    } else if (sale.status !== 'Completed') {
+        add(center(`${sale.status.toUpperCase()} - NOT A PAID RECEIPT`), { bold: true });
+    }
+    divider();
+
+    sale.carts.forEach(line => {
+        wrap(toPrintable(line.productName), width).forEach(part => add(part));
+        add(columns(`  ${line.qty} x ${money(line.unitPrice)}`, money(line.lineTotal)));
+    });
+    divider();
+
+    add(columns('Subtotal', money(sale.subtotal)));
+    if (sale.pricing) {
+        // Printed at the till: promotions and taxes itemised (see withPricing() in pricing.js)
+        sale.pricing.discounts.forEach(discount => add(columns(toPrintable(discount.label), `-${money(discount.amount)}`)));
+        sale.pricing.taxes.forEach(tax => add(columns(`${sale.pricing.pricesIncludeTax ? 'Incl. tax' : 'Tax'} ${tax.rate}%`, money(tax.amount))));
+    } else {
+        if (sale.discount > 0) add(columns('Discount', `-${money(sale.discount)}`));
+        add(columns('Tax', money(sale.tax)));
+    }
+    if (refundedSaleId) {
+        add(columns('REFUND TOTAL', money(sale.total)), { bold: true });
+        add(columns(`Refunded (${methodLabel(sale.paymentMethod)})`, money(sale.paidAmount)));
+    } else {
+        add(columns('TOTAL', money(sale.total)), { bold: true });
+        saleTenders(sale).forEach(tender => add(columns(`Paid (${methodLabel(tender.method)})`, money(tender.amount))));
+        add(columns('Change', money(Math.max(sale.paidAmount - sale.total, 0))), { bold: true });
+    }
+
+    const notes = displayNotes(sale.notes);
+    if (notes) {
+        divider();
+        wrap(toPrintable(notes), width).forEach(part => add(part));
+    }
+
+    if (settings.receiptFooter) {
+        divider();
+        multiline(settings.receiptFooter);
+    }
+
+    if (sale.status === 'Completed') {
+        const reference = receiptReference(sale.id);
+        add(center(reference), { barcode: reference });
+    }
+
+    return lines;
+}
+
+/**
+ * Register report for a summary from summarizeSales() (reports.js). A Z report
+ * closes the shift; an X report is a mid-shift reading that closes nothing.
+ * @param {Object} report - { summary, range, shift, closing, printedBy }
+ * @returns {ReceiptLine[]}
+ */
+export function layoutRegisterReport({ summary, range, shift, closing = false, printedBy }, { settings = loadSettings() } = {}) {
+    const { lines, width, money, center, columns, add, divider } = createLayout(settings);
+
+    if (settings.storeName) {
+        add(center(toPrintable(settings.storeName), Math.floor(width / 2)), { bold: true, large: true });
+    }
+    add(center(closing ? 'Z REPORT - SHIFT CLOSED' : 'X REPORT - SHIFT STILL OPEN'), { bold: true });
+    divider();
+
+    add(columns('From', formatDate(range.from)));
+    add(columns('To', formatDate(range.to)));
+    if (shift?.openedBy) add(columns('Opened by', shift.openedBy));
+    if (printedBy) add(columns('Printed by', printedBy));
+    divider();
+
+    add(columns('Completed sales', String(summary.counts.Completed)));
+    add(columns('Pending sales', String(summary.counts.Pending)));
+    add(columns('Cancelled sales', String(summary.counts.Cancelled)));
+    add(columns('Refunds', String(summary.refunds.length)));
+    divider();
+
+    add(columns('Gross sales', money(summary.gross)));
+    add(columns('Discounts', `-${money(summary.discount)}`));
+    add(columns('Tax', money(summary.tax)));
+    add(columns('Refunds', `-${money(summary.refunded)}`));
+    add(columns('NET TOTAL', money(summary.total)), { bold: true });
+    divider();
+
+    Object.entries(summary.byPayment).forEach(([method, totals]) => {
+        add(columns(`${methodLabel(method)} (${totals.count})`, money(totals.total)));
+        if (totals.refunded) add(columns('  after refunds of', `-${money(totals.refunded)}`));
+    });
+    divider();
+
+    if (summary.refunds.length) {
+        add('Refunds', { bold: true });
+        summary.refunds.forEach(refund => {
+            add(columns(`#${refund.id} for sale #${refund.saleId}, ${methodLabel(refund.method)}`, `-${money(refund.total)}`));
+            if (refund.reason) wrap(toPrintable(refund.reason), width).forEach(part => add(part));
+        });
+        divider();
+    }
+
+    add(columns('Average basket', money(summary.averageBasket)));
+    add(columns('Average items per sale', summary.averageItems.toFixed(1)));
+
+    if (summary.topByQuantity.length) {
+        divider();
+        add('Top products', { bold: true });
+        summary.topByQuantity.slice(0, 5).forEach(product => {
+            add(columns(`${product.qty} x ${product.name}`, money(product.revenue)));
+        });
+    }
+
+    divider();
+    add(center(`Printed ${formatDate(new Date())}`));
+
+    return lines;
+}
+
+/**
+ * Receipt markup for the print stylesheet
+ */
+export function renderReceiptHtml(sale, options = {}) {
+    const settings = options.settings || loadSettings();
+    return renderLinesHtml(layoutReceipt(sale, { ...options, settings }), settings);
+}
+
+/**
+ * Register report markup for the print stylesheet
+ */
+export function renderRegisterReportHtml(report, options = {}) {
+    const settings = options.settings || loadSettings();
+    return renderLinesHtml(layoutRegisterReport(report, { settings }), settings);
+}
+
+function renderLinesHtml(lines, settings) {
+    const paper = RECEIPT_WIDTHS.find(w => w.columns === Number(settings.receiptWidth)) || RECEIPT_WIDTHS[0];
+
+    return `
+        <div class="receipt" style="--receipt-columns: ${paper.columns}; --receipt-print-width: ${paper.printWidth}">${lines.map(line => `
+            ${line.barcode ? code39Svg(line.barcode) : ''}<div class="${[line.bold && 'receipt-bold', line.large && 'receipt-large'].filter(Boolean).join(' ')}">${escapeHtml(line.text) || '&nbsp;'}</div>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Code 39 as an SVG of bars, a narrow module per unit and wide elements three
+ * units, with a quiet zone either side
+ */
+function code39Svg(text) {
+    const quiet = 10;
+    const bars = [];
+    let x = quiet;
+
+    `*${text}*`.split('').forEach(char => {
+        [...CODE39[char]].forEach((wide, index) => {
+            const width = wide === '1' ? 3 : 1;
+            if (index % 2 === 0) bars.push(`<rect x="${x}" width="${width}" height="1"/>`);
+            x += width;
+        });
+        x += 1;
+    });
+
+    return `<svg class="receipt-barcode" viewBox="0 0 ${x - 1 + quiet} 1" preserveAspectRatio="none" aria-hidden="true">${bars.join('')}</svg>`;
+}
+
+/**
+ * ESC/POS byte stream: initialise, one command-prefixed line per receipt line,
+ * feed and partial cut
+ * @returns {Uint8Array}
+ */
+export function encodeEscPos(sale, options = {}) {
+    const bytes = [ESC, 0x40];
+
+    layoutReceipt(sale, options).forEach(line => {
+        if (line.barcode) {
+            // Centred CODE39 (GS k, function B), 2-dot modules, 60 dots high, no printed text
+            bytes.push(ESC, 0x61, 1, GS, 0x77, 2, GS, 0x68, 60, GS, 0x48, 0);
+            bytes.push(GS, 0x6b, 69, line.barcode.length, ...[...line.barcode].map(char => char.charCodeAt(0)));
+            bytes.push(LF, ESC, 0x61, 0);
+        }
+        bytes.push(ESC, 0x45, line.bold ? 1 : 0);
+        bytes.push(GS, 0x21, line.large ? 0x11 : 0x00);
+        for (const char of line.text) {
+            bytes.push(char.charCodeAt(0));
+        }
+        bytes.push(LF);
+    });
+
+    bytes.push(ESC, 0x45, 0, GS, 0x21, 0x00);
+    bytes.push(ESC, 0x64, 4);
+    bytes.push(GS, 0x56, 0x42, 0x00);
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Line builders shared by the receipt and register report layouts
+ */
+function createLayout(settings) {
+    const width = Number(settings.receiptWidth) || RECEIPT_WIDTHS[0].columns;
+    const lines = [];
+
+    const money = (value) => toPrintable(formatMoney(value, settings.currency));
+    const center = (text, columns = width) => {
+        const clipped = text.slice(0, columns);
+        return ' '.repeat(Math.floor((columns - clipped.length) / 2)) + clipped;
+    };
+    const columns = (left, right) => {
+        const room = Math.max(width - right.length - 1, 0);
+        return `${left.slice(0, room).padEnd(room)} ${right}`;
+    };
+    const add = (text, style = {}) => lines.push({ text: toPrintable(text), ...style });
+    const divider = () => add('-'.repeat(width));
+    const multiline = (text) => (text || '').split(/\r?\n/).filter(Boolean).forEach(line => {
+        wrap(toPrintable(line), width).forEach(part => add(center(part)));
+    });
+
+    return { lines, width, money, center, columns, add, divider, multiline };
+}
+
+/**
+ * Thermal printers only know ASCII in their default code page
+ */
+function toPrintable(text) {
+    return String(text ?? '')
+        .replace(/[\u00a0\u2009\u202f]/g, ' ')
+        .replace(/[\u2212\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7e]/g, '?');
+}
+
+function wrap(text, width) {
+    const parts = [];
+    let current = '';
+
+    text.split(' ').forEach(word => {
+        while (word.length > width) {
+            if (current) parts.push(current);
+            parts.push(word.slice(0, width));
+            word = word.slice(width);
+            current = '';
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= width) {
+            current += ` ${word}`;
+        } else {
+            parts.push(current);
+            current = word;
+        }
+    });
+    if (current) parts.push(current);
+
+    return parts;
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
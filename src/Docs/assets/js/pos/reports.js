@@ -0,0 +1,476 @@
+/**
+ * StorePOS Point of Sale - Reports view
+ *
+ * Shift and end-of-day figures computed from GET /api/sales for a date range:
+ * takings by payment method, sale counts by status, gross/discount/tax, basket
+ * averages, top products and sales by hour, less the refunds given (see
+ * returns.js). Prints X reports (a reading) and Z reports, which also close
+ * the register's shift.
+ */
+
+import { PAYMENT_METHODS } from './config.js';
+import { fetchSales, rangeFor, toLocalInput } from './history.js';
+import { fetchParkedSales, parkedMinutes, formatParkedAge } from './parked.js';
+import { isRefund, refundOf } from './returns.js';
+import { displayNotes } from './sync.js';
+import { methodLabel, saleTakings } from './tender.js';
+import { escapeHtml, formatMoney, roundMoney } from './utils.js';
+
+const TOP_PRODUCTS_LIMIT = 10;
+
+/**
+ * Aggregate a list of SaleReadDto. Money figures only count completed sales;
+ * pending and cancelled sales are counted but not taken. Refunds are paid out
+ * of the net total and the method they were given in.
+ */
+export function summarizeSales(sales) {
+    const completed = sales.filter(sale => sale.status === 'Completed');
+    const refunds = sales.filter(isRefund);
+    const sum = (key) => roundMoney(completed.reduce((total, sale) => total + sale[key], 0));
+
+    const counts = { Completed: 0, Pending: 0, Cancelled: 0 };
+    sales.filter(sale => !isRefund(sale)).forEach(sale => {
+        counts[sale.status] = (counts[sale.status] || 0) + 1;
+    });
+
+    const byPayment = Object.fromEntries(PAYMENT_METHODS.map(method => [method.id, { count: 0, total: 0, refunded: 0 }]));
+    const hourly = Array.from({ length: 24 }, () => ({ count: 0, total: 0 }));
+    const products = new Map();
+    let items = 0;
+
+    completed.forEach(sale => {
+        // A split sale counts once under each method it was paid with
+        saleTakings(sale).forEach(({ method, amount }) => {
+            const payment = byPayment[method] ??= { count: 0, total: 0, refunded: 0 };
+            payment.count++;
+            payment.total = roundMoney(payment.total + amount);
+        });
+
+        const hour = hourly[new Date(sale.createdAt).getHours()];
+        hour.count++;
+        hour.total = roundMoney(hour.total + sale.total);
+
+        sale.carts.forEach(line => {
+            const product = products.get(line.productId)
+                || { productId: line.productId, name: line.productName, sku: line.productSku, qty: 0, revenue: 0 };
+            product.qty += line.qty;
+            product.revenue = roundMoney(product.revenue + line.lineTotal);
+            products.set(line.productId, product);
+            items += line.qty;
+        });
+    });
+
+    refunds.forEach(refund => {
+        const payment = byPayment[refund.paymentMethod] ??= { count: 0, total: 0, refunded: 0 };
+        payment.refunded = roundMoney(payment.refunded + refund.total);
+        payment.total = roundMoney(payment.total - refund.total);
+    });
+
+    const ranked = [...products.values()];
+    const salesTotal = sum('total');
+    const refunded = roundMoney(refunds.reduce((total, refund) => total + refund.total, 0));
+
+    return {
+        counts,
+        gross: sum('subtotal'),
+        discount: sum('discount'),
+        tax: sum('tax'),
+        refunded,
+        total: roundMoney(salesTotal - refunded),
+        byPayment,
+        refunds: refunds
+            .map(refund => ({ id: refund.id, saleId: refundOf(refund), total: refund.total, method: refund.paymentMethod, reason: displayNotes(refund.notes) }))
+            .reverse(),
+        averageBasket: completed.length ? roundMoney(salesTotal / completed.length) : 0,
+        averageItems: completed.length ? items / completed.length : 0,
+        items,
+        hourly,
+        topByQuantity: [...ranked].sort((a, b) => b.qty - a.qty || b.revenue - a.revenue).slice(0, TOP_PRODUCTS_LIMIT),
+        topByRevenue: [...ranked].sort((a, b) => b.revenue - a.revenue || b.qty - a.qty).slice(0, TOP_PRODUCTS_LIMIT)
+    };
+}
+
+export class ReportsView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.preset = 'shift';
+        this.range = null;
+        this.summary = null;
+        this.loading = false;
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    activate() {
+        this.reload();
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        const inputClass = 'px-2 py-1 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+        const presets = [['shift', 'This shift'], ['today', 'Today'], ['week', 'This week'], ['custom', 'Custom']];
+
+        this.container.innerHTML = `
+            <div class="space-y-6">
+                <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-4 flex flex-wrap items-center gap-4">
+                    <div class="flex rounded-md border border-secondary-300 dark:border-secondary-600 overflow-hidden text-sm" role="group">
+                        ${presets.map(([id, label]) => `
+                            <button type="button" data-preset="${id}" class="px-3 py-1.5 dark:text-secondary-200">${label}</button>
+                        `).join('')}
+                    </div>
+                    <form id="reports-range" class="hidden flex items-center gap-2 text-sm dark:text-secondary-200">
+                        <label>From <input type="datetime-local" name="from" required class="${inputClass}"></label>
+                        <label>To <input type="datetime-local" name="to" class="${inputClass}"></label>
+                        <button type="submit" class="px-3 py-1 rounded-md bg-primary-600 hover:bg-primary-700 text-white">Apply</button>
+                    </form>
+                    <span id="reports-shift" class="text-sm text-secondary-500 dark:text-secondary-400"></span>
+                    <div class="ml-auto flex gap-2">
+                        <button type="button" data-action="refresh-report" class="px-3 py-1.5 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">
+                            <i class="fas fa-rotate mr-1"></i>Refresh
+                        </button>
+                        <button type="button" data-action="print-x-report" class="px-3 py-1.5 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">
+                            <i class="fas fa-print mr-1"></i>Print X report
+                        </button>
+                        <button type="button" data-action="close-shift" class="px-3 py-1.5 text-sm rounded-md bg-red-600 hover:bg-red-700 text-white">
+                            <i class="fas fa-lock mr-1"></i>Close shift (Z report)
+                        </button>
+                    </div>
+                </section>
+                <div id="reports-body"></div>
+            </div>
+        `;
+
+        this.initializeEventListeners();
+        this.setPreset(this.preset);
+    }
+
+    renderToolbar() {
+        this.container.querySelectorAll('[data-preset]').forEach(button => {
+            const active = button.dataset.preset === this.preset;
+            button.classList.toggle('bg-primary-600', active);
+            button.classList.toggle('text-white', active);
+        });
+        this.container.querySelector('#reports-range').classList.toggle('hidden', this.preset !== 'custom');
+
+        const shift = this.app.session.shift;
+        this.container.querySelector('#reports-shift').textContent = shift
+            ? `Shift opened ${new Date(shift.openedAt).toLocaleString()} by ${shift.openedBy}`
+            : '';
+    }
+
+    render() {
+        const body = this.container.querySelector('#reports-body');
+        const summary = this.summary;
+
+        if (this.loading) {
+            body.innerHTML = '<p class="py-10 text-center text-secondary-500 loading">Loading sales...</p>';
+            return;
+        }
+        if (!summary) {
+            body.innerHTML = '';
+            return;
+        }
+
+        const card = (label, value, hint = '') => `
+            <div class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-4">
+                <p class="text-sm text-secondary-500 dark:text-secondary-400">${label}</p>
+                <p class="text-2xl font-bold dark:text-white">${value}</p>
+                ${hint ? `<p class="text-xs text-secondary-500 dark:text-secondary-400">${hint}</p>` : ''}
+            </div>
+        `;
+        const row = (label, value, emphasis = '') => `<div class="flex justify-between ${emphasis}"><span>${label}</span><span>${value}</span></div>`;
+        const panel = (title, icon, content) => `
+            <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                <h2 class="text-lg font-semibold mb-4 dark:text-white"><i class="fas ${icon} mr-2"></i>${title}</h2>
+                ${content}
+            </section>
+        `;
+
+        body.innerHTML = `
+            <div class="space-y-6">
+                <div class="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                    ${card('Net sales', formatMoney(summary.total), 'Completed sales less refunds')}
+                    ${card('Completed sales', summary.counts.Completed, `${summary.items} items sold`)}
+                    ${card('Average basket', formatMoney(summary.averageBasket), `${summary.averageItems.toFixed(1)} items per sale`)}
+                    ${card('Tax collected', formatMoney(summary.tax))}
+                </div>
+
+                <div class="grid lg:grid-cols-3 gap-6">
+                    ${panel('Takings', 'fa-scale-balanced', `
+                        <div class="text-sm space-y-1 dark:text-secondary-200">
+                            ${row('Gross sales', formatMoney(summary.gross))}
+                            ${row('Discounts', `− ${formatMoney(summary.discount)}`)}
+                            ${row('Tax', formatMoney(summary.tax))}
+                            ${row(`Refunds (${summary.refunds.length})`, `− ${formatMoney(summary.refunded)}`)}
+                            ${row('Net total', formatMoney(summary.total), 'font-bold border-t border-secondary-200 dark:border-secondary-700 pt-1 dark:text-white')}
+                        </div>
+                    `)}
+                    ${panel('Payment methods', 'fa-wallet', this.renderPayments(summary))}
+                    ${panel('Sales by status', 'fa-list-check', `
+                        <div class="text-sm space-y-1 dark:text-secondary-200">
+                            ${Object.entries(summary.counts).map(([status, count]) => row(escapeHtml(status), count)).join('')}
+                            ${row('Refunds', summary.refunds.length)}
+                        </div>
+                        ${summary.counts.Pending ? `<p class="mt-3 text-xs text-orange-600 dark:text-orange-400">Pending sales are not included in the takings until they are completed.</p>` : ''}
+                    `)}
+                </div>
+
+                ${summary.refunds.length ? panel('Refunds', 'fa-rotate-left', this.renderRefunds(summary.refunds)) : ''}
+
+                ${panel('Sales by hour', 'fa-chart-column', this.renderHourlyChart(summary.hourly))}
+
+                <div class="grid lg:grid-cols-2 gap-6">
+                    ${panel('Top products by quantity', 'fa-ranking-star', this.renderTopProducts(summary.topByQuantity))}
+                    ${panel('Top products by revenue', 'fa-sack-dollar', this.renderTopProducts(summary.topByRevenue))}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPayments(summary) {
+        const total = summary.total || 1;
+        const method = (id) => PAYMENT_METHODS.find(m => m.id === id) || { label: id, icon: 'fa-money-check' };
+
+        return `
+            <div class="space-y-3 text-sm dark:text-secondary-200">
+                ${Object.entries(summary.byPayment).map(([id, totals]) => `
+                    <div>
+                        <div class="flex justify-between">
+                            <span><i class="fas ${method(id).icon} mr-1 text-secondary-400"></i>${escapeHtml(method(id).label)} (${totals.count})</span>
+                            <span class="font-medium">${formatMoney(totals.total)}</span>
+                        </div>
+                        ${totals.refunded ? `<p class="text-xs text-secondary-500 dark:text-secondary-400">after ${formatMoney(totals.refunded)} refunded</p>` : ''}
+                        <div class="mt-1 h-2 bg-secondary-100 dark:bg-secondary-700 rounded-full overflow-hidden">
+                            <div class="h-full bg-primary-600" style="width: ${Math.max(Math.round(totals.total / total * 100), 0)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderRefunds(refunds) {
+        return `
+            <table class="w-full text-sm dark:text-secondary-200">
+                <thead>
+                    <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                        <th class="py-1">Refund</th><th class="py-1">Sale</th><th class="py-1">Method</th><th class="py-1">Reason</th><th class="py-1 text-right">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${refunds.map(refund => `
+                        <tr class="border-b border-secondary-100 dark:border-secondary-700">
+                            <td class="py-1 font-mono">#${refund.id}</td>
+                            <td class="py-1 font-mono">#${refund.saleId}</td>
+                            <td class="py-1">${escapeHtml(methodLabel(refund.method))}</td>
+                            <td class="py-1">${escapeHtml(refund.reason)}</td>
+                            <td class="py-1 text-right">− ${formatMoney(refund.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * One bar per hour of the day, scaled to the busiest hour
+     */
+    renderHourlyChart(hourly) {
+        const busiest = Math.max(...hourly.map(hour => hour.total));
+        if (!busiest) {
+            return '<p class="text-sm text-secondary-500 dark:text-secondary-400">No completed sales in this range.</p>';
+        }
+
+        return `
+            <div class="flex items-end gap-1 h-48" role="img" aria-label="Completed sales by hour of day">
+                ${hourly.map((hour, index) => `
+                    <div class="flex-1 h-full flex flex-col justify-end" title="${String(index).padStart(2, '0')}:00 · ${hour.count} sales · ${escapeHtml(formatMoney(hour.total))}">
+                        <div class="bg-primary-500 dark:bg-primary-400 rounded-t" style="height: ${hour.total / busiest * 100}%"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="flex gap-1 mt-1 text-[10px] text-secondary-500 dark:text-secondary-400">
+                ${hourly.map((_, index) => `<span class="flex-1 text-center">${index % 3 === 0 ? String(index).padStart(2, '0') : ''}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    renderTopProducts(products) {
+        if (!products.length) {
+            return '<p class="text-sm text-secondary-500 dark:text-secondary-400">No products sold in this range.</p>';
+        }
+
+        return `
+            <table class="w-full text-sm dark:text-secondary-200">
+                <thead>
+                    <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                        <th class="py-1">Product</th><th class="py-1 text-right">Qty</th><th class="py-1 text-right">Revenue</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${products.map(product => `
+                        <tr class="border-b border-secondary-100 dark:border-secondary-700">
+                            <td class="py-1">${escapeHtml(product.name)}<div class="text-xs text-secondary-500">${escapeHtml(product.sku)}</div></td>
+                            <td class="py-1 text-right">${product.qty}</td>
+                            <td class="py-1 text-right">${formatMoney(product.revenue)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-preset], [data-action]');
+            if (!target) return;
+
+            if (target.dataset.preset) {
+                this.setPreset(target.dataset.preset);
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'refresh-report':
+                    this.reload();
+                    break;
+                case 'print-x-report':
+                    this.printXReport();
+                    break;
+                case 'close-shift':
+                    this.closeShift(target);
+                    break;
+            }
+        });
+
+        this.container.querySelector('#reports-range').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fields = e.target.elements;
+            this.load({
+                from: new Date(fields.from.value),
+                to: fields.to.value ? new Date(fields.to.value) : new Date()
+            });
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    setPreset(preset) {
+        this.preset = preset;
+        this.renderToolbar();
+
+        if (preset === 'custom') {
+            const fields = this.container.querySelector('#reports-range').elements;
+            if (!fields.from.value) {
+                fields.from.value = toLocalInput(rangeFor('today', this.app.session).from);
+            }
+            fields.from.focus();
+            return;
+        }
+
+        this.load(rangeFor(preset, this.app.session));
+    }
+
+    reload() {
+        this.renderToolbar();
+        if (this.preset !== 'custom') {
+            this.load(rangeFor(this.preset, this.app.session));
+        } else if (this.range) {
+            this.load(this.range);
+        }
+    }
+
+    async load(range) {
+        this.range = range;
+        this.loading = true;
+        this.render();
+
+        try {
+            this.summary = summarizeSales(await this.fetch(range));
+        } catch (error) {
+            this.summary = null;
+            this.app.showToast(`Could not load sales: ${error.message}`, 'error');
+        } finally {
+            this.loading = false;
+            this.render();
+        }
+    }
+
+    fetch(range) {
+        return fetchSales(this.client, { from: range.from.toISOString(), to: range.to.toISOString() });
+    }
+
+    /**
+     * A reading of the range on screen; nothing is closed
+     */
+    printXReport() {
+        if (!this.summary) return;
+
+        this.app.printRegisterReport({
+            summary: this.summary,
+            range: this.range,
+            shift: this.preset === 'shift' ? this.app.session.shift : null,
+            printedBy: this.app.session.user?.username
+        });
+    }
+
+    /**
+     * Print the Z report for the whole shift, then start a new shift for the
+     * signed-in user so the next report starts from zero
+     */
+    async closeShift(button) {
+        const session = this.app.session;
+        const shift = session.shift;
+        const range = rangeFor('shift', session);
+
+        button.disabled = true;
+        try {
+            const summary = summarizeSales(await this.fetch(range));
+            const queued = this.app.sync.pending.filter(entry => entry.type === 'sale').length;
+            const stale = await this.staleParkedSales();
+            const warnings = [
+                summary.counts.Pending && `${summary.counts.Pending} sale(s) are still pending and are not counted.`,
+                queued && `${queued} offline sale(s) have not reached the API yet and are not counted.`,
+                stale.length && [
+                    `${stale.length} sale(s) have been parked on this register for over ${formatParkedAge(this.app.settings.parkedSaleWarnMinutes)}:`,
+                    ...stale.map(sale => {
+                        const notes = displayNotes(sale.notes);
+                        return `  #${sale.id} ${formatMoney(sale.total)}, parked ${formatParkedAge(parkedMinutes(sale))} ago${notes ? ` (${notes})` : ''}`;
+                    })
+                ].join('\n')
+            ].filter(Boolean);
+
+            if (!confirm(['Close the shift and print the Z report?', ...warnings].join('\n\n'))) return;
+
+            this.app.printRegisterReport({ summary, range, shift, closing: true, printedBy: session.user?.username });
+            session.closeShift();
+            session.openShift(session.user);
+            this.app.showToast('Shift closed', 'success');
+            this.setPreset('shift');
+        } catch (error) {
+            this.app.showToast(`Could not close the shift: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Parked sales older than the parkedSaleWarnMinutes setting, oldest first
+     */
+    async staleParkedSales() {
+        const parked = await fetchParkedSales(this.client, this.app.session);
+        return parked.filter(sale => parkedMinutes(sale) >= this.app.settings.parkedSaleWarnMinutes);
+    }
+}
@@ -0,0 +1,526 @@
+/**
+ * StorePOS Point of Sale - Returns view
+ *
+ * Takes items back from a completed sale, found by its number or by scanning
+ * the barcode on its receipt. A completed sale cannot be changed and the API
+ * has no refund resource, so a refund is recorded as a sale of its own: the
+ * returned lines at the prices they were sold for, with "[refund:<sale id>]"
+ * and the reason in its notes, cancelled as soon as it is posted (cancelling a
+ * pending sale moves no stock). The returned units are put back in stock with
+ * PUT /api/products/{id}/update-stock first, as the API refuses a sale for
+ * more than is in stock. Returns are taken for returnWindowDays after the
+ * sale (a register setting).
+ */
+
+import { fetchSales } from './history.js';
+import { REFUND_REFERENCE_PATTERN, displayNotes } from './sync.js';
+import { methodLabel, primaryMethod, saleTenders } from './tender.js';
+import { PAYMENT_METHODS, REFUND_REASONS } from './config.js';
+import { escapeHtml, formatMoney, roundMoney } from './utils.js';
+
+// Printed under completed receipts as Code 39 (see receipt.js). Padded so a
+// scan is long enough for the scanner to tell it from typing.
+const RECEIPT_REFERENCE_PATTERN = /^S(\d{7,})$/;
+
+export function receiptReference(saleId) {
+    return `S${String(saleId).padStart(7, '0')}`;
+}
+
+/**
+ * Sale id from a scanned receipt barcode, or null for any other barcode
+ */
+export function saleIdFromReceipt(barcode) {
+    const match = barcode.trim().toUpperCase().match(RECEIPT_REFERENCE_PATTERN);
+    return match ? Number(match[1]) : null;
+}
+
+export function refundNotes(saleId, reason) {
+    return `${reason.trim()} [refund:${saleId}]`;
+}
+
+/**
+ * Id of the sale a refund was given against, or null if the sale is not a refund
+ */
+export function refundOf(sale) {
+    const match = sale.status === 'Cancelled' && sale.notes?.match(REFUND_REFERENCE_PATTERN);
+    return match ? Number(match[1]) : null;
+}
+
+export function isRefund(sale) {
+    return refundOf(sale) !== null;
+}
+
+/**
+ * End of the return period for a sale (the returnWindowDays setting)
+ */
+export function returnDeadline(sale, windowDays) {
+    return new Date(new Date(sale.createdAt).getTime() + windowDays * 86400000);
+}
+
+/**
+ * Refunds given against a sale, oldest first. Refunds are only taken within
+ * the return period, so only that stretch of GET /api/sales is searched.
+ * @returns {Promise<Object[]>} SaleReadDto list
+ */
+export async function fetchRefunds(client, sale, windowDays) {
+    const to = new Date(Math.min(Date.now(), returnDeadline(sale, windowDays).getTime()));
+    const sales = await fetchSales(client, { from: sale.createdAt, to: to.toISOString() });
+    return sales.filter(candidate => refundOf(candidate) === sale.id).reverse();
+}
+
+/**
+ * A sale's products with what was sold and what is left to return
+ * @returns {{ productId: number, productName: string, productSku: string, unitPrice: number, sold: number, returned: number, remaining: number }[]}
+ */
+export function returnableLines(sale, refunds) {
+    const lines = new Map();
+    sale.carts.forEach(line => {
+        const entry = lines.get(line.productId)
+            || { productId: line.productId, productName: line.productName, productSku: line.productSku, unitPrice: line.unitPrice, sold: 0, returned: 0 };
+        entry.sold += line.qty;
+        lines.set(line.productId, entry);
+    });
+
+    refunds.forEach(refund => refund.carts.forEach(line => {
+        const entry = lines.get(line.productId);
+        if (entry) entry.returned += line.qty;
+    }));
+
+    return [...lines.values()].map(entry => ({ ...entry, remaining: Math.max(entry.sold - entry.returned, 0) }));
+}
+
+/**
+ * The refund for the quantities chosen: the lines at the prices they were sold
+ * for, with their share of the sale's discount and tax. The refund that takes
+ * the last item back gets whatever discount and tax is left, so refunds never
+ * add up to more than the sale.
+ * @param {Map<number, number>} quantities - Units returned per product id
+ * @returns {{ carts: Object[], subtotal: number, discount: number, tax: number, total: number }}
+ */
+export function refundAmounts(sale, refunds, quantities) {
+    const lines = returnableLines(sale, refunds);
+    const carts = lines
+        .map(line => ({ productId: line.productId, qty: Math.min(quantities.get(line.productId) || 0, line.remaining), unitPrice: line.unitPrice }))
+        .filter(line => line.qty > 0);
+
+    const subtotal = roundMoney(carts.reduce((sum, line) => sum + line.qty * line.unitPrice, 0));
+    const returnsAll = lines.every(line => line.remaining === (carts.find(cart => cart.productId === line.productId)?.qty || 0));
+    const refunded = (key) => refunds.reduce((sum, refund) => sum + refund[key], 0);
+    const share = (key) => returnsAll
+        ? roundMoney(sale[key] - refunded(key))
+        : roundMoney(sale.subtotal ? sale[key] * subtotal / sale.subtotal : 0);
+
+    const discount = carts.length ? share('discount') : 0;
+    const tax = carts.length ? share('tax') : 0;
+    return { carts, subtotal, discount, tax, total: roundMoney(subtotal - discount + tax) };
+}
+
+export class ReturnsView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.sale = null;
+        this.refunds = [];
+        this.quantities = new Map();
+        this.lastRefund = null;
+        this.loading = false;
+        this.submitting = false;
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        this.container.innerHTML = `
+            <div class="grid lg:grid-cols-5 gap-6">
+                <section class="lg:col-span-3 bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                    <form id="return-lookup" class="flex gap-2 mb-4">
+                        <div class="relative flex-1">
+                            <input type="search" name="sale" autocomplete="off" required placeholder="Sale number, or scan the receipt"
+                                class="w-full px-4 py-3 pl-10 border border-secondary-300 dark:border-secondary-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                            <i class="fas fa-receipt absolute left-3 top-4 text-secondary-400"></i>
+                        </div>
+                        <button type="submit" class="px-4 rounded-lg bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium">Find sale</button>
+                    </form>
+                    <div id="return-sale"></div>
+                </section>
+
+                <section class="lg:col-span-2 bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                    <h2 class="text-lg font-semibold mb-4 dark:text-white"><i class="fas fa-rotate-left mr-2"></i>Refund</h2>
+                    <form id="return-form" class="space-y-3"></form>
+                    <dl id="return-totals" class="mt-4 space-y-1 text-sm"></dl>
+                    <div id="last-refund" class="mt-4"></div>
+                </section>
+            </div>
+        `;
+
+        this.initializeEventListeners();
+        this.render();
+    }
+
+    render() {
+        this.renderSale();
+        this.renderForm();
+        this.renderTotals();
+        this.renderLastRefund();
+    }
+
+    /**
+     * The sale being returned against: its lines with a quantity to return
+     * each, and the refunds already given
+     */
+    renderSale() {
+        const saleEl = this.container.querySelector('#return-sale');
+        const sale = this.sale;
+        const muted = (text) => `<p class="py-6 text-center text-sm text-secondary-500 dark:text-secondary-400">${text}</p>`;
+
+        if (this.loading) {
+            saleEl.innerHTML = '<p class="py-6 text-center text-sm text-secondary-500 loading">Loading sale...</p>';
+            return;
+        }
+        if (!sale) {
+            saleEl.innerHTML = muted('Find the sale the items were bought in to start a return.');
+            return;
+        }
+
+        const inputClass = 'w-20 px-2 py-1 text-sm text-right border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+        const blocked = this.blockedReason;
+        const lines = returnableLines(sale, this.refunds);
+
+        saleEl.innerHTML = `
+            <div class="flex items-start justify-between mb-3">
+                <div>
+                    <h2 class="text-lg font-semibold dark:text-white">Sale #${sale.id}</h2>
+                    <p class="text-sm text-secondary-500 dark:text-secondary-400">
+                        ${new Date(sale.createdAt).toLocaleString()} · ${formatMoney(sale.total)} paid by
+                        ${saleTenders(sale).map(tender => escapeHtml(methodLabel(tender.method))).join(' + ')}
+                    </p>
+                </div>
+                <button type="button" data-action="clear-return" class="text-sm text-secondary-500 hover:text-red-600">
+                    <i class="fas fa-xmark mr-1"></i>Close
+                </button>
+            </div>
+
+            ${blocked ? `<p class="mb-3 p-3 rounded text-sm bg-orange-50 text-orange-800 dark:bg-orange-900/30 dark:text-orange-200">${escapeHtml(blocked)}</p>` : ''}
+
+            <table class="w-full text-sm dark:text-secondary-200">
+                <thead>
+                    <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                        <th class="py-1">Product</th><th class="py-1 text-right">Price</th><th class="py-1 text-right">Sold</th>
+                        <th class="py-1 text-right">Returned</th><th class="py-1 text-right">Return now</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => `
+                        <tr class="border-b border-secondary-100 dark:border-secondary-700">
+                            <td class="py-1">${escapeHtml(line.productName)}<div class="text-xs text-secondary-500">${escapeHtml(line.productSku)}</div></td>
+                            <td class="py-1 text-right">${formatMoney(line.unitPrice)}</td>
+                            <td class="py-1 text-right">${line.sold}</td>
+                            <td class="py-1 text-right">${line.returned}</td>
+                            <td class="py-1 text-right">
+                                <input type="number" min="0" max="${line.remaining}" step="1" data-return-qty="${line.productId}"
+                                    value="${this.quantities.get(line.productId) || 0}" ${blocked || !line.remaining ? 'disabled' : ''}
+                                    aria-label="Units of ${escapeHtml(line.productName)} returned" class="${inputClass} disabled:opacity-50">
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            ${this.refunds.length ? `
+                <h3 class="mt-6 mb-2 text-sm font-semibold dark:text-white">Refunds already given</h3>
+                <ul class="space-y-1 text-sm dark:text-secondary-200">
+                    ${this.refunds.map(refund => `
+                        <li class="flex justify-between gap-4">
+                            <span>#${refund.id} · ${new Date(refund.createdAt).toLocaleString()} · ${escapeHtml(displayNotes(refund.notes))}</span>
+                            <span class="whitespace-nowrap">− ${formatMoney(refund.total)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Why nothing can be returned against the loaded sale, if anything stops it
+     */
+    get blockedReason() {
+        const sale = this.sale;
+        if (isRefund(sale)) return `This is refund #${sale.id} against sale #${refundOf(sale)}.`;
+        if (sale.status === 'Pending') return 'This sale has not been completed; change or cancel it instead.';
+        if (sale.status !== 'Completed') return `This sale was ${sale.status.toLowerCase()}; nothing was paid for it.`;
+        const deadline = returnDeadline(sale, this.app.settings.returnWindowDays);
+        if (deadline < new Date()) return `The return period for this sale ended on ${deadline.toLocaleDateString()}.`;
+        if (returnableLines(sale, this.refunds).every(line => !line.remaining)) return 'Everything on this sale has already been returned.';
+        return null;
+    }
+
+    renderForm() {
+        const form = this.container.querySelector('#return-form');
+        if (!this.sale || this.blockedReason) {
+            form.innerHTML = '';
+            return;
+        }
+
+        const inputClass = 'w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+        const method = primaryMethod(saleTenders(this.sale));
+
+        form.innerHTML = `
+            <label class="block text-sm dark:text-secondary-200">Reason
+                <select name="reason" class="${inputClass}">
+                    ${REFUND_REASONS.map(reason => `<option>${escapeHtml(reason)}</option>`).join('')}
+                </select>
+            </label>
+            <label class="block text-sm dark:text-secondary-200">Details
+                <input type="text" name="details" maxlength="200" class="${inputClass}">
+            </label>
+            <div class="grid grid-cols-2 gap-2">
+                ${PAYMENT_METHODS.map(option => `
+                    <label class="flex items-center justify-center gap-2 px-3 py-2 border rounded-md cursor-pointer text-sm dark:text-secondary-200 border-secondary-300 dark:border-secondary-600 has-[:checked]:border-primary-500 has-[:checked]:bg-primary-50 dark:has-[:checked]:bg-primary-900/30">
+                        <input type="radio" name="method" value="${option.id}" class="sr-only" ${option.id === method ? 'checked' : ''}>
+                        <i class="fas ${option.icon}"></i>${option.label}
+                    </label>
+                `).join('')}
+            </div>
+            <button type="submit" id="return-submit"
+                class="w-full bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white py-3 rounded-lg font-semibold">
+                <i class="fas fa-rotate-left mr-2"></i>Refund
+            </button>
+        `;
+    }
+
+    renderTotals() {
+        const totalsEl = this.container.querySelector('#return-totals');
+        if (!this.sale || this.blockedReason) {
+            totalsEl.innerHTML = '';
+            return;
+        }
+
+        const amounts = refundAmounts(this.sale, this.refunds, this.quantities);
+        const items = amounts.carts.reduce((sum, line) => sum + line.qty, 0);
+        const row = (label, value, emphasis = '') => `
+            <div class="flex justify-between ${emphasis}"><dt>${label}</dt><dd>${value}</dd></div>
+        `;
+
+        totalsEl.innerHTML = `
+            <div class="dark:text-secondary-200 space-y-1">
+                ${row('Items returned', items)}
+                ${row('Subtotal', formatMoney(amounts.subtotal))}
+                ${amounts.discount ? row('Discount given', `− ${formatMoney(amounts.discount)}`) : ''}
+                ${row('Tax', formatMoney(amounts.tax))}
+            </div>
+            ${row('Refund', formatMoney(amounts.total), 'text-lg font-bold dark:text-white border-t border-secondary-200 dark:border-secondary-700 pt-2')}
+        `;
+
+        const submit = this.container.querySelector('#return-submit');
+        submit.disabled = this.submitting || !items;
+    }
+
+    renderLastRefund() {
+        const panel = this.container.querySelector('#last-refund');
+        const refund = this.lastRefund;
+        if (!refund) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.innerHTML = `
+            <div class="p-3 rounded-md bg-accent-50 dark:bg-accent-900/30 text-sm dark:text-secondary-200">
+                <div class="flex justify-between"><span>Refund #${refund.id} against sale #${refundOf(refund)}</span><span class="font-medium">${formatMoney(refund.total)}</span></div>
+                <div class="text-xs text-secondary-500">${escapeHtml(methodLabel(refund.paymentMethod))} · ${escapeHtml(displayNotes(refund.notes))}</div>
+                <button type="button" data-action="print-refund" class="mt-2 text-primary-600 hover:text-primary-500 font-medium">
+                    <i class="fas fa-print mr-1"></i>Print refund receipt
+                </button>
+            </div>
+        `;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.querySelector('#return-lookup').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const value = e.target.elements.sale.value.trim();
+            const saleId = saleIdFromReceipt(value) ?? (/^#?\d+$/.test(value) ? Number(value.replace('#', '')) : null);
+
+            if (saleId === null) {
+                this.app.showToast('Enter a sale number or scan the barcode on the receipt', 'warning');
+                return;
+            }
+            this.lookup(saleId);
+        });
+
+        this.container.addEventListener('input', (e) => {
+            const productId = e.target.dataset.returnQty;
+            if (!productId) return;
+
+            const max = Number(e.target.max);
+            const qty = Math.min(Math.max(Math.floor(Number(e.target.value) || 0), 0), max);
+            this.quantities.set(Number(productId), qty);
+            this.renderTotals();
+        });
+
+        // Clamp what was typed once the field is left
+        this.container.addEventListener('change', (e) => {
+            const productId = e.target.dataset.returnQty;
+            if (productId) e.target.value = this.quantities.get(Number(productId)) || 0;
+        });
+
+        this.container.querySelector('#return-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.refund(e.target);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            switch (target.dataset.action) {
+                case 'clear-return':
+                    this.clear();
+                    break;
+                case 'print-refund':
+                    this.app.printReceipt(this.lastRefund);
+                    break;
+            }
+        });
+    }
+
+    handleScan(barcode) {
+        const saleId = saleIdFromReceipt(barcode);
+        if (saleId === null) {
+            this.app.showToast(`Barcode ${barcode} is not a receipt from this store`, 'warning');
+            return;
+        }
+        this.lookup(saleId);
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    async lookup(saleId) {
+        this.loading = true;
+        this.sale = null;
+        this.lastRefund = null;
+        this.render();
+
+        try {
+            const sale = await this.client.sales.get(saleId);
+            this.refunds = sale.status === 'Completed' ? await fetchRefunds(this.client, sale, this.app.settings.returnWindowDays) : [];
+            this.sale = sale;
+            this.quantities = new Map();
+            this.container.querySelector('#return-lookup').elements.sale.value = '';
+        } catch (error) {
+            this.app.showToast(error.status === 404 ? `Sale #${saleId} was not found` : `Could not load sale #${saleId}: ${error.message}`, 'error');
+        } finally {
+            this.loading = false;
+            this.render();
+        }
+    }
+
+    clear() {
+        this.sale = null;
+        this.refunds = [];
+        this.quantities = new Map();
+        this.render();
+        this.container.querySelector('#return-lookup').elements.sale.focus();
+    }
+
+    /**
+     * Restock the returned units, then post the refund and cancel it. Stock put
+     * back for a refund that could not be recorded is taken out again.
+     */
+    async refund(form) {
+        if (this.submitting) return;
+
+        const sale = this.sale;
+        const amounts = refundAmounts(sale, this.refunds, this.quantities);
+        const fields = form.elements;
+        const details = fields.details.value.trim();
+        const reason = details ? `${fields.reason.value}: ${details}` : fields.reason.value;
+        const method = fields.method.value;
+
+        if (!amounts.carts.length) {
+            this.app.showToast('Choose how many of each item is coming back', 'warning');
+            return;
+        }
+        if (fields.reason.value === 'Other' && !details) {
+            this.app.showToast('Describe the reason for the return', 'warning');
+            fields.details.focus();
+            return;
+        }
+        if (!this.app.sync.online) {
+            this.app.showToast('Returns need the API; try again once the register is back online', 'error');
+            return;
+        }
+        if (!confirm(`Refund ${formatMoney(amounts.total)} in ${methodLabel(method)} against sale #${sale.id}?`)) return;
+
+        this.submitting = true;
+        this.renderTotals();
+
+        const restocked = [];
+        let refund = null;
+        try {
+            for (const line of amounts.carts) {
+                await this.client.products.updateStock(line.productId, line.qty, 'Increase');
+                restocked.push(line);
+            }
+
+            refund = await this.client.sales.create({
+                carts: amounts.carts,
+                discount: amounts.discount,
+                tax: amounts.tax,
+                paidAmount: amounts.total,
+                paymentMethod: method,
+                notes: refundNotes(sale.id, reason)
+            });
+            refund = await this.client.sales.cancel(refund.id);
+        } catch (error) {
+            this.app.showToast(`Could not refund sale #${sale.id}: ${error.message}${await this.undoRefund(refund, restocked)}`, 'error');
+            this.submitting = false;
+            this.renderTotals();
+            return;
+        }
+
+        this.submitting = false;
+        this.refunds = [...this.refunds, refund];
+        this.quantities = new Map();
+        this.lastRefund = refund;
+        this.render();
+        this.app.showToast(`Refund #${refund.id} recorded: ${formatMoney(refund.total)} back in ${methodLabel(method)}`, 'success');
+    }
+
+    /**
+     * Take back what a failed refund left behind
+     * @returns {Promise<string>} What could not be undone, for the error toast
+     */
+    async undoRefund(refund, restocked) {
+        if (refund?.status === 'Pending') {
+            try {
+                await this.client.sales.remove(refund.id);
+            } catch {
+                return `. Refund #${refund.id} was posted but is still pending; cancel it from Sales History.`;
+            }
+        }
+
+        const stuck = [];
+        for (const line of restocked) {
+            try {
+                await this.client.products.updateStock(line.productId, line.qty, 'Decrease');
+            } catch {
+                stuck.push(line);
+            }
+        }
+
+        const names = stuck.map(line => this.sale.carts.find(cart => cart.productId === line.productId)?.productName);
+        return stuck.length ? `. These were put back in stock and need correcting in Inventory: ${names.join(', ')}.` : '';
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * StorePOS Point of Sale - Barcode scanner
+ *
+ * Keyboard-wedge scanners "type" the barcode followed by Enter, much faster
+ * than a person can. The listener watches keystrokes on the whole window, so
+ * no input needs focus, and reports a scan when a burst of printable keys
+ * arrives with short gaps and ends in Enter.
+ */
+
+import { SCANNER_SETTINGS } from './config.js';
+
+export class BarcodeScanner {
+    /**
+     * @param {(barcode: string) => void} onScan - Called with each scanned barcode
+     * @param {Object} [options] - Overrides for SCANNER_SETTINGS
+     */
+    constructor(onScan, options = {}) {
+        this.onScan = onScan;
+        this.options = { ...SCANNER_SETTINGS, ...options };
+        this.reset();
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    start() {
+        // Capture phase so a scan's Enter never reaches focused forms or buttons
+        window.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    stop() {
+        window.removeEventListener('keydown', this.handleKeydown, true);
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = '';
+        this.lastKeyAt = 0;
+        this.target = null;
+        this.targetValue = null;
+    }
+
+    handleKeydown(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+        // Held-down keys auto-repeat at scanner speed
+        if (e.repeat) {
+            this.reset();
+            return;
+        }
+
+        const now = performance.now();
+        const gap = now - this.lastKeyAt;
+
+        if (e.key === 'Enter') {
+            if (this.buffer.length >= this.options.minLength && gap <= this.options.maxInterKeyMs) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.complete();
+            }
+            this.reset();
+            return;
+        }
+
+        if (e.key.length !== 1) return;
+
+        // A slow keystroke starts a new candidate burst
+        if (!this.buffer || gap > this.options.maxInterKeyMs) {
+            this.buffer = '';
+            this.snapshotTarget(e.target);
+        }
+
+        this.buffer += e.key;
+        this.lastKeyAt = now;
+    }
+
+    /**
+     * Remember what a focused field held before the burst, so scanned
+     * characters don't end up in e.g. a notes or quantity field
+     */
+    snapshotTarget(target) {
+        const editable = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+        this.target = editable ? target : null;
+        this.targetValue = editable ? target.value : null;
+    }
+
+    complete() {
+        const barcode = this.buffer;
+
+        if (this.target && this.target.value !== this.targetValue) {
+            this.target.value = this.targetValue;
+            this.target.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        this.onScan(barcode);
+    }
+}
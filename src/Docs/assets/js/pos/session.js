@@ -0,0 +1,186 @@
+/**
+ * StorePOS Point of Sale - Session
+ *
+ * Resolves the active environment profile and wraps an SDK client whose
+ * tokens live under the same key the developer guide uses. Also tracks the
+ * register shift, which opens at the first sign-in and stays open until the
+ * register is closed.
+ */
+
+import { StorePosClient, StorePosApiError, LocalStorageTokenStore } from '../../../sdk/storepos-client.js';
+import { ENVIRONMENTS_STORAGE_KEY, SESSION_STORAGE_KEY, SHIFT_STORAGE_KEY, REGISTER_STORAGE_KEY, PARKED_STORAGE_KEY, DEFAULT_ENVIRONMENT } from './config.js';
+import { createClientId } from './utils.js';
+
+export class PosSession {
+    constructor() {
+        this.environment = this.loadEnvironment();
+        this.user = null;
+        this.listeners = [];
+
+        this.client = new StorePosClient({
+            baseUrl: this.environment.baseUrl,
+            tokenStore: new LocalStorageTokenStore(`${SESSION_STORAGE_KEY}.${this.environment.id}`),
+            onSessionExpired: () => this.setUser(null)
+        });
+    }
+
+    /**
+     * Active profile from the guide's environment switcher
+     */
+    loadEnvironment() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ENVIRONMENTS_STORAGE_KEY));
+            const profile = saved?.profiles?.find(p => p.id === saved.activeId) || saved?.profiles?.[0];
+            if (profile?.baseUrl) return profile;
+        } catch {
+            // Fall through to the default profile
+        }
+        return { ...DEFAULT_ENVIRONMENT };
+    }
+
+    get isAuthenticated() {
+        return !!this.user;
+    }
+
+    /**
+     * Register a callback invoked whenever the signed-in user changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setUser(user) {
+        this.user = user;
+        if (user && !this.shift) {
+            this.openShift(user);
+        }
+        this.listeners.forEach(listener => listener(user));
+    }
+
+    // -------------------------------------------------------------------------
+    // SHIFT
+    // -------------------------------------------------------------------------
+
+    get shiftKey() {
+        return `${SHIFT_STORAGE_KEY}.${this.environment.id}`;
+    }
+
+    /**
+     * The open shift on this register: { openedAt, openedBy }, or null
+     */
+    get shift() {
+        try {
+            return JSON.parse(localStorage.getItem(this.shiftKey));
+        } catch {
+            return null;
+        }
+    }
+
+    openShift(user) {
+        const shift = { openedAt: new Date().toISOString(), openedBy: user.username };
+        localStorage.setItem(this.shiftKey, JSON.stringify(shift));
+        return shift;
+    }
+
+    closeShift() {
+        localStorage.removeItem(this.shiftKey);
+    }
+
+    /**
+     * Reference for this register (browser), created on first use. Tags the
+     * sales it parks.
+     */
+    get registerId() {
+        const key = `${REGISTER_STORAGE_KEY}.${this.environment.id}`;
+        let registerId = localStorage.getItem(key);
+        if (!/^[0-9a-f]{8}$/.test(registerId || '')) {
+            registerId = createClientId().slice(0, 8);
+            localStorage.setItem(key, registerId);
+        }
+        return registerId;
+    }
+
+    get parkedKey() {
+        return `${PARKED_STORAGE_KEY}.${this.environment.id}`;
+    }
+
+    /**
+     * Ids of the sales this register has parked and not yet seen completed or
+     * cancelled, or null if it has never kept any (see parked.js)
+     */
+    get parkedSaleIds() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.parkedKey));
+            return Array.isArray(ids) ? ids : null;
+        } catch {
+            return null;
+        }
+    }
+
+    set parkedSaleIds(ids) {
+        localStorage.setItem(this.parkedKey, JSON.stringify(ids));
+    }
+
+    /**
+     * Pick up a saved session, if its tokens are still accepted
+     */
+    async restore() {
+        const tokens = this.client.tokenStore.get();
+        if (!tokens) return;
+
+        try {
+            const user = await this.client.auth.me();
+            await this.loadPermissions();
+            this.setUser(user);
+        } catch (error) {
+            if (error instanceof StorePosApiError) {
+                console.warn('Saved session could not be restored:', error);
+                this.client.tokenStore.clear();
+                this.setUser(null);
+            } else {
+                // API unreachable: keep working offline as the user who signed in last
+                this.setUser(tokens.user || null);
+            }
+        }
+    }
+
+    /**
+     * Sign in and load the /api/auth/me profile
+     */
+    async login(usernameOrEmail, password) {
+        await this.client.auth.login(usernameOrEmail, password);
+        const user = await this.client.auth.me();
+        await this.loadPermissions();
+        this.setUser(user);
+    }
+
+    /**
+     * Take the role matrix from the x-roles / x-allow-anonymous metadata in the
+     * API's swagger.json. The SDK's built-in table stays in use when the
+     * document cannot be loaded, e.g. offline or with Swagger turned off.
+     */
+    async loadPermissions() {
+        try {
+            await this.client.loadPermissions();
+        } catch (error) {
+            console.warn('Permissions could not be loaded from swagger.json, using the built-in table:', error);
+        }
+    }
+
+    async logout() {
+        try {
+            await this.client.auth.logout();
+        } catch (error) {
+            console.warn('Logout request failed, clearing local session:', error);
+        }
+        this.setUser(null);
+    }
+
+    /**
+     * Whether the signed-in user may call every route in an access list (see config.js)
+     * @param {string[]} routes - Operation names, e.g. SALE_ACCESS.cancel
+     */
+    canAccess(routes) {
+        return !!this.user && routes.every(route => this.client.can(this.user.role, route));
+    }
+}
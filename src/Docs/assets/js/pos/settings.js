@@ -0,0 +1,396 @@
+/**
+ * StorePOS Point of Sale - Settings view
+ *
+ * Register settings kept in this browser: store currency and the receipt
+ * header, footer and paper width, with a live receipt preview, the age at
+ * which parked sales are flagged, and the pricing rules checkout applies
+ * (promotions, category tax rates, tax-inclusive shelf prices; see pricing.js).
+ * Pricing changes are saved as they are made.
+ */
+
+import { RECEIPT_WIDTHS } from './config.js';
+import { RULE_KINDS, RULE_TARGETS, describeRule, validateRule } from './pricing.js';
+import { renderReceiptHtml } from './receipt.js';
+import { createClientId, escapeHtml, saveSettings } from './utils.js';
+
+// Shown in the preview and printed by "Print test receipt"
+const SAMPLE_SALE = {
+    id: 0,
+    createdAt: new Date().toISOString(),
+    subtotal: 2750,
+    discount: 50,
+    tax: 378,
+    total: 3078,
+    paidAmount: 3100,
+    paymentMethod: 'Cash',
+    notes: null,
+    status: 'Completed',
+    carts: [
+        { productName: 'Mechanical Keyboard', productSku: 'KB-001', qty: 1, unitPrice: 1800, lineTotal: 1800 },
+        { productName: 'Wireless Mouse', productSku: 'MS-010', qty: 1, unitPrice: 950, lineTotal: 950 }
+    ]
+};
+
+export class SettingsView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.categories = [];
+    }
+
+    mount() {
+        const settings = this.app.settings;
+        const inputClass = 'mt-1 w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+
+        this.container.innerHTML = `
+            <div class="grid lg:grid-cols-2 gap-6">
+                <form id="settings-form" class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6 space-y-4">
+                    <h2 class="text-lg font-semibold dark:text-white"><i class="fas fa-receipt mr-2"></i>Receipt</h2>
+                    <div class="grid grid-cols-2 gap-3">
+                        <label class="block text-sm dark:text-secondary-200">Store name
+                            <input name="storeName" maxlength="40" value="${escapeHtml(settings.storeName)}" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Currency (ISO code)
+                            <input name="currency" maxlength="3" required value="${escapeHtml(settings.currency)}" class="${inputClass} uppercase">
+                        </label>
+                    </div>
+                    <label class="block text-sm dark:text-secondary-200">Header
+                        <textarea name="receiptHeader" rows="3" placeholder="Address, phone, tax registration number..." class="${inputClass}">${escapeHtml(settings.receiptHeader)}</textarea>
+                    </label>
+                    <label class="block text-sm dark:text-secondary-200">Footer
+                        <textarea name="receiptFooter" rows="2" class="${inputClass}">${escapeHtml(settings.receiptFooter)}</textarea>
+                    </label>
+                    <label class="block text-sm dark:text-secondary-200">Paper
+                        <select name="receiptWidth" class="${inputClass}">
+                            ${RECEIPT_WIDTHS.map(width => `
+                                <option value="${width.columns}" ${Number(settings.receiptWidth) === width.columns ? 'selected' : ''}>${width.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <h2 class="text-lg font-semibold dark:text-white pt-2"><i class="fas fa-layer-group mr-2"></i>Parked sales</h2>
+                    <label class="block text-sm dark:text-secondary-200">Warn about parked sales older than (minutes)
+                        <input name="parkedSaleWarnMinutes" type="number" min="1" step="1" required value="${settings.parkedSaleWarnMinutes}" class="${inputClass}">
+                    </label>
+                    <h2 class="text-lg font-semibold dark:text-white pt-2"><i class="fas fa-rotate-left mr-2"></i>Returns</h2>
+                    <label class="block text-sm dark:text-secondary-200">Accept returns for (days after the sale)
+                        <input name="returnWindowDays" type="number" min="1" step="1" required value="${settings.returnWindowDays}" class="${inputClass}">
+                    </label>
+                    <p class="text-xs text-secondary-500 dark:text-secondary-400">
+                        Receipts are printed in ASCII; other characters show as "?". Settings apply to this register only.
+                    </p>
+                    <div class="flex justify-end gap-2">
+                        <button type="button" data-action="print-test" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">
+                            <i class="fas fa-print mr-1"></i>Print test receipt
+                        </button>
+                        <button type="submit" class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 text-white">
+                            <i class="fas fa-floppy-disk mr-1"></i>Save
+                        </button>
+                    </div>
+                </form>
+
+                <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                    <h2 class="text-lg font-semibold dark:text-white mb-4"><i class="fas fa-eye mr-2"></i>Preview</h2>
+                    <div id="receipt-preview" class="overflow-x-auto flex justify-center bg-secondary-100 dark:bg-secondary-900 rounded p-4"></div>
+                </section>
+
+                <section id="pricing-settings" class="lg:col-span-2 bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6 space-y-6"></section>
+            </div>
+            <datalist id="pricing-categories"></datalist>
+        `;
+
+        const form = this.container.querySelector('#settings-form');
+        form.addEventListener('input', () => this.renderPreview());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.container.addEventListener('click', (e) => {
+            const actionEl = e.target.closest('[data-action]');
+            if (!actionEl) return;
+
+            const ruleId = actionEl.closest('[data-rule-id]')?.dataset.ruleId;
+            switch (actionEl.dataset.action) {
+                case 'print-test':
+                    this.app.printReceipt(SAMPLE_SALE, { reprint: false });
+                    break;
+                case 'remove-rule':
+                    this.savePricing({ pricingRules: this.app.settings.pricingRules.filter(rule => rule.id !== ruleId) });
+                    break;
+                case 'move-rule-up':
+                    this.moveRule(ruleId);
+                    break;
+                case 'remove-tax-rate': {
+                    const { [actionEl.dataset.category]: removed, ...rates } = this.app.settings.categoryTaxRates;
+                    this.savePricing({ categoryTaxRates: rates });
+                    break;
+                }
+            }
+        });
+
+        const pricing = this.container.querySelector('#pricing-settings');
+        pricing.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.id === 'rule-form') this.addRule(e.target);
+            if (e.target.id === 'tax-rate-form') this.addTaxRate(e.target);
+        });
+        pricing.addEventListener('change', (e) => {
+            if (e.target.name === 'pricesIncludeTax') {
+                this.savePricing({ pricesIncludeTax: e.target.checked });
+            } else if (e.target.name === 'ruleEnabled') {
+                const ruleId = e.target.closest('[data-rule-id]').dataset.ruleId;
+                this.savePricing({
+                    pricingRules: this.app.settings.pricingRules.map(rule => (rule.id === ruleId ? { ...rule, enabled: e.target.checked } : rule))
+                });
+            } else if (e.target.closest('#rule-form')) {
+                this.syncRuleForm();
+            }
+        });
+
+        this.renderPreview();
+        this.renderPricing();
+        this.loadCategories();
+    }
+
+    // -------------------------------------------------------------------------
+    // PRICING
+    // -------------------------------------------------------------------------
+
+    renderPricing() {
+        const settings = this.app.settings;
+        const rules = settings.pricingRules;
+        const rates = Object.entries(settings.categoryTaxRates);
+        const inputClass = 'mt-1 w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+        const buttonClass = 'px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 text-white whitespace-nowrap';
+
+        this.container.querySelector('#pricing-settings').innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-3">
+                <h2 class="text-lg font-semibold dark:text-white"><i class="fas fa-tags mr-2"></i>Pricing</h2>
+                <label class="flex items-center gap-2 text-sm dark:text-secondary-200 cursor-pointer">
+                    <input type="checkbox" name="pricesIncludeTax" ${settings.pricesIncludeTax ? 'checked' : ''}> Shelf prices include tax
+                </label>
+            </div>
+
+            <div class="grid lg:grid-cols-3 gap-6">
+                <div class="lg:col-span-2 space-y-3">
+                    <h3 class="font-medium dark:text-white">Promotions</h3>
+                    <p class="text-xs text-secondary-500 dark:text-secondary-400">
+                        Product and category promotions apply first, top to bottom, each to what is left of a line; basket promotions and the cashier's extra discount follow.
+                    </p>
+                    ${rules.length ? `
+                        <ul class="divide-y divide-secondary-100 dark:divide-secondary-700 text-sm dark:text-secondary-200">
+                            ${rules.map((rule, index) => `
+                                <li class="flex items-center gap-3 py-2" data-rule-id="${escapeHtml(rule.id)}">
+                                    <input type="checkbox" name="ruleEnabled" ${rule.enabled !== false ? 'checked' : ''} aria-label="Enabled">
+                                    <div class="flex-1 min-w-0">
+                                        <div class="font-medium truncate">${escapeHtml(rule.name)}</div>
+                                        <div class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(describeRule(rule))}</div>
+                                    </div>
+                                    ${index > 0 ? '<button type="button" data-action="move-rule-up" class="text-secondary-400 hover:text-primary-600" aria-label="Move up"><i class="fas fa-arrow-up"></i></button>' : ''}
+                                    <button type="button" data-action="remove-rule" class="text-secondary-400 hover:text-red-600" aria-label="Remove"><i class="fas fa-trash-can"></i></button>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="text-sm text-secondary-500 dark:text-secondary-400">No promotions yet.</p>'}
+
+                    <form id="rule-form" class="grid sm:grid-cols-2 lg:grid-cols-4 gap-3 items-end pt-2 border-t border-secondary-200 dark:border-secondary-700">
+                        <label class="block text-sm dark:text-secondary-200 sm:col-span-2">Name
+                            <input name="name" maxlength="40" required placeholder="Shown on the receipt" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Type
+                            <select name="kind" class="${inputClass}">
+                                ${RULE_KINDS.map(kind => `<option value="${kind.id}">${kind.label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200">Applies to
+                            <select name="target" class="${inputClass}">
+                                ${RULE_TARGETS.map(target => `<option value="${target.id}">${target.label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200" data-rule-field="match">Category or SKU
+                            <input name="match" list="pricing-categories" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200" data-rule-field="value">Percent or amount off
+                            <input name="value" type="number" min="0" step="0.01" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200" data-rule-field="minSubtotal">Minimum basket
+                            <input name="minSubtotal" type="number" min="0" step="0.01" value="0" class="${inputClass}">
+                        </label>
+                        <div class="grid grid-cols-2 gap-2" data-rule-field="buyGet">
+                            <label class="block text-sm dark:text-secondary-200">Buy
+                                <input name="buyQty" type="number" min="1" step="1" value="2" class="${inputClass}">
+                            </label>
+                            <label class="block text-sm dark:text-secondary-200">Get free
+                                <input name="getQty" type="number" min="1" step="1" value="1" class="${inputClass}">
+                            </label>
+                        </div>
+                        <p data-rule-error class="hidden sm:col-span-2 lg:col-span-3 text-sm text-red-600"></p>
+                        <button type="submit" class="${buttonClass} lg:col-start-4"><i class="fas fa-plus mr-1"></i>Add promotion</button>
+                    </form>
+                </div>
+
+                <div class="space-y-3">
+                    <h3 class="font-medium dark:text-white">Tax rates by category</h3>
+                    <p class="text-xs text-secondary-500 dark:text-secondary-400">
+                        Other categories use the checkout's tax rate (${settings.taxRate}%).
+                    </p>
+                    ${rates.length ? `
+                        <ul class="divide-y divide-secondary-100 dark:divide-secondary-700 text-sm dark:text-secondary-200">
+                            ${rates.map(([category, rate]) => `
+                                <li class="flex items-center justify-between gap-3 py-2">
+                                    <span class="truncate">${escapeHtml(category)}</span>
+                                    <span class="ml-auto font-medium">${rate}%</span>
+                                    <button type="button" data-action="remove-tax-rate" data-category="${escapeHtml(category)}" class="text-secondary-400 hover:text-red-600" aria-label="Remove"><i class="fas fa-trash-can"></i></button>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    <form id="tax-rate-form" class="flex items-end gap-2">
+                        <label class="block text-sm dark:text-secondary-200 flex-1">Category
+                            <input name="category" required list="pricing-categories" class="${inputClass}">
+                        </label>
+                        <label class="block text-sm dark:text-secondary-200 w-24">Rate (%)
+                            <input name="rate" type="number" min="0" max="100" step="0.01" required class="${inputClass}">
+                        </label>
+                        <button type="submit" class="${buttonClass}" aria-label="Add tax rate"><i class="fas fa-plus"></i></button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.syncRuleForm();
+    }
+
+    /**
+     * Only show the rule fields that apply to the chosen type and target
+     */
+    syncRuleForm() {
+        const form = this.container.querySelector('#rule-form');
+        const { kind, target } = form.elements;
+        const show = {
+            match: target.value !== 'basket',
+            value: kind.value !== 'buyXgetY',
+            minSubtotal: target.value === 'basket',
+            buyGet: kind.value === 'buyXgetY'
+        };
+
+        Object.entries(show).forEach(([field, visible]) => {
+            form.querySelector(`[data-rule-field="${field}"]`).classList.toggle('hidden', !visible);
+        });
+    }
+
+    /**
+     * Categories in the catalogue, suggested when typing a category
+     */
+    async loadCategories() {
+        try {
+            const products = await this.app.session.client.products.list();
+            this.categories = [...new Set(products.map(product => product.category))].sort();
+        } catch (error) {
+            console.warn('Could not load product categories:', error);
+        }
+
+        this.container.querySelector('#pricing-categories').innerHTML = this.categories
+            .map(category => `<option value="${escapeHtml(category)}"></option>`).join('');
+    }
+
+    addRule(form) {
+        const fields = form.elements;
+        const target = fields.target.value;
+        const rule = {
+            id: createClientId(),
+            name: fields.name.value.trim(),
+            enabled: true,
+            kind: fields.kind.value,
+            target,
+            ...(target === 'category' && { category: fields.match.value.trim() }),
+            ...(target === 'product' && { sku: fields.match.value.trim() }),
+            ...(fields.kind.value === 'buyXgetY'
+                ? { buyQty: Math.floor(Number(fields.buyQty.value)), getQty: Math.floor(Number(fields.getQty.value)) }
+                : { value: Number(fields.value.value) }),
+            ...(target === 'basket' && { minSubtotal: Number(fields.minSubtotal.value) || 0 })
+        };
+
+        const problems = validateRule(rule);
+        if (problems.length) {
+            const errorEl = form.querySelector('[data-rule-error]');
+            errorEl.textContent = problems.join(' ');
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        this.savePricing({ pricingRules: [...this.app.settings.pricingRules, rule] });
+        this.app.showToast(`Promotion "${rule.name}" added`, 'success');
+    }
+
+    /**
+     * Line promotions apply in list order, so order matters
+     */
+    moveRule(ruleId) {
+        const rules = [...this.app.settings.pricingRules];
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        if (index < 1) return;
+
+        [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+        this.savePricing({ pricingRules: rules });
+    }
+
+    addTaxRate(form) {
+        const category = form.elements.category.value.trim();
+        const rate = Number(form.elements.rate.value);
+        if (!category || !(rate >= 0 && rate <= 100)) return;
+
+        // Replace an existing entry for the category whatever its case
+        const rates = Object.fromEntries(Object.entries(this.app.settings.categoryTaxRates)
+            .filter(([name]) => name.toLowerCase() !== category.toLowerCase()));
+        this.savePricing({ categoryTaxRates: { ...rates, [category]: rate } });
+    }
+
+    savePricing(changes) {
+        this.app.settings = saveSettings(changes);
+        this.renderPricing();
+    }
+
+    /**
+     * Settings as currently entered in the form (not yet saved)
+     */
+    readForm() {
+        const fields = this.container.querySelector('#settings-form').elements;
+        return {
+            ...this.app.settings,
+            storeName: fields.storeName.value.trim(),
+            currency: fields.currency.value.trim().toUpperCase(),
+            receiptHeader: fields.receiptHeader.value.trim(),
+            receiptFooter: fields.receiptFooter.value.trim(),
+            receiptWidth: Number(fields.receiptWidth.value),
+            parkedSaleWarnMinutes: Math.max(1, Math.floor(Number(fields.parkedSaleWarnMinutes.value)) || this.app.settings.parkedSaleWarnMinutes),
+            returnWindowDays: Math.max(1, Math.floor(Number(fields.returnWindowDays.value)) || this.app.settings.returnWindowDays)
+        };
+    }
+
+    isValidCurrency(currency) {
+        try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency });
+            return /^[A-Z]{3}$/.test(currency);
+        } catch {
+            return false;
+        }
+    }
+
+    renderPreview() {
+        const settings = this.readForm();
+        if (!this.isValidCurrency(settings.currency)) return;
+
+        this.container.querySelector('#receipt-preview').innerHTML = renderReceiptHtml(SAMPLE_SALE, { settings });
+    }
+
+    save() {
+        const changes = this.readForm();
+        if (!this.isValidCurrency(changes.currency)) {
+            this.app.showToast(`${changes.currency || 'Currency'} is not an ISO 4217 currency code`, 'warning');
+            return;
+        }
+
+        this.app.settings = saveSettings(changes);
+        this.app.showToast('Settings saved', 'success');
+    }
+}
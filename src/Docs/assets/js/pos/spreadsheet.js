@@ -0,0 +1,195 @@
+/**
+ * StorePOS Point of Sale - Spreadsheet files
+ *
+ * Reads CSV and XLSX files into rows of strings and writes CSV, without
+ * third-party libraries so registers on an offline network can still use them.
+ * XLSX support covers the first worksheet's cell values (no formulas or styles).
+ */
+
+/**
+ * Read the first sheet of a .csv or .xlsx file
+ * @param {File} file
+ * @returns {Promise<string[][]>} Rows of cell text
+ */
+export async function readSpreadsheet(file) {
+    if (/\.xlsx$/i.test(file.name)) {
+        return readXlsx(await file.arrayBuffer());
+    }
+    return parseCsv(await file.text());
+}
+
+// -----------------------------------------------------------------------------
+// CSV
+// -----------------------------------------------------------------------------
+
+/**
+ * RFC 4180 parser. The delimiter is detected from the first line because
+ * Excel uses ";" in locales where "," is the decimal separator.
+ */
+export function parseCsv(text) {
+    text = text.replace(/^\ufeff/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const count = (char) => firstLine.split(char).length - 1;
+    return [';', '\t'].find(char => count(char) > count(',')) || ',';
+}
+
+/**
+ * Serialize rows as CSV, quoting cells that need it
+ */
+export function toCsv(rows) {
+    const quote = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+// -----------------------------------------------------------------------------
+// XLSX
+// -----------------------------------------------------------------------------
+
+/**
+ * Cell values of the first worksheet in an Office Open XML workbook
+ */
+export async function readXlsx(buffer) {
+    const entries = readZipDirectory(buffer);
+    const readXml = async (path) => {
+        const entry = entries.get(path);
+        return entry ? new DOMParser().parseFromString(await inflateEntry(buffer, entry), 'application/xml') : null;
+    };
+    const elements = (node, name) => [...node.getElementsByTagNameNS('*', name)];
+
+    const sharedStrings = await readXml('xl/sharedStrings.xml');
+    const strings = sharedStrings
+        ? elements(sharedStrings, 'si').map(item => elements(item, 't').map(t => t.textContent).join(''))
+        : [];
+
+    const sheet = await readXml(await firstSheetPath(readXml, elements));
+    if (!sheet) {
+        throw new Error('The workbook has no worksheet');
+    }
+
+    return elements(sheet, 'row').map(rowEl => {
+        const row = [];
+        elements(rowEl, 'c').forEach(cellEl => {
+            const column = columnIndex(cellEl.getAttribute('r')) ?? row.length;
+            const type = cellEl.getAttribute('t');
+            const value = elements(cellEl, 'v')[0]?.textContent ?? '';
+
+            row[column] = type === 's' ? strings[Number(value)] ?? ''
+                : type === 'inlineStr' ? elements(cellEl, 't').map(t => t.textContent).join('')
+                : type === 'b' ? (value === '1' ? 'TRUE' : 'FALSE')
+                : value;
+        });
+        return Array.from(row, value => value ?? '');
+    }).filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Path of the first <sheet> listed in the workbook, via its relationship id
+ */
+async function firstSheetPath(readXml, elements) {
+    const workbook = await readXml('xl/workbook.xml');
+    const rels = await readXml('xl/_rels/workbook.xml.rels');
+    const relId = workbook && elements(workbook, 'sheet')[0]?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const target = rels && elements(rels, 'Relationship').find(rel => rel.getAttribute('Id') === relId)?.getAttribute('Target');
+
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function columnIndex(reference) {
+    const letters = reference?.match(/^[A-Z]+/)?.[0];
+    if (!letters) return null;
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Map of file name to { method, offset, compressedSize } from the zip central directory
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) {
+        throw new Error('Not an .xlsx file (zip directory not found)');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        const nameLength = view.getUint16(position + 28, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, position + 46, nameLength));
+
+        entries.set(name, {
+            method: view.getUint16(position + 10, true),
+            compressedSize: view.getUint32(position + 20, true),
+            offset: view.getUint32(position + 42, true)
+        });
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+
+    return entries;
+}
+
+async function inflateEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`Unsupported zip compression method ${entry.method}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
@@ -0,0 +1,616 @@
+/**
+ * StorePOS Point of Sale - Stock take view
+ *
+ * Physical inventory counts. Staff scan products (one unit per scan) or search
+ * and type the quantity on the shelf; each line is compared with StockQty from
+ * GET /api/products and shows its variance in units and at cost. update-stock
+ * only moves stock relative to where it is, so approving a count refreshes
+ * StockQty and posts the Increase or Decrease that brings each product to the
+ * counted quantity. Counts are kept in localStorage per environment, so an
+ * unfinished count survives a reload and can be resumed, and finished counts
+ * can still be exported.
+ */
+
+import { PRODUCT_ACCESS, SEARCH_DEBOUNCE_MS, STOCKTAKE_STORAGE_KEY, STOCKTAKE_HISTORY_LIMIT } from './config.js';
+import { EXPORT_FORMATS, exportStockTake } from './export.js';
+import { escapeHtml, formatMoney, debounce, roundMoney, createClientId } from './utils.js';
+
+const SEARCH_RESULTS_LIMIT = 8;
+
+/**
+ * Counted minus system quantity: positive when there is more on the shelf than recorded
+ */
+export function countVariance(line) {
+    return line.counted - line.expected;
+}
+
+/**
+ * Unit and cost totals for a count
+ */
+export function summarizeCount(count) {
+    const lines = count.lines;
+    const variances = lines.map(countVariance);
+
+    return {
+        products: lines.length,
+        counted: lines.reduce((sum, line) => sum + line.counted, 0),
+        withVariance: variances.filter(Boolean).length,
+        over: variances.filter(variance => variance > 0).reduce((sum, variance) => sum + variance, 0),
+        short: -variances.filter(variance => variance < 0).reduce((sum, variance) => sum + variance, 0),
+        value: roundMoney(lines.reduce((sum, line) => sum + countVariance(line) * line.cost, 0))
+    };
+}
+
+export class StockTakeView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.counts = this.loadCounts();
+        this.results = [];
+        this.refreshing = false;
+        this.approving = false;
+
+        this.search = debounce((query) => this.searchProducts(query), SEARCH_DEBOUNCE_MS);
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    get canApprove() {
+        return this.app.session.canAccess(PRODUCT_ACCESS.edit);
+    }
+
+    /**
+     * The count in progress, if any; there is at most one
+     */
+    get current() {
+        return this.counts.find(count => count.status === 'open') || null;
+    }
+
+    activate() {
+        this.refreshStock();
+    }
+
+    // -------------------------------------------------------------------------
+    // STORAGE
+    // -------------------------------------------------------------------------
+
+    get storageKey() {
+        return `${STOCKTAKE_STORAGE_KEY}.${this.app.session.environment.id}`;
+    }
+
+    loadCounts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Save after every change; only the newest finished counts are kept
+     */
+    saveCounts() {
+        const finished = this.counts.filter(count => count.status !== 'open').slice(0, STOCKTAKE_HISTORY_LIMIT);
+        this.counts = [...this.counts.filter(count => count.status === 'open'), ...finished];
+        localStorage.setItem(this.storageKey, JSON.stringify(this.counts));
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        this.container.innerHTML = `
+            <div class="space-y-6">
+                <section id="stocktake-current" class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6"></section>
+                <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                    <h2 class="text-lg font-semibold mb-4 dark:text-white"><i class="fas fa-clock-rotate-left mr-2"></i>Counts</h2>
+                    <div id="stocktake-history"></div>
+                </section>
+            </div>
+        `;
+
+        this.initializeEventListeners();
+        this.render();
+        this.refreshStock();
+    }
+
+    render() {
+        this.renderCurrent();
+        this.renderHistory();
+    }
+
+    renderCurrent() {
+        const section = this.container.querySelector('#stocktake-current');
+        const count = this.current;
+
+        if (!count) {
+            section.innerHTML = `
+                <form id="stocktake-start" class="flex flex-wrap items-end gap-3">
+                    <div class="flex-1 min-w-[16rem]">
+                        <h2 class="text-lg font-semibold mb-1 dark:text-white"><i class="fas fa-clipboard-list mr-2"></i>Stock take</h2>
+                        <label class="block text-sm dark:text-secondary-200">What is being counted
+                            <input type="text" name="note" maxlength="100" placeholder="e.g. Accessories shelf, full store"
+                                class="w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                        </label>
+                    </div>
+                    <button type="submit" class="px-4 py-2 rounded-md bg-primary-600 hover:bg-primary-700 text-white text-sm font-medium">
+                        <i class="fas fa-play mr-1"></i>Start count
+                    </button>
+                </form>
+            `;
+            return;
+        }
+
+        section.innerHTML = `
+            <div class="flex flex-wrap items-start justify-between gap-4 mb-4">
+                <div>
+                    <h2 class="text-lg font-semibold dark:text-white"><i class="fas fa-clipboard-list mr-2"></i>${escapeHtml(count.note || 'Stock take')}</h2>
+                    <p class="text-sm text-secondary-500 dark:text-secondary-400">
+                        Started ${new Date(count.startedAt).toLocaleString()} by ${escapeHtml(count.startedBy)} · scan a product to count one unit
+                    </p>
+                </div>
+                <div class="flex flex-wrap gap-2 text-sm">
+                    <button type="button" data-action="refresh-stock" ${this.refreshing ? 'disabled' : ''} class="px-3 py-1.5 rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white disabled:opacity-50">
+                        <i class="fas fa-rotate mr-1"></i>Refresh stock
+                    </button>
+                    ${this.renderExportButtons(count)}
+                    <button type="button" data-action="discard-count" class="px-3 py-1.5 rounded-md text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30">
+                        <i class="fas fa-trash-can mr-1"></i>Discard
+                    </button>
+                </div>
+            </div>
+
+            <div class="relative mb-4">
+                <input type="search" id="stocktake-search" autocomplete="off" placeholder="Search by name, SKU or barcode"
+                    class="w-full px-4 py-2 pl-10 border border-secondary-300 dark:border-secondary-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                <i class="fas fa-magnifying-glass absolute left-3 top-3 text-secondary-400"></i>
+                <div id="stocktake-results" class="mt-2 space-y-1"></div>
+            </div>
+
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                            <th class="py-2 pr-4">Product</th>
+                            <th class="py-2 pr-4 text-right">Cost</th>
+                            <th class="py-2 pr-4 text-right">System</th>
+                            <th class="py-2 pr-4 text-right">Counted</th>
+                            <th class="py-2 pr-4 text-right">Variance</th>
+                            <th class="py-2 pr-4 text-right">Value</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody id="stocktake-lines"></tbody>
+                </table>
+            </div>
+
+            <div class="mt-4 flex flex-wrap items-center justify-between gap-4">
+                <p id="stocktake-summary" class="text-sm text-secondary-600 dark:text-secondary-300"></p>
+                ${this.canApprove ? `
+                    <button type="button" data-action="approve-count" ${this.approving ? 'disabled' : ''}
+                        class="px-4 py-2 rounded-md bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white text-sm font-semibold">
+                        <i class="fas fa-check mr-1"></i>Approve and adjust stock
+                    </button>
+                ` : '<p class="text-sm text-secondary-500 dark:text-secondary-400">A manager approves the count to adjust stock.</p>'}
+            </div>
+        `;
+
+        this.renderResults();
+        this.renderLines();
+    }
+
+    renderResults() {
+        const resultsEl = this.container.querySelector('#stocktake-results');
+        if (!resultsEl) return;
+
+        resultsEl.innerHTML = this.results.map(product => `
+            <div class="flex items-center justify-between gap-3 px-3 py-2 rounded-md bg-secondary-50 dark:bg-secondary-900 text-sm dark:text-secondary-200">
+                <span>
+                    <span class="font-medium dark:text-white">${escapeHtml(product.name)}</span>
+                    <span class="text-xs text-secondary-500">${escapeHtml(product.sku)} · ${product.stockQty} in stock</span>
+                </span>
+                <button type="button" data-action="count-product" data-product-id="${product.id}" class="text-primary-600 hover:text-primary-500 font-medium">
+                    <i class="fas fa-plus mr-1"></i>Count
+                </button>
+            </div>
+        `).join('');
+    }
+
+    renderLines() {
+        const count = this.current;
+        const rowsEl = this.container.querySelector('#stocktake-lines');
+        if (!rowsEl) return;
+
+        rowsEl.innerHTML = count.lines.length ? count.lines.map(line => `
+            <tr data-line-id="${line.productId}" class="border-b border-secondary-100 dark:border-secondary-700 dark:text-secondary-200">
+                <td class="py-2 pr-4">
+                    <div class="font-medium dark:text-white">${escapeHtml(line.name)}</div>
+                    <div class="text-xs text-secondary-500 dark:text-secondary-400">${escapeHtml(line.sku)}${line.barcode ? ` · ${escapeHtml(line.barcode)}` : ''}</div>
+                    ${line.error ? `<div class="text-xs text-red-600">${escapeHtml(line.error)}</div>` : ''}
+                </td>
+                <td class="py-2 pr-4 text-right text-secondary-500 dark:text-secondary-400">${formatMoney(line.cost)}</td>
+                <td class="py-2 pr-4 text-right">${line.expected}</td>
+                <td class="py-2 pr-4 text-right">
+                    <input type="number" min="0" step="1" name="counted" value="${line.counted}" aria-label="Counted ${escapeHtml(line.name)}"
+                        class="w-20 px-2 py-1 text-sm text-right border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white">
+                </td>
+                ${this.renderVarianceCells(line)}
+                <td class="py-2 text-right">
+                    <button type="button" data-action="remove-line" title="Remove" class="text-secondary-400 hover:text-red-600"><i class="fas fa-xmark"></i></button>
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="7" class="py-6 text-center text-secondary-500 dark:text-secondary-400">Nothing counted yet.</td></tr>';
+
+        this.renderSummary();
+    }
+
+    renderVarianceCells(line) {
+        const variance = countVariance(line);
+        const tone = variance > 0 ? 'text-accent-700 dark:text-accent-300' : variance < 0 ? 'text-red-600' : '';
+
+        return `
+            <td data-variance class="py-2 pr-4 text-right font-medium ${tone}">${variance > 0 ? '+' : ''}${variance}</td>
+            <td data-variance-value class="py-2 pr-4 text-right ${tone}">${formatMoney(variance * line.cost)}</td>
+        `;
+    }
+
+    renderSummary() {
+        const summary = summarizeCount(this.current);
+        this.container.querySelector('#stocktake-summary').innerHTML = `
+            ${summary.products} ${summary.products === 1 ? 'product' : 'products'} counted ·
+            ${summary.withVariance} with a variance (${summary.over} over, ${summary.short} short) ·
+            net value at cost <span class="font-semibold dark:text-white">${formatMoney(summary.value)}</span>
+        `;
+    }
+
+    /**
+     * Counts on this register, newest first, with their outcome
+     */
+    renderHistory() {
+        const historyEl = this.container.querySelector('#stocktake-history');
+        if (!this.counts.length) {
+            historyEl.innerHTML = '<p class="text-sm text-secondary-500 dark:text-secondary-400">No counts on this register yet.</p>';
+            return;
+        }
+
+        const statuses = {
+            open: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200',
+            approved: 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200'
+        };
+
+        historyEl.innerHTML = `
+            <table class="w-full text-sm dark:text-secondary-200">
+                <thead>
+                    <tr class="text-left text-secondary-500 dark:text-secondary-400 border-b border-secondary-200 dark:border-secondary-700">
+                        <th class="py-1 pr-4">Count</th><th class="py-1 pr-4">Started</th><th class="py-1 pr-4">Status</th>
+                        <th class="py-1 pr-4 text-right">Products</th><th class="py-1 pr-4 text-right">Value</th><th class="py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.counts.map(count => {
+                        const summary = summarizeCount(count);
+                        return `
+                            <tr class="border-b border-secondary-100 dark:border-secondary-700">
+                                <td class="py-2 pr-4">${escapeHtml(count.note || 'Stock take')}</td>
+                                <td class="py-2 pr-4">${new Date(count.startedAt).toLocaleString()} · ${escapeHtml(count.startedBy)}</td>
+                                <td class="py-2 pr-4">
+                                    <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statuses[count.status]}">${count.status === 'open' ? 'In progress' : 'Approved'}</span>
+                                    ${count.approvedAt ? `<div class="text-xs text-secondary-500">${new Date(count.approvedAt).toLocaleString()} by ${escapeHtml(count.approvedBy)}</div>` : ''}
+                                </td>
+                                <td class="py-2 pr-4 text-right">${summary.products} (${summary.withVariance} with a variance)</td>
+                                <td class="py-2 pr-4 text-right">${formatMoney(summary.value)}</td>
+                                <td class="py-2 text-right">${this.renderExportButtons(count)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderExportButtons(count) {
+        return `
+            <span class="inline-flex rounded-md border border-secondary-300 dark:border-secondary-600 overflow-hidden" role="group" aria-label="Export">
+                ${EXPORT_FORMATS.map(format => `
+                    <button type="button" data-export="${format.id}" data-count-id="${count.id}" title="Export ${format.label}" class="px-2 py-1 hover:bg-secondary-100 dark:hover:bg-secondary-700 dark:text-secondary-200">
+                        <i class="fas ${format.icon}"></i>
+                    </button>
+                `).join('')}
+            </span>
+        `;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.addEventListener('submit', (e) => {
+            if (e.target.id !== 'stocktake-start') return;
+            e.preventDefault();
+            this.startCount(e.target.elements.note.value.trim());
+        });
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.id === 'stocktake-search') {
+                this.search(e.target.value);
+            } else if (e.target.name === 'counted') {
+                this.setCounted(Number(e.target.closest('[data-line-id]').dataset.lineId), e.target.value);
+            }
+        });
+
+        // Show what was kept of the typed value once the field is left
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name !== 'counted') return;
+            const line = this.findLine(Number(e.target.closest('[data-line-id]').dataset.lineId));
+            if (line) e.target.value = line.counted;
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-export], [data-action]');
+            if (!target) return;
+
+            if (target.dataset.export) {
+                const count = this.counts.find(candidate => candidate.id === target.dataset.countId);
+                exportStockTake(count, target.dataset.export, { settings: this.app.settings });
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'count-product':
+                    this.countProduct(this.results.find(product => product.id === Number(target.dataset.productId)), { focus: true });
+                    break;
+                case 'remove-line':
+                    this.removeLine(Number(target.closest('[data-line-id]').dataset.lineId));
+                    break;
+                case 'refresh-stock':
+                    this.refreshStock();
+                    break;
+                case 'discard-count':
+                    this.discardCount();
+                    break;
+                case 'approve-count':
+                    this.approveCount();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Each scan counts one more unit of the product
+     */
+    async handleScan(barcode) {
+        if (!this.current) {
+            this.app.showToast('Start a count before scanning', 'warning');
+            return;
+        }
+
+        const line = this.current.lines.find(candidate => candidate.barcode === barcode);
+        if (line) {
+            this.countProduct(line);
+            return;
+        }
+
+        try {
+            this.countProduct(await this.client.products.byBarcode(barcode));
+        } catch (error) {
+            this.app.showToast(error.status === 404 ? `No product has barcode ${barcode}` : `Barcode lookup failed: ${error.message}`, 'warning');
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    startCount(note) {
+        this.counts.unshift({
+            id: createClientId(),
+            note,
+            startedAt: new Date().toISOString(),
+            startedBy: this.app.session.user?.username,
+            status: 'open',
+            lines: []
+        });
+        this.saveCounts();
+        this.render();
+        this.container.querySelector('#stocktake-search')?.focus();
+    }
+
+    async searchProducts(query) {
+        if (!query.trim()) {
+            this.results = [];
+            this.renderResults();
+            return;
+        }
+
+        try {
+            this.results = (await this.client.products.list({ q: query.trim() })).slice(0, SEARCH_RESULTS_LIMIT);
+        } catch (error) {
+            this.results = [];
+            this.app.showToast(`Could not search products: ${error.message}`, 'error');
+        }
+        this.renderResults();
+    }
+
+    findLine(productId) {
+        return this.current?.lines.find(line => line.productId === productId) || null;
+    }
+
+    /**
+     * Add a unit of a product, or start its line at zero for the quantity to be
+     * typed. A product counted before moves to the top.
+     * @param {Object} product - ProductReadDto, or an existing line
+     */
+    countProduct(product, { focus = false } = {}) {
+        const count = this.current;
+        const existing = this.findLine(product.productId ?? product.id);
+        const line = existing || {
+            productId: product.id,
+            sku: product.sku,
+            barcode: product.barcode,
+            name: product.name,
+            category: product.category,
+            cost: product.cost,
+            expected: product.stockQty,
+            counted: 0
+        };
+
+        if (!focus) line.counted++;
+        line.countedAt = new Date().toISOString();
+        count.lines = [line, ...count.lines.filter(candidate => candidate !== line)];
+        this.saveCounts();
+        this.renderLines();
+
+        if (focus) {
+            const input = this.container.querySelector(`[data-line-id="${line.productId}"] [name="counted"]`);
+            input.focus();
+            input.select();
+        } else {
+            this.app.showToast(`${line.name}: ${line.counted} counted`, 'success');
+        }
+    }
+
+    setCounted(productId, value) {
+        const line = this.findLine(productId);
+        if (!line) return;
+
+        line.counted = Math.max(Math.floor(Number(value) || 0), 0);
+        line.countedAt = new Date().toISOString();
+        this.saveCounts();
+
+        const row = this.container.querySelector(`[data-line-id="${productId}"]`);
+        row.querySelectorAll('[data-variance], [data-variance-value]').forEach(cell => cell.remove());
+        row.lastElementChild.insertAdjacentHTML('beforebegin', this.renderVarianceCells(line));
+        this.renderSummary();
+    }
+
+    removeLine(productId) {
+        this.current.lines = this.current.lines.filter(line => line.productId !== productId);
+        this.saveCounts();
+        this.renderLines();
+    }
+
+    discardCount() {
+        const adjusted = this.current.lines.some(line => line.adjustment);
+        if (!confirm(adjusted ? 'Discard this count? Stock adjustments already posted for it stay.' : 'Discard this count? Nothing has been adjusted yet.')) return;
+
+        this.counts = this.counts.filter(count => count !== this.current);
+        this.saveCounts();
+        this.results = [];
+        this.render();
+    }
+
+    /**
+     * Current StockQty for products a count has not adjusted yet. GET
+     * /api/products returns the first 100 matches, so products missing from
+     * the full list are looked up by SKU.
+     * @returns {Promise<Map<number, Object>>} ProductReadDto by id
+     */
+    async fetchStock(lines) {
+        const products = new Map((await this.client.products.list()).map(product => [product.id, product]));
+
+        for (const line of lines.filter(candidate => !products.has(candidate.productId))) {
+            const matches = await this.client.products.list({ q: line.sku });
+            const product = matches.find(candidate => candidate.id === line.productId);
+            if (product) products.set(product.id, product);
+        }
+
+        return products;
+    }
+
+    /**
+     * Compare the count with the stock the API holds now; sales made while
+     * counting change what needs adjusting
+     */
+    async refreshStock() {
+        const count = this.current;
+        const pending = count?.lines.filter(line => !line.adjustment) || [];
+        if (!pending.length || this.refreshing) return;
+
+        this.refreshing = true;
+        this.renderCurrent();
+
+        try {
+            const products = await this.fetchStock(pending);
+            pending.forEach(line => {
+                const product = products.get(line.productId);
+                line.error = product ? null : 'Not found or inactive; it cannot be adjusted';
+                if (product) Object.assign(line, { expected: product.stockQty, cost: product.cost, name: product.name });
+            });
+            this.saveCounts();
+        } catch (error) {
+            this.app.showToast(`Could not refresh stock: ${error.message}`, 'error');
+        } finally {
+            this.refreshing = false;
+            this.renderCurrent();
+        }
+    }
+
+    /**
+     * Refresh StockQty, then post one update-stock per product whose count
+     * differs. A line keeps its adjustment once posted, so approving again
+     * after a failure only retries the lines that were not adjusted.
+     */
+    async approveCount() {
+        const count = this.current;
+        if (!count || this.approving) return;
+
+        if (!count.lines.length) {
+            this.app.showToast('Count at least one product first', 'warning');
+            return;
+        }
+        if (!this.app.sync.online) {
+            this.app.showToast('Approving a count needs the API; try again once the register is back online', 'error');
+            return;
+        }
+
+        this.approving = true;
+        this.renderCurrent();
+
+        try {
+            const pending = count.lines.filter(line => !line.adjustment);
+            const products = await this.fetchStock(pending);
+            pending.forEach(line => {
+                const product = products.get(line.productId);
+                line.error = product ? null : 'Not found or inactive; it cannot be adjusted';
+                if (product) line.expected = product.stockQty;
+            });
+            this.saveCounts();
+            this.renderLines();
+
+            const changes = pending.filter(line => !line.error && countVariance(line));
+            const summary = summarizeCount({ lines: changes });
+            if (!confirm(`Adjust stock for ${changes.length} product(s): ${summary.over} unit(s) up, ${summary.short} down, ${formatMoney(summary.value)} at cost?`)) return;
+
+            for (const line of changes) {
+                const variance = countVariance(line);
+                const stockUpdate = variance > 0 ? 'Increase' : 'Decrease';
+                try {
+                    await this.client.products.updateStock(line.productId, Math.abs(variance), stockUpdate);
+                    line.adjustment = { stockUpdate, amount: Math.abs(variance), at: new Date().toISOString() };
+                } catch (error) {
+                    line.error = `Not adjusted: ${error.message}`;
+                }
+                this.saveCounts();
+            }
+
+            const failed = count.lines.filter(line => line.error).length;
+            if (failed) {
+                this.app.showToast(`${failed} product(s) could not be adjusted; fix them and approve again`, 'warning');
+            } else {
+                Object.assign(count, { status: 'approved', approvedAt: new Date().toISOString(), approvedBy: this.app.session.user?.username });
+                this.saveCounts();
+                this.results = [];
+                this.app.showToast(`Count approved: ${changes.length} product(s) adjusted`, 'success');
+            }
+        } catch (error) {
+            this.app.showToast(`Could not approve the count: ${error.message}`, 'error');
+        } finally {
+            this.approving = false;
+            this.render();
+        }
+    }
+}
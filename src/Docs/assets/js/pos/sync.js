@@ -0,0 +1,311 @@
+/**
+ * StorePOS Point of Sale - Sync service
+ *
+ * Sends sales and stock adjustments to the API, falling back to the offline
+ * queue when the network is down. Health checks detect when the API is back
+ * and queued writes are replayed in submission order. Writes the API rejects
+ * (deleted product, insufficient stock...) are set aside as conflicts for the
+ * cashier to retry, edit or discard.
+ */
+
+import { StorePosApiError } from '../../../sdk/storepos-client.js';
+import { OfflineQueue } from './offline-queue.js';
+import { fetchSales } from './history.js';
+import { TENDER_PATTERN } from './tender.js';
+import { HEALTH_CHECK_PATH, HEALTH_CHECK_INTERVAL_MS, HEALTH_CHECK_TIMEOUT_MS } from './config.js';
+import { createClientId } from './utils.js';
+
+// Client reference appended to sale notes so a replay can find a sale whose
+// creation reached the server but whose response was lost
+const SALE_REFERENCE_PATTERN = /\s*\[pos:([0-9a-f]{8})\]$/;
+
+// The search for such a sale starts this long before the first attempt, in
+// case the register's clock is ahead of the server's
+const SUBMITTED_SALE_CLOCK_MARGIN_MS = 15 * 60 * 1000;
+
+// Register reference on a parked sale (see parked.js)
+export const PARKED_REFERENCE_PATTERN = /\s*\[parked:([0-9a-f]{8})\]/;
+
+// Sale a refund was given against (see returns.js)
+export const REFUND_REFERENCE_PATTERN = /\s*\[refund:(\d+)\]/;
+
+/**
+ * Strip the client, register and refund references and the tender split from
+ * sale notes for display
+ */
+export function displayNotes(notes) {
+    return (notes || '').replace(SALE_REFERENCE_PATTERN, '').replace(PARKED_REFERENCE_PATTERN, '')
+        .replace(REFUND_REFERENCE_PATTERN, '').replace(TENDER_PATTERN, '');
+}
+
+export class SyncService {
+    constructor(app) {
+        this.app = app;
+        this.queue = new OfflineQueue(app.session.environment.id);
+        this.online = navigator.onLine !== false;
+        this.entries = [];
+        this.replaying = null;
+        this.timer = null;
+        this.listeners = [];
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    get pending() {
+        return this.entries.filter(entry => entry.status === 'pending');
+    }
+
+    get conflicts() {
+        return this.entries.filter(entry => entry.status === 'conflict');
+    }
+
+    /**
+     * Register a callback invoked when connectivity or the queue changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    async start() {
+        window.addEventListener('online', () => this.checkConnection());
+        window.addEventListener('offline', () => this.setOnline(false));
+
+        this.timer = setInterval(() => {
+            if (!this.online || this.pending.length) {
+                this.checkConnection();
+            }
+        }, HEALTH_CHECK_INTERVAL_MS);
+
+        await this.refresh();
+        if (this.pending.length) {
+            await this.checkConnection();
+        }
+    }
+
+    async refresh() {
+        try {
+            this.entries = await this.queue.list();
+        } catch (error) {
+            console.warn('Offline queue unavailable:', error);
+            this.entries = [];
+        }
+        this.notify();
+    }
+
+    setOnline(online) {
+        if (online === this.online) return;
+
+        this.online = online;
+        this.app.showToast(online ? 'Back online' : 'Offline: sales will be queued on this register', online ? 'success' : 'warning');
+        this.notify();
+    }
+
+    /**
+     * Probe the API and replay the queue when it answers
+     */
+    async checkConnection() {
+        try {
+            const response = await fetch(`${this.app.session.environment.baseUrl}${HEALTH_CHECK_PATH}`, {
+                signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS)
+            });
+            this.setOnline(response.ok);
+        } catch {
+            this.setOnline(false);
+        }
+
+        if (this.online && this.pending.length && this.app.session.isAuthenticated) {
+            await this.replay();
+        }
+        return this.online;
+    }
+
+    /**
+     * fetch() rejects (rather than resolving with an error status) when the server can't be reached
+     */
+    isNetworkError(error) {
+        return !(error instanceof StorePosApiError);
+    }
+
+    // -------------------------------------------------------------------------
+    // SUBMISSION
+    // -------------------------------------------------------------------------
+
+    /**
+     * Run a write now, or queue it when the API can't be reached
+     * @param {Object} operation - { type: 'sale'|'stock', payload, meta? }. For sales, payload is
+     *   { sale: SaleCreateDto, saleId?: number } and saleId is set once the sale exists server-side.
+     * @returns {Promise<{queued: boolean, result?: *, entry?: Object}>}
+     * @throws {StorePosApiError} When the API rejects the write
+     */
+    async submit(operation) {
+        operation.clientId = operation.clientId || createClientId();
+        operation.attempts = operation.attempts || 0;
+        operation.createdAt = operation.createdAt || new Date().toISOString();
+
+        if (operation.type === 'sale') {
+            operation.payload.sale = this.tagSale(operation.payload.sale, operation.clientId);
+        }
+
+        if (this.online) {
+            try {
+                return { queued: false, result: await this.execute(operation) };
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.setOnline(false);
+            }
+        }
+
+        const entry = await this.queue.enqueue(operation);
+        await this.refresh();
+
+        return { queued: true, entry };
+    }
+
+    tagSale(sale, clientId) {
+        const notes = (sale.notes || '').replace(SALE_REFERENCE_PATTERN, '');
+        return { ...sale, notes: `${notes} [pos:${clientId.slice(0, 8)}]`.trim() };
+    }
+
+    async execute(entry) {
+        entry.attempts++;
+
+        switch (entry.type) {
+            case 'sale':
+                return this.executeSale(entry);
+            case 'stock': {
+                // Stock adjustments are not idempotent; a lost response is replayed as-is
+                const { productId, amount, stockUpdate } = entry.payload;
+                return this.client.products.updateStock(productId, amount, stockUpdate);
+            }
+            default:
+                throw new Error(`Unknown queued operation: ${entry.type}`);
+        }
+    }
+
+    /**
+     * Create (or update) the Pending sale, then complete it
+     */
+    async executeSale(entry) {
+        const { sales } = this.client;
+        const payload = entry.payload;
+
+        if (!payload.saleId && entry.attempts > 1) {
+            payload.saleId = await this.findSubmittedSale(payload.sale, entry.createdAt);
+            payload.resumed = !!payload.saleId;
+        }
+
+        if (!payload.saleId) {
+            payload.saleId = (await sales.create(payload.sale)).id;
+            await this.persist(entry);
+        } else if (!payload.resumed) {
+            await sales.update(payload.saleId, { ...payload.sale, status: 'Pending' });
+        }
+
+        try {
+            return await sales.complete(payload.saleId);
+        } catch (error) {
+            // An earlier attempt may have completed it before the connection dropped
+            if (error instanceof StorePosApiError && error.status === 400) {
+                const sale = await sales.get(payload.saleId);
+                if (sale.status === 'Completed') return sale;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Look for a sale carrying this submission's client reference among the
+     * sales made since its first attempt
+     */
+    async findSubmittedSale(sale, submittedAt) {
+        const reference = sale.notes?.match(SALE_REFERENCE_PATTERN)?.[0].trim();
+        if (!reference) return null;
+
+        const from = new Date(new Date(submittedAt).getTime() - SUBMITTED_SALE_CLOCK_MARGIN_MS);
+        const since = await fetchSales(this.client, { from: from.toISOString() });
+        return since.find(candidate => candidate.notes?.endsWith(reference))?.id || null;
+    }
+
+    async persist(entry) {
+        if (entry.seq !== undefined) {
+            await this.queue.update(entry);
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // REPLAY & RESOLUTION
+    // -------------------------------------------------------------------------
+
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.replayPending().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async replayPending() {
+        const entries = (await this.queue.list()).filter(entry => entry.status === 'pending');
+        let synced = 0;
+        let conflicts = 0;
+
+        for (const entry of entries) {
+            try {
+                await this.execute(entry);
+                await this.queue.remove(entry);
+                synced++;
+            } catch (error) {
+                await this.queue.update(entry);
+
+                if (this.isNetworkError(error)) {
+                    this.setOnline(false);
+                    break;
+                }
+
+                // Expired session or server trouble: keep the order and try again later
+                if (error.status === 401 || error.status >= 500) break;
+
+                entry.status = 'conflict';
+                entry.error = error.message;
+                await this.queue.update(entry);
+                conflicts++;
+            }
+        }
+
+        await this.refresh();
+
+        if (synced) {
+            this.app.showToast(`${synced} queued ${synced === 1 ? 'change' : 'changes'} synced`, 'success');
+        }
+        if (conflicts) {
+            this.app.showToast(`${conflicts} queued ${conflicts === 1 ? 'change needs' : 'changes need'} attention`, 'warning');
+        }
+    }
+
+    async retry(clientId) {
+        const entry = await this.queue.get(clientId);
+        if (!entry) return;
+
+        entry.status = 'pending';
+        entry.error = null;
+        await this.queue.update(entry);
+        await this.refresh();
+        await this.checkConnection();
+    }
+
+    async discard(clientId) {
+        const entry = await this.queue.get(clientId);
+        if (!entry) return null;
+
+        await this.queue.remove(entry);
+        await this.refresh();
+        return entry;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * StorePOS Point of Sale - Tenders
+ *
+ * A sale can be paid part in cash and part by Vodafone Cash. SaleCreateDto
+ * takes a single PaymentMethod and PaidAmount, so a split sale is posted with
+ * the total tendered, the largest tender as its method, and the split in the
+ * notes as "[tender:Cash=500;VodafoneCash=300]". Change is only given on the
+ * cash portion.
+ */
+
+import { PAYMENT_METHODS } from './config.js';
+import { roundMoney } from './utils.js';
+
+export const TENDER_PATTERN = /\s*\[tender:([A-Za-z]+=\d+(?:\.\d+)?(?:;[A-Za-z]+=\d+(?:\.\d+)?)*)\]/;
+
+/**
+ * Display name for a PaymentMethod value
+ */
+export function methodLabel(method) {
+    return PAYMENT_METHODS.find(m => m.id === method)?.label || method;
+}
+
+/**
+ * The method a sale is posted with: the largest tender, the first on a tie
+ * @param {{ method: string, amount: number }[]} tenders
+ */
+export function primaryMethod(tenders) {
+    return tenders.reduce((primary, tender) => (tender.amount > primary.amount ? tender : primary), tenders[0]).method;
+}
+
+/**
+ * Sale notes carrying the split. A single tender needs no record.
+ */
+export function tenderNotes(notes, tenders) {
+    const paid = tenders.filter(tender => tender.amount > 0);
+    if (paid.length < 2) return notes;
+
+    const split = paid.map(tender => `${tender.method}=${roundMoney(tender.amount)}`).join(';');
+    return `${notes || ''} [tender:${split}]`.trim();
+}
+
+/**
+ * What the customer handed over for a SaleReadDto, one entry per method
+ * @returns {{ method: string, amount: number }[]}
+ */
+export function saleTenders(sale) {
+    const split = sale.notes?.match(TENDER_PATTERN)?.[1];
+    if (!split) {
+        return [{ method: sale.paymentMethod, amount: sale.paidAmount }];
+    }
+
+    return split.split(';').map(part => {
+        const [method, amount] = part.split('=');
+        return { method, amount: Number(amount) };
+    });
+}
+
+/**
+ * What the register keeps from a sale per method: the tenders with the change
+ * taken out of the cash portion. Adds up to the sale total.
+ * @returns {{ method: string, amount: number }[]}
+ */
+export function saleTakings(sale) {
+    const tenders = saleTenders(sale);
+    if (tenders.length === 1) {
+        return [{ method: tenders[0].method, amount: sale.total }];
+    }
+
+    let change = roundMoney(Math.max(tenders.reduce((sum, tender) => sum + tender.amount, 0) - sale.total, 0));
+    return tenders.map(tender => {
+        if (tender.method !== 'Cash' || !change) return tender;
+
+        const given = Math.min(change, tender.amount);
+        change = roundMoney(change - given);
+        return { method: tender.method, amount: roundMoney(tender.amount - given) };
+    });
+}
+
+/**
+ * Payment column text: "Cash" or "Cash + VodafoneCash"
+ */
+export function describeTenders(sale) {
+    return saleTenders(sale).map(tender => tender.method).join(' + ');
+}
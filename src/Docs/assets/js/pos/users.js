@@ -0,0 +1,460 @@
+/**
+ * StorePOS Point of Sale - Users view
+ *
+ * Staff accounts over /api/users. Managers may browse (list, search, last
+ * sign-in); only admins see the create, edit, password and delete actions,
+ * matching the RequireRoleAttribute on each route. Forms mirror UserCreateDto
+ * and UserUpdateDto and are checked in the browser before they are sent.
+ */
+
+import { USER_ACCESS, USER_ROLE_NAMES, SEARCH_DEBOUNCE_MS } from './config.js';
+import { escapeHtml, debounce } from './utils.js';
+
+// GET /api/users returns at most this many users (UserService.SearchAsync)
+const USERS_PAGE_SIZE = 100;
+
+// Column lengths from the User entity configuration (StorePosDbContext)
+const MAX_LENGTHS = { username: 50, email: 100, firstName: 100, lastName: 100, phoneNumber: 20 };
+const MIN_PASSWORD_LENGTH = 6;
+
+const ROLE_BADGES = {
+    Admin: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200',
+    Manager: 'bg-primary-100 text-primary-800 dark:bg-primary-900/40 dark:text-primary-200',
+    Cashier: 'bg-accent-100 text-accent-800 dark:bg-accent-900/40 dark:text-accent-200',
+    Customer: 'bg-secondary-100 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-200',
+    Guest: 'bg-secondary-100 text-secondary-700 dark:bg-secondary-700 dark:text-secondary-200'
+};
+
+export class UsersView {
+    constructor(app, container) {
+        this.app = app;
+        this.container = container;
+        this.users = [];
+        this.query = '';
+        this.roleFilter = '';
+        this.statusFilter = '';
+        this.dialog = null;
+
+        this.search = debounce((query) => this.load(query), SEARCH_DEBOUNCE_MS);
+    }
+
+    get client() {
+        return this.app.session.client;
+    }
+
+    get canManage() {
+        return this.app.session.canAccess(USER_ACCESS.manage);
+    }
+
+    activate() {
+        if (!this.dialog) {
+            this.load(this.query);
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // RENDERING
+    // -------------------------------------------------------------------------
+
+    mount() {
+        const inputClass = 'px-2 py-1.5 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md dark:bg-secondary-900 dark:text-white';
+
+        this.container.innerHTML = `
+            <section class="bg-white dark:bg-secondary-800 rounded-lg shadow-md p-6">
+                <div class="flex flex-wrap items-center gap-4 mb-4 text-sm dark:text-secondary-200">
+                    <div class="relative flex-1 min-w-[16rem]">
+                        <input type="search" id="users-search" autocomplete="off" placeholder="Search by username, email or name"
+                            class="w-full px-3 py-2 pl-9 border border-secondary-300 dark:border-secondary-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white">
+                        <i class="fas fa-magnifying-glass absolute left-3 top-3 text-secondary-400"></i>
+                    </div>
+                    <label class="flex items-center gap-2">Role
+                        <select name="roleFilter" class="${inputClass}">
+                            <option value="">All roles</option>
+                            ${USER_ROLE_NAMES.map(role => `<option value="${role}">${role}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="flex items-center gap-2">Status
+                        <select name="statusFilter" class="${inputClass}">
+                            <option value="">All</option>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                    </label>
+                    ${this.canManage ? `
+                        <button type="button" data-action="new-user" class="ml-auto px-4 py-2 rounded-md bg-primary-600 hover:bg-primary-700 text-white">
+                            <i class="fas fa-user-plus mr-1"></i>New user
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left border-b border-secondary-200 dark:border-secondary-700 text-secondary-500 dark:text-secondary-400">
+                                <th class="py-2 pr-4">User</th>
+                                <th class="py-2 pr-4">Email</th>
+                                <th class="py-2 pr-4">Role</th>
+                                <th class="py-2 pr-4">Status</th>
+                                <th class="py-2 pr-4">Last sign-in</th>
+                                <th class="py-2 text-right">${this.canManage ? 'Actions' : ''}</th>
+                            </tr>
+                        </thead>
+                        <tbody id="users-rows"></tbody>
+                    </table>
+                </div>
+                <p id="users-summary" class="mt-4 text-sm text-secondary-600 dark:text-secondary-300"></p>
+            </section>
+
+            <div id="user-dialog" class="hidden fixed inset-0 z-40 bg-black/50 flex items-center justify-center p-4"></div>
+        `;
+
+        this.initializeEventListeners();
+        this.load('');
+    }
+
+    get visibleUsers() {
+        return this.users.filter(user =>
+            (!this.roleFilter || user.role === this.roleFilter)
+            && (!this.statusFilter || user.isActive === (this.statusFilter === 'active')));
+    }
+
+    render() {
+        const rowsEl = this.container.querySelector('#users-rows');
+        const users = this.visibleUsers;
+        const self = this.app.session.user;
+
+        rowsEl.innerHTML = users.length ? users.map(user => `
+            <tr data-user-id="${user.id}" class="border-b border-secondary-100 dark:border-secondary-700 dark:text-secondary-200">
+                <td class="py-2 pr-4">
+                    <div class="font-medium dark:text-white">${escapeHtml(user.username)}${user.id === self?.id ? ' <span class="text-xs text-secondary-500">(you)</span>' : ''}</div>
+                    <div class="text-xs text-secondary-500">${escapeHtml(`${user.firstName} ${user.lastName}`.trim())}</div>
+                </td>
+                <td class="py-2 pr-4">${escapeHtml(user.email)}</td>
+                <td class="py-2 pr-4"><span class="px-2 py-0.5 text-xs font-medium rounded-full ${ROLE_BADGES[user.role] || ''}">${escapeHtml(user.role)}</span></td>
+                <td class="py-2 pr-4">
+                    ${user.isActive
+                        ? '<span class="text-accent-700 dark:text-accent-300"><i class="fas fa-circle-check mr-1"></i>Active</span>'
+                        : '<span class="text-secondary-500"><i class="fas fa-circle-minus mr-1"></i>Inactive</span>'}
+                </td>
+                <td class="py-2 pr-4" ${user.lastLoginAt ? `title="${escapeHtml(new Date(user.lastLoginAt).toLocaleString())}"` : ''}>
+                    ${user.lastLoginAt ? escapeHtml(formatRelative(user.lastLoginAt)) : '<span class="text-secondary-400">Never</span>'}
+                </td>
+                <td class="py-2 text-right whitespace-nowrap">
+                    ${this.canManage ? `
+                        <button type="button" data-action="edit-user" class="px-2 text-secondary-500 hover:text-primary-600" title="Edit" aria-label="Edit ${escapeHtml(user.username)}"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-action="change-password" class="px-2 text-secondary-500 hover:text-primary-600" title="Change password" aria-label="Change password for ${escapeHtml(user.username)}"><i class="fas fa-key"></i></button>
+                        ${user.id !== self?.id ? `
+                            <button type="button" data-action="delete-user" class="px-2 text-secondary-500 hover:text-red-600" title="Delete" aria-label="Delete ${escapeHtml(user.username)}"><i class="fas fa-trash-can"></i></button>
+                        ` : ''}
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="6" class="py-6 text-center text-secondary-500 dark:text-secondary-400">No users found.</td></tr>';
+
+        const capped = this.users.length >= USERS_PAGE_SIZE;
+        this.container.querySelector('#users-summary').innerHTML = `
+            ${users.length} of ${this.users.length} ${this.users.length === 1 ? 'user' : 'users'} shown
+            ${capped ? `· <span class="text-orange-600 dark:text-orange-400">the API returns at most ${USERS_PAGE_SIZE} users; search to narrow the list</span>` : ''}
+        `;
+    }
+
+    /**
+     * Create or edit form. Admins cannot change their own role or deactivate
+     * themselves, which would lock them out of this screen.
+     */
+    renderUserDialog(user = null) {
+        const isSelf = user && user.id === this.app.session.user?.id;
+        const inputClass = 'mt-1 w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white disabled:opacity-60';
+        const field = (name, label, attributes = '') => `
+            <label class="block text-sm dark:text-secondary-200">${label}
+                <input name="${name}" ${attributes} value="${escapeHtml(user?.[name] ?? '')}" class="${inputClass}">
+                <span data-error-for="${name}" class="hidden text-xs text-red-600"></span>
+            </label>
+        `;
+
+        this.showDialog(`
+            <form id="user-form" novalidate class="bg-white dark:bg-secondary-800 rounded-lg shadow-xl p-6 w-full max-w-lg space-y-3">
+                <h3 class="text-lg font-semibold dark:text-white">
+                    <i class="fas ${user ? 'fa-user-pen' : 'fa-user-plus'} mr-2"></i>${user ? `Edit ${escapeHtml(user.username)}` : 'New user'}
+                </h3>
+                <div class="grid grid-cols-2 gap-3">
+                    ${field('username', 'Username', `autocomplete="off" maxlength="${MAX_LENGTHS.username}"`)}
+                    ${field('email', 'Email', `type="email" maxlength="${MAX_LENGTHS.email}"`)}
+                    ${field('firstName', 'First name', `maxlength="${MAX_LENGTHS.firstName}"`)}
+                    ${field('lastName', 'Last name', `maxlength="${MAX_LENGTHS.lastName}"`)}
+                    ${field('phoneNumber', 'Phone (optional)', `type="tel" maxlength="${MAX_LENGTHS.phoneNumber}"`)}
+                    <label class="block text-sm dark:text-secondary-200">Role
+                        <select name="role" ${isSelf ? 'disabled' : ''} class="${inputClass}">
+                            ${USER_ROLE_NAMES.map(role => `<option value="${role}" ${(user?.role ?? 'Cashier') === role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                        <span data-error-for="role" class="hidden text-xs text-red-600"></span>
+                    </label>
+                    ${user ? '' : `
+                        ${field('password', 'Password', `type="password" autocomplete="new-password" minlength="${MIN_PASSWORD_LENGTH}"`)}
+                        ${field('confirmPassword', 'Confirm password', 'type="password" autocomplete="new-password"')}
+                    `}
+                </div>
+                <label class="flex items-center gap-2 text-sm dark:text-secondary-200">
+                    <input type="checkbox" name="isActive" ${user?.isActive === false ? '' : 'checked'} ${isSelf ? 'disabled' : ''}> Active (can sign in)
+                </label>
+                ${isSelf ? '<p class="text-xs text-secondary-500 dark:text-secondary-400">You cannot change your own role or deactivate your own account.</p>' : ''}
+                <p data-dialog-error class="hidden text-sm text-red-600"></p>
+                <div class="flex justify-end gap-2 pt-2">
+                    <button type="button" data-action="close-dialog" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">Cancel</button>
+                    <button type="submit" class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white">
+                        <i class="fas fa-floppy-disk mr-1"></i>${user ? 'Save' : 'Create user'}
+                    </button>
+                </div>
+            </form>
+        `, { type: 'user', user });
+    }
+
+    renderPasswordDialog(user) {
+        const inputClass = 'mt-1 w-full px-3 py-2 text-sm border border-secondary-300 dark:border-secondary-600 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-secondary-900 dark:text-white';
+        const field = (name, label, autocomplete) => `
+            <label class="block text-sm dark:text-secondary-200">${label}
+                <input type="password" name="${name}" autocomplete="${autocomplete}" class="${inputClass}">
+                <span data-error-for="${name}" class="hidden text-xs text-red-600"></span>
+            </label>
+        `;
+
+        this.showDialog(`
+            <form id="password-form" novalidate class="bg-white dark:bg-secondary-800 rounded-lg shadow-xl p-6 w-full max-w-md space-y-3">
+                <h3 class="text-lg font-semibold dark:text-white"><i class="fas fa-key mr-2"></i>Change password for ${escapeHtml(user.username)}</h3>
+                <p class="text-sm text-secondary-600 dark:text-secondary-300">The API checks the account's current password before changing it.</p>
+                ${field('currentPassword', 'Current password', 'off')}
+                ${field('newPassword', `New password (at least ${MIN_PASSWORD_LENGTH} characters)`, 'new-password')}
+                ${field('confirmPassword', 'Confirm new password', 'new-password')}
+                <p data-dialog-error class="hidden text-sm text-red-600"></p>
+                <div class="flex justify-end gap-2 pt-2">
+                    <button type="button" data-action="close-dialog" class="px-4 py-2 text-sm rounded-md bg-secondary-100 dark:bg-secondary-700 dark:text-white">Cancel</button>
+                    <button type="submit" class="px-4 py-2 text-sm rounded-md bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white">
+                        <i class="fas fa-key mr-1"></i>Change password
+                    </button>
+                </div>
+            </form>
+        `, { type: 'password', user });
+    }
+
+    showDialog(html, state) {
+        const dialog = this.container.querySelector('#user-dialog');
+        this.dialog = state;
+        dialog.innerHTML = html;
+        dialog.classList.remove('hidden');
+        dialog.querySelector('input:not([disabled])').focus();
+    }
+
+    closeDialog() {
+        const dialog = this.container.querySelector('#user-dialog');
+        this.dialog = null;
+        dialog.classList.add('hidden');
+        dialog.innerHTML = '';
+    }
+
+    /**
+     * Show messages next to their fields; returns true when there were none
+     */
+    showFieldErrors(form, errors) {
+        form.querySelectorAll('[data-error-for]').forEach(el => {
+            const message = errors[el.dataset.errorFor];
+            el.textContent = message || '';
+            el.classList.toggle('hidden', !message);
+            form.elements[el.dataset.errorFor]?.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+
+        const first = Object.keys(errors)[0];
+        if (first) form.elements[first]?.focus();
+        return !first;
+    }
+
+    // -------------------------------------------------------------------------
+    // EVENTS
+    // -------------------------------------------------------------------------
+
+    initializeEventListeners() {
+        this.container.querySelector('#users-search').addEventListener('input', (e) => this.search(e.target.value));
+
+        this.container.addEventListener('change', (e) => {
+            const { name, value } = e.target;
+            if (name === 'roleFilter' || name === 'statusFilter') {
+                this[name] = value;
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.id === 'user-dialog') {
+                this.closeDialog();
+                return;
+            }
+
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+
+            const userId = Number(target.closest('[data-user-id]')?.dataset.userId);
+            const user = this.users.find(u => u.id === userId);
+            switch (target.dataset.action) {
+                case 'new-user':
+                    this.renderUserDialog();
+                    break;
+                case 'edit-user':
+                    this.renderUserDialog(user);
+                    break;
+                case 'change-password':
+                    this.renderPasswordDialog(user);
+                    break;
+                case 'delete-user':
+                    this.deleteUser(user, target);
+                    break;
+                case 'close-dialog':
+                    this.closeDialog();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.id === 'user-form') {
+                this.saveUser(e.target);
+            } else if (e.target.id === 'password-form') {
+                this.changePassword(e.target);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.dialog) {
+                this.closeDialog();
+            }
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // ACTIONS
+    // -------------------------------------------------------------------------
+
+    async load(query) {
+        this.query = query;
+
+        try {
+            this.users = await this.client.users.list({ q: query.trim() });
+        } catch (error) {
+            this.users = [];
+            this.app.showToast(`Could not load users: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    /**
+     * UserCreateDto / UserUpdateDto from the form, plus the problems found in it
+     */
+    readUserForm(form, user) {
+        const fields = form.elements;
+        const dto = {
+            username: fields.username.value.trim(),
+            email: fields.email.value.trim(),
+            firstName: fields.firstName.value.trim(),
+            lastName: fields.lastName.value.trim(),
+            phoneNumber: fields.phoneNumber.value.trim() || null,
+            role: fields.role.value,
+            isActive: fields.isActive.checked
+        };
+        const errors = {};
+
+        if (!dto.username) errors.username = 'Username is required';
+        else if (/\s/.test(dto.username)) errors.username = 'Username cannot contain spaces';
+        if (!dto.email) errors.email = 'Email is required';
+        else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(dto.email)) errors.email = 'Enter a valid email address';
+        if (!dto.firstName) errors.firstName = 'First name is required';
+        if (!dto.lastName) errors.lastName = 'Last name is required';
+        if (dto.phoneNumber && !/^\+?[\d\s().-]+$/.test(dto.phoneNumber)) errors.phoneNumber = 'Digits, spaces and + ( ) - only';
+        if (!USER_ROLE_NAMES.includes(dto.role)) errors.role = 'Choose a role';
+
+        Object.entries(MAX_LENGTHS).forEach(([name, max]) => {
+            if (!errors[name] && (dto[name]?.length ?? 0) > max) errors[name] = `At most ${max} characters`;
+        });
+
+        if (!user) {
+            dto.password = fields.password.value;
+            if (dto.password.length < MIN_PASSWORD_LENGTH) errors.password = `At least ${MIN_PASSWORD_LENGTH} characters`;
+            else if (fields.confirmPassword.value !== dto.password) errors.confirmPassword = 'Passwords do not match';
+        }
+
+        return { dto, errors };
+    }
+
+    async saveUser(form) {
+        const { user } = this.dialog;
+        const { dto, errors } = this.readUserForm(form, user);
+        if (!this.showFieldErrors(form, errors)) return;
+
+        const submit = form.querySelector('button[type="submit"]');
+        const errorEl = form.querySelector('[data-dialog-error]');
+        submit.disabled = true;
+
+        try {
+            const saved = user
+                ? await this.client.users.update(user.id, dto)
+                : await this.client.users.create(dto);
+
+            this.users = user
+                ? this.users.map(u => u.id === saved.id ? saved : u)
+                : [...this.users, saved].sort((a, b) => a.username.localeCompare(b.username));
+            this.closeDialog();
+            this.render();
+            this.app.showToast(`${user ? 'Updated' : 'Created'} ${saved.username}`, 'success');
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+            submit.disabled = false;
+        }
+    }
+
+    async changePassword(form) {
+        const { user } = this.dialog;
+        const fields = form.elements;
+        const errors = {};
+
+        if (!fields.currentPassword.value) errors.currentPassword = 'Current password is required';
+        if (fields.newPassword.value.length < MIN_PASSWORD_LENGTH) errors.newPassword = `At least ${MIN_PASSWORD_LENGTH} characters`;
+        else if (fields.confirmPassword.value !== fields.newPassword.value) errors.confirmPassword = 'Passwords do not match';
+        if (!this.showFieldErrors(form, errors)) return;
+
+        const submit = form.querySelector('button[type="submit"]');
+        const errorEl = form.querySelector('[data-dialog-error]');
+        submit.disabled = true;
+
+        try {
+            await this.client.users.changePassword(user.id, fields.currentPassword.value, fields.newPassword.value);
+            this.closeDialog();
+            this.app.showToast(`Password changed for ${user.username}`, 'success');
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+            submit.disabled = false;
+        }
+    }
+
+    async deleteUser(user, button) {
+        if (!confirm(`Delete ${user.username}? This cannot be undone; deactivating the account also stops them signing in.`)) return;
+        button.disabled = true;
+
+        try {
+            await this.client.users.remove(user.id);
+            this.users = this.users.filter(u => u.id !== user.id);
+            this.render();
+            this.app.showToast(`Deleted ${user.username}`, 'success');
+        } catch (error) {
+            this.app.showToast(`Could not delete ${user.username}: ${error.message}`, 'error');
+            button.disabled = false;
+        }
+    }
+}
+
+/**
+ * "3 hours ago" style text for a past timestamp
+ */
+function formatRelative(value) {
+    const seconds = (new Date(value).getTime() - Date.now()) / 1000;
+    const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+    const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+    return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
@@ -0,0 +1,88 @@
+/**
+ * StorePOS Point of Sale - Shared helpers
+ */
+
+import { POS_SETTINGS_STORAGE_KEY, DEFAULT_SETTINGS } from './config.js';
+
+/**
+ * Escape text for interpolation into HTML templates
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Round to two decimals the way the API stores decimal amounts
+ */
+export function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Format an amount in the store currency
+ */
+export function formatMoney(value, currency = loadSettings().currency) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(roundMoney(value));
+}
+
+export function loadSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(POS_SETTINGS_STORAGE_KEY)) };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(changes) {
+    const settings = { ...loadSettings(), ...changes };
+    localStorage.setItem(POS_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Delay calls until input has settled
+ */
+export function debounce(fn, delay) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), delay);
+    };
+}
+
+/**
+ * Save generated content (receipts, reports, exports) as a file
+ */
+export function downloadFile(content, filename, type = 'application/octet-stream') {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Random identifier for client-side records. crypto.randomUUID() is only
+ * available in secure contexts, so registers reached over plain HTTP on the
+ * shop LAN fall back to getRandomValues().
+ */
+export function createClientId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
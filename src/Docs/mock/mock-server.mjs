@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * StorePOS Mock Server
+ *
+ * Serves the in-memory mock API (storepos-mock.js) and the developer guide
+ * from one Node process, using only built-in modules:
+ *
+ *   node src/Docs/mock/mock-server.mjs [--port 5062] [--host localhost] [--token-minutes 15]
+ *
+ * The default port is the API's, so the guide's Development profile and the
+ * POS work unchanged. The guide is served at /docs/ and the POS at /docs/pos.html,
+ * like StorePOS.Api does. State lives in memory; POST /mock/reset restores the seed.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { StorePosMock, DEFAULT_SEED } from './storepos-mock.js';
+
+const DOCS_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.ps1': 'text/plain; charset=utf-8',
+    '.cs': 'text/plain; charset=utf-8',
+    '.py': 'text/plain; charset=utf-8'
+};
+
+// The guide and POS may be opened from another origin (file://, a dev server)
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+    'Access-Control-Expose-Headers': 'Location, WWW-Authenticate'
+};
+
+const { values: args } = parseArgs({
+    options: {
+        port: { type: 'string', default: '5062' },
+        host: { type: 'string', default: 'localhost' },
+        'token-minutes': { type: 'string', default: '15' }
+    }
+});
+
+const mock = new StorePosMock({ accessTokenMinutes: Number(args['token-minutes']) });
+
+const server = createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+        const response = await route(req, url);
+        res.writeHead(response.status, { ...CORS_HEADERS, ...Object.fromEntries(response.headers) });
+        res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+        console.error(error);
+        res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Internal Server Error');
+    }
+
+    console.log(`${req.method} ${url.pathname}${url.search} -> ${res.statusCode} (${Date.now() - startedAt} ms)`);
+});
+
+/**
+ * Dispatch to the preflight answer, the mock's own routes, the guide's static
+ * files or the mock API
+ * @returns {Promise<Response>}
+ */
+async function route(req, url) {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204 });
+    }
+    if (req.method === 'POST' && url.pathname === '/mock/reset') {
+        mock.reset();
+        return Response.json({ message: 'Mock data reset' });
+    }
+    if (url.pathname === '/' || url.pathname === '/docs' || url.pathname === '/docs/') {
+        return Response.redirect(new URL('/docs/index.html', url), 302);
+    }
+    if (url.pathname === '/swagger' || url.pathname === '/swagger/') {
+        return Response.redirect(new URL('/swagger/index.html', url), 302);
+    }
+    if (url.pathname.startsWith('/docs/') && ['GET', 'HEAD'].includes(req.method)) {
+        return serveDocs(url.pathname.slice('/docs/'.length));
+    }
+
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const request = new Request(url, {
+        method: req.method,
+        headers: Object.entries(req.headers).filter(([, value]) => typeof value === 'string'),
+        body: hasBody ? await readBody(req) : undefined
+    });
+    return mock.handle(request);
+}
+
+async function serveDocs(relativePath) {
+    const filePath = normalize(join(DOCS_ROOT, decodeURIComponent(relativePath)));
+    if (!filePath.startsWith(DOCS_ROOT.endsWith(sep) ? DOCS_ROOT : DOCS_ROOT + sep)) {
+        return new Response(null, { status: 404 });
+    }
+
+    try {
+        if (!(await stat(filePath)).isFile()) return new Response(null, { status: 404 });
+        return new Response(await readFile(filePath), {
+            status: 200,
+            headers: { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' }
+        });
+    } catch {
+        return new Response(null, { status: 404 });
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+server.listen(Number(args.port), args.host, () => {
+    const origin = `http://${args.host}:${args.port}`;
+    console.log(`StorePOS mock API listening on ${origin}`);
+    console.log(`  Guide:   ${origin}/docs/index.html`);
+    console.log(`  POS:     ${origin}/docs/pos.html`);
+    console.log(`  OpenAPI: ${origin}/swagger/v1/swagger.json`);
+    console.log(`  Users:   ${DEFAULT_SEED.users.map(user => `${user.username}/${user.password} (${user.role})`).join(', ')}`);
+    console.log(`  Access tokens expire after ${mock.accessTokenMinutes} minutes. Press Ctrl+C to stop.`);
+});
@@ -0,0 +1,1097 @@
+/**
+ * StorePOS Mock API
+ *
+ * In-memory stand-in for StorePOS.Api so the developer guide, the SDK and the
+ * POS can be demoed and tested without the .NET backend. The same module runs
+ * behind the Node server (mock-server.mjs) and in the browser as a fetch
+ * interceptor. It mirrors the real API's behaviour:
+ * - Every /api/auth, /api/products, /api/sales and /api/users route, with the
+ *   validation rules and messages of the StorePOS.Domain services
+ * - HS256 JWT access tokens with expiry, rotating refresh tokens and the
+ *   { success, message, data } AuthResponseDto envelope
+ * - 401 without a valid token and 403 outside the roles allowed by
+ *   RequireRoleAttribute (taken from the SDK's permission matrix)
+ * - Stock decremented when a sale is completed
+ * - /swagger/v1/swagger.json with x-roles, so the guide's samples and
+ *   permission tables work against the mock too
+ *
+ * @example
+ * import { StorePosMock } from './storepos-mock.js';
+ * import { StorePosClient } from '../sdk/storepos-client.js';
+ *
+ * const mock = new StorePosMock();
+ * const client = new StorePosClient({ baseUrl: 'http://localhost:5062', fetch: mock.fetch });
+ * await client.auth.login('cashier', 'cashier123');
+ */
+
+import { ENDPOINT_PERMISSIONS, USER_ROLE_NAMES, canCall } from '../sdk/storepos-client.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Same values as JwtSettings in StorePOS.Api/appsettings.json
+const JWT_ISSUER = 'StorePOS.Api';
+const JWT_AUDIENCE = 'StorePOS.Client';
+const DEFAULT_SECRET = 'storepos-mock-signing-key-not-for-production';
+
+const PAYMENT_METHODS = ['Cash', 'VodafoneCash'];
+const SALE_STATUSES = ['Pending', 'Completed', 'Cancelled'];
+const STOCK_UPDATES = ['Increase', 'Decrease'];
+
+// List endpoints return at most this many rows (.Take(100) in the services)
+const LIST_LIMIT = 100;
+
+/**
+ * Data loaded on start and on reset(). The admin account and both products
+ * match the seed in Program.cs; the manager and cashier exist so role checks
+ * can be tried without creating users first.
+ */
+export const DEFAULT_SEED = {
+    categories: ['Accessories'],
+    products: [
+        { sku: 'KB-001', barcode: '622000000001', name: 'Mechanical Keyboard', category: 'Accessories', price: 1800, cost: 1200, stockQty: 10, isActive: true },
+        { sku: 'MS-010', barcode: '622000000010', name: 'Gaming Mouse', category: 'Accessories', price: 950, cost: 600, stockQty: 25, isActive: true }
+    ],
+    users: [
+        { username: 'admin', password: 'admin123', email: 'admin@storepos.com', firstName: 'System', lastName: 'Administrator', phoneNumber: '+1234567890', role: 'Admin' },
+        { username: 'manager', password: 'manager123', email: 'manager@storepos.com', firstName: 'Store', lastName: 'Manager', phoneNumber: null, role: 'Manager' },
+        { username: 'cashier', password: 'cashier123', email: 'cashier@storepos.com', firstName: 'Front', lastName: 'Cashier', phoneNumber: null, role: 'Cashier' }
+    ]
+};
+
+/**
+ * Route table, named after the WithName of each route in StorePOS.Api/Endpoints.
+ * {id} only matches integers, like the {id:int} route constraint.
+ */
+const ROUTES = [
+    { name: 'Login', method: 'POST', path: '/api/auth/login', tag: 'Authentication', summary: 'User login', body: 'UserLoginDto', handler: 'login' },
+    { name: 'RefreshToken', method: 'POST', path: '/api/auth/refresh', tag: 'Authentication', summary: 'Refresh access token', body: 'RefreshTokenDto', handler: 'refreshToken' },
+    { name: 'Logout', method: 'POST', path: '/api/auth/logout', tag: 'Authentication', summary: 'User logout', body: 'RefreshTokenDto', handler: 'logout' },
+    { name: 'LogoutAll', method: 'POST', path: '/api/auth/logout-all', tag: 'Authentication', summary: 'Logout from all devices', handler: 'logoutAll' },
+    { name: 'GetCurrentUser', method: 'GET', path: '/api/auth/me', tag: 'Authentication', summary: 'Get current user information', handler: 'getCurrentUser' },
+
+    { name: 'GetProducts', method: 'GET', path: '/api/products', tag: 'Products', summary: 'Get all products or search products', query: ['q'], handler: 'getProducts' },
+    { name: 'GetProductByBarcode', method: 'GET', path: '/api/products/by-barcode/{barcode}', tag: 'Products', summary: 'Get product by barcode', handler: 'getProductByBarcode' },
+    { name: 'CreateProduct', method: 'POST', path: '/api/products', tag: 'Products', summary: 'Create a new product', body: 'ProductCreateDto', handler: 'createProduct' },
+    { name: 'UpdateProduct', method: 'PUT', path: '/api/products/{id}', tag: 'Products', summary: 'Update a product', body: 'ProductUpdateDto', handler: 'updateProduct' },
+    { name: 'UpdateProductStock', method: 'PUT', path: '/api/products/{id}/update-stock', tag: 'Products', summary: 'Update product stock', body: 'ProductStockUpdateDto', handler: 'updateProductStock' },
+    { name: 'DeleteProduct', method: 'DELETE', path: '/api/products/{id}', tag: 'Products', summary: 'Delete a product', handler: 'deleteProduct' },
+
+    { name: 'GetSales', method: 'GET', path: '/api/sales', tag: 'Sales', summary: 'Get all sales with optional date filtering', query: ['from', 'to'], handler: 'getSales' },
+    { name: 'GetSaleById', method: 'GET', path: '/api/sales/{id}', tag: 'Sales', summary: 'Get sale by ID', handler: 'getSaleById' },
+    { name: 'CreateSale', method: 'POST', path: '/api/sales', tag: 'Sales', summary: 'Create a new sale', body: 'SaleCreateDto', handler: 'createSale' },
+    { name: 'UpdateSale', method: 'PUT', path: '/api/sales/{id}', tag: 'Sales', summary: 'Update an existing sale', body: 'SaleUpdateDto', handler: 'updateSale' },
+    { name: 'DeleteSale', method: 'DELETE', path: '/api/sales/{id}', tag: 'Sales', summary: 'Delete a sale', handler: 'deleteSale' },
+    { name: 'CompleteSale', method: 'POST', path: '/api/sales/{id}/complete', tag: 'Sales', summary: 'Complete a sale', handler: 'completeSale' },
+    { name: 'CancelSale', method: 'POST', path: '/api/sales/{id}/cancel', tag: 'Sales', summary: 'Cancel a sale', handler: 'cancelSale' },
+
+    { name: 'GetUsers', method: 'GET', path: '/api/users', tag: 'Users', summary: 'Get all users or search users', query: ['q'], handler: 'getUsers' },
+    { name: 'GetUserById', method: 'GET', path: '/api/users/{id}', tag: 'Users', summary: 'Get user by ID', handler: 'getUserById' },
+    { name: 'GetUserByUsername', method: 'GET', path: '/api/users/by-username/{username}', tag: 'Users', summary: 'Get user by username', handler: 'getUserByUsername' },
+    { name: 'CreateUser', method: 'POST', path: '/api/users', tag: 'Users', summary: 'Create a new user', body: 'UserCreateDto', handler: 'createUser' },
+    { name: 'UpdateUser', method: 'PUT', path: '/api/users/{id}', tag: 'Users', summary: 'Update an existing user', body: 'UserUpdateDto', handler: 'updateUser' },
+    { name: 'ChangeUserPassword', method: 'PUT', path: '/api/users/{id}/password', tag: 'Users', summary: 'Change user password', body: 'UserChangePasswordDto', handler: 'changeUserPassword' },
+    { name: 'DeleteUser', method: 'DELETE', path: '/api/users/{id}', tag: 'Users', summary: 'Delete a user', handler: 'deleteUser' }
+].map(route => ({
+    ...route,
+    pattern: new RegExp(`^${route.path.replace(/\{id\}/g, '(?<id>\\d+)').replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+}));
+
+// =============================================================================
+// SERVICE RESULTS
+// =============================================================================
+
+// Same shape as StorePOS.Domain.Services.ServiceResult<T>
+const result = {
+    ok: (data) => ({ statusCode: 200, data }),
+    created: (data) => ({ statusCode: 201, data }),
+    noContent: () => ({ statusCode: 204 }),
+    badRequest: (message) => ({ statusCode: 400, message }),
+    notFound: (message) => ({ statusCode: 404, message }),
+    conflict: (message) => ({ statusCode: 409, message }),
+    validation: (errors) => ({ statusCode: 400, errors })
+};
+
+/**
+ * Thrown while binding a request body that System.Text.Json would reject
+ */
+class BindingError extends Error {}
+
+// =============================================================================
+// MOCK API CLASS
+// =============================================================================
+
+export class StorePosMock {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.seed=DEFAULT_SEED] - Categories, products and users to start with
+     * @param {number} [options.accessTokenMinutes=15] - JwtSettings.AccessTokenExpirationMinutes
+     * @param {number} [options.refreshTokenDays=7] - JwtSettings.RefreshTokenExpirationDays
+     * @param {string} [options.secret] - HS256 signing key
+     * @param {() => Date} [options.now] - Clock, replaceable in tests
+     */
+    constructor({ seed = DEFAULT_SEED, accessTokenMinutes = 15, refreshTokenDays = 7, secret = DEFAULT_SECRET, now = () => new Date() } = {}) {
+        this.seed = seed;
+        this.accessTokenMinutes = accessTokenMinutes;
+        this.refreshTokenDays = refreshTokenDays;
+        this.now = now;
+        this.signingKey = crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+        );
+
+        // fetch-compatible entry point, e.g. new StorePosClient({ fetch: mock.fetch })
+        this.fetch = (input, init) => this.handle(new Request(input, init));
+
+        this.reset();
+    }
+
+    /**
+     * Drop every change and reload the seed data
+     */
+    reset() {
+        this.db = {
+            categories: [...this.seed.categories],
+            products: [],
+            sales: [],
+            users: [],
+            nextId: { product: 1, sale: 1, cart: 1, user: 1 }
+        };
+
+        this.seed.products.forEach(product => {
+            this.db.products.push({ id: this.db.nextId.product++, isActive: true, ...product });
+        });
+        this.seed.users.forEach(({ password, ...user }) => {
+            this.db.users.push({
+                id: this.db.nextId.user++,
+                phoneNumber: null,
+                isActive: true,
+                createdAt: this.timestamp(),
+                lastLoginAt: null,
+                ...user,
+                password,
+                refreshTokens: []
+            });
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // REQUEST PIPELINE
+    // -------------------------------------------------------------------------
+
+    /**
+     * Answer a request the way StorePOS.Api would
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async handle(request) {
+        const url = new URL(request.url);
+
+        if (request.method === 'GET' && url.pathname === '/swagger/v1/swagger.json') {
+            return json(200, this.openApiDocument());
+        }
+        if (request.method === 'GET' && url.pathname === '/swagger/index.html') {
+            return new Response(this.swaggerIndexHtml(), { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+        }
+
+        const matches = ROUTES
+            .map(route => ({ route, match: route.pattern.exec(url.pathname) }))
+            .filter(({ match }) => match);
+        if (!matches.length) {
+            return empty(404);
+        }
+
+        const found = matches.find(({ route }) => route.method === request.method);
+        if (!found) {
+            return empty(405, { 'Allow': [...new Set(matches.map(({ route }) => route.method))].join(', ') });
+        }
+
+        const { route, match } = found;
+        const roles = ENDPOINT_PERMISSIONS[route.name];
+
+        let user = null;
+        if (roles !== null) {
+            const auth = await this.authenticate(request);
+            if (auth.error) {
+                return empty(401, { 'WWW-Authenticate': auth.error });
+            }
+            user = auth.user;
+            if (!canCall(user.role, route.name)) {
+                return empty(403);
+            }
+        }
+
+        let body = null;
+        if (route.body) {
+            try {
+                body = JSON.parse(await request.text());
+            } catch {
+                return bindingProblem(route.body);
+            }
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                return bindingProblem(route.body);
+            }
+        }
+
+        const params = Object.fromEntries(
+            Object.entries(match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)])
+        );
+
+        try {
+            return await this[route.handler]({ request, url, params, body, user });
+        } catch (error) {
+            if (error instanceof BindingError) return bindingProblem(route.body);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate the bearer token like JwtBearer with ClockSkew = 0
+     * @returns {Promise<{user?: Object, error?: string}>} - error is the WWW-Authenticate value
+     */
+    async authenticate(request) {
+        const header = request.headers.get('Authorization') || '';
+        if (!header.startsWith('Bearer ')) return { error: 'Bearer' };
+
+        const claims = await this.verifyJwt(header.slice(7).trim());
+        if (!claims) {
+            return { error: 'Bearer error="invalid_token"' };
+        }
+        if (claims.exp * 1000 <= this.now().getTime()) {
+            const expiredAt = new Date(claims.exp * 1000).toUTCString();
+            return { error: `Bearer error="invalid_token", error_description="The token expired at '${expiredAt}'"` };
+        }
+
+        // Like the real API, the role comes from the token, not the database
+        return {
+            user: {
+                id: Number(claims.nameid),
+                username: claims.unique_name,
+                email: claims.email,
+                role: claims.role,
+                isActive: claims.IsActive === 'True'
+            }
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // TOKENS
+    // -------------------------------------------------------------------------
+
+    async issueTokens(user) {
+        const now = this.now();
+        const refreshToken = {
+            token: base64Url(crypto.getRandomValues(new Uint8Array(64))),
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.refreshTokenDays * 86400000).toISOString(),
+            revokedAt: null
+        };
+
+        user.refreshTokens = user.refreshTokens.filter(token => this.isTokenActive(token));
+        user.refreshTokens.push(refreshToken);
+        user.lastLoginAt = now.toISOString();
+
+        // AuthTokenDto.ExpiresAt is the refresh token's expiry, as in TokenService
+        return {
+            accessToken: await this.signJwt(user),
+            refreshToken: refreshToken.token,
+            expiresAt: refreshToken.expiresAt,
+            user: toUserReadDto(user)
+        };
+    }
+
+    async signJwt(user) {
+        const issuedAt = Math.floor(this.now().getTime() / 1000);
+        const header = { alg: 'HS256', typ: 'JWT' };
+        const payload = {
+            nameid: String(user.id),
+            unique_name: user.username,
+            email: user.email,
+            given_name: user.firstName,
+            family_name: user.lastName,
+            role: user.role,
+            IsActive: user.isActive ? 'True' : 'False',
+            nbf: issuedAt,
+            exp: issuedAt + this.accessTokenMinutes * 60,
+            iat: issuedAt,
+            iss: JWT_ISSUER,
+            aud: JWT_AUDIENCE
+        };
+
+        const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+        const signature = await crypto.subtle.sign('HMAC', await this.signingKey, new TextEncoder().encode(unsigned));
+        return `${unsigned}.${base64Url(new Uint8Array(signature))}`;
+    }
+
+    /**
+     * Check the signature, issuer and audience; expiry is checked by the caller
+     * @returns {Promise<Object|null>} - Claims, or null when the token is not ours
+     */
+    async verifyJwt(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const valid = await crypto.subtle.verify(
+                'HMAC', await this.signingKey, fromBase64Url(parts[2]), new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+            );
+            if (!valid) return null;
+
+            const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])));
+            return claims.iss === JWT_ISSUER && claims.aud === JWT_AUDIENCE ? claims : null;
+        } catch {
+            return null;
+        }
+    }
+
+    isTokenActive(token) {
+        return !token.revokedAt && new Date(token.expiresAt) > this.now();
+    }
+
+    findRefreshToken(value) {
+        for (const user of this.db.users) {
+            const token = user.refreshTokens.find(candidate => candidate.token === value);
+            if (token) return { user, token };
+        }
+        return null;
+    }
+
+    // -------------------------------------------------------------------------
+    // AUTH ROUTES
+    // -------------------------------------------------------------------------
+
+    async login({ body }) {
+        const dto = bind(body, { usernameOrEmail: null, password: null });
+        const key = (dto.usernameOrEmail || '').trim();
+        const user = key && this.db.users.find(candidate => candidate.username === key || candidate.email === key.toLowerCase());
+
+        if (!user || !user.isActive || user.password !== dto.password) {
+            return json(400, { success: false, message: 'Invalid credentials', data: null });
+        }
+
+        return json(200, { success: true, message: 'Login successful', data: await this.issueTokens(user) });
+    }
+
+    async refreshToken({ body }) {
+        const dto = bind(body, { refreshToken: null });
+        const found = dto.refreshToken && this.findRefreshToken(dto.refreshToken);
+
+        if (!found || !this.isTokenActive(found.token)) {
+            return json(400, { success: false, message: 'Invalid refresh token', data: null });
+        }
+
+        // Token rotation: the presented refresh token can only be used once
+        found.token.revokedAt = this.timestamp();
+        return json(200, { success: true, message: 'Token refreshed successfully', data: await this.issueTokens(found.user) });
+    }
+
+    logout({ body }) {
+        const dto = bind(body, { refreshToken: null });
+        const found = dto.refreshToken && this.findRefreshToken(dto.refreshToken);
+
+        if (!found || !this.isTokenActive(found.token)) {
+            return json(400, { message: 'Logout failed' });
+        }
+
+        found.token.revokedAt = this.timestamp();
+        return json(200, { message: 'Logged out successfully' });
+    }
+
+    logoutAll({ user }) {
+        const entity = this.db.users.find(candidate => candidate.id === user.id);
+        if (!entity) {
+            return json(400, { message: 'Logout all failed' });
+        }
+
+        entity.refreshTokens
+            .filter(token => this.isTokenActive(token))
+            .forEach(token => { token.revokedAt = this.timestamp(); });
+        return json(200, { message: 'Logged out from all devices successfully' });
+    }
+
+    getCurrentUser({ user }) {
+        return json(200, user);
+    }
+
+    // -------------------------------------------------------------------------
+    // PRODUCT ROUTES (ProductService)
+    // -------------------------------------------------------------------------
+
+    getProducts({ url }) {
+        const q = (url.searchParams.get('q') || '').trim();
+        const items = this.db.products
+            .filter(product => product.isActive)
+            .filter(product => !q || like(product.name, q) || like(product.sku, q) || product.barcode === q)
+            .sort((a, b) => compareText(a.name, b.name))
+            .slice(0, LIST_LIMIT)
+            .map(toProductReadDto);
+        return json(200, items);
+    }
+
+    getProductByBarcode({ params }) {
+        const barcode = params.barcode.trim();
+        const product = this.db.products.find(candidate => candidate.isActive && candidate.barcode === barcode);
+        return product ? json(200, toProductReadDto(product)) : empty(404);
+    }
+
+    createProduct({ body }) {
+        const dto = bindProduct(body);
+        const errors = validateProduct(dto);
+        if (Object.keys(errors).length) return mapResult(result.validation(errors));
+
+        if (this.db.products.some(product => product.sku === dto.sku)) {
+            return mapResult(result.conflict('SKU already exists.'));
+        }
+        if (dto.barcode && this.db.products.some(product => product.barcode === dto.barcode)) {
+            return mapResult(result.conflict('Barcode already exists.'));
+        }
+        if (!this.db.categories.includes(dto.category)) {
+            return mapResult(result.notFound('Category does not exist.'));
+        }
+
+        const product = { id: this.db.nextId.product++, ...dto };
+        this.db.products.push(product);
+        return mapResult(result.created(toProductReadDto(product)), `/api/products/${product.id}`);
+    }
+
+    updateProduct({ params, body }) {
+        const product = this.findProduct(params.id);
+        if (!product) return mapResult(result.notFound('Product not found.'));
+
+        const dto = bindProduct(body);
+        const errors = validateProduct(dto);
+        if (Object.keys(errors).length) return mapResult(result.validation(errors));
+
+        if (this.db.products.some(other => other.id !== product.id && other.sku === dto.sku)) {
+            return mapResult(result.conflict('SKU already exists.'));
+        }
+        if (dto.barcode && this.db.products.some(other => other.id !== product.id && other.barcode === dto.barcode)) {
+            return mapResult(result.conflict('Barcode already exists.'));
+        }
+        if (!this.db.categories.includes(dto.category)) {
+            return mapResult(result.notFound('Category does not exist.'));
+        }
+
+        Object.assign(product, dto);
+        return mapResult(result.ok(toProductReadDto(product)));
+    }
+
+    updateProductStock({ params, body }) {
+        const product = this.findProduct(params.id);
+        if (!product) return mapResult(result.notFound('Product not found.'));
+
+        const dto = bind(body, { amount: 0, stockUpdate: null });
+        const update = parseEnum(dto.stockUpdate, STOCK_UPDATES);
+        const errors = {};
+        if (!Number.isInteger(dto.amount)) throw new BindingError();
+        if (dto.amount <= 0) errors.amount = ['Amount must be greater than 0.'];
+        if (!update) errors.stockUpdate = [`Invalid stock update. Valid options: ${STOCK_UPDATES.join(', ')}`];
+        if (Object.keys(errors).length) return mapResult(result.validation(errors));
+
+        if (update === 'Decrease' && product.stockQty < dto.amount) {
+            return mapResult(result.badRequest('Insufficient stock to decrease.'));
+        }
+
+        product.stockQty += update === 'Increase' ? dto.amount : -dto.amount;
+        return mapResult(result.ok(toProductReadDto(product)));
+    }
+
+    deleteProduct({ params }) {
+        const product = this.findProduct(params.id);
+        if (!product) return mapResult(result.notFound('Product not found.'));
+
+        this.db.products.splice(this.db.products.indexOf(product), 1);
+        return mapResult(result.noContent());
+    }
+
+    findProduct(id) {
+        return this.db.products.find(product => product.id === Number(id)) || null;
+    }
+
+    // -------------------------------------------------------------------------
+    // SALE ROUTES (SaleService)
+    // -------------------------------------------------------------------------
+
+    getSales({ url }) {
+        const from = parseDateParam(url.searchParams.get('from'));
+        const to = parseDateParam(url.searchParams.get('to'));
+        if (from === undefined || to === undefined) {
+            return json(400, { type: 'https://tools.ietf.org/html/rfc9110#section-15.5.1', title: 'Bad Request', status: 400 }, 'application/problem+json');
+        }
+
+        const items = this.db.sales
+            .filter(sale => (!from || new Date(sale.createdAt) >= from) && (!to || new Date(sale.createdAt) <= to))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, LIST_LIMIT)
+            .map(sale => this.toSaleReadDto(sale));
+        return json(200, items);
+    }
+
+    getSaleById({ params }) {
+        const sale = this.findSale(params.id);
+        return sale ? json(200, this.toSaleReadDto(sale)) : empty(404);
+    }
+
+    createSale({ body }) {
+        const dto = bindSale(body);
+        const errors = validateSale(dto);
+        if (Object.keys(errors).length) return mapResult(result.validation(errors));
+
+        const priced = this.priceCarts(dto.carts);
+        if (priced.error) return mapResult(priced.error);
+
+        const sale = {
+            id: this.db.nextId.sale++,
+            createdAt: this.timestamp(),
+            ...this.saleTotals(dto, priced.carts),
+            status: 'Pending'
+        };
+        this.db.sales.push(sale);
+        return mapResult(result.created(this.toSaleReadDto(sale)), `/api/sales/${sale.id}`);
+    }
+
+    updateSale({ params, body }) {
+        const sale = this.findSale(params.id);
+        if (!sale) return mapResult(result.notFound('Sale not found.'));
+        if (sale.status === 'Completed') return mapResult(result.badRequest('Cannot update completed sale.'));
+
+        const dto = bindSale(body, true);
+        const errors = validateSale(dto, true);
+        if (Object.keys(errors).length) return mapResult(result.validation(errors));
+
+        const priced = this.priceCarts(dto.carts);
+        if (priced.error) return mapResult(priced.error);
+
+        // Like SaleService.UpdateAsync, a status set here does not touch stock
+        Object.assign(sale, this.saleTotals(dto, priced.carts), { status: parseEnum(dto.status, SALE_STATUSES) });
+        return mapResult(result.ok(this.toSaleReadDto(sale)));
+    }
+
+    completeSale({ params }) {
+        const sale = this.findSale(params.id);
+        if (!sale) return mapResult(result.notFound('Sale not found.'));
+        if (sale.status !== 'Pending') return mapResult(result.badRequest('Only pending sales can be completed.'));
+
+        for (const line of sale.carts) {
+            const product = this.findProduct(line.productId);
+            if (!product || !product.isActive) {
+                return mapResult(result.badRequest(`Product with ID ${line.productId} not found or inactive.`));
+            }
+            if (product.stockQty < line.qty) {
+                return mapResult(result.badRequest(`Insufficient stock for product ${product.name}. Available: ${product.stockQty}, Requested: ${line.qty}`));
+            }
+        }
+
+        sale.carts.forEach(line => {
+            this.findProduct(line.productId).stockQty -= line.qty;
+        });
+        sale.status = 'Completed';
+        return mapResult(result.ok(this.toSaleReadDto(sale)));
+    }
+
+    cancelSale({ params }) {
+        const sale = this.findSale(params.id);
+        if (!sale) return mapResult(result.notFound('Sale not found.'));
+        if (sale.status === 'Completed') return mapResult(result.badRequest('Cannot cancel completed sale.'));
+        if (sale.status === 'Cancelled') return mapResult(result.badRequest('Sale is already cancelled.'));
+
+        sale.status = 'Cancelled';
+        return mapResult(result.ok(this.toSaleReadDto(sale)));
+    }
+
+    deleteSale({ params }) {
+        const sale = this.findSale(params.id);
+        if (!sale) return mapResult(result.notFound('Sale not found.'));
+        if (sale.status === 'Completed') return mapResult(result.badRequest('Cannot delete completed sale.'));
+
+        this.db.sales.splice(this.db.sales.indexOf(sale), 1);
+        return mapResult(result.noContent());
+    }
+
+    findSale(id) {
+        return this.db.sales.find(sale => sale.id === Number(id)) || null;
+    }
+
+    /**
+     * Resolve cart lines against the catalogue: a zero unit price falls back
+     * to the product price, a zero quantity to 1, and every line must be in stock
+     * @returns {{carts?: Object[], error?: Object}}
+     */
+    priceCarts(carts) {
+        const ids = [...new Set(carts.map(line => line.productId))];
+        const products = ids.map(id => this.findProduct(id)).filter(product => product?.isActive);
+        if (products.length !== ids.length) {
+            return { error: result.badRequest('One or more products not found or inactive.') };
+        }
+
+        const priced = [];
+        for (const line of carts) {
+            const product = this.findProduct(line.productId);
+            if (product.stockQty <= 0 || line.qty > product.stockQty) {
+                return { error: result.badRequest('One or more cart items are invalid.') };
+            }
+
+            const qty = line.qty > 0 ? line.qty : 1;
+            const unitPrice = line.unitPrice > 0 ? line.unitPrice : product.price;
+            priced.push({ id: this.db.nextId.cart++, productId: product.id, qty, unitPrice, lineTotal: decimal(qty * unitPrice) });
+        }
+        return { carts: priced };
+    }
+
+    saleTotals(dto, carts) {
+        const subtotal = decimal(carts.reduce((sum, line) => sum + line.lineTotal, 0));
+        return {
+            subtotal,
+            discount: dto.discount,
+            tax: dto.tax,
+            total: decimal(subtotal - dto.discount + dto.tax),
+            paidAmount: dto.paidAmount,
+            paymentMethod: parseEnum(dto.paymentMethod, PAYMENT_METHODS),
+            notes: dto.notes,
+            carts
+        };
+    }
+
+    /**
+     * SaleReadDto; line names and SKUs are read from the current product, as the
+     * real projection joins Product
+     */
+    toSaleReadDto(sale) {
+        return {
+            id: sale.id,
+            createdAt: sale.createdAt,
+            subtotal: sale.subtotal,
+            discount: sale.discount,
+            tax: sale.tax,
+            total: sale.total,
+            paidAmount: sale.paidAmount,
+            paymentMethod: sale.paymentMethod,
+            notes: sale.notes,
+            status: sale.status,
+            carts: sale.carts.map(line => {
+                const product = this.findProduct(line.productId);
+                return {
+                    id: line.id,
+                    productId: line.productId,
+                    productName: product?.name ?? '',
+                    productSku: product?.sku ?? '',
+                    qty: line.qty,
+                    unitPrice: line.unitPrice,
+                    lineTotal: line.lineTotal
+                };
+            })
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // USER ROUTES (UserService)
+    // -------------------------------------------------------------------------
+
+    getUsers({ url }) {
+        const q = (url.searchParams.get('q') || '').trim();
+        const items = this.db.users
+            .filter(user => !q || [user.username, user.email, user.firstName, user.lastName].some(value => like(value, q)))
+            .sort((a, b) => compareText(a.username, b.username))
+            .slice(0, LIST_LIMIT)
+            .map(toUserReadDto);
+        return json(200, items);
+    }
+
+    getUserById({ params }) {
+        const user = this.findUser(params.id);
+        return user ? json(200, toUserReadDto(user)) : empty(404);
+    }
+
+    getUserByUsername({ params }) {
+        const username = params.username.trim();
+        const user = username && this.db.users.find(candidate => candidate.username === username);
+        return user ? json(200, toUserReadDto(user)) : empty(404);
+    }
+
+    createUser({ body }) {
+        const dto = bind(body, {
+            username: null, email: null, firstName: null, lastName: null, password: null,
+            phoneNumber: null, role: 'Cashier', isActive: true
+        });
+        const username = (dto.username || '').trim();
+        const email = (dto.email || '').trim().toLowerCase();
+
+        if (!username) return mapResult(result.badRequest('Username is required.'));
+        if (!email) return mapResult(result.badRequest('Email is required.'));
+        if (!dto.password || !dto.password.trim()) return mapResult(result.badRequest('Password is required.'));
+        if (dto.password.length < 6) return mapResult(result.badRequest('Password must be at least 6 characters long.'));
+
+        const role = parseEnum(dto.role ?? 'Cashier', USER_ROLE_NAMES);
+        if (!role) return mapResult(result.badRequest(`Invalid role: ${dto.role}`));
+
+        if (this.db.users.some(user => user.username === username || user.email === email)) {
+            return mapResult(result.conflict('Username or email already exists.'));
+        }
+
+        const user = {
+            id: this.db.nextId.user++,
+            username,
+            email,
+            firstName: (dto.firstName || '').trim(),
+            lastName: (dto.lastName || '').trim(),
+            phoneNumber: dto.phoneNumber?.trim() ?? null,
+            role,
+            isActive: dto.isActive,
+            createdAt: this.timestamp(),
+            lastLoginAt: null,
+            password: dto.password,
+            refreshTokens: []
+        };
+        this.db.users.push(user);
+        return mapResult(result.created(toUserReadDto(user)), `/api/users/${user.id}`);
+    }
+
+    updateUser({ params, body }) {
+        const user = this.findUser(params.id);
+        if (!user) return mapResult(result.notFound('User not found.'));
+
+        const dto = bind(body, {
+            username: null, email: null, firstName: null, lastName: null,
+            phoneNumber: null, role: 'Cashier', isActive: true
+        });
+        const username = (dto.username || '').trim();
+        const email = (dto.email || '').trim().toLowerCase();
+
+        if (!username) return mapResult(result.badRequest('Username is required.'));
+        if (!email) return mapResult(result.badRequest('Email is required.'));
+
+        const role = parseEnum(dto.role ?? 'Cashier', USER_ROLE_NAMES);
+        if (!role) return mapResult(result.badRequest(`Invalid role: ${dto.role}`));
+
+        if (this.db.users.some(other => other.id !== user.id && (other.username === username || other.email === email))) {
+            return mapResult(result.conflict('Username or email already exists.'));
+        }
+
+        Object.assign(user, {
+            username,
+            email,
+            firstName: (dto.firstName || '').trim(),
+            lastName: (dto.lastName || '').trim(),
+            phoneNumber: dto.phoneNumber?.trim() ?? null,
+            role,
+            isActive: dto.isActive
+        });
+        return mapResult(result.ok(toUserReadDto(user)));
+    }
+
+    changeUserPassword({ params, body }) {
+        const user = this.findUser(params.id);
+        if (!user) return mapResult(result.notFound('User not found.'));
+
+        const dto = bind(body, { currentPassword: null, newPassword: null });
+        if (!dto.newPassword || !dto.newPassword.trim()) return mapResult(result.badRequest('New password is required.'));
+        if (dto.newPassword.length < 6) return mapResult(result.badRequest('New password must be at least 6 characters long.'));
+        if (dto.currentPassword !== user.password) return mapResult(result.badRequest('Current password is incorrect.'));
+
+        user.password = dto.newPassword;
+        return mapResult(result.ok(true));
+    }
+
+    deleteUser({ params }) {
+        const user = this.findUser(params.id);
+        if (!user) return mapResult(result.notFound('User not found.'));
+
+        this.db.users.splice(this.db.users.indexOf(user), 1);
+        return mapResult(result.ok(true));
+    }
+
+    findUser(id) {
+        return this.db.users.find(user => user.id === Number(id)) || null;
+    }
+
+    // -------------------------------------------------------------------------
+    // OPENAPI
+    // -------------------------------------------------------------------------
+
+    /**
+     * A reduced swagger.json: operations, parameters, body DTO names and the
+     * x-roles / x-allow-anonymous extensions RoleMetadataOperationFilter adds
+     */
+    openApiDocument() {
+        const paths = {};
+
+        ROUTES.forEach(route => {
+            const roles = ENDPOINT_PERMISSIONS[route.name];
+            const parameters = [
+                ...[...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+                    name, in: 'path', required: true, schema: name === 'id' ? { type: 'integer', format: 'int32' } : { type: 'string' }
+                })),
+                ...(route.query || []).map(name => ({
+                    name, in: 'query', schema: name === 'q' ? { type: 'string' } : { type: 'string', format: 'date-time' }
+                }))
+            ];
+
+            const operation = {
+                tags: [route.tag],
+                summary: route.summary,
+                operationId: route.name,
+                parameters,
+                responses: { '200': { description: 'OK' } }
+            };
+            if (route.body) {
+                operation.requestBody = {
+                    content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } },
+                    required: true
+                };
+            }
+            if (roles === null) {
+                operation['x-allow-anonymous'] = true;
+            } else {
+                operation['x-roles'] = roles;
+            }
+
+            (paths[route.path] = paths[route.path] || {})[route.method.toLowerCase()] = operation;
+        });
+
+        return {
+            openapi: '3.0.1',
+            info: { title: 'StorePOS.Api (mock)', version: 'v1' },
+            paths,
+            components: {
+                securitySchemes: {
+                    Bearer: { type: 'apiKey', description: 'JWT Authorization header using the Bearer scheme.', name: 'Authorization', in: 'header' }
+                }
+            },
+            security: [{ Bearer: [] }]
+        };
+    }
+
+    swaggerIndexHtml() {
+        const rows = ROUTES.map(route => `<tr><td>${route.method}</td><td><code>${route.path}</code></td><td>${route.summary}</td></tr>`).join('');
+        return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>StorePOS mock API</title></head>`
+            + `<body><h1>StorePOS mock API</h1><p>OpenAPI document: <a href="/swagger/v1/swagger.json">/swagger/v1/swagger.json</a></p>`
+            + `<table>${rows}</table></body></html>`;
+    }
+
+    timestamp() {
+        return this.now().toISOString();
+    }
+}
+
+// =============================================================================
+// BROWSER INTERCEPTOR
+// =============================================================================
+
+/**
+ * Route fetch calls for baseUrl to a mock instead of the network, so a page
+ * can run against the mock without the Node server
+ * @param {StorePosMock} mock
+ * @param {string} baseUrl - e.g. "http://localhost:5062"
+ * @returns {() => void} - Restores the original fetch
+ */
+export function installMockFetch(mock, baseUrl) {
+    const originalFetch = globalThis.fetch;
+    const origin = baseUrl.replace(/\/+$/, '');
+
+    globalThis.fetch = (input, init) => {
+        const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+        return url.startsWith(`${origin}/`) ? mock.fetch(input, init) : originalFetch(input, init);
+    };
+
+    return () => {
+        globalThis.fetch = originalFetch;
+    };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function json(status, body, contentType = 'application/json') {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': `${contentType}; charset=utf-8` } });
+}
+
+function empty(status, headers = {}) {
+    return new Response(null, { status, headers });
+}
+
+/**
+ * EndpointHelpers.MapResult: success codes carry the data, failures a message
+ * or a ValidationProblem
+ */
+function mapResult(res, location = null) {
+    if (res.statusCode === 201) {
+        return new Response(JSON.stringify(res.data), {
+            status: 201,
+            headers: { 'Content-Type': 'application/json; charset=utf-8', 'Location': location }
+        });
+    }
+    if (res.statusCode === 204) return empty(204);
+    if (res.statusCode < 300) return json(res.statusCode, res.data);
+
+    if (res.errors) {
+        return json(400, {
+            type: 'https://tools.ietf.org/html/rfc9110#section-15.5.1',
+            title: 'One or more validation errors occurred.',
+            status: 400,
+            errors: res.errors
+        }, 'application/problem+json');
+    }
+
+    if (res.statusCode === 404) return json(404, { message: res.message ?? 'Not found' });
+    if (res.statusCode === 409) return json(409, { message: res.message ?? 'Conflict' });
+    return json(400, { message: res.message ?? 'Bad request' });
+}
+
+function bindingProblem(dtoName) {
+    return json(400, {
+        type: 'https://tools.ietf.org/html/rfc9110#section-15.5.1',
+        title: 'Bad Request',
+        status: 400,
+        detail: `Failed to read parameter "${dtoName} dto" from the request body as JSON.`
+    }, 'application/problem+json');
+}
+
+/**
+ * Copy body properties onto a DTO's defaults. Names match case-insensitively
+ * and values must have the default's type, as with System.Text.Json's web
+ * defaults; a mismatch throws BindingError (400).
+ */
+function bind(body, defaults) {
+    const dto = { ...defaults };
+    const keys = Object.keys(body || {});
+
+    Object.entries(defaults).forEach(([name, fallback]) => {
+        const key = keys.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+        if (key === undefined) return;
+
+        const value = body[key];
+        const expected = typeof fallback === 'number' ? 'number' : typeof fallback === 'boolean' ? 'boolean' : 'string';
+        if (value === null && expected === 'string') {
+            dto[name] = null;
+        } else if (typeof value !== expected) {
+            throw new BindingError();
+        } else {
+            dto[name] = value;
+        }
+    });
+
+    return dto;
+}
+
+function bindProduct(body) {
+    const dto = bind(body, { sku: null, barcode: null, name: null, category: null, price: 0, cost: 0, stockQty: 0, isActive: true });
+    if (!Number.isInteger(dto.stockQty)) throw new BindingError();
+
+    return {
+        sku: (dto.sku || '').trim(),
+        barcode: (dto.barcode || '').trim(),
+        name: (dto.name || '').trim(),
+        category: (dto.category || '').trim(),
+        price: dto.price,
+        cost: dto.cost,
+        stockQty: dto.stockQty,
+        isActive: dto.isActive
+    };
+}
+
+function validateProduct(dto) {
+    const errors = {};
+    if (!dto.sku) errors.sku = ['SKU is required.'];
+    if (!dto.name) errors.name = ['Name is required.'];
+    if (!dto.category) errors.category = ['Category is required.'];
+    if (dto.price < 0) errors.price = ['Price must be >= 0.'];
+    if (dto.cost < 0) errors.cost = ['Cost must be >= 0.'];
+    if (dto.stockQty < 0) errors.stockQty = ['StockQty must be >= 0.'];
+    return errors;
+}
+
+function bindSale(body, withStatus = false) {
+    const defaults = { discount: 0, tax: 0, paidAmount: 0, paymentMethod: 'Cash', notes: null };
+    if (withStatus) defaults.status = 'Pending';
+
+    const dto = bind(body, defaults);
+    const cartsKey = Object.keys(body).find(key => key.toLowerCase() === 'carts');
+    const carts = cartsKey === undefined ? null : body[cartsKey];
+    if (carts !== null && !Array.isArray(carts)) throw new BindingError();
+
+    dto.carts = carts?.map(line => {
+        if (line === null || typeof line !== 'object') throw new BindingError();
+        const cart = bind(line, { productId: 0, qty: 0, unitPrice: 0 });
+        if (!Number.isInteger(cart.productId) || !Number.isInteger(cart.qty)) throw new BindingError();
+        return cart;
+    }) ?? null;
+    return dto;
+}
+
+function validateSale(dto, isUpdate = false) {
+    const errors = {};
+
+    if (!dto.carts?.length) {
+        errors.carts = ['At least one cart item is required.'];
+    } else if (dto.carts.some(line => line.productId <= 0)) {
+        errors.carts = ['Invalid product ID.'];
+    }
+
+    if (dto.discount < 0) errors.discount = ['Discount must be >= 0.'];
+    if (dto.tax < 0) errors.tax = ['Tax must be >= 0.'];
+    if (!isUpdate && dto.paidAmount < 0) errors.paidAmount = ['Paid amount must be >= 0.'];
+
+    if (!parseEnum(dto.paymentMethod, PAYMENT_METHODS)) {
+        errors.paymentMethod = [`Invalid payment method. Valid options: ${PAYMENT_METHODS.join(', ')}`];
+    }
+    if (isUpdate && !parseEnum(dto.status, SALE_STATUSES)) {
+        errors.status = [`Invalid status. Valid options: ${SALE_STATUSES.join(', ')}`];
+    }
+
+    return errors;
+}
+
+function toProductReadDto(product) {
+    const { id, sku, barcode, name, category, price, cost, stockQty, isActive } = product;
+    return { id, sku, barcode, name, category, price, cost, stockQty, isActive };
+}
+
+function toUserReadDto(user) {
+    const { id, username, email, firstName, lastName, phoneNumber, role, isActive, createdAt, lastLoginAt } = user;
+    return { id, username, email, firstName, lastName, phoneNumber, role, isActive, createdAt, lastLoginAt };
+}
+
+/**
+ * Enum.TryParse(value, ignoreCase: true)
+ * @returns {string|null} - The canonical name
+ */
+function parseEnum(value, names) {
+    if (typeof value !== 'string') return null;
+    return names.find(name => name.toLowerCase() === value.trim().toLowerCase()) || null;
+}
+
+/**
+ * @returns {Date|null|undefined} - null when absent, undefined when unparseable
+ */
+function parseDateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// EF.Functions.Like(value, "%q%") on the in-memory provider ignores case
+function like(value, q) {
+    return String(value ?? '').toLowerCase().includes(q.toLowerCase());
+}
+
+function compareText(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// decimal arithmetic in the API; trims binary floating point noise here
+function decimal(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function base64Url(value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    const padded = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
@@ -0,0 +1,793 @@
+/**
+ * StorePOS JavaScript SDK
+ *
+ * ES-module client for the StorePOS API that works in browsers and Node.js 18+
+ * (anything with a global fetch). Provides:
+ * - Typed methods per route (auth, products, sales, users)
+ * - Pluggable token storage (memory, localStorage or your own)
+ * - Proactive access-token refresh before ExpiresAt and a single retry on 401
+ * - The role permission matrix per route, optionally read from swagger.json
+ *
+ * @example
+ * import { StorePosClient } from './storepos-client.js';
+ *
+ * const client = new StorePosClient({ baseUrl: 'http://localhost:5062' });
+ * await client.auth.login('admin', 'admin123');
+ * const keyboards = await client.products.list({ q: 'keyboard' });
+ */
+
+// =============================================================================
+// TYPES (mirroring StorePOS.Domain/DTOs)
+// =============================================================================
+
+/**
+ * @typedef {'Cashier'|'Manager'|'Admin'|'Customer'|'Guest'} UserRole
+ * @typedef {'Cash'|'VodafoneCash'} PaymentMethod
+ * @typedef {'Pending'|'Completed'|'Cancelled'} SaleStatus
+ * @typedef {'Increase'|'Decrease'} StockUpdate
+ */
+
+/**
+ * @typedef {Object} ProductReadDto
+ * @property {number} id
+ * @property {string} sku
+ * @property {string} barcode
+ * @property {string} name
+ * @property {string} category
+ * @property {number} price
+ * @property {number} cost
+ * @property {number} stockQty
+ * @property {boolean} isActive
+ */
+
+/**
+ * @typedef {Object} ProductCreateDto
+ * @property {string} sku
+ * @property {string} barcode
+ * @property {string} name
+ * @property {string} category
+ * @property {number} price
+ * @property {number} cost
+ * @property {number} stockQty
+ * @property {boolean} [isActive=true]
+ */
+
+/**
+ * @typedef {ProductCreateDto} ProductUpdateDto
+ */
+
+/**
+ * @typedef {Object} ProductStockUpdateDto
+ * @property {number} amount
+ * @property {StockUpdate} stockUpdate
+ */
+
+/**
+ * @typedef {Object} SaleCartReadDto
+ * @property {number} id
+ * @property {number} productId
+ * @property {string} productName
+ * @property {string} productSku
+ * @property {number} qty
+ * @property {number} unitPrice
+ * @property {number} lineTotal
+ */
+
+/**
+ * @typedef {Object} SaleReadDto
+ * @property {number} id
+ * @property {string} createdAt - ISO 8601 DateTimeOffset
+ * @property {number} subtotal
+ * @property {number} discount
+ * @property {number} tax
+ * @property {number} total
+ * @property {number} paidAmount
+ * @property {PaymentMethod} paymentMethod
+ * @property {string|null} notes
+ * @property {SaleStatus} status
+ * @property {SaleCartReadDto[]} carts
+ */
+
+/**
+ * @typedef {Object} SaleCartCreateDto
+ * @property {number} productId
+ * @property {number} qty
+ * @property {number} unitPrice
+ */
+
+/**
+ * @typedef {Object} SaleCreateDto
+ * @property {SaleCartCreateDto[]} carts
+ * @property {number} [discount=0]
+ * @property {number} [tax=0]
+ * @property {number} [paidAmount=0]
+ * @property {PaymentMethod} [paymentMethod='Cash']
+ * @property {string|null} [notes]
+ */
+
+/**
+ * @typedef {SaleCreateDto & { status?: SaleStatus }} SaleUpdateDto
+ */
+
+/**
+ * @typedef {Object} UserReadDto
+ * @property {number} id
+ * @property {string} username
+ * @property {string} email
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string|null} phoneNumber
+ * @property {UserRole} role
+ * @property {boolean} isActive
+ * @property {string} createdAt
+ * @property {string|null} lastLoginAt
+ */
+
+/**
+ * @typedef {Object} UserCreateDto
+ * @property {string} username
+ * @property {string} email
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} password
+ * @property {string|null} [phoneNumber]
+ * @property {UserRole} [role='Cashier']
+ * @property {boolean} [isActive=true]
+ */
+
+/**
+ * @typedef {Object} UserUpdateDto
+ * @property {string} username
+ * @property {string} email
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string|null} [phoneNumber]
+ * @property {UserRole} [role='Cashier']
+ * @property {boolean} [isActive=true]
+ */
+
+/**
+ * @typedef {Object} UserChangePasswordDto
+ * @property {string} currentPassword
+ * @property {string} newPassword
+ */
+
+/**
+ * @typedef {Object} AuthTokenDto
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {string} expiresAt - ISO 8601 DateTimeOffset
+ * @property {UserReadDto} user
+ */
+
+/**
+ * @typedef {Object} CurrentUser - Shape returned by GET /api/auth/me
+ * @property {number} id
+ * @property {string} username
+ * @property {string} email
+ * @property {UserRole} role
+ * @property {boolean} isActive
+ */
+
+/**
+ * Token storage contract. Methods may be sync or async.
+ * @typedef {Object} TokenStore
+ * @property {() => (AuthTokenDto|null|Promise<AuthTokenDto|null>)} get
+ * @property {(tokens: AuthTokenDto) => (void|Promise<void>)} set
+ * @property {() => (void|Promise<void>)} clear
+ */
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Raised for any non-2xx response. `body` holds the parsed error payload, e.g.
+ * `{ message }`, an AuthResponseDto, or a ValidationProblem with `errors`.
+ */
+export class StorePosApiError extends Error {
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'StorePosApiError';
+        this.status = status;
+        this.body = body;
+    }
+
+    /**
+     * Field-level validation errors, if the API returned a ValidationProblem
+     * @returns {Object<string, string[]>|null}
+     */
+    get errors() {
+        return this.body?.errors || null;
+    }
+}
+
+// =============================================================================
+// TOKEN STORES
+// =============================================================================
+
+/**
+ * Keeps tokens in memory only (default; suitable for Node scripts)
+ * @implements {TokenStore}
+ */
+export class MemoryTokenStore {
+    constructor() {
+        this.tokens = null;
+    }
+
+    get() {
+        return this.tokens;
+    }
+
+    set(tokens) {
+        this.tokens = tokens;
+    }
+
+    clear() {
+        this.tokens = null;
+    }
+}
+
+/**
+ * Persists tokens in Web Storage. The docs site keeps its session under
+ * `storepos.session.<environment id>`, so pointing this store at the same key
+ * shares the sign-in with the guide.
+ * @implements {TokenStore}
+ */
+export class LocalStorageTokenStore {
+    constructor(key = 'storepos.session', storage = globalThis.localStorage) {
+        this.key = key;
+        this.storage = storage;
+    }
+
+    get() {
+        try {
+            return JSON.parse(this.storage.getItem(this.key));
+        } catch {
+            return null;
+        }
+    }
+
+    set(tokens) {
+        this.storage.setItem(this.key, JSON.stringify(tokens));
+    }
+
+    clear() {
+        this.storage.removeItem(this.key);
+    }
+}
+
+// =============================================================================
+// PERMISSIONS
+// =============================================================================
+
+/**
+ * UserRole enum values (StorePOS.Domain/Enums/UserRole.cs), most privileged first
+ * @type {UserRole[]}
+ */
+export const USER_ROLE_NAMES = ['Admin', 'Manager', 'Cashier', 'Customer', 'Guest'];
+
+const ANY_STAFF = ['Admin', 'Manager', 'Cashier'];
+
+/**
+ * Who may call each route, keyed by operation name (the route's WithName).
+ * Mirrors RequireRoleAttribute in StorePOS.Api/Endpoints/*Endpoints.cs, which the
+ * API also publishes as x-roles / x-allow-anonymous in swagger.json.
+ *
+ * null = anonymous, [] = any signed-in user, otherwise the allowed roles.
+ * @type {Object<string, UserRole[]|null>}
+ */
+export const ENDPOINT_PERMISSIONS = Object.freeze({
+    Login: null,
+    RefreshToken: null,
+    Logout: [],
+    LogoutAll: [],
+    GetCurrentUser: [],
+
+    GetProducts: ANY_STAFF,
+    GetProductByBarcode: ANY_STAFF,
+    CreateProduct: ['Admin', 'Manager'],
+    UpdateProduct: ['Admin', 'Manager'],
+    UpdateProductStock: ['Admin', 'Manager'],
+    DeleteProduct: ['Admin'],
+
+    GetSales: ANY_STAFF,
+    GetSaleById: ANY_STAFF,
+    CreateSale: ANY_STAFF,
+    UpdateSale: ANY_STAFF,
+    DeleteSale: ['Admin', 'Manager'],
+    CompleteSale: ANY_STAFF,
+    CancelSale: ['Admin', 'Manager'],
+
+    GetUsers: ['Admin', 'Manager'],
+    GetUserById: ['Admin', 'Manager'],
+    GetUserByUsername: ['Admin', 'Manager'],
+    CreateUser: ['Admin'],
+    UpdateUser: ['Admin'],
+    ChangeUserPassword: ['Admin'],
+    DeleteUser: ['Admin']
+});
+
+/**
+ * Read the permission matrix from the API's OpenAPI document. Operations
+ * without role metadata (older API builds) are left out.
+ * @param {Object} spec - Parsed swagger.json
+ * @returns {Object<string, UserRole[]|null>}
+ */
+export function permissionsFromOpenApi(spec) {
+    const permissions = {};
+
+    Object.values(spec?.paths || {}).forEach(pathItem => {
+        Object.values(pathItem).forEach(operation => {
+            if (!operation?.operationId) return;
+
+            if (operation['x-allow-anonymous']) {
+                permissions[operation.operationId] = null;
+            } else if (Array.isArray(operation['x-roles'])) {
+                permissions[operation.operationId] = operation['x-roles'];
+            }
+        });
+    });
+
+    return permissions;
+}
+
+/**
+ * Whether a user with the given role may call an operation. Unknown
+ * operations are refused so a typo never unlocks anything.
+ * @param {UserRole|null} role - null when signed out
+ * @param {string} operationName - e.g. "CreateProduct"
+ * @param {Object<string, UserRole[]|null>} [permissions=ENDPOINT_PERMISSIONS]
+ * @returns {boolean}
+ */
+export function canCall(role, operationName, permissions = ENDPOINT_PERMISSIONS) {
+    if (!(operationName in permissions)) return false;
+
+    const roles = permissions[operationName];
+    if (roles === null) return true;
+    return !!role && (roles.length === 0 || roles.includes(role));
+}
+
+/**
+ * Roles allowed to call an operation; anonymous and any-user routes list every role
+ * @param {string} operationName
+ * @param {Object<string, UserRole[]|null>} [permissions=ENDPOINT_PERMISSIONS]
+ * @returns {UserRole[]}
+ */
+export function rolesFor(operationName, permissions = ENDPOINT_PERMISSIONS) {
+    return USER_ROLE_NAMES.filter(role => canCall(role, operationName, permissions));
+}
+
+// =============================================================================
+// CLIENT
+// =============================================================================
+
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+export class StorePosClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API root, e.g. "http://localhost:5062"
+     * @param {TokenStore} [options.tokenStore] - Where tokens live (defaults to memory)
+     * @param {typeof fetch} [options.fetch] - Custom fetch implementation
+     * @param {number} [options.refreshMarginMs=60000] - Refresh this long before ExpiresAt
+     * @param {(error: StorePosApiError) => void} [options.onSessionExpired] - Called when refresh is rejected
+     */
+    constructor({ baseUrl, tokenStore = new MemoryTokenStore(), fetch: fetchImpl = globalThis.fetch, refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS, onSessionExpired = null } = {}) {
+        if (!baseUrl) {
+            throw new Error('StorePosClient requires a baseUrl');
+        }
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.tokenStore = tokenStore;
+        this.fetch = fetchImpl;
+        this.refreshMarginMs = refreshMarginMs;
+        this.onSessionExpired = onSessionExpired;
+        this.refreshPromise = null;
+        this.permissions = { ...ENDPOINT_PERMISSIONS };
+
+        this.auth = this.createAuthApi();
+        this.products = this.createProductsApi();
+        this.sales = this.createSalesApi();
+        this.users = this.createUsersApi();
+    }
+
+    // -------------------------------------------------------------------------
+    // TRANSPORT
+    // -------------------------------------------------------------------------
+
+    /**
+     * Send a request and return the parsed response body
+     * @param {string} method - HTTP method
+     * @param {string} path - Route path, e.g. "/api/products"
+     * @param {Object} [options]
+     * @param {Object} [options.query] - Query parameters; empty values are skipped, Dates become ISO strings
+     * @param {*} [options.body] - JSON body
+     * @param {boolean} [options.auth=true] - Attach the bearer token (and refresh it when needed)
+     * @returns {Promise<*>}
+     */
+    async request(method, path, { query = null, body = undefined, auth = true } = {}) {
+        if (auth) {
+            await this.ensureFreshToken();
+        }
+
+        let response = await this.send(method, path, query, body, auth);
+
+        if (response.status === 401 && auth && await this.refreshSession()) {
+            response = await this.send(method, path, query, body, auth);
+        }
+
+        const payload = await this.parseBody(response);
+
+        if (!response.ok) {
+            throw new StorePosApiError(this.describeError(response, payload), response.status, payload);
+        }
+
+        return payload;
+    }
+
+    async send(method, path, query, body, auth) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        Object.entries(query || {}).forEach(([name, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            url.searchParams.append(name, value instanceof Date ? value.toISOString() : String(value));
+        });
+
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        if (auth) {
+            const tokens = await this.tokenStore.get();
+            if (tokens?.accessToken) {
+                headers['Authorization'] = `Bearer ${tokens.accessToken}`;
+            }
+        }
+
+        return this.fetch(url.toString(), {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    }
+
+    async parseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    describeError(response, payload) {
+        if (payload?.message) return payload.message;
+        if (payload?.errors) {
+            return Object.values(payload.errors).flat().join(' ') || payload.title || `HTTP ${response.status}`;
+        }
+        if (payload?.title) return payload.title;
+        return `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+    }
+
+    // -------------------------------------------------------------------------
+    // TOKEN REFRESH
+    // -------------------------------------------------------------------------
+
+    async ensureFreshToken() {
+        const tokens = await this.tokenStore.get();
+        if (!tokens?.refreshToken || !tokens.expiresAt) return;
+
+        const expiresIn = new Date(tokens.expiresAt).getTime() - Date.now();
+        if (expiresIn <= this.refreshMarginMs) {
+            await this.refreshSession();
+        }
+    }
+
+    /**
+     * Exchange the stored refresh token for a new pair. Concurrent callers share one request.
+     * @returns {Promise<boolean>} - Whether a fresh token is now stored
+     */
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                const tokens = await this.tokenStore.get();
+                if (!tokens?.refreshToken) return false;
+
+                try {
+                    await this.auth.refresh(tokens.refreshToken);
+                    return true;
+                } catch (error) {
+                    if (error instanceof StorePosApiError) {
+                        await this.tokenStore.clear();
+                        this.onSessionExpired?.(error);
+                        return false;
+                    }
+                    throw error;
+                }
+            })().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Unwrap an AuthResponseDto and store its tokens
+     * @returns {Promise<AuthTokenDto>}
+     */
+    async storeAuthResponse(response) {
+        if (!response?.success || !response.data) {
+            throw new StorePosApiError(response?.message || 'Authentication failed', 400, response);
+        }
+
+        await this.tokenStore.set(response.data);
+        return response.data;
+    }
+
+    // -------------------------------------------------------------------------
+    // PERMISSIONS
+    // -------------------------------------------------------------------------
+
+    /**
+     * Replace the built-in permission matrix with the one the API publishes,
+     * keeping the built-in entries for routes the document does not describe
+     * @param {string} [path='/swagger/v1/swagger.json']
+     * @returns {Promise<Object<string, UserRole[]|null>>}
+     */
+    async loadPermissions(path = '/swagger/v1/swagger.json') {
+        const spec = await this.request('GET', path, { auth: false });
+        this.permissions = { ...ENDPOINT_PERMISSIONS, ...permissionsFromOpenApi(spec) };
+        return this.permissions;
+    }
+
+    /**
+     * Whether a role may call an operation according to this client's matrix
+     * @param {UserRole|null} role
+     * @param {string} operationName
+     * @returns {boolean}
+     */
+    can(role, operationName) {
+        return canCall(role, operationName, this.permissions);
+    }
+
+    // -------------------------------------------------------------------------
+    // ROUTES
+    // -------------------------------------------------------------------------
+
+    createAuthApi() {
+        return {
+            /**
+             * POST /api/auth/login
+             * @param {string} usernameOrEmail
+             * @param {string} password
+             * @returns {Promise<AuthTokenDto>}
+             */
+            login: async (usernameOrEmail, password) => this.storeAuthResponse(
+                await this.request('POST', '/api/auth/login', { body: { usernameOrEmail, password }, auth: false })
+            ),
+
+            /**
+             * POST /api/auth/refresh
+             * @param {string} [refreshToken] - Defaults to the stored refresh token
+             * @returns {Promise<AuthTokenDto>}
+             */
+            refresh: async (refreshToken) => {
+                const token = refreshToken ?? (await this.tokenStore.get())?.refreshToken;
+                return this.storeAuthResponse(
+                    await this.request('POST', '/api/auth/refresh', { body: { refreshToken: token }, auth: false })
+                );
+            },
+
+            /**
+             * POST /api/auth/logout - revokes the stored refresh token and clears local tokens
+             * @returns {Promise<void>}
+             */
+            logout: async () => {
+                const tokens = await this.tokenStore.get();
+                try {
+                    if (tokens?.refreshToken) {
+                        await this.request('POST', '/api/auth/logout', { body: { refreshToken: tokens.refreshToken } });
+                    }
+                } finally {
+                    await this.tokenStore.clear();
+                }
+            },
+
+            /**
+             * POST /api/auth/logout-all - revokes every refresh token of the current user
+             * @returns {Promise<void>}
+             */
+            logoutAll: async () => {
+                try {
+                    await this.request('POST', '/api/auth/logout-all');
+                } finally {
+                    await this.tokenStore.clear();
+                }
+            },
+
+            /**
+             * GET /api/auth/me
+             * @returns {Promise<CurrentUser>}
+             */
+            me: () => this.request('GET', '/api/auth/me')
+        };
+    }
+
+    createProductsApi() {
+        return {
+            /**
+             * GET /api/products
+             * @param {{ q?: string }} [filter] - Matches name, SKU or exact barcode
+             * @returns {Promise<ProductReadDto[]>}
+             */
+            list: ({ q } = {}) => this.request('GET', '/api/products', { query: { q } }),
+
+            /**
+             * GET /api/products/by-barcode/{barcode}
+             * @param {string} barcode
+             * @returns {Promise<ProductReadDto>}
+             */
+            byBarcode: (barcode) => this.request('GET', `/api/products/by-barcode/${encodeURIComponent(barcode)}`),
+
+            /**
+             * POST /api/products
+             * @param {ProductCreateDto} dto
+             * @returns {Promise<ProductReadDto>}
+             */
+            create: (dto) => this.request('POST', '/api/products', { body: dto }),
+
+            /**
+             * PUT /api/products/{id}
+             * @param {number} id
+             * @param {ProductUpdateDto} dto
+             * @returns {Promise<ProductReadDto>}
+             */
+            update: (id, dto) => this.request('PUT', `/api/products/${id}`, { body: dto }),
+
+            /**
+             * PUT /api/products/{id}/update-stock
+             * @param {number} id
+             * @param {number} amount
+             * @param {StockUpdate} direction - 'Increase' or 'Decrease'
+             * @returns {Promise<ProductReadDto>}
+             */
+            updateStock: async (id, amount, direction) => {
+                if (!['Increase', 'Decrease'].includes(direction)) {
+                    throw new TypeError(`Stock update must be 'Increase' or 'Decrease', got '${direction}'`);
+                }
+                return this.request('PUT', `/api/products/${id}/update-stock`, { body: { amount, stockUpdate: direction } });
+            },
+
+            /**
+             * DELETE /api/products/{id}
+             * @param {number} id
+             * @returns {Promise<void>}
+             */
+            remove: async (id) => {
+                await this.request('DELETE', `/api/products/${id}`);
+            }
+        };
+    }
+
+    createSalesApi() {
+        return {
+            /**
+             * GET /api/sales
+             * @param {{ from?: Date|string, to?: Date|string }} [range] - CreatedAt window (inclusive)
+             * @returns {Promise<SaleReadDto[]>}
+             */
+            list: ({ from, to } = {}) => this.request('GET', '/api/sales', { query: { from, to } }),
+
+            /**
+             * GET /api/sales/{id}
+             * @param {number} id
+             * @returns {Promise<SaleReadDto>}
+             */
+            get: (id) => this.request('GET', `/api/sales/${id}`),
+
+            /**
+             * POST /api/sales - creates a Pending sale
+             * @param {SaleCreateDto} dto
+             * @returns {Promise<SaleReadDto>}
+             */
+            create: (dto) => this.request('POST', '/api/sales', { body: dto }),
+
+            /**
+             * PUT /api/sales/{id}
+             * @param {number} id
+             * @param {SaleUpdateDto} dto
+             * @returns {Promise<SaleReadDto>}
+             */
+            update: (id, dto) => this.request('PUT', `/api/sales/${id}`, { body: dto }),
+
+            /**
+             * POST /api/sales/{id}/complete - deducts stock and marks the sale Completed
+             * @param {number} id
+             * @returns {Promise<SaleReadDto>}
+             */
+            complete: (id) => this.request('POST', `/api/sales/${id}/complete`),
+
+            /**
+             * POST /api/sales/{id}/cancel
+             * @param {number} id
+             * @returns {Promise<SaleReadDto>}
+             */
+            cancel: (id) => this.request('POST', `/api/sales/${id}/cancel`),
+
+            /**
+             * DELETE /api/sales/{id}
+             * @param {number} id
+             * @returns {Promise<void>}
+             */
+            remove: async (id) => {
+                await this.request('DELETE', `/api/sales/${id}`);
+            }
+        };
+    }
+
+    createUsersApi() {
+        return {
+            /**
+             * GET /api/users
+             * @param {{ q?: string }} [filter]
+             * @returns {Promise<UserReadDto[]>}
+             */
+            list: ({ q } = {}) => this.request('GET', '/api/users', { query: { q } }),
+
+            /**
+             * GET /api/users/{id}
+             * @param {number} id
+             * @returns {Promise<UserReadDto>}
+             */
+            get: (id) => this.request('GET', `/api/users/${id}`),
+
+            /**
+             * GET /api/users/by-username/{username}
+             * @param {string} username
+             * @returns {Promise<UserReadDto>}
+             */
+            byUsername: (username) => this.request('GET', `/api/users/by-username/${encodeURIComponent(username)}`),
+
+            /**
+             * POST /api/users
+             * @param {UserCreateDto} dto
+             * @returns {Promise<UserReadDto>}
+             */
+            create: (dto) => this.request('POST', '/api/users', { body: dto }),
+
+            /**
+             * PUT /api/users/{id}
+             * @param {number} id
+             * @param {UserUpdateDto} dto
+             * @returns {Promise<UserReadDto>}
+             */
+            update: (id, dto) => this.request('PUT', `/api/users/${id}`, { body: dto }),
+
+            /**
+             * PUT /api/users/{id}/password
+             * @param {number} id
+             * @param {string} currentPassword
+             * @param {string} newPassword
+             * @returns {Promise<void>}
+             */
+            changePassword: async (id, currentPassword, newPassword) => {
+                await this.request('PUT', `/api/users/${id}/password`, { body: { currentPassword, newPassword } });
+            },
+
+            /**
+             * DELETE /api/users/{id}
+             * @param {number} id
+             * @returns {Promise<void>}
+             */
+            remove: async (id) => {
+                await this.request('DELETE', `/api/users/${id}`);
+            }
+        };
+    }
+}
+
+export default StorePosClient;
@@ -0,0 +1,243 @@
+/**
+ * StorePOS SDK tests
+ *
+ * Drives StorePosClient against the in-memory mock API (../mock/storepos-mock.js),
+ * so no server and no packages are needed. Run with Node.js 20+:
+ *
+ *   node --test src/Docs/sdk/
+ *
+ * The mock's clock is injected, so token expiry is tested by moving it forward
+ * rather than by waiting.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorePosClient, StorePosApiError } from './storepos-client.js';
+import { StorePosMock } from '../mock/storepos-mock.js';
+
+const BASE_URL = 'http://localhost:5062';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * A fresh mock with a movable clock, and a client that talks to it. `calls`
+ * records "METHOD /path" for every request the client sends.
+ */
+function createFixture(options = {}) {
+    let clock = Date.now();
+    const calls = [];
+    const mock = new StorePosMock({ now: () => new Date(clock) });
+    const client = new StorePosClient({
+        baseUrl: BASE_URL,
+        fetch: (url, init) => {
+            calls.push(`${init?.method || 'GET'} ${new URL(url).pathname}`);
+            return mock.fetch(url, init);
+        },
+        ...options
+    });
+
+    return {
+        mock,
+        client,
+        calls,
+        advance: (ms) => {
+            clock += ms;
+        }
+    };
+}
+
+async function rejectsWithStatus(promise, status) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof StorePosApiError, `expected StorePosApiError, got ${error?.name}`);
+        assert.equal(error.status, status);
+        return true;
+    });
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+describe('auth', () => {
+    let fixture;
+
+    beforeEach(() => {
+        fixture = createFixture();
+    });
+
+    it('stores the token pair on login', async () => {
+        const tokens = await fixture.client.auth.login('admin', 'admin123');
+
+        assert.ok(tokens.accessToken);
+        assert.ok(tokens.refreshToken);
+        assert.equal(tokens.user.role, 'Admin');
+        assert.deepEqual(fixture.client.tokenStore.get(), tokens);
+
+        const me = await fixture.client.auth.me();
+        assert.equal(me.username, 'admin');
+    });
+
+    it('rejects bad credentials with the API message and stores nothing', async () => {
+        await assert.rejects(fixture.client.auth.login('admin', 'wrong'), (error) => {
+            assert.ok(error instanceof StorePosApiError);
+            assert.equal(error.status, 400);
+            assert.equal(error.message, 'Invalid credentials');
+            return true;
+        });
+        assert.equal(fixture.client.tokenStore.get(), null);
+    });
+
+    it('rotates the refresh token on refresh', async () => {
+        const first = await fixture.client.auth.login('cashier', 'cashier123');
+        const second = await fixture.client.auth.refresh();
+
+        assert.notEqual(second.refreshToken, first.refreshToken);
+        assert.deepEqual(fixture.client.tokenStore.get(), second);
+        await rejectsWithStatus(fixture.client.auth.refresh(first.refreshToken), 400);
+    });
+
+    it('refreshes and retries once when the access token has expired', async () => {
+        const first = await fixture.client.auth.login('cashier', 'cashier123');
+        fixture.advance(16 * MINUTE);
+        fixture.calls.length = 0;
+
+        const products = await fixture.client.products.list();
+
+        assert.ok(products.length > 0);
+        assert.deepEqual(fixture.calls, ['GET /api/products', 'POST /api/auth/refresh', 'GET /api/products']);
+        assert.notEqual(fixture.client.tokenStore.get().accessToken, first.accessToken);
+    });
+
+    it('refreshes ahead of ExpiresAt when inside the refresh margin', async () => {
+        fixture = createFixture({ refreshMarginMs: 8 * DAY });
+        await fixture.client.auth.login('cashier', 'cashier123');
+        fixture.calls.length = 0;
+
+        await fixture.client.products.list();
+
+        assert.deepEqual(fixture.calls, ['POST /api/auth/refresh', 'GET /api/products']);
+    });
+
+    it('shares one refresh between concurrent requests', async () => {
+        await fixture.client.auth.login('cashier', 'cashier123');
+        fixture.advance(16 * MINUTE);
+        fixture.calls.length = 0;
+
+        await Promise.all([fixture.client.products.list(), fixture.client.sales.list()]);
+
+        assert.equal(fixture.calls.filter(call => call === 'POST /api/auth/refresh').length, 1);
+    });
+
+    it('clears the session and reports it when the refresh token has expired', async () => {
+        const expired = [];
+        fixture = createFixture({ onSessionExpired: (error) => expired.push(error) });
+        await fixture.client.auth.login('cashier', 'cashier123');
+        fixture.advance(8 * DAY);
+
+        await rejectsWithStatus(fixture.client.products.list(), 401);
+
+        assert.equal(fixture.client.tokenStore.get(), null);
+        assert.equal(expired.length, 1);
+        assert.equal(expired[0].status, 400);
+    });
+
+    it('revokes the refresh token and clears the store on logout', async () => {
+        const tokens = await fixture.client.auth.login('cashier', 'cashier123');
+        await fixture.client.auth.logout();
+
+        assert.equal(fixture.client.tokenStore.get(), null);
+        await rejectsWithStatus(fixture.client.auth.refresh(tokens.refreshToken), 400);
+    });
+});
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+describe('errors', () => {
+    let fixture;
+
+    beforeEach(() => {
+        fixture = createFixture();
+    });
+
+    it('maps a missing token to a 401 StorePosApiError', async () => {
+        await rejectsWithStatus(fixture.client.products.list(), 401);
+    });
+
+    it('maps a role outside the route permissions to a 403 StorePosApiError', async () => {
+        await fixture.client.auth.login('cashier', 'cashier123');
+
+        await rejectsWithStatus(fixture.client.users.list(), 403);
+        await rejectsWithStatus(fixture.client.products.updateStock(1, 5, 'Increase'), 403);
+    });
+
+    it('exposes validation errors by field', async () => {
+        await fixture.client.auth.login('admin', 'admin123');
+
+        await assert.rejects(fixture.client.sales.create({ carts: [] }), (error) => {
+            assert.ok(error instanceof StorePosApiError);
+            assert.equal(error.status, 400);
+            assert.ok(error.errors, 'expected field errors');
+            return true;
+        });
+    });
+
+    it('rejects an unknown stock direction without sending a request', async () => {
+        await fixture.client.auth.login('admin', 'admin123');
+        fixture.calls.length = 0;
+
+        const pending = fixture.client.products.updateStock(1, 5, 'Sideways');
+
+        assert.ok(pending instanceof Promise);
+        await assert.rejects(pending, TypeError);
+        assert.deepEqual(fixture.calls, []);
+    });
+});
+
+// =============================================================================
+// SALES
+// =============================================================================
+
+describe('sales', () => {
+    let fixture;
+
+    beforeEach(async () => {
+        fixture = createFixture();
+        await fixture.client.auth.login('cashier', 'cashier123');
+    });
+
+    it('creates a Pending sale without touching stock', async () => {
+        const [keyboard] = await fixture.client.products.list({ q: 'KB-001' });
+
+        const sale = await fixture.client.sales.create({
+            carts: [{ productId: keyboard.id, qty: 2, unitPrice: keyboard.price }],
+            paidAmount: keyboard.price * 2,
+            paymentMethod: 'Cash'
+        });
+
+        assert.equal(sale.status, 'Pending');
+        assert.equal(sale.total, keyboard.price * 2);
+        assert.deepEqual(await fixture.client.sales.get(sale.id), sale);
+        assert.equal((await fixture.client.products.list({ q: 'KB-001' }))[0].stockQty, keyboard.stockQty);
+    });
+
+    it('deducts stock when the sale is completed, and only once', async () => {
+        const [mouse] = await fixture.client.products.list({ q: 'MS-010' });
+        const sale = await fixture.client.sales.create({
+            carts: [{ productId: mouse.id, qty: 3, unitPrice: mouse.price }],
+            paidAmount: mouse.price * 3
+        });
+
+        const completed = await fixture.client.sales.complete(sale.id);
+
+        assert.equal(completed.status, 'Completed');
+        assert.equal((await fixture.client.products.list({ q: 'MS-010' }))[0].stockQty, mouse.stockQty - 3);
+        await rejectsWithStatus(fixture.client.sales.complete(sale.id), 400);
+    });
+
+    it('maps an unknown sale to a 404 StorePosApiError', async () => {
+        await rejectsWithStatus(fixture.client.sales.get(999999), 404);
+        await rejectsWithStatus(fixture.client.sales.complete(999999), 404);
+    });
+});
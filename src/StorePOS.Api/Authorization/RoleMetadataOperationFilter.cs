@@ -0,0 +1,44 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.OpenApi.Any;
+using Microsoft.OpenApi.Models;
+using Swashbuckle.AspNetCore.SwaggerGen;
+
+namespace StorePOS.Api.Authorization
+{
+    /// <summary>
+    /// Publishes who may call each route in the OpenAPI document, so clients can
+    /// build their permission matrix from swagger.json instead of hard-coding it.
+    /// Anonymous routes get "x-allow-anonymous": true; protected routes get an
+    /// "x-roles" array taken from RequireRoleAttribute (empty = any signed-in user).
+    /// </summary>
+    public class RoleMetadataOperationFilter : IOperationFilter
+    {
+        public const string RolesExtension = "x-roles";
+        public const string AnonymousExtension = "x-allow-anonymous";
+
+        public void Apply(OpenApiOperation operation, OperationFilterContext context)
+        {
+            var metadata = context.ApiDescription.ActionDescriptor.EndpointMetadata;
+
+            if (metadata.OfType<IAllowAnonymous>().Any() || !metadata.OfType<IAuthorizeData>().Any())
+            {
+                operation.Extensions[AnonymousExtension] = new OpenApiBoolean(true);
+                return;
+            }
+
+            // Every RequireRoleAttribute on a route must be satisfied, so only
+            // roles listed by all of them get through
+            IEnumerable<string>? roles = null;
+            foreach (var attribute in metadata.OfType<RequireRoleAttribute>())
+            {
+                var listed = (attribute.Roles ?? string.Empty)
+                    .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+                roles = roles is null ? listed : roles.Intersect(listed);
+            }
+
+            var array = new OpenApiArray();
+            array.AddRange((roles ?? Enumerable.Empty<string>()).Select(role => new OpenApiString(role)));
+            operation.Extensions[RolesExtension] = array;
+        }
+    }
+}
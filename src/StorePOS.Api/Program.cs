@@ -3,6 +3,7 @@ using Microsoft.EntityFrameworkCore;
 using StorePOS.Domain.Data;
 using StorePOS.Domain.Extensions;
 using StorePOS.Api.Endpoints;
+using StorePOS.Api.Authorization;
 using Microsoft.AspNetCore.Authentication.JwtBearer;
 using Microsoft.IdentityModel.Tokens;
 using System.Text;
@@ -39,6 +40,8 @@ builder.Services.AddSwaggerGen(c =>
             Array.Empty<string>()
         }
     });
+
+    c.OperationFilter<RoleMetadataOperationFilter>();
 });
 builder.Services.AddDbContext<AppDbContext>(opt =>
     opt.UseInMemoryDatabase("TechStorePOS"));
@@ -8,7 +8,9 @@
         string Name, 
         string Category, 
         decimal Price, 
-        int StockQty);
+        decimal Cost,
+        int StockQty,
+        bool IsActive);
 
     // DTOs for write operations
     public record ProductCreateDto(
@@ -8,7 +8,7 @@ namespace StorePOS.Domain.Extensions
     {
         // EF-translatable projection
         public static readonly Expression<Func<Product, ProductReadDto>> ToReadDtoExpr =
-            p => new ProductReadDto(p.Id, p.Sku, p.Barcode, p.Name, p.Category!.Name, p.Price, p.StockQty);
+            p => new ProductReadDto(p.Id, p.Sku, p.Barcode, p.Name, p.Category!.Name, p.Price, p.Cost, p.StockQty, p.IsActive);
 
         // Use this inside IQueryable pipelines so translation happens server-side
         public static IQueryable<ProductReadDto> SelectReadDto(this IQueryable<Product> query) =>
@@ -153,7 +153,7 @@ namespace StorePOS.Domain.Services
 
             var errors = ValidateUpdateStock(dto.amount, dto.stockUpdate);
             if (errors.Count > 0) return ServiceResult<ProductReadDto>.Validation(errors);
-            StockUpdate update = (StockUpdate)Enum.Parse(typeof(StockUpdate), "dto.stockUpdate");
+            var update = Enum.Parse<StockUpdate>(dto.stockUpdate, ignoreCase: true);
 
             // Apply stock update
             switch (update)
@@ -206,6 +206,13 @@ namespace StorePOS.Domain.Services
         {
             var errors = new Dictionary<string, string[]>();
             if (amount <= 0) errors["amount"] = new[] { "Amount must be greater than 0." };
+
+            // Validate StockUpdate string
+            if (!Enum.TryParse<StockUpdate>(stockUpdate, true, out _))
+            {
+                var validUpdates = string.Join(", ", Enum.GetNames<StockUpdate>());
+                errors["stockUpdate"] = new[] { $"Invalid stock update. Valid options: {validUpdates}" };
+            }
             return errors;
         }
     }
@@ -93,6 +93,9 @@ namespace StorePOS.Domain.Services
             if (dto.Password.Length < 6)
                 return ServiceResult<UserReadDto>.BadRequest("Password must be at least 6 characters long.");
 
+            if (!Enum.TryParse<Enums.UserRole>(dto.Role ?? "Cashier", true, out var role))
+                return ServiceResult<UserReadDto>.BadRequest($"Invalid role: {dto.Role}");
+
             // Check if username or email already exists
             var exists = await _uow.Users.ExistsAsync(username, email, ct);
             if (exists)
@@ -106,7 +109,7 @@ namespace StorePOS.Domain.Services
                 LastName = dto.LastName?.Trim() ?? string.Empty,
                 PasswordHash = PasswordHelper.HashPassword(dto.Password),
                 PhoneNumber = dto.PhoneNumber?.Trim(),
-                Role = Enum.Parse<Enums.UserRole>(dto.Role ?? "Cashier"),
+                Role = role,
                 IsActive = dto.IsActive,
                 CreatedAt = DateTimeOffset.Now
             };
@@ -134,6 +137,9 @@ namespace StorePOS.Domain.Services
             if (string.IsNullOrWhiteSpace(email))
                 return ServiceResult<UserReadDto>.BadRequest("Email is required.");
 
+            if (!Enum.TryParse<Enums.UserRole>(dto.Role ?? "Cashier", true, out var role))
+                return ServiceResult<UserReadDto>.BadRequest($"Invalid role: {dto.Role}");
+
             // Check if username or email already exists (excluding current user)
             var exists = await _uow.Users.ExistsAsync(username, email, id, ct);
             if (exists)
@@ -144,7 +150,7 @@ namespace StorePOS.Domain.Services
             user.FirstName = dto.FirstName?.Trim() ?? string.Empty;
             user.LastName = dto.LastName?.Trim() ?? string.Empty;
             user.PhoneNumber = dto.PhoneNumber?.Trim();
-            user.Role = Enum.Parse<Enums.UserRole>(dto.Role ?? "Cashier");
+            user.Role = role;
             user.IsActive = dto.IsActive;
             user.UpdatedAt = DateTimeOffset.Now;
 